@@ -2,7 +2,9 @@ import GameEngine from './engine.js';
 import EngineUI from './ui.js';
 
 // Initialize the engine
-const engine = new GameEngine();
+const engine = new GameEngine({
+    container: document.getElementById('viewport')
+});
 
 // Initialize the UI
 const ui = new EngineUI(engine);
@@ -2,11 +2,15 @@ import * as THREE from 'three';
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
 import { OBJLoader } from 'three/addons/loaders/OBJLoader.js';
 import { FBXLoader } from 'three/addons/loaders/FBXLoader.js';
+import { clone as cloneSkinned } from 'three/addons/utils/SkeletonUtils.js';
 
 export class AssetSystem {
     constructor(engine) {
         this.engine = engine;
         this.assets = new Map();
+        
+        // Errors of assets whose last load failed, e.g. missing files
+        this.errors = new Map();
         this.loaders = {
             texture: new THREE.TextureLoader(),
             gltf: new GLTFLoader(),
@@ -41,6 +45,7 @@ export class AssetSystem {
         return new Promise((resolve, reject) => {
             const handleLoad = (asset) => {
                 this.assets.set(cacheKey, asset);
+                this.errors.delete(cacheKey);
                 resolve(asset);
                 
                 // Dispatch event when asset is loaded
@@ -59,6 +64,7 @@ export class AssetSystem {
             
             const handleError = (error) => {
                 console.error(`Error loading ${type} from ${url}:`, error);
+                this.errors.set(cacheKey, error);
                 reject(error);
             };
             
@@ -112,6 +118,17 @@ export class AssetSystem {
         return this.assets.has(cacheKey);
     }
     
+    /**
+     * Get the error of an asset whose last load failed
+     * @param {string} url - URL of the asset
+     * @param {string} type - Type of the asset
+     * @returns {any} - The error, or null if the asset loaded or was never loaded
+     */
+    getError(url, type) {
+        const cacheKey = url + '|' + type;
+        return this.errors.get(cacheKey) || null;
+    }
+    
     /**
      * Unload an asset, removing it from the cache
      * @param {string} url - URL of the asset
@@ -131,6 +148,48 @@ export class AssetSystem {
         }
     }
     
+    /**
+     * Guess the loader type of a model from its file extension
+     * @param {string} url - URL of the model
+     * @returns {string} - Model type (gltf, glb, obj or fbx)
+     */
+    getModelType(url) {
+        const extension = url.split(/[?#]/)[0].split('.').pop().toLowerCase();
+        return ['gltf', 'glb', 'obj', 'fbx'].includes(extension) ? extension : 'gltf';
+    }
+    
+    /**
+     * Create a new instance of a model asset
+     * The cached asset is cloned (including skinned meshes and materials)
+     * so every instance can be transformed and edited on its own.
+     * @param {string} url - URL of the model
+     * @param {string} type - Model type (gltf, glb, obj or fbx)
+     * @returns {Promise<Object>} - Resolves with { scene, animations }
+     */
+    instantiateModel(url, type = this.getModelType(url)) {
+        return this.load(url, type)
+            .then(asset => {
+                // GLTF assets wrap their scene, OBJ and FBX load as a group
+                const source = asset.scene || asset;
+                const scene = cloneSkinned(source);
+                
+                scene.traverse(child => {
+                    if (child.isMesh) {
+                        child.material = Array.isArray(child.material) ?
+                            child.material.map(material => material.clone()) :
+                            child.material.clone();
+                        child.castShadow = true;
+                        child.receiveShadow = true;
+                    }
+                });
+                
+                return {
+                    scene: scene,
+                    animations: asset.animations || source.animations || []
+                };
+            });
+    }
+    
     /**
      * Create a material from a texture
      * @param {string} textureUrl - URL of the texture
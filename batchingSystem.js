@@ -0,0 +1,308 @@
+import * as THREE from 'three';
+import { BATCHED_LAYER } from './objectFactory.js';
+
+// Material properties that have to match for objects to share a batch, color is per instance
+const MATERIAL_KEYS = ['side', 'flatShading', 'wireframe', 'vertexColors', 'roughness', 'metalness', 'emissiveIntensity', 'shininess', 'reflectivity', 'envMapIntensity', 'alphaTest', 'depthTest', 'depthWrite', 'fog', 'toneMapped'];
+const MATERIAL_COLOR_KEYS = ['emissive', 'specular', 'sheenColor'];
+const MATERIAL_TEXTURE_KEYS = ['map', 'normalMap', 'bumpMap', 'roughnessMap', 'metalnessMap', 'emissiveMap', 'aoMap', 'alphaMap', 'lightMap', 'envMap', 'specularMap', 'displacementMap'];
+
+const HIDDEN_MATRIX = new THREE.Matrix4().makeScale(0, 0, 0);
+
+/**
+ * BatchingSystem draws objects with the same geometry and material as one InstancedMesh
+ *
+ * The objects themselves stay in the scene, so selection, picking, scripts and
+ * components keep working on them; they are moved to BATCHED_LAYER, which no
+ * camera renders, and their batch copies their world matrix and material color
+ * every frame. Selected and hovered objects leave their batch while they are,
+ * so the outlines and the gizmo see them.
+ *
+ * Geometry matches when objects have the same type and parameters (or share a
+ * geometry); materials match when everything but the color is the same.
+ * Transparent, skinned and shader materials are never batched, nor are
+ * objects with LOD, whose geometry changes, or with noBatching set.
+ */
+export class BatchingSystem {
+    /**
+     * Create a new BatchingSystem
+     * @param {GameEngine} engine - Reference to the main game engine
+     */
+    constructor(engine) {
+        this.engine = engine;
+        
+        const settings = engine.config.batching || {};
+        this.enabled = settings.enabled !== false;
+        
+        // Fewer objects than this are drawn one by one
+        this.minInstances = settings.minInstances || 4;
+        
+        // Seconds between checks for changes scripts made to geometry or materials
+        this.refreshInterval = settings.refreshInterval || 1;
+        
+        this.batches = new Map();
+        this.records = new Map();
+        this.dirty = true;
+        this.timeSinceRefresh = 0;
+        
+        this.group = new THREE.Group();
+        this.group.name = 'Instanced Batches';
+        
+        // Adding or removing objects regroups them on the next frame
+        this.engine.events.on('objects:changed', () => { this.dirty = true; });
+        this.engine.events.on('scene:loaded', () => { this.dirty = true; });
+    }
+    
+    /**
+     * Turns batching on or off, off draws every object on its own
+     * @param {boolean} enabled - Whether objects are batched
+     */
+    setEnabled(enabled) {
+        this.enabled = !!enabled;
+        if (this.enabled) {
+            this.dirty = true;
+        } else {
+            this.clear();
+        }
+        this.engine.events.emit('batching:changed', { enabled: this.enabled });
+    }
+    
+    /**
+     * Regroups the objects if needed and copies their transforms and colors into the batches
+     * Called every frame before rendering.
+     */
+    update() {
+        if (!this.enabled) return;
+        
+        this.timeSinceRefresh += this.engine.unscaledDeltaTime;
+        if (this.dirty || this.timeSinceRefresh >= this.refreshInterval) {
+            this.refresh();
+        }
+        if (this.batches.size === 0) return;
+        
+        if (this.group.parent !== this.engine.scene) {
+            this.engine.scene.add(this.group);
+        }
+        this.engine.scene.updateMatrixWorld();
+        
+        // Objects the editor highlights are drawn by themselves
+        const detached = new Set(this.engine.selectedObjects);
+        if (this.engine.hoveredObject) detached.add(this.engine.hoveredObject);
+        
+        this.batches.forEach(batch => {
+            const mesh = batch.mesh;
+            
+            batch.members.forEach((obj, index) => {
+                const record = this.records.get(obj);
+                const object3D = obj.object3D;
+                
+                // A new geometry or material regroups the object, it draws alone until then
+                const replaced = object3D.geometry !== record.geometry || object3D.material !== record.material;
+                if (replaced) this.dirty = true;
+                
+                if (replaced || detached.has(obj) || !this.isShown(object3D)) {
+                    object3D.layers.mask = record.layers;
+                    mesh.setMatrixAt(index, HIDDEN_MATRIX);
+                    return;
+                }
+                
+                object3D.layers.mask = 1 << BATCHED_LAYER;
+                mesh.setMatrixAt(index, object3D.matrixWorld);
+                mesh.setColorAt(index, object3D.material.color);
+            });
+            
+            mesh.instanceMatrix.needsUpdate = true;
+            if (mesh.instanceColor) mesh.instanceColor.needsUpdate = true;
+        });
+    }
+    
+    /**
+     * Groups the objects by geometry and material and rebuilds the batches that changed
+     */
+    refresh() {
+        this.dirty = false;
+        this.timeSinceRefresh = 0;
+        
+        const groups = new Map();
+        this.engine.objects.forEach(obj => {
+            const key = this.getBatchKey(obj);
+            if (!key) return;
+            
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(obj);
+        });
+        
+        // Batches whose members are unchanged are kept as they are
+        this.batches.forEach((batch, key) => {
+            const members = groups.get(key);
+            const unchanged = members && members.length === batch.members.length &&
+                members.every((obj, i) => obj === batch.members[i]);
+            if (!unchanged) this.removeBatch(batch);
+        });
+        
+        groups.forEach((members, key) => {
+            if (members.length >= this.minInstances && !this.batches.has(key)) {
+                this.createBatch(key, members);
+            }
+        });
+    }
+    
+    /**
+     * Returns the key of the batch an object belongs in
+     * @param {Object} obj - Engine object
+     * @returns {string|null} - Objects with the same key can share a batch, null if the object can't be batched
+     */
+    getBatchKey(obj) {
+        const object3D = obj.object3D;
+        if (!object3D.isMesh || object3D.isInstancedMesh || object3D.isSkinnedMesh || obj.sourceModel) return null;
+        if (!object3D.parent || obj.noBatching || obj.lod) return null;
+        
+        const geometry = object3D.geometry;
+        if (!geometry || Object.keys(geometry.morphAttributes).length > 0) return null;
+        
+        const material = this.getMaterialKey(object3D.material);
+        if (!material) return null;
+        
+        // Objects built from the same parameters have equal geometries
+        const definition = obj.type && this.engine.factory.get(obj.type);
+        const geometryKey = definition && definition.createGeometry && obj.params ?
+            `${obj.type}:${JSON.stringify(obj.params)}` : geometry.uuid;
+        
+        // The layers the object had before it was batched
+        const record = this.records.get(obj);
+        const layers = record ? record.layers : object3D.layers.mask;
+        
+        return [geometryKey, material, layers, object3D.castShadow, object3D.receiveShadow].join('#');
+    }
+    
+    /**
+     * Describes everything about a material except its color
+     * @param {THREE.Material} material - The material
+     * @returns {string|null} - Key, or null for materials that can't be instanced
+     */
+    getMaterialKey(material) {
+        if (!material || Array.isArray(material) || !material.color) return null;
+        if (material.isShaderMaterial || material.transparent || !material.visible) return null;
+        if (material.onBeforeCompile !== THREE.Material.prototype.onBeforeCompile) return null;
+        
+        const values = [material.type];
+        MATERIAL_KEYS.forEach(key => values.push(material[key]));
+        MATERIAL_COLOR_KEYS.forEach(key => values.push(material[key] ? material[key].getHex() : ''));
+        MATERIAL_TEXTURE_KEYS.forEach(key => values.push(material[key] ? material[key].uuid : ''));
+        return values.join('|');
+    }
+    
+    createBatch(key, members) {
+        const first = members[0].object3D;
+        
+        // The batch owns copies, so removing any member can't dispose what it draws
+        const geometry = first.geometry.clone();
+        const material = first.material.clone();
+        material.color.set(0xffffff);
+        
+        const mesh = new THREE.InstancedMesh(geometry, material, members.length);
+        mesh.name = `Batch (${members.length})`;
+        mesh.castShadow = first.castShadow;
+        mesh.receiveShadow = first.receiveShadow;
+        mesh.frustumCulled = false;
+        mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+        
+        // Picking hits the objects themselves
+        mesh.raycast = () => {};
+        
+        members.forEach((obj, index) => {
+            const object3D = obj.object3D;
+            this.records.set(obj, {
+                layers: object3D.layers.mask,
+                geometry: object3D.geometry,
+                material: object3D.material
+            });
+            mesh.setMatrixAt(index, HIDDEN_MATRIX);
+            mesh.setColorAt(index, object3D.material.color);
+        });
+        mesh.layers.mask = this.records.get(members[0]).layers;
+        
+        const batch = { key: key, mesh: mesh, members: members };
+        this.batches.set(key, batch);
+        this.group.add(mesh);
+        return batch;
+    }
+    
+    removeBatch(batch) {
+        batch.members.forEach(obj => {
+            const record = this.records.get(obj);
+            if (record) obj.object3D.layers.mask = record.layers;
+            this.records.delete(obj);
+        });
+        
+        this.group.remove(batch.mesh);
+        batch.mesh.geometry.dispose();
+        batch.mesh.material.dispose();
+        batch.mesh.dispose();
+        this.batches.delete(batch.key);
+    }
+    
+    /**
+     * Draws every object on its own again
+     */
+    clear() {
+        Array.from(this.batches.values()).forEach(batch => this.removeBatch(batch));
+        this.group.removeFromParent();
+    }
+    
+    // Whether an object and all of its parents are visible
+    isShown(object3D) {
+        for (let node = object3D; node; node = node.parent) {
+            if (!node.visible) return false;
+        }
+        return true;
+    }
+    
+    /**
+     * Returns the batch an object is drawn with
+     * @param {Object} obj - Engine object
+     * @returns {Object|null} - { key, mesh, members }, or null if the object is drawn on its own
+     */
+    getBatch(obj) {
+        if (!this.records.has(obj)) return null;
+        
+        for (const batch of this.batches.values()) {
+            if (batch.members.includes(obj)) return batch;
+        }
+        return null;
+    }
+    
+    /**
+     * Changes the layers a batched object goes back to, see LayerSystem.applyLayer()
+     * @param {Object} obj - Engine object
+     * @param {number} mask - Layer bits
+     * @returns {boolean} - False if the object isn't batched, its own layers can be set directly
+     */
+    setObjectLayers(obj, mask) {
+        const record = this.records.get(obj);
+        if (!record) return false;
+        
+        // The object moves to a batch on the new layer
+        record.layers = mask;
+        this.dirty = true;
+        return true;
+    }
+    
+    /**
+     * Returns how much batching saves
+     * @returns {Object} - { batches, instances, drawCallsSaved }
+     */
+    getStats() {
+        let instances = 0;
+        this.batches.forEach(batch => { instances += batch.members.length; });
+        
+        return {
+            batches: this.batches.size,
+            instances: instances,
+            drawCallsSaved: instances - this.batches.size
+        };
+    }
+    
+    dispose() {
+        this.clear();
+    }
+}
@@ -1,3 +1,5 @@
+import * as THREE from 'three';
+
 /**
  * Behavior classes for the Three.js Game Engine
  * These classes can be used in scripts to add common game behaviors
@@ -203,60 +205,469 @@ export class Timer extends Behavior {
     }
 }
 
-// Physics body - adds simple physics properties and behaviors
+// Physics body - gives the object a rigid body in the engine's physics world
 export class PhysicsBody extends Behavior {
     constructor(script, options = {}) {
         super(script);
-        this.velocity = new THREE.Vector3(0, 0, 0);
-        this.acceleration = new THREE.Vector3(0, 0, 0);
         this.mass = options.mass || 1;
         this.useGravity = options.useGravity !== undefined ? options.useGravity : true;
-        this.gravity = options.gravity || -9.8;
-        this.drag = options.drag || 0.1;
-        this.bounciness = options.bounciness || 0.5;
+        this.gravity = options.gravity || this.engine.physics.gravity.y;
+        this.drag = options.drag !== undefined ? options.drag : 0.1;
+        this.bounciness = options.bounciness !== undefined ? options.bounciness : 0.5;
+        
+        // Options the behavior doesn't name, such as friction or collider, go to the body as they are
+        const { gravity, drag, ...settings } = options;
+        this.body = this.engine.physics.addBody(this.object, {
+            ...settings,
+            mass: this.mass,
+            useGravity: this.useGravity,
+            bounciness: this.bounciness,
+            linearDamping: this.drag
+        });
+        
+        // A gravity of its own scales the world's gravity for this body
+        const worldGravity = this.engine.physics.gravity.y;
+        if (this.body && worldGravity !== 0) {
+            this.body.gravityScale = this.gravity / worldGravity;
+        }
+        
+        this.velocity = this.body ? this.body.velocity : new THREE.Vector3();
+    }
+    
+    // The physics world moves the object
+    update(deltaTime) {}
+    
+    // Force for the current frame, F = ma
+    applyForce(force, point) {
+        if (this.enabled && this.body) this.body.applyForce(force, point);
+    }
+    
+    applyTorque(torque) {
+        if (this.enabled && this.body) this.body.applyTorque(torque);
+    }
+    
+    applyImpulse(impulse, point) {
+        // Immediate change in velocity, and in spin if it hits off center
+        if (this.enabled && this.body) this.body.applyImpulse(impulse, point);
+    }
+    
+    setVelocity(x, y, z) {
+        this.velocity.set(x, y, z);
+    }
+    
+    isGrounded() {
+        return this.body ? this.body.isGrounded() : false;
+    }
+}
+
+// Character controller - sweeps an upright capsule through the scene's colliders, up is +Y
+export class CharacterController extends Behavior {
+    constructor(script, options = {}) {
+        super(script);
+        const physics = this.engine.physics;
+        
+        // Steepest ground in degrees that can be walked up and stood on
+        this.maxSlopeAngle = options.maxSlopeAngle !== undefined ? options.maxSlopeAngle : 45;
+        this.stepHeight = options.stepHeight !== undefined ? options.stepHeight : 0.3;
+        
+        // Gap kept to the colliders, so sweeps never start inside one
+        this.skinWidth = options.skinWidth || 0.02;
+        
+        // Seconds after walking off a ledge during which a jump still works
+        this.coyoteTime = options.coyoteTime !== undefined ? options.coyoteTime : 0.1;
+        this.gravityScale = options.gravityScale !== undefined ? options.gravityScale : 1;
+        
+        // Layers the character collides with, null follows its own layer and the collision matrix
+        this.layerMask = options.layerMask !== undefined ? options.layerMask : null;
+        
+        // A kinematic body pushes dynamic bodies, sets off triggers and is found by queries
+        const collider = { shape: 'capsule' };
+        if (options.radius !== undefined || options.height !== undefined || options.center !== undefined) {
+            collider.autoSize = false;
+            collider.radius = options.radius || 0.5;
+            collider.height = options.height || 2;
+            collider.center = options.center || { x: 0, y: 0, z: 0 };
+        }
+        this.body = physics.addBody(this.object, { bodyType: 'kinematic', isTrigger: false, collider: collider });
+        
+        // World size of the capsule and the offset of its center from the object
+        this.centerOffset = new THREE.Vector3();
+        if (this.body) {
+            const shape = this.body.collider;
+            shape.update();
+            this.radius = shape.worldRadius;
+            this.halfSegment = shape.start.distanceTo(shape.end) / 2;
+            this.centerOffset.subVectors(shape.worldCenter, this.body.position);
+        } else {
+            this.radius = collider.radius || 0.5;
+            this.halfSegment = Math.max(0, (collider.height || 2) / 2 - this.radius);
+        }
+        
+        // Velocity from gravity and jumps, the walking velocity is set each frame
+        this.velocity = new THREE.Vector3();
+        this.moveVelocity = new THREE.Vector3();
+        
+        this.isGrounded = false;
+        this.groundNormal = new THREE.Vector3(0, 1, 0);
+        this.groundObject = null;
+        this.timeSinceGrounded = Infinity;
+        this.isJumping = false;
+        
+        // What the last move ran into
+        this.collisionFlags = { below: false, sides: false, above: false };
+        
+        // World matrix of the ground when last seen, its change moves the character along
+        this.platformMatrix = new THREE.Matrix4();
+        
+        this.position = new THREE.Vector3();
+        this.point1 = new THREE.Vector3();
+        this.point2 = new THREE.Vector3();
+    }
+    
+    /**
+     * Sets the walking velocity, kept until changed
+     * @param {number|THREE.Vector3} x - Velocity along x, or a vector whose y is ignored
+     * @param {number} z - Velocity along z
+     */
+    setMoveVelocity(x, z) {
+        if (x instanceof THREE.Vector3) {
+            this.moveVelocity.set(x.x, 0, x.z);
+        } else {
+            this.moveVelocity.set(x, 0, z);
+        }
+    }
+    
+    // Grounded, or only just off the ground, and not already in a jump
+    canJump() {
+        return !this.isJumping && (this.isGrounded || this.timeSinceGrounded <= this.coyoteTime);
+    }
+    
+    /**
+     * Jumps if the character can
+     * @param {number} speed - Upward speed at the start of the jump
+     * @returns {boolean} - Whether it jumped
+     */
+    jump(speed) {
+        if (!this.enabled || !this.canJump()) return false;
+        
+        this.velocity.y = speed;
+        this.isJumping = true;
+        this.isGrounded = false;
+        this.groundObject = null;
+        this.timeSinceGrounded = Infinity;
+        return true;
+    }
+    
+    /**
+     * Moves the character at once, stopped and deflected by colliders
+     * @param {THREE.Vector3} motion - World displacement
+     * @returns {Object} - Collision flags { below, sides, above }
+     */
+    move(motion) {
+        this.readPosition();
+        this.resetFlags();
+        this.slide(new THREE.Vector3(motion.x, 0, motion.z), true);
+        this.slide(new THREE.Vector3(0, motion.y, 0), false);
+        this.writePosition();
+        return this.collisionFlags;
     }
     
     update(deltaTime) {
-        if (!this.enabled) return;
+        if (!this.enabled || !(deltaTime > 0)) return;
+        
+        this.readPosition();
+        this.resetFlags();
+        this.followGround();
+        this.depenetrate();
         
-        // Apply gravity
-        if (this.useGravity) {
-            this.acceleration.y = this.gravity;
+        // On the ground gravity does nothing, the ground check keeps the character on it
+        if (this.isGrounded && this.velocity.y <= 0) {
+            this.velocity.y = 0;
+        } else {
+            this.velocity.y += this.engine.physics.gravity.y * this.gravityScale * deltaTime;
+        }
+        
+        // Walk along the ground, so slopes are walked down instead of off
+        const walk = this.moveVelocity.clone().setY(0).multiplyScalar(deltaTime);
+        if (this.isGrounded && walk.lengthSq() > 0) {
+            const length = walk.length();
+            walk.projectOnPlane(this.groundNormal).setLength(length);
         }
+        this.slide(walk, true);
+        this.slide(new THREE.Vector3(0, this.velocity.y * deltaTime, 0), false);
         
-        // Apply acceleration
-        this.velocity.add(this.acceleration.clone().multiplyScalar(deltaTime));
+        this.checkGround();
+        this.writePosition();
         
-        // Apply drag
-        this.velocity.multiplyScalar(1 - this.drag * deltaTime);
+        if (this.isGrounded) {
+            this.timeSinceGrounded = 0;
+        } else {
+            this.timeSinceGrounded += deltaTime;
+        }
+    }
+    
+    readPosition() {
+        this.transform.updateWorldMatrix(true, false);
+        this.position.setFromMatrixPosition(this.transform.matrixWorld);
+    }
+    
+    writePosition() {
+        const position = this.position.clone();
+        if (this.transform.parent) {
+            this.transform.parent.worldToLocal(position);
+        }
+        this.transform.position.copy(position);
+        this.transform.updateMatrixWorld();
+    }
+    
+    resetFlags() {
+        this.collisionFlags = { below: false, sides: false, above: false };
+    }
+    
+    /**
+     * Sweeps the capsule from a position
+     * @param {THREE.Vector3} position - World position of the object
+     * @param {THREE.Vector3} direction - Unit direction
+     * @param {number} distance - Distance to move, the skin is added on top
+     * @returns {Object|null} - Hit as for PhysicsWorld.capsuleCast()
+     */
+    sweep(position, direction, distance) {
+        this.point1.copy(position).add(this.centerOffset);
+        this.point2.copy(this.point1);
+        this.point1.y -= this.halfSegment;
+        this.point2.y += this.halfSegment;
+        
+        const hit = this.engine.physics.capsuleCast(this.point1, this.point2, this.radius, direction, {
+            maxDistance: distance + this.skinWidth,
+            layerMask: this.getLayerMask(),
+            ignore: this.getIgnored()
+        });
+        return hit && this.isFiniteHit(hit, hit.distance) ? hit : null;
+    }
+    
+    // Looked up at every query, the object's layer and the collision matrix can change in play
+    getLayerMask() {
+        if (this.layerMask !== null) return this.layerMask;
+        return this.engine.layers.getCollisionMask(this.object.layer || 0);
+    }
+    
+    // Hits with a NaN normal or distance would move the character to NaN for good
+    isFiniteHit(hit, amount) {
+        return Number.isFinite(amount) && Number.isFinite(hit.normal.x) && Number.isFinite(hit.normal.y) && Number.isFinite(hit.normal.z);
+    }
+    
+    // The character and the objects it carries, e.g. the nodes of its model
+    getIgnored() {
+        return [this.object, ...this.engine.getChildrenRecursive(this.object)];
+    }
+    
+    isWalkable(normal) {
+        return normal.y >= Math.cos(THREE.MathUtils.degToRad(this.maxSlopeAngle));
+    }
+    
+    /**
+     * Whether a hit can be stood on
+     * A capsule resting on an edge gets the normal of the edge, so the surface
+     * just past the contact point decides instead.
+     * @param {Object} hit - Hit of a sweep
+     * @returns {Object|null} - The hit, or a ray hit with the surface normal, null if too steep
+     */
+    getGroundHit(hit) {
+        if (this.isWalkable(hit.normal)) return hit;
+        
+        const away = new THREE.Vector3(-hit.normal.x, 0, -hit.normal.z);
+        if (away.lengthSq() > 0) away.setLength(this.skinWidth);
+        
+        const origin = hit.point.clone().add(away);
+        origin.y += this.skinWidth * 2;
+        const surface = this.engine.physics.raycast(origin, new THREE.Vector3(0, -1, 0), {
+            maxDistance: this.skinWidth * 4,
+            layerMask: this.getLayerMask(),
+            ignore: this.getIgnored()
+        });
+        if (!surface || surface.object !== hit.object || !this.isWalkable(surface.normal)) return null;
+        
+        return { ...hit, normal: surface.normal };
+    }
+    
+    /**
+     * Moves as far as the colliders allow and slides the rest along what was hit
+     * @param {THREE.Vector3} motion - World displacement, changed
+     * @param {boolean} walking - Horizontal walking, which steps up ledges and can't climb steep slopes
+     */
+    slide(motion, walking) {
+        const direction = new THREE.Vector3();
+        
+        for (let i = 0; i < 4; i++) {
+            const length = motion.length();
+            if (length < 1e-5) return;
+            
+            direction.copy(motion).divideScalar(length);
+            const hit = this.sweep(this.position, direction, length);
+            if (!hit) {
+                this.position.add(motion);
+                return;
+            }
+            
+            const travel = Math.max(0, hit.distance - this.skinWidth);
+            this.position.addScaledVector(direction, travel);
+            motion.copy(direction).multiplyScalar(length - travel);
+            
+            const ground = this.getGroundHit(hit);
+            const normal = hit.normal.clone();
+            
+            if (walking && !ground) {
+                // A low ledge is stepped onto, anything else is a wall
+                if (this.isGrounded && this.stepUp(hit, motion)) return;
+                
+                // Walls and ceilings don't lift the character off the ground
+                this.collisionFlags.sides = true;
+                normal.y = 0;
+                if (normal.lengthSq() < 1e-8) return;
+                normal.normalize();
+            } else if (!walking) {
+                if (ground && direction.y < 0) {
+                    this.land(ground);
+                    return;
+                }
+                if (normal.y < 0 && direction.y > 0) {
+                    this.collisionFlags.above = true;
+                    this.velocity.y = 0;
+                    return;
+                }
+            }
+            
+            motion.addScaledVector(normal, -motion.dot(normal));
+        }
+    }
+    
+    /**
+     * Climbs a ledge in front of the character: up, across and down onto it
+     * @param {Object} hit - Hit of the walking sweep
+     * @param {THREE.Vector3} motion - Rest of the walk
+     * @returns {boolean} - Whether the character is on the ledge
+     */
+    stepUp(hit, motion) {
+        const feet = this.position.y + this.centerOffset.y - this.halfSegment - this.radius;
+        if (this.stepHeight <= 0 || hit.point.y - feet > this.stepHeight) return false;
+        
+        const length = motion.length();
+        if (length < 1e-5) return false;
+        
+        const up = new THREE.Vector3(0, 1, 0);
+        const ceiling = this.sweep(this.position, up, this.stepHeight);
+        const rise = ceiling ? Math.max(0, ceiling.distance - this.skinWidth) : this.stepHeight;
+        if (rise <= 0) return false;
+        
+        const position = this.position.clone();
+        position.y += rise;
+        
+        const direction = motion.clone().divideScalar(length);
+        const across = this.sweep(position, direction, length);
+        const travel = across ? Math.max(0, across.distance - this.skinWidth) : length;
+        if (travel < 1e-5) return false;
+        position.addScaledVector(direction, travel);
+        
+        const below = this.sweep(position, up.negate(), rise + this.skinWidth);
+        const ground = below && this.getGroundHit(below);
+        if (!ground) return false;
+        
+        position.y -= Math.max(0, below.distance - this.skinWidth);
+        this.position.copy(position);
+        this.land(ground);
+        return true;
+    }
+    
+    land(hit) {
+        this.collisionFlags.below = true;
+        this.velocity.y = Math.max(0, this.velocity.y);
+        this.isGrounded = true;
+        this.isJumping = false;
+        this.groundNormal.copy(hit.normal);
+        this.setGroundObject(hit.object);
+    }
+    
+    /**
+     * Finds the ground below the character after a move
+     * A character that was on the ground and isn't rising follows it down by up
+     * to stepHeight, so it walks down slopes and stairs instead of falling.
+     */
+    checkGround() {
+        if (this.velocity.y > 0) {
+            this.isGrounded = false;
+            this.setGroundObject(null);
+            return;
+        }
         
-        // Apply velocity
-        this.transform.position.add(this.velocity.clone().multiplyScalar(deltaTime));
+        const wasGrounded = this.isGrounded || this.collisionFlags.below;
+        const reach = this.skinWidth + (wasGrounded ? this.stepHeight : 0);
+        const hit = this.sweep(this.position, new THREE.Vector3(0, -1, 0), reach);
+        const ground = hit && this.getGroundHit(hit);
         
-        // Simple floor collision
-        if (this.transform.position.y < 0) {
-            this.transform.position.y = 0;
-            this.velocity.y = -this.velocity.y * this.bounciness;
+        if (!ground) {
+            this.isGrounded = false;
+            this.setGroundObject(null);
+            return;
         }
         
-        // Reset acceleration
-        this.acceleration.set(0, this.useGravity ? this.gravity : 0, 0);
+        this.position.y -= Math.max(0, hit.distance - this.skinWidth);
+        this.land(ground);
     }
     
-    applyForce(force) {
-        // F = ma, so a = F/m
-        const accelerationChange = force.clone().divideScalar(this.mass);
-        this.acceleration.add(accelerationChange);
+    setGroundObject(obj) {
+        if (obj && obj !== this.groundObject) {
+            obj.object3D.updateWorldMatrix(true, false);
+            this.platformMatrix.copy(obj.object3D.matrixWorld);
+        }
+        this.groundObject = obj;
     }
     
-    applyImpulse(impulse) {
-        // Immediate change in velocity
-        const velocityChange = impulse.clone().divideScalar(this.mass);
-        this.velocity.add(velocityChange);
+    // Carries the character along with the ground it stands on, turning it with the ground too
+    followGround() {
+        const ground = this.groundObject;
+        if (!ground || !this.isGrounded) return;
+        
+        if (!this.engine.objects.includes(ground)) {
+            this.groundObject = null;
+            return;
+        }
+        
+        const object3D = ground.object3D;
+        object3D.updateWorldMatrix(true, false);
+        const change = object3D.matrixWorld.clone().multiply(this.platformMatrix.clone().invert());
+        this.platformMatrix.copy(object3D.matrixWorld);
+        
+        const motion = this.position.clone().applyMatrix4(change).sub(this.position);
+        if (motion.lengthSq() > 1e-10) {
+            this.slide(new THREE.Vector3(motion.x, 0, motion.z), false);
+            this.slide(new THREE.Vector3(0, motion.y, 0), false);
+        }
+        
+        const forward = new THREE.Vector3(0, 0, 1).transformDirection(change);
+        const yaw = Math.atan2(forward.x, forward.z);
+        if (Math.abs(yaw) > 1e-6) {
+            this.transform.rotateOnWorldAxis(new THREE.Vector3(0, 1, 0), yaw);
+        }
     }
     
-    setVelocity(x, y, z) {
-        this.velocity.set(x, y, z);
+    /**
+     * Pushes the character out of colliders it ended up in, e.g. moved into it by a platform
+     */
+    depenetrate() {
+        for (let i = 0; i < 3; i++) {
+            this.point1.copy(this.position).add(this.centerOffset);
+            this.point2.copy(this.point1);
+            this.point1.y -= this.halfSegment;
+            this.point2.y += this.halfSegment;
+            
+            const hits = this.engine.physics.overlapCapsule(this.point1, this.point2, this.radius, {
+                layerMask: this.getLayerMask(),
+                ignore: this.getIgnored()
+            }).filter(hit => this.isFiniteHit(hit, hit.depth));
+            if (hits.length === 0) return;
+            
+            hits.forEach(hit => this.position.addScaledVector(hit.normal, hit.depth + this.skinWidth * 0.5));
+        }
     }
 }
 
@@ -275,11 +686,17 @@ export class InputController extends Behavior {
         this.sprint = options.sprint || 'ShiftLeft';
         this.isGrounded = true;
         
-        // Check if we should add a physics body
-        if (options.addPhysicsBody) {
+        // A character controller moves the object instead, true or its options
+        if (options.characterController) {
+            const settings = options.characterController === true ? {} : options.characterController;
+            this.controller = new CharacterController(script, settings);
+            this.isGrounded = this.controller.isGrounded;
+        } else if (options.addPhysicsBody) {
+            // Players walk upright, contacts don't tip them over
             this.physics = new PhysicsBody(script, {
                 mass: options.mass || 1,
-                useGravity: options.useGravity !== undefined ? options.useGravity : true
+                useGravity: options.useGravity !== undefined ? options.useGravity : true,
+                freezeRotation: true
             });
         }
     }
@@ -313,7 +730,16 @@ export class InputController extends Behavior {
         }
         
         // Apply movement
-        if (this.physics) {
+        if (this.controller) {
+            // The controller sweeps the character through the scene
+            this.controller.setMoveVelocity(moveX * speed, moveZ * speed);
+            if (this.script.isKeyDown(this.jump)) {
+                this.controller.jump(this.jumpForce);
+            }
+            
+            this.controller.update(deltaTime);
+            this.isGrounded = this.controller.isGrounded;
+        } else if (this.physics) {
             // With physics, we apply forces
             const force = new THREE.Vector3(moveX * speed, 0, moveZ * speed);
             this.physics.applyForce(force);
@@ -324,10 +750,8 @@ export class InputController extends Behavior {
                 this.isGrounded = false;
             }
             
-            // Check if we're on the ground
-            if (this.transform.position.y <= 0.001) {
-                this.isGrounded = true;
-            }
+            // Check if we're standing on something
+            this.isGrounded = this.physics.isGrounded();
         } else {
             // Without physics, we directly modify position
             this.transform.position.x += moveX * speed * deltaTime;
@@ -592,6 +1016,11 @@ export class AnimationController extends Behavior {
             }
             
             console.log(`Animation controller initialized with ${Object.keys(this.clips).length} clips`);
+        } else if (this.object.modelLoading) {
+            // Model objects load their asset asynchronously, clips arrive once it is loaded
+            this.object.modelLoading.then(() => {
+                if (!this.mixer) this.initialize();
+            });
         } else {
             console.warn("No animations found on this object");
         }
@@ -1,22 +1,40 @@
+// Fixed step of play mode, for fixedUpdate of scripts and systems and for physics
+export const FIXED_TIME_STEP = 1 / 60;
+
+// Most fixed steps in one frame, a slower frame drops the time left over
+export const MAX_SUB_STEPS = 5;
+
 // Game Engine Configuration
 export const config = {
     // Rendering settings
     renderer: {
         antialias: true,
         shadowMap: true,
+        shadowType: 'PCFSoft',          // 'Basic', 'PCF', 'PCFSoft' or 'VSM'
         clearColor: '#222222',
         // Advanced rendering settings
         physicallyCorrectLights: true,
-        outputEncoding: 'sRGB',
-        toneMapping: 'ACESFilmic'
+        outputEncoding: 'sRGB',         // Output color space, 'sRGB' or 'Linear'
+        toneMapping: 'ACESFilmic',      // 'None', 'Linear', 'Reinhard', 'Cineon' or 'ACESFilmic'
+        toneMappingExposure: 1,
+        pixelRatio: null                // null uses the device pixel ratio
     },
     
     // Post-processing settings
     postProcessing: {
         enabled: false,
+        // Effect stack in order, type names or { type, enabled, params }
+        // Types: 'bloom', 'dof', 'film', 'glitch', 'dot', 'rgb' and 'custom'
         passes: ['bloom', 'dof']
     },
     
+    // Automatic instancing, objects with the same geometry and material are drawn in one call
+    batching: {
+        enabled: true,
+        minInstances: 4,                // Smaller groups are drawn object by object
+        refreshInterval: 1              // Seconds between checks for changed materials
+    },
+    
     // Camera settings
     camera: {
         fov: 75,
@@ -30,13 +48,34 @@ export const config = {
         gridSize: 10,
         gridDivisions: 10,
         showAxesHelper: true,
-        defaultObjectColor: '#4b80ff'
+        defaultObjectColor: '#4b80ff',
+        // Gizmo snapping, holding modifierKey turns it on or off while dragging
+        snapping: {
+            translate: { enabled: false, step: null }, // null uses gridSize / gridDivisions
+            rotate: { enabled: false, step: 15 },      // Degrees
+            scale: { enabled: false, step: 0.1 },
+            surface: false,
+            alignToNormal: true,
+            vertex: false,
+            vertexDistance: 20,                        // Pixels
+            modifierKey: 'Control'
+        }
     },
     
     // Physics settings
     physics: {
         gravity: -9.8,
-        enabled: true
+        enabled: true,
+        fixedTimeStep: FIXED_TIME_STEP,
+        maxSubSteps: MAX_SUB_STEPS,
+        // Solver passes per step
+        iterations: 8
+    },
+    
+    // Named layers, objects are on one layer (obj.layer) and cameras and lights pick the layers they see
+    layers: {
+        names: ['Default'],             // By layer number 0-29, '' for layers without a name
+        ignoredCollisions: []           // Pairs of layer numbers whose bodies pass through each other, e.g. [[1, 2]]
     },
     
     // Default light settings
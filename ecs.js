@@ -264,19 +264,27 @@ export class ECSManager {
     
     // Update with spatial index refresh
     updateEntities(deltaTime) {
+        const profiler = this.engine.profiler;
+        
+        profiler.begin('ecs.update');
         for (const entity of this.entities.values()) {
             entity.updateComponents(deltaTime);
         }
+        profiler.end('ecs.update');
         
         // Update spatial index every frame
+        profiler.begin('spatialIndex');
         this.updateSpatialIndex();
+        profiler.end('spatialIndex');
     }
     
     // Late update all entities
     lateUpdateEntities(deltaTime) {
+        this.engine.profiler.begin('ecs.lateUpdate');
         for (const entity of this.entities.values()) {
             entity.lateUpdateComponents(deltaTime);
         }
+        this.engine.profiler.end('ecs.lateUpdate');
     }
     
     // Add spatial querying methods
@@ -644,39 +652,28 @@ export class PhysicsComponent extends Component {
         if (this.entity?.transform) {
             this.boundingBox.setFromObject(this.entity.transform);
         }
-        this.velocity = new THREE.Vector3(
-            (this.getProperty('velocity') && this.getProperty('velocity').x) || 0,
-            (this.getProperty('velocity') && this.getProperty('velocity').y) || 0,
-            (this.getProperty('velocity') && this.getProperty('velocity').z) || 0
-        );
         this.useGravity = this.getProperty('useGravity', true);
         this.mass = this.getProperty('mass', 1.0);
         this.isKinematic = this.getProperty('isKinematic', false);
         this.bounciness = this.getProperty('bounciness', 0.5);
+        
+        // The entity's object shares one body with its physics settings and PhysicsBody behaviors
+        this.body = this.entity.engine.physics.addBody(this.entity.obj, {
+            bodyType: this.isKinematic ? 'kinematic' : 'dynamic',
+            mass: this.mass,
+            bounciness: this.bounciness,
+            useGravity: this.useGravity
+        });
+        
+        const velocity = this.getProperty('velocity') || {};
+        this.velocity = this.body ? this.body.velocity : new THREE.Vector3();
+        this.velocity.set(velocity.x || 0, velocity.y || 0, velocity.z || 0);
     }
     
     update(deltaTime) {
-        if (!this.entity?.transform?.position || !this.velocity) return;
-        if (this.isKinematic) return;
-        
-        // Apply gravity if enabled
-        if (this.useGravity) {
-            const gravity = this.entity.engine.config?.physics?.gravity || -9.8;
-            this.velocity.y += gravity * deltaTime;
-        }
-        
-        // Update position based on velocity
-        this.entity.transform.position.x += this.velocity.x * deltaTime;
-        this.entity.transform.position.y += this.velocity.y * deltaTime;
-        this.entity.transform.position.z += this.velocity.z * deltaTime;
-        
-        // Simple floor collision check
-        if (this.entity.transform.position.y < 0) {
-            this.entity.transform.position.y = 0;
-            this.velocity.y = -this.velocity.y * this.bounciness;
-        }
+        if (!this.entity?.transform || !this.body) return;
         
-        // Update bounding box for the entity
+        // The physics world moves the entity, the component keeps its bounds and velocity up to date
         this.boundingBox.setFromObject(this.entity.transform);
         
         // Serialize updated velocity properties
@@ -687,8 +684,9 @@ export class PhysicsComponent extends Component {
         });
     }
     
+    // Changes the velocity at once, divided by the mass; use this.body.applyForce for a force over time
     applyForce(force) {
-        this.velocity.add(force.clone().divideScalar(this.mass));
+        if (this.body) this.body.applyImpulse(force);
     }
     
     setVelocity(x, y, z) {
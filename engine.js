@@ -13,43 +13,149 @@ import { ScriptingSystem } from './scriptingSystem.js';
 import { ECSManager, TransformComponent, RenderComponent, PhysicsComponent } from './ecs.js';
 import { ShaderSystem } from './shaderSystem.js';
 import { MaterialSystem } from './materialSystem.js';
+import { HistorySystem } from './historySystem.js';
+import { ObjectFactory, EDITOR_LAYER, BATCHED_LAYER } from './objectFactory.js';
+import { PrefabSystem } from './prefabSystem.js';
+import { SnappingSystem } from './snappingSystem.js';
+import { PostProcessingSystem } from './postProcessingSystem.js';
+import { BatchingSystem } from './batchingSystem.js';
+import { LODSystem } from './lodSystem.js';
+import { PhysicsWorld } from './physicsWorld.js';
+import { LayerSystem, ALL_LAYERS } from './layerSystem.js';
+import { Profiler } from './profiler.js';
+import { SystemManager } from './systemManager.js';
+import { SCENE_FORMAT_VERSION, SCENE_SCHEMA, RENDERER_SETTINGS_SCHEMA, migrateScene, validateScene, validateRendererSettings, createIssue, formatIssues } from './sceneFormat.js';
+
+export { EDITOR_LAYER };
+
+// Names used in config.renderer for the Three.js renderer constants
+export const TONE_MAPPINGS = {
+    None: THREE.NoToneMapping,
+    Linear: THREE.LinearToneMapping,
+    Reinhard: THREE.ReinhardToneMapping,
+    Cineon: THREE.CineonToneMapping,
+    ACESFilmic: THREE.ACESFilmicToneMapping
+};
+
+export const SHADOW_TYPES = {
+    Basic: THREE.BasicShadowMap,
+    PCF: THREE.PCFShadowMap,
+    PCFSoft: THREE.PCFSoftShadowMap,
+    VSM: THREE.VSMShadowMap
+};
+
+export const COLOR_SPACES = {
+    sRGB: THREE.SRGBColorSpace,
+    Linear: THREE.LinearSRGBColorSpace
+};
+
+// Project settings as config.js defines them, for scenes saved without their own.
+// config is changed by the editor, so they are copied before any engine exists.
+const DEFAULT_SETTINGS = JSON.parse(JSON.stringify({
+    renderer: config.renderer,
+    postProcessing: config.postProcessing
+}));
 
 class GameEngine {
     /**
      * Creates a new GameEngine instance
-     * Initializes the scene, renderer, camera, and all subsystems
+     * Initializes the scene, renderer, camera, and all subsystems.
+     * Without a container, canvas or renderer the engine runs headless,
+     * which allows scenes to be loaded and simulated outside a browser.
+     * @param {Object} options - Optional engine settings
+     * @param {HTMLElement} options.container - Element the renderer canvas is added to
+     * @param {HTMLCanvasElement} options.canvas - Canvas to render into
+     * @param {Object} options.renderer - Existing renderer to use instead of creating one
+     * @param {number} options.width - Viewport width, defaults to the container size
+     * @param {number} options.height - Viewport height, defaults to the container size
+     * @param {boolean} options.autoStart - Start the animation loop (default true when rendering)
      */
-    constructor() {
+    constructor(options = {}) {
+        this.options = options;
+        this.config = config;
+        this.container = options.container || null;
         this.scene = new THREE.Scene();
         this.objects = [];
+        
+        // All selected objects, selectedObject is the active one (usually the last selected)
+        this.selectedObjects = [];
         this.selectedObject = null;
         this.isPlaying = false;
         this.isPaused = false;
         this.clock = new THREE.Clock();
+        
+        // Game time runs at timeScale times real time, only in play mode and not while paused.
+        // deltaTime is game time, unscaledDeltaTime and elapsedTime are real time for the editor and UI.
         this.deltaTime = 0;
+        this.unscaledDeltaTime = 0;
+        this.elapsedTime = 0;
+        this.gameTime = 0;
+        this.timeScale = 1;
+        this.timeScaleModifiers = [];
+        
+        // Time scale of edit mode, put back when play mode stops
+        this.editTimeScale = 1;
+        this.pendingFrameStep = null;
         this.fps = 0;
         this.frameCount = 0;
         this.lastFpsUpdate = 0;
+        this.isRunning = false;
+        this.animationFrameId = null;
         
         // Object selection tools
         this.raycaster = new THREE.Raycaster();
+        this.raycaster.layers.mask = ALL_LAYERS | (1 << BATCHED_LAYER);
         this.mouse = new THREE.Vector2();
         this.hoveredObject = null;
+        this.ignoreNextClick = false;
         this.selectionOutlinePass = null;
         this.hoverOutlinePass = null;
         
-        // Initialize input system
-        this.input = new InputSystem(this);
+        // Camera object used for rendering in play mode (null uses the main camera)
+        this.activeCamera = null;
         
         // Initialize global event system
         this.events = new EventSystem();
         
+        // Initialize frame profiler, off until the overlay or a capture turns it on
+        this.profiler = new Profiler(this);
+        
+        // Initialize input system
+        this.input = new InputSystem(this);
+        
+        // Initialize undo/redo history for editor operations
+        this.history = new HistorySystem(this);
+        
+        // Initialize gizmo snapping settings
+        this.snapping = new SnappingSystem(this);
+        
+        // Initialize registry of creatable object types
+        this.factory = new ObjectFactory(this);
+        
+        // Initialize prefab assets
+        this.prefabSystem = new PrefabSystem(this);
+        
         // Initialize asset system
         this.assets = new AssetSystem(this);
         
         // Initialize shader system
         this.shaderSystem = new ShaderSystem(this);
         
+        // Initialize post-processing stack, its composer is created with the scene
+        this.postProcessing = new PostProcessingSystem(this);
+        
+        // Initialize automatic instancing of repeated meshes
+        this.batching = new BatchingSystem(this);
+        
+        // Initialize level-of-detail switching
+        this.lod = new LODSystem(this);
+        
+        // Initialize named layers, the collision matrix and light include/exclude passes
+        this.layers = new LayerSystem(this);
+        
+        // Initialize the rigid-body simulation used in play mode
+        this.physics = new PhysicsWorld(this);
+        
         // Initialize material system
         this.materialSystem = new MaterialSystem(this);
         
@@ -58,6 +164,9 @@ class GameEngine {
         
         // Initialize entity-component system
         this.ecs = new ECSManager(this);
+        
+        // Initialize registry of systems added by plugins
+        this.systems = new SystemManager(this);
 
         // Register built-in components with dependency information
         this.ecs.registerComponent(TransformComponent);
@@ -70,9 +179,15 @@ class GameEngine {
         // Initialize camera
         this.initCamera();
         
-        // Initialize controls
-        this.controls = new OrbitControls(this.camera, this.renderer.domElement);
-        this.controls.enableDamping = true;
+        // Initialize editor camera controls when there is a canvas to attach to
+        this.controls = null;
+        if (this.renderer && this.renderer.domElement && typeof window !== 'undefined') {
+            this.controls = new OrbitControls(this.camera, this.renderer.domElement);
+            this.controls.enableDamping = true;
+        }
+        
+        // Views of the editor viewport, one perspective view or four in the quad layout
+        this.initViews();
         
         // Initialize basic scene elements
         this.initSceneElements();
@@ -81,44 +196,87 @@ class GameEngine {
         this.initPostProcessing();
         
         // Start update loop
-        this.update();
+        const autoStart = options.autoStart !== undefined ? options.autoStart : this.renderer !== null;
+        if (autoStart) {
+            this.start();
+        }
     }
     
     /**
      * Initializes the WebGL renderer with configured settings
-     * Sets up the viewport and event listeners
+     * Sets up the viewport and event listeners.
+     * No renderer is created in headless mode.
      */
     initRenderer() {
-        this.renderer = new THREE.WebGLRenderer({ 
-            antialias: config.renderer.antialias 
-        });
-        this.renderer.setSize(window.innerWidth - 600, window.innerHeight); 
-        this.renderer.setClearColor(config.renderer.clearColor);
-        this.renderer.shadowMap.enabled = config.renderer.shadowMap;
+        if (this.options.renderer) {
+            this.renderer = this.options.renderer;
+        } else if (this.options.canvas || this.container) {
+            this.renderer = new THREE.WebGLRenderer({ 
+                canvas: this.options.canvas,
+                antialias: config.renderer.antialias 
+            });
+        } else {
+            this.renderer = null;
+            return;
+        }
+        
+        const { width, height } = this.getViewportSize();
+        this.renderer.setSize(width, height); 
+        this.applyRendererSettings();
+        
+        if (!this.container) return;
         
         // Add renderer to DOM
-        const viewportElement = document.getElementById('viewport');
-        viewportElement.appendChild(this.renderer.domElement);
+        if (this.renderer.domElement && !this.renderer.domElement.parentNode) {
+            this.container.appendChild(this.renderer.domElement);
+        }
         
         // Remove welcome banner
-        const welcomeBanner = document.querySelector('.welcome-banner');
+        const welcomeBanner = this.container.querySelector('.welcome-banner');
         if (welcomeBanner) {
             welcomeBanner.remove();
         }
         
+        // Track the view under the pointer before camera controls and gizmos handle the event
+        this.container.addEventListener('pointerdown', this.updateActiveView.bind(this), true);
+        this.container.addEventListener('pointermove', this.updateActiveView.bind(this), true);
+        
         // Add mouse event listeners for selection
-        viewportElement.addEventListener('mousemove', this.onMouseMove.bind(this));
-        viewportElement.addEventListener('click', this.onMouseClick.bind(this));
+        this.container.addEventListener('mousedown', this.onMouseDown.bind(this));
+        this.container.addEventListener('mousemove', this.onMouseMove.bind(this));
+        this.container.addEventListener('click', this.onMouseClick.bind(this));
+        
+        // Follow the size of the container, which changes with the panels and not only with the window
+        if (typeof ResizeObserver !== 'undefined') {
+            this.resizeObserver = new ResizeObserver(() => this.handleResize());
+            this.resizeObserver.observe(this.container);
+        } else {
+            window.addEventListener('resize', () => this.handleResize());
+        }
+    }
+    
+    /**
+     * Returns the size the renderer and cameras should use
+     * @returns {Object} - Object with width and height
+     */
+    getViewportSize() {
+        if (this.options.width && this.options.height) {
+            return { width: this.options.width, height: this.options.height };
+        }
         
-        // Handle window resize
-        window.addEventListener('resize', () => this.handleResize());
+        if (this.container && this.container.clientWidth > 0 && this.container.clientHeight > 0) {
+            return { width: this.container.clientWidth, height: this.container.clientHeight };
+        }
+        
+        return { width: 800, height: 600 };
     }
     
     /**
      * Initializes the camera with proper aspect ratio and positioning
      */
     initCamera() {
-        const aspect = (window.innerWidth - 600) / window.innerHeight;
+        const { width, height } = this.getViewportSize();
+        const aspect = width / height;
         this.camera = new THREE.PerspectiveCamera(
             config.camera.fov,
             aspect,
@@ -131,6 +289,199 @@ class GameEngine {
             config.camera.position.z
         );
         this.camera.lookAt(0, 0, 0);
+        
+        // The editor camera sees every layer and the editor-only gizmos
+        this.camera.layers.mask = ALL_LAYERS | (1 << EDITOR_LAYER);
+    }
+    
+    /**
+     * Sets up the editor views
+     * Each view has a camera, optional camera controls and a viewport given
+     * as fractions of the container, measured from the top left corner.
+     */
+    initViews() {
+        this.perspectiveView = {
+            name: 'perspective',
+            label: 'Perspective',
+            camera: this.camera,
+            controls: this.controls,
+            viewport: { x: 0, y: 0, width: 1, height: 1 }
+        };
+        
+        // Orthographic views are created when the quad layout is first used
+        this.orthographicViews = null;
+        this.views = [this.perspectiveView];
+        this.viewLayout = 'single';
+        this.activeView = this.perspectiveView;
+        
+        // Reasons the camera controls are paused, e.g. a gizmo drag
+        this.cameraControlLocks = new Set();
+    }
+    
+    createOrthographicViews() {
+        const frustumSize = config.editor.gridSize * 1.2;
+        const distance = config.camera.far / 2;
+        const views = [
+            { name: 'top', label: 'Top', position: [0, distance, 0], up: [0, 0, -1], viewport: { x: 0, y: 0 } },
+            { name: 'front', label: 'Front', position: [0, 0, distance], up: [0, 1, 0], viewport: { x: 0.5, y: 0 } },
+            { name: 'side', label: 'Side', position: [distance, 0, 0], up: [0, 1, 0], viewport: { x: 0, y: 0.5 } }
+        ];
+        
+        return views.map(view => {
+            const camera = new THREE.OrthographicCamera(-1, 1, 1, -1, config.camera.near, config.camera.far);
+            camera.up.fromArray(view.up);
+            camera.position.fromArray(view.position);
+            camera.lookAt(0, 0, 0);
+            camera.layers.mask = ALL_LAYERS | (1 << EDITOR_LAYER);
+            
+            // Orthographic views can be panned and zoomed but not rotated
+            let controls = null;
+            if (this.controls) {
+                controls = new OrbitControls(camera, this.renderer.domElement);
+                controls.enableRotate = false;
+                controls.screenSpacePanning = true;
+            }
+            
+            return {
+                name: view.name,
+                label: view.label,
+                camera: camera,
+                controls: controls,
+                frustumSize: frustumSize,
+                viewport: { ...view.viewport, width: 0.5, height: 0.5 }
+            };
+        });
+    }
+    
+    /**
+     * Switches between the single perspective view and the quad layout
+     * The quad layout adds top, front and side orthographic views next to the perspective view.
+     * @param {string} layout - 'single' or 'quad'
+     * @returns {boolean} - False if the layout is unknown
+     */
+    setViewLayout(layout) {
+        if (layout === 'quad') {
+            if (!this.orthographicViews) {
+                this.orthographicViews = this.createOrthographicViews();
+            }
+            this.perspectiveView.viewport = { x: 0.5, y: 0.5, width: 0.5, height: 0.5 };
+            this.views = [...this.orthographicViews, this.perspectiveView];
+        } else if (layout === 'single') {
+            this.perspectiveView.viewport = { x: 0, y: 0, width: 1, height: 1 };
+            this.views = [this.perspectiveView];
+        } else {
+            console.error(`Unknown view layout: ${layout}`);
+            return false;
+        }
+        
+        this.viewLayout = layout;
+        this.activeView = this.perspectiveView;
+        this.handleResize();
+        this.updateViewControls();
+        this.events.emit('view:layout', { layout: layout, views: [...this.views] });
+        return true;
+    }
+    
+    /**
+     * Returns the pixel rectangle of a view inside the container
+     * @param {Object} view - One of this.views
+     * @returns {Object} - { x, y, width, height }, y measured from the top
+     */
+    getViewRect(view) {
+        const { width, height } = this.getViewportSize();
+        const left = Math.round(view.viewport.x * width);
+        const top = Math.round(view.viewport.y * height);
+        
+        return {
+            x: left,
+            y: top,
+            width: Math.round((view.viewport.x + view.viewport.width) * width) - left,
+            height: Math.round((view.viewport.y + view.viewport.height) * height) - top
+        };
+    }
+    
+    /**
+     * Returns the view at a point of the screen
+     * @param {number} clientX - Horizontal position in client coordinates
+     * @param {number} clientY - Vertical position in client coordinates
+     * @returns {Object} - The view, the active view if the point is outside the viewport
+     */
+    getViewAt(clientX, clientY) {
+        if (!this.renderer || !this.renderer.domElement || this.views.length === 1) return this.activeView;
+        
+        const bounds = this.renderer.domElement.getBoundingClientRect();
+        const x = clientX - bounds.left;
+        const y = clientY - bounds.top;
+        
+        return this.views.find(view => {
+            const rect = this.getViewRect(view);
+            return x >= rect.x && x < rect.x + rect.width && y >= rect.y && y < rect.y + rect.height;
+        }) || this.activeView;
+    }
+    
+    /**
+     * Converts a point of the screen to normalized device coordinates of a view
+     * @param {Object} point - Object with clientX and clientY, e.g. a mouse event
+     * @param {Object} view - The view, defaults to the active view
+     * @param {THREE.Vector2} target - Vector to store the result in
+     * @returns {THREE.Vector2} - Coordinates from -1 to +1 inside the view
+     */
+    getViewPointer(point, view = this.activeView, target = new THREE.Vector2()) {
+        const bounds = this.renderer.domElement.getBoundingClientRect();
+        const rect = this.getViewRect(view);
+        
+        return target.set(
+            ((point.clientX - bounds.left - rect.x) / rect.width) * 2 - 1,
+            -((point.clientY - bounds.top - rect.y) / rect.height) * 2 + 1
+        );
+    }
+    
+    /**
+     * Returns the camera of the view under the pointer, used for picking in the editor
+     * @returns {THREE.Camera}
+     */
+    getViewCamera() {
+        return this.activeView.camera;
+    }
+    
+    updateActiveView(event) {
+        // A drag stays in the view it started in
+        if (event.type === 'pointermove' && event.buttons !== 0) return;
+        
+        const view = this.getViewAt(event.clientX, event.clientY);
+        if (view === this.activeView) return;
+        
+        this.activeView = view;
+        this.updateViewControls();
+        this.events.emit('view:changed', { view: view });
+    }
+    
+    /**
+     * Pauses or resumes the editor camera controls
+     * Controls run again once every reason to pause them is gone.
+     * @param {string} reason - Why the controls are paused, e.g. 'gizmo'
+     * @param {boolean} locked - True to pause, false to resume
+     */
+    setCameraControlsLocked(reason, locked) {
+        if (locked) {
+            this.cameraControlLocks.add(reason);
+        } else {
+            this.cameraControlLocks.delete(reason);
+        }
+        this.updateViewControls();
+    }
+    
+    /**
+     * Only the controls of the view under the pointer react to input
+     */
+    updateViewControls() {
+        const views = [this.perspectiveView, ...(this.orthographicViews || [])];
+        views.forEach(view => {
+            if (view.controls) {
+                view.controls.enabled = this.cameraControlLocks.size === 0 &&
+                    this.views.includes(view) && view === this.activeView;
+            }
+        });
     }
     
     initSceneElements() {
@@ -147,92 +498,181 @@ class GameEngine {
             this.scene.add(this.axesHelper);
         }
         
-        // Add ambient light
+        // Add ambient light, it lights every layer
         const ambientLight = new THREE.AmbientLight(0x404040, 0.5);
+        ambientLight.layers.mask = ALL_LAYERS;
         this.scene.add(ambientLight);
         
         // Add default directional light
-        const directionalLight = new THREE.DirectionalLight(
-            config.defaultLight.color, 
-            config.defaultLight.intensity
-        );
-        directionalLight.position.set(
+        const directionalLight = this.createObject('directional-light', {
+            color: config.defaultLight.color,
+            intensity: config.defaultLight.intensity
+        });
+        directionalLight.name = 'Directional Light';
+        directionalLight.object3D.position.set(
             config.defaultLight.position.x,
             config.defaultLight.position.y,
             config.defaultLight.position.z
         );
-        directionalLight.castShadow = true;
-        this.scene.add(directionalLight);
-        this.objects.push({
-            id: 'directional-light-1',
-            name: 'Directional Light',
-            type: 'light',
-            object3D: directionalLight,
-            children: [],
-            parent: null
-        });
+        directionalLight.object3D.lookAt(0, 0, 0);
+        this.selectObject(null);
     }
     
+    /**
+     * Creates the EffectComposer with the selection and hover outlines and
+     * the effect stack from config.postProcessing
+     */
     initPostProcessing() {
-        // Create a basic outline pass for selection and hover
-        if (typeof THREE.OutlinePass !== 'undefined') {
-            this.composer = new THREE.EffectComposer(this.renderer);
-            const renderPass = new THREE.RenderPass(this.scene, this.camera);
-            this.composer.addPass(renderPass);
-            
-            // Create outline pass for selected object
-            this.selectionOutlinePass = new THREE.OutlinePass(
-                new THREE.Vector2(window.innerWidth - 600, window.innerHeight), 
-                this.scene, 
-                this.camera
-            );
-            this.selectionOutlinePass.edgeStrength = 3;
-            this.selectionOutlinePass.edgeGlow = 1;
-            this.selectionOutlinePass.edgeThickness = 1;
-            this.selectionOutlinePass.visibleEdgeColor.set('#4b80ff');
-            this.selectionOutlinePass.hiddenEdgeColor.set('#4b80ff');
-            this.composer.addPass(this.selectionOutlinePass);
-            
-            // Create outline pass for hovered object
-            this.hoverOutlinePass = new THREE.OutlinePass(
-                new THREE.Vector2(window.innerWidth - 600, window.innerHeight), 
-                this.scene, 
-                this.camera
-            );
-            this.hoverOutlinePass.edgeStrength = 2;
-            this.hoverOutlinePass.edgeGlow = 0.5;
-            this.hoverOutlinePass.edgeThickness = 1;
-            this.hoverOutlinePass.visibleEdgeColor.set('#ffffff');
-            this.hoverOutlinePass.hiddenEdgeColor.set('#ffffff');
-            this.composer.addPass(this.hoverOutlinePass);
-        } else {
-            this.composer = null;
+        this.postProcessing.init();
+        this.composer = this.postProcessing.composer;
+        this.selectionOutlinePass = this.postProcessing.selectionOutlinePass;
+        this.hoverOutlinePass = this.postProcessing.hoverOutlinePass;
+    }
+    
+    /**
+     * Returns the project's renderer settings (config.renderer)
+     * @returns {Object} - A copy of the settings
+     */
+    getRendererSettings() {
+        return { ...this.config.renderer };
+    }
+    
+    /**
+     * Changes renderer settings and applies them right away
+     * The settings live in config.renderer, so they are saved with the scene
+     * and written to the config.js of exported projects.
+     * @param {Object} changes - Settings to change, e.g. { toneMapping: 'Reinhard', toneMappingExposure: 1.5 }
+     * @returns {boolean} - False if a setting is unknown or invalid, nothing is changed then
+     */
+    setRendererSettings(changes) {
+        const issues = validateRendererSettings(changes);
+        if (issues.length > 0) {
+            console.error(`Invalid renderer settings:\n${formatIssues(issues)}`);
+            return false;
+        }
+        
+        Object.assign(this.config.renderer, changes);
+        this.applyRendererSettings();
+        this.events.emit('renderer:changed', { settings: this.getRendererSettings() });
+        return true;
+    }
+    
+    /**
+     * Loads the renderer settings saved with a scene
+     * Settings that are missing, invalid or unknown get their defaults instead,
+     * the others still apply. validateScene() reports the skipped ones.
+     * @param {Object} saved - settings.renderer of the scene
+     */
+    loadRendererSettings(saved) {
+        const settings = { ...DEFAULT_SETTINGS.renderer };
+        Object.entries(saved).forEach(([key, value]) => {
+            if (!RENDERER_SETTINGS_SCHEMA.properties[key]) return;
+            if (validateRendererSettings({ [key]: value }).length === 0) settings[key] = value;
+        });
+        this.setRendererSettings(settings);
+    }
+    
+    /**
+     * Applies config.renderer to the renderer
+     * Antialiasing can only be set when the renderer is created.
+     */
+    applyRendererSettings() {
+        const settings = this.config.renderer;
+        const renderer = this.renderer;
+        if (!renderer) return;
+        
+        if (renderer.setClearColor) {
+            renderer.setClearColor(settings.clearColor);
+        }
+        
+        if (renderer.setPixelRatio) {
+            const pixelRatio = settings.pixelRatio || (typeof window !== 'undefined' ? window.devicePixelRatio : 1);
+            renderer.setPixelRatio(pixelRatio);
+            this.postProcessing.setPixelRatio(pixelRatio);
+        }
+        
+        renderer.toneMapping = settings.toneMapping in TONE_MAPPINGS ? TONE_MAPPINGS[settings.toneMapping] : THREE.NoToneMapping;
+        renderer.toneMappingExposure = settings.toneMappingExposure !== undefined ? settings.toneMappingExposure : 1;
+        renderer.outputColorSpace = COLOR_SPACES[settings.outputEncoding] || THREE.SRGBColorSpace;
+        renderer.useLegacyLights = !settings.physicallyCorrectLights;
+        
+        if (renderer.shadowMap) {
+            const shadowType = settings.shadowType in SHADOW_TYPES ? SHADOW_TYPES[settings.shadowType] : THREE.PCFShadowMap;
+            const shadowsChanged = renderer.shadowMap.enabled !== !!settings.shadowMap || renderer.shadowMap.type !== shadowType;
+            renderer.shadowMap.enabled = !!settings.shadowMap;
+            renderer.shadowMap.type = shadowType;
+            
+            // Shadow maps are created again for the new type
+            if (shadowsChanged) {
+                this.scene.traverse(child => {
+                    if (child.isLight && child.shadow && child.shadow.map) {
+                        child.shadow.map.dispose();
+                        child.shadow.map = null;
+                    }
+                });
+            }
         }
+        
+        // Shaders are compiled for the tone mapping, color space and shadow type
+        this.scene.traverse(child => {
+            if (!child.material) return;
+            (Array.isArray(child.material) ? child.material : [child.material])
+                .forEach(material => { material.needsUpdate = true; });
+        });
     }
     
     handleResize() {
-        const width = window.innerWidth - 600; 
-        const height = window.innerHeight;
+        const { width, height } = this.getViewportSize();
+        
+        if (this.renderer) {
+            this.renderer.setSize(width, height);
+        }
+        
+        // Every view keeps the aspect ratio of its part of the viewport
+        this.views.forEach(view => {
+            const rect = this.getViewRect(view);
+            const aspect = rect.width / rect.height;
+            const camera = view.camera;
+            
+            if (camera.isOrthographicCamera) {
+                camera.top = view.frustumSize / 2;
+                camera.bottom = -view.frustumSize / 2;
+                camera.left = -view.frustumSize * aspect / 2;
+                camera.right = view.frustumSize * aspect / 2;
+            } else {
+                camera.aspect = aspect;
+            }
+            camera.updateProjectionMatrix();
+        });
+        
+        // Post-processing renders one view at a time, play mode uses the whole viewport
+        if (this.composer) {
+            const size = this.isPlaying ? { width: width, height: height } : this.getViewRect(this.views[0]);
+            this.postProcessing.setSize(size.width, size.height);
+        }
         
-        this.camera.aspect = width / height;
-        this.camera.updateProjectionMatrix();
-        this.renderer.setSize(width, height);
+        // Keep camera objects in sync with the new aspect ratio
+        this.objects.forEach(obj => {
+            if (obj.type === 'camera') {
+                this.factory.updateObject3D(obj.type, obj.object3D, obj.params);
+            }
+        });
     }
     
     onMouseMove(event) {
         if (this.isPlaying) return; // Don't allow selection in play mode
         
-        // Calculate mouse position in normalized device coordinates (-1 to +1)
-        const rect = this.renderer.domElement.getBoundingClientRect();
-        this.mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
-        this.mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+        // Calculate mouse position in normalized device coordinates (-1 to +1) of the view under it
+        this.getViewPointer(event, this.activeView, this.mouse);
         
         // Update the raycaster
-        this.raycaster.setFromCamera(this.mouse, this.camera);
+        this.raycaster.setFromCamera(this.mouse, this.getViewCamera());
+        
+        const previousHover = this.hoveredObject;
         
         // Find intersections with selectable objects
         const selectableObjects = this.objects
-            .filter(obj => obj.type !== 'light') // Exclude lights or other non-selectable objects
+            .filter(obj => !obj.object3D.isLight) // Exclude lights or other non-selectable objects
             .map(obj => obj.object3D);
             
         const intersects = this.raycaster.intersectObjects(selectableObjects, false);
@@ -245,70 +685,347 @@ class GameEngine {
             // Update hover outline
             if (this.hoverOutlinePass && this.hoveredObject) {
                 this.hoverOutlinePass.selectedObjects = [this.hoveredObject.object3D];
-                document.body.style.cursor = 'pointer';
             }
         } else {
             this.hoveredObject = null;
             if (this.hoverOutlinePass) {
                 this.hoverOutlinePass.selectedObjects = [];
-                document.body.style.cursor = 'default';
             }
         }
+        
+        if (this.hoveredObject !== previousHover) {
+            this.events.emit('hover:changed', { object: this.hoveredObject });
+        }
+    }
+    
+    onMouseDown(event) {
+        this.mouseDownPosition = { x: event.clientX, y: event.clientY };
     }
     
     onMouseClick(event) {
         if (this.isPlaying) return; // Don't allow selection in play mode
         
+        // Clicks that end a camera drag, gizmo drag or box selection don't change the selection
+        const start = this.mouseDownPosition;
+        const dragged = start && Math.hypot(event.clientX - start.x, event.clientY - start.y) > 4;
+        if (this.ignoreNextClick || dragged) {
+            this.ignoreNextClick = false;
+            return;
+        }
+        
+        // Shift or Ctrl adds objects to the selection or removes them from it
+        const additive = event.shiftKey || event.ctrlKey || event.metaKey;
+        
         if (this.hoveredObject) {
-            this.selectObject(this.hoveredObject);
-        } else {
+            this.selectObject(this.hoveredObject, additive ? 'toggle' : 'replace');
+        } else if (!additive) {
             this.selectObject(null); // Deselect if clicked on nothing
         }
     }
     
+    /**
+     * Finds the objects whose screen-space bounds overlap a rectangle in an editor view
+     * @param {THREE.Vector2} start - Corner in normalized device coordinates (-1 to +1)
+     * @param {THREE.Vector2} end - Opposite corner in normalized device coordinates
+     * @param {THREE.Camera} camera - Camera of the view, defaults to the view under the pointer
+     * @returns {Array} - Objects inside the rectangle
+     */
+    getObjectsInRect(start, end, camera = this.getViewCamera()) {
+        const min = new THREE.Vector2(Math.min(start.x, end.x), Math.min(start.y, end.y));
+        const max = new THREE.Vector2(Math.max(start.x, end.x), Math.max(start.y, end.y));
+        const bounds = new THREE.Box3();
+        const corner = new THREE.Vector3();
+        
+        camera.updateMatrixWorld();
+        
+        return this.objects.filter(obj => {
+            // Same objects as picking with the mouse, model meshes are selected through their model
+            if (obj.object3D.isLight || obj.sourceModel || !obj.object3D.visible) return false;
+            
+            const object3D = obj.object3D;
+            object3D.updateWorldMatrix(true, false);
+            if (object3D.geometry) {
+                if (!object3D.geometry.boundingBox) object3D.geometry.computeBoundingBox();
+                bounds.copy(object3D.geometry.boundingBox).applyMatrix4(object3D.matrixWorld);
+            } else if (obj.type === 'model') {
+                bounds.setFromObject(object3D);
+            } else {
+                bounds.makeEmpty();
+            }
+            if (bounds.isEmpty()) {
+                bounds.setFromCenterAndSize(object3D.getWorldPosition(corner), new THREE.Vector3());
+            }
+            
+            // Screen-space rectangle of the corners in front of the camera
+            const screenMin = new THREE.Vector2(Infinity, Infinity);
+            const screenMax = new THREE.Vector2(-Infinity, -Infinity);
+            for (let i = 0; i < 8; i++) {
+                corner.set(
+                    i & 1 ? bounds.max.x : bounds.min.x,
+                    i & 2 ? bounds.max.y : bounds.min.y,
+                    i & 4 ? bounds.max.z : bounds.min.z
+                ).project(camera);
+                
+                if (corner.z > 1) continue;
+                screenMin.min(corner);
+                screenMax.max(corner);
+            }
+            
+            return screenMin.x <= max.x && screenMax.x >= min.x &&
+                screenMin.y <= max.y && screenMax.y >= min.y;
+        });
+    }
+    
     pauseGame() {
         if (!this.isPlaying) return;
         
         this.isPaused = !this.isPaused;
         
-        // Update UI
-        const statusElement = document.getElementById('engine-status');
-        const pauseButton = document.getElementById('main-pause');
-        
         if (this.isPaused) {
-            statusElement.textContent = 'Status: Paused';
-            pauseButton.textContent = 'Resume';
             this.clock.stop(); // Stop the clock to pause time
         } else {
-            statusElement.textContent = 'Status: Play Mode';
-            pauseButton.textContent = 'Pause';
             this.clock.start(); // Restart the clock
         }
+        
+        this.notifyStatus();
+    }
+    
+    /**
+     * Runs the game for a single frame while it is paused, for debugging
+     * @param {number} deltaTime - Real time the frame lasts in seconds, scaled like any other frame
+     * @returns {boolean} - False if the game isn't paused
+     */
+    stepFrame(deltaTime = 1 / 60) {
+        if (!this.isPlaying || !this.isPaused) return false;
+        
+        this.pendingFrameStep = deltaTime;
+        
+        // Without the animation loop the frame runs right away
+        if (!this.isRunning) {
+            this.step(0);
+        }
+        return true;
+    }
+    
+    /**
+     * Sets the global time scale
+     * Scripts, tweens, timers, shaders, physics and the ECS get deltaTime multiplied
+     * by it, the editor and UI keep using real time (unscaledDeltaTime).
+     * @param {number} scale - 1 is normal speed, 0.5 half speed, 0 stops game time
+     * @returns {boolean} - False if the scale is invalid
+     */
+    setTimeScale(scale) {
+        if (!(scale >= 0) || !Number.isFinite(scale)) {
+            console.error(`Invalid time scale: ${scale}`);
+            return false;
+        }
+        
+        this.timeScale = scale;
+        this.notifyTimeScale();
+        return true;
+    }
+    
+    /**
+     * Returns the time scale in effect, the global time scale times any active modifiers
+     * @returns {number}
+     */
+    getTimeScale() {
+        return this.timeScaleModifiers.reduce((scale, modifier) => scale * modifier.scale, this.timeScale);
+    }
+    
+    /**
+     * Scales time for a while on top of the global time scale, e.g. for slow motion or hit-stop
+     * The duration counts real play time, so it also runs out while time is frozen.
+     * Modifiers are cleared when play mode stops.
+     * @param {number} scale - Factor applied to the time scale, 0 freezes game time
+     * @param {number} duration - Real seconds the modifier lasts, Infinity until it is removed
+     * @returns {Object|null} - The modifier, pass it to removeTimeScaleModifier() to end it early
+     */
+    addTimeScaleModifier(scale, duration = Infinity) {
+        if (!(scale >= 0) || !Number.isFinite(scale) || !(duration > 0)) {
+            console.error(`Invalid time scale modifier: scale ${scale}, duration ${duration}`);
+            return null;
+        }
+        
+        const modifier = { scale: scale, remaining: duration };
+        this.timeScaleModifiers.push(modifier);
+        this.notifyTimeScale();
+        return modifier;
+    }
+    
+    removeTimeScaleModifier(modifier) {
+        const index = this.timeScaleModifiers.indexOf(modifier);
+        if (index === -1) return false;
+        
+        this.timeScaleModifiers.splice(index, 1);
+        this.notifyTimeScale();
+        return true;
+    }
+    
+    /**
+     * Slows game time down for a while
+     * @param {number} scale - Speed during the slow motion, e.g. 0.25
+     * @param {number} duration - Real seconds, Infinity until removed
+     * @returns {Object|null} - The time scale modifier
+     */
+    slowMotion(scale, duration = Infinity) {
+        return this.addTimeScaleModifier(scale, duration);
+    }
+    
+    /**
+     * Freezes game time briefly, e.g. to stress a hit
+     * @param {number} duration - Real seconds the game stays frozen
+     * @returns {Object|null} - The time scale modifier
+     */
+    hitStop(duration = 0.1) {
+        return this.addTimeScaleModifier(0, duration);
+    }
+    
+    /**
+     * Counts down time scale modifiers, removing the ones that ran out
+     * @param {number} realDeltaTime - Real time of the frame in seconds
+     */
+    updateTimeScaleModifiers(realDeltaTime) {
+        if (this.timeScaleModifiers.length === 0) return;
+        
+        this.timeScaleModifiers.forEach(modifier => { modifier.remaining -= realDeltaTime; });
+        const active = this.timeScaleModifiers.filter(modifier => modifier.remaining > 0);
+        if (active.length !== this.timeScaleModifiers.length) {
+            this.timeScaleModifiers = active;
+            this.notifyTimeScale();
+        }
+    }
+    
+    /**
+     * Reports the time scale through the event system
+     */
+    notifyTimeScale() {
+        this.events.emit('time:changed', {
+            timeScale: this.timeScale,
+            effectiveTimeScale: this.getTimeScale()
+        });
+    }
+    
+    /**
+     * Reports the current play state through the event system
+     */
+    notifyStatus() {
+        let status = 'Editor Mode';
+        if (this.isPlaying) {
+            status = this.isPaused ? 'Paused' : 'Play Mode';
+        }
+        
+        this.events.emit('engine:status', {
+            status: status,
+            isPlaying: this.isPlaying,
+            isPaused: this.isPaused
+        });
+    }
+    
+    /**
+     * Reports the current object count through the event system
+     */
+    notifyObjectsChanged() {
+        this.events.emit('objects:changed', { count: this.objects.length });
+    }
+    
+    /**
+     * Starts the animation loop
+     * Falls back to a timer when requestAnimationFrame is not available
+     */
+    start() {
+        if (this.isRunning) return;
+        this.isRunning = true;
+        this.clock.getDelta();
+        
+        const schedule = typeof requestAnimationFrame !== 'undefined' ?
+            requestAnimationFrame : (callback) => setTimeout(callback, 1000 / 60);
+        
+        const loop = () => {
+            if (!this.isRunning) return;
+            this.animationFrameId = schedule(loop);
+            this.update();
+        };
+        loop();
+    }
+    
+    /**
+     * Stops the animation loop
+     */
+    stop() {
+        if (!this.isRunning) return;
+        this.isRunning = false;
+        
+        if (typeof cancelAnimationFrame !== 'undefined') {
+            cancelAnimationFrame(this.animationFrameId);
+        } else {
+            clearTimeout(this.animationFrameId);
+        }
     }
     
+    /**
+     * Runs one frame using the real time elapsed since the last frame
+     */
     update() {
-        requestAnimationFrame(() => this.update());
+        this.step(this.clock.getDelta());
+    }
+    
+    /**
+     * Simulates a number of frames with a fixed time step
+     * Useful for headless tests and server-side simulation
+     * @param {number} frameCount - Number of frames to simulate
+     * @param {number} deltaTime - Time step per frame in seconds
+     */
+    runFrames(frameCount, deltaTime = 1 / 60) {
+        for (let i = 0; i < frameCount; i++) {
+            this.step(deltaTime);
+        }
+    }
+    
+    /**
+     * Advances the engine by one frame
+     * @param {number} deltaTime - Time since last frame in seconds
+     */
+    step(deltaTime) {
+        this.profiler.beginFrame();
         
-        // Update controls
-        this.controls.update();
+        // Update the camera controls of every view
+        this.views.forEach(view => {
+            if (view.controls) view.controls.update();
+        });
         
-        // Calculate delta time and FPS
-        this.deltaTime = this.clock.getDelta();
+        // Real time drives the editor and the FPS counter
+        this.unscaledDeltaTime = deltaTime;
+        this.elapsedTime += deltaTime;
         this.frameCount++;
         
         // Update FPS counter every second
-        if (this.clock.elapsedTime - this.lastFpsUpdate >= 1.0) {
+        if (this.elapsedTime - this.lastFpsUpdate >= 1.0) {
             this.fps = this.frameCount;
             this.frameCount = 0;
-            this.lastFpsUpdate = this.clock.elapsedTime;
-            document.getElementById('fps').textContent = `FPS: ${this.fps}`;
+            this.lastFpsUpdate = this.elapsedTime;
+            this.events.emit('engine:fps', { fps: this.fps });
         }
         
         // Update input system
+        this.profiler.begin('input');
         this.input.update();
+        this.profiler.end('input');
+        
+        // A single-frame step runs the game once while it is paused
+        const frameStep = this.pendingFrameStep;
+        this.pendingFrameStep = null;
         
         // Update physics and game logic if in play mode and not paused
-        if (this.isPlaying && !this.isPaused) {
+        if (this.isPlaying && (!this.isPaused || frameStep !== null)) {
+            const realDeltaTime = frameStep !== null ? frameStep : deltaTime;
+            this.updateTimeScaleModifiers(realDeltaTime);
+            this.deltaTime = realDeltaTime * this.getTimeScale();
+            this.gameTime += this.deltaTime;
+            
+            // Systems registered by plugins run around the built-in ones
+            this.systems.runHook('preUpdate', this.deltaTime);
+            
             // Process any queued events
             this.events.processQueue();
             
@@ -317,51 +1034,161 @@ class GameEngine {
                 this.shaderSystem.update(this.deltaTime);
             }
             
+            this.systems.fixedUpdate(this.deltaTime);
+            this.profiler.begin('physics');
             this.updatePhysics();
+            this.profiler.end('physics');
+            
+            // Update scripts (moved to ScriptingSystem)
+            this.scriptingSystem.updateScripts(this.deltaTime);
+            
+            // Update ECS, then the systems that build on scripts and components
+            this.ecs.updateEntities(this.deltaTime);
+            this.systems.runHook('update', this.deltaTime);
+            this.ecs.lateUpdateEntities(this.deltaTime);
+            this.systems.runHook('lateUpdate', this.deltaTime);
+        } else {
+            this.deltaTime = 0;
         }
         
         // Reset input states at end of frame
         this.input.resetFrame();
         
-        // Render scene
-        if (this.composer && this.composer.passes.length > 0) {
-            this.composer.render();
+        // Render scene, systems get real time as they also run in the editor
+        this.systems.runHook('render', this.unscaledDeltaTime);
+        this.profiler.begin('lod');
+        this.lod.update();
+        this.profiler.end('lod');
+        this.profiler.begin('batching');
+        this.batching.update();
+        this.profiler.end('batching');
+        this.profiler.begin('render');
+        this.render();
+        this.profiler.end('render');
+        
+        this.profiler.endFrame();
+    }
+    
+    /**
+     * Renders the scene, doing nothing when running headless
+     */
+    render() {
+        if (!this.renderer) return;
+        
+        // Play mode always uses the whole viewport
+        if (this.isPlaying || this.views.length === 1) {
+            this.renderView(this.getRenderCamera());
+            return;
+        }
+        
+        const { width, height } = this.getViewportSize();
+        this.renderer.setScissorTest(true);
+        this.views.forEach(view => {
+            const rect = this.getViewRect(view);
+            const bottom = height - rect.y - rect.height;
+            this.renderer.setViewport(rect.x, bottom, rect.width, rect.height);
+            this.renderer.setScissor(rect.x, bottom, rect.width, rect.height);
+            
+            // Lets view-dependent helpers such as the transform gizmo face this camera
+            this.events.emit('view:render', { view: view });
+            this.renderView(view.camera);
+        });
+        this.renderer.setScissorTest(false);
+        this.renderer.setViewport(0, 0, width, height);
+    }
+    
+    /**
+     * Renders the scene with one camera into the current viewport
+     * @param {THREE.Camera} camera - The camera to render with
+     */
+    renderView(camera) {
+        // Lights that only light some layers split the first scene render into passes
+        this.layers.prepareView(camera);
+        
+        if (this.composer) {
+            // Animated effects follow game time in play mode
+            this.postProcessing.render(camera, this.isPlaying ? this.deltaTime : this.unscaledDeltaTime);
         } else {
-            this.renderer.render(this.scene, this.camera);
+            this.renderer.render(this.scene, camera);
         }
+        
+        this.layers.prepareView(null);
     }
     
     /**
-     * Updates the physics simulation
-     * Handles object movement, collisions, and applies physics forces
+     * Returns the Three.js camera used for rendering
+     * In play mode this is the active camera object, falling back to the
+     * main camera and finally the editor camera.
+     * @returns {THREE.Camera} - The camera to render with
      */
-    updatePhysics() {
-        // Simple physics update placeholder
-        // In a real engine, this would handle collisions, forces, etc.
+    getRenderCamera() {
+        if (this.isPlaying) {
+            const cameraObj = this.getActiveCameraObject();
+            if (cameraObj) return cameraObj.object3D;
+        }
+        
+        return this.camera;
+    }
+    
+    /**
+     * Returns the camera object currently used in play mode
+     * @returns {Object|null} - The active camera object, or null if there is none
+     */
+    getActiveCameraObject() {
+        if (this.activeCamera && this.objects.includes(this.activeCamera)) {
+            return this.activeCamera;
+        }
+        
+        return this.getMainCamera();
+    }
+    
+    /**
+     * Switches the camera used for rendering in play mode
+     * @param {Object|string} camera - Camera object, or its id or name
+     * @returns {boolean} - Whether the camera was switched
+     */
+    setActiveCamera(camera) {
+        const cameraObj = typeof camera === 'string' ?
+            (this.getObjectById(camera) || this.objects.find(obj => obj.name === camera)) :
+            camera;
+        
+        if (!cameraObj || cameraObj.type !== 'camera') {
+            console.error('setActiveCamera: not a camera object', camera);
+            return false;
+        }
+        
+        this.activeCamera = cameraObj;
+        this.events.emit('camera:changed', { camera: cameraObj });
+        return true;
+    }
+    
+    /**
+     * Returns the camera object marked as the game's main camera
+     * @returns {Object|null} - The main camera object
+     */
+    getMainCamera() {
+        return this.objects.find(obj => obj.type === 'camera' && obj.params.isMain) || null;
+    }
+    
+    /**
+     * Marks a camera object as the main camera used when play mode starts
+     * @param {Object} cameraObj - The camera object
+     */
+    setMainCamera(cameraObj) {
         this.objects.forEach(obj => {
-            if (obj.physics && obj.physics.enabled) {
-                // Apply gravity
-                obj.physics.velocity.y += config.physics.gravity * this.deltaTime;
-                
-                // Update position
-                obj.object3D.position.x += obj.physics.velocity.x * this.deltaTime;
-                obj.object3D.position.y += obj.physics.velocity.y * this.deltaTime;
-                obj.object3D.position.z += obj.physics.velocity.z * this.deltaTime;
-                
-                // Floor collision
-                if (obj.object3D.position.y < obj.physics.boundingBox.min.y) {
-                    obj.object3D.position.y = obj.physics.boundingBox.min.y;
-                    obj.physics.velocity.y = -obj.physics.velocity.y * obj.physics.bounciness;
-                }
+            if (obj.type === 'camera') {
+                obj.params.isMain = obj === cameraObj;
             }
         });
-        
-        // Update scripts (moved to ScriptingSystem)
-        this.scriptingSystem.updateScripts(this.deltaTime);
-        
-        // Update ECS
-        this.ecs.updateEntities(this.deltaTime);
-        this.ecs.lateUpdateEntities(this.deltaTime);
+    }
+    
+    /**
+     * Updates the physics simulation
+     * Rigid bodies of objects, PhysicsComponents and PhysicsBody behaviors all
+     * live in one PhysicsWorld, which moves them and resolves their collisions.
+     */
+    updatePhysics() {
+        this.physics.step(this.deltaTime);
     }
     
     /**
@@ -371,36 +1198,30 @@ class GameEngine {
      */
     togglePlayMode() {
         this.isPlaying = !this.isPlaying;
+        this.isPaused = false;
         
-        // Update UI
-        const statusElement = document.getElementById('engine-status');
-        const playButton = document.getElementById('play-pause');
+        // Slow motion and hit-stop don't carry over, the global time scale is the
+        // edit-mode one in both directions, whatever scripts set during play
+        if (this.isPlaying) {
+            this.editTimeScale = this.timeScale;
+        } else {
+            this.timeScale = this.editTimeScale;
+        }
+        this.timeScaleModifiers = [];
+        this.gameTime = 0;
+        this.systems.reset();
+        this.notifyTimeScale();
         
         if (this.isPlaying) {
-            statusElement.textContent = 'Status: Play Mode';
-            playButton.textContent = '■ Stop';
+            // Snapshot the edit-time scene so it can be restored on stop
+            this.playModeSnapshot = this.captureSceneSnapshot();
             
             // Hide editor-only elements
             this.grid.visible = false;
             if (this.axesHelper) this.axesHelper.visible = false;
             
-            // Initialize physics for objects that need it
-            this.objects.forEach(obj => {
-                if (obj.type === 'cube' || obj.type === 'sphere') {
-                    obj.physics = {
-                        enabled: true,
-                        velocity: new THREE.Vector3(0, 0, 0),
-                        bounciness: 0.7,
-                        boundingBox: new THREE.Box3().setFromObject(obj.object3D)
-                    };
-                    
-                    // Also create entity and components if ECS is enabled
-                    const entity = this.ecs.createEntity(obj);
-                    entity.addComponent(TransformComponent);
-                    entity.addComponent(RenderComponent);
-                    entity.addComponent(PhysicsComponent);
-                }
-            });
+            // Create rigid bodies for objects with physics settings, scripts and components add theirs
+            this.physics.start();
             
             // Initialize scripts
             this.scriptingSystem.initializeScripts();
@@ -408,19 +1229,12 @@ class GameEngine {
             // Initialize ECS with dependency ordering
             this.ecs.initializeEntities();
         } else {
-            statusElement.textContent = 'Status: Editor Mode';
-            playButton.textContent = '▶ Play';
-            
             // Show editor elements again
             this.grid.visible = true;
             if (this.axesHelper) this.axesHelper.visible = true;
             
-            // Clean up physics and script instances
-            this.objects.forEach(obj => {
-                if (obj.physics) {
-                    obj.physics.enabled = false;
-                }
-            });
+            // Clean up physics bodies
+            this.physics.clear();
             
             // Clean up scripts
             this.scriptingSystem.cleanupScripts();
@@ -430,191 +1244,488 @@ class GameEngine {
             
             // Clear ECS
             this.ecs.clear();
+            
+            // Go back to rendering through the main camera next time
+            this.activeCamera = null;
+            
+            // Put the scene back the way it was before play started
+            if (this.playModeSnapshot) {
+                this.restoreSceneSnapshot(this.playModeSnapshot);
+                this.playModeSnapshot = null;
+            }
+        }
+        
+        // Play mode renders one full-size view instead of the editor layout
+        if (this.viewLayout !== 'single') {
+            this.handleResize();
         }
+        
+        this.notifyStatus();
     }
     
-    savePrefab(obj, name) {
-        if (!this.prefabs) this.prefabs = {};
+    /**
+     * Captures the state of every object, e.g. the edit-time scene before entering play mode.
+     * Unlike saveScene(), the snapshot keeps references to the original objects
+     * so that selection, scripts and UI bindings stay valid after restoring.
+     * @returns {Object} - Snapshot that can be passed to restoreSceneSnapshot()
+     */
+    captureSceneSnapshot() {
+        const entries = new Map();
+        
+        this.objects.forEach(obj => {
+            entries.set(obj, this.captureObjectState(obj));
+        });
+        
+        return {
+            entries: entries,
+            order: [...this.objects],
+            selectedObject: this.selectedObject,
+            selectedObjects: [...this.selectedObjects]
+        };
+    }
+    
+    /**
+     * Captures the restorable state of a single object
+     * @param {Object} obj - The object to capture
+     * @returns {Object} - Captured object state
+     */
+    captureObjectState(obj) {
+        const material = obj.object3D.material;
+        
+        return {
+            fields: {
+                name: obj.name,
+                parent: obj.parent,
+                children: obj.children ? [...obj.children] : [],
+                script: obj.script,
+                scriptFileName: obj.scriptFileName,
+                scriptProperties: obj.scriptProperties ? {...obj.scriptProperties} : obj.scriptProperties,
+                customShader: obj.customShader,
+                originalMaterial: obj.originalMaterial,
+                object3D: obj.object3D,
+                params: obj.params ? {...obj.params} : obj.params,
+                physics: obj.physics ? this.physics.normalizeSettings(obj.physics) : obj.physics,
+                layer: obj.layer,
+                cullingMask: obj.cullingMask,
+                prefabInstance: obj.prefabInstance ? {...obj.prefabInstance} : obj.prefabInstance,
+                prefabSource: obj.prefabSource ? {...obj.prefabSource} : obj.prefabSource
+            },
+            tags: obj.tags ? new Set(obj.tags) : null,
+            lod: obj.lod ? { ...obj.lod, levels: obj.lod.levels.map(level => ({ ...level })) } : null,
+            systems: this.systems.serializeObject(obj),
+            parent3D: obj.object3D.parent,
+            state: obj.object3D.clone(false),
+            material: material,
+            materialState: material && !Array.isArray(material) ? material.clone() : null
+        };
+    }
+    
+    /**
+     * Restores a snapshot taken by captureSceneSnapshot()
+     * Objects created since are removed, deleted objects come back and
+     * every captured transform, material and property is put back in place.
+     * @param {Object} snapshot - Snapshot to restore
+     */
+    restoreSceneSnapshot(snapshot) {
+        // Remove objects that were created after the snapshot, e.g. spawned during play mode
+        this.objects.forEach(obj => {
+            if (!snapshot.entries.has(obj)) {
+                if (obj.object3D.parent) {
+                    obj.object3D.parent.remove(obj.object3D);
+                }
+                this.scriptingSystem.markForCleanup(obj);
+            }
+        });
+        
+        this.objects = snapshot.order.filter(obj => snapshot.entries.has(obj));
+        const restoredIds = new Set(this.objects.map(obj => obj.id));
+        
+        // Objects deleted during play come back, so their pending tag cleanup is dropped
+        restoredIds.forEach(id => this.scriptingSystem._pendingCleanup.delete(id));
+        
+        // Restore object records and their Three.js state
+        this.scriptingSystem.objectsByTag.clear();
+        this.objects.forEach(obj => {
+            const entry = snapshot.entries.get(obj);
+            Object.assign(obj, entry.fields);
+            obj.children = entry.fields.children.filter(id => restoredIds.has(id));
+            obj.scriptInstance = null;
+            obj.scriptInitialized = false;
+            
+            // Lights keep their own target and shadow, whose settings come from params
+            const { target, shadow } = obj.object3D;
+            obj.object3D.copy(entry.state, false);
+            if (target) obj.object3D.target = target;
+            if (shadow) {
+                obj.object3D.shadow = shadow;
+                this.factory.updateObject3D(obj.type, obj.object3D, obj.params);
+            }
+            obj.object3D.material = entry.material;
+            if (entry.materialState) {
+                entry.material.copy(entry.materialState);
+                entry.material.needsUpdate = true;
+            }
+            
+            obj.tags = entry.tags ? new Set() : undefined;
+            if (entry.tags) {
+                entry.tags.forEach(tag => this.scriptingSystem.addTag(obj, tag));
+            }
+            
+            if (entry.lod || obj.lod) this.lod.setLOD(obj, entry.lod);
+            
+            this.systems.deserializeObject(obj, entry.systems);
+        });
         
-        // Clone the object definition but strip instance-specific data
-        const prefab = {
-            name: name || obj.name,
-            type: obj.type,
-            script: obj.script,
-            position: {x: obj.object3D.position.x, y: obj.object3D.position.y, z: obj.object3D.position.z},
-            rotation: {x: obj.object3D.rotation.x, y: obj.object3D.rotation.y, z: obj.object3D.rotation.z},
-            scale: {x: obj.object3D.scale.x, y: obj.object3D.scale.y, z: obj.object3D.scale.z}
-        };
+        // Rebuild the Three.js hierarchy
+        this.objects.forEach(obj => {
+            if (obj.parent && !restoredIds.has(obj.parent)) {
+                obj.parent = null;
+            }
+            
+            // Model meshes go back to their place inside the model's own hierarchy
+            const entry = snapshot.entries.get(obj);
+            const parent3D = obj.sourceModel && entry.parent3D ? entry.parent3D :
+                (obj.parent ? this.getObjectById(obj.parent).object3D : this.scene);
+            parent3D.add(obj.object3D);
+        });
         
-        // Store material properties if applicable
-        if (obj.object3D.material) {
-            prefab.material = {
-                color: '#' + obj.object3D.material.color.getHexString(),
-                wireframe: obj.object3D.material.wireframe,
-                transparent: obj.object3D.material.transparent,
-                opacity: obj.object3D.material.opacity,
-                metalness: obj.object3D.material.metalness,
-                roughness: obj.object3D.material.roughness
-            };
-        }
+        // Put the restored objects back on their layers
+        this.objects.forEach(obj => this.layers.applyLayer(obj));
+        
+        // Update object count
+        this.notifyObjectsChanged();
         
-        this.prefabs[name] = prefab;
-        return prefab;
+        // Restore the edit-time selection
+        this.setSelection(snapshot.selectedObjects.filter(obj => this.objects.includes(obj)), snapshot.selectedObject);
     }
     
-    instantiatePrefab(prefabName, position, rotation) {
-        if (!this.prefabs || !this.prefabs[prefabName]) {
-            console.error(`Prefab "${prefabName}" not found`);
-            return null;
-        }
+    /**
+     * Keeps the current play mode state of an object when play mode stops.
+     * Objects spawned during play are kept in the edited scene as well.
+     * @param {Object} obj - The object whose play mode changes should be kept
+     * @returns {boolean} - Whether the changes will be kept
+     */
+    keepPlayModeChanges(obj) {
+        if (!this.isPlaying || !this.playModeSnapshot || !obj) return false;
         
-        const prefab = this.prefabs[prefabName];
-        let newObj;
+        const snapshot = this.playModeSnapshot;
+        const entry = this.captureObjectState(obj);
         
-        // Create object based on type
-        if (prefab.type === 'cube') {
-            newObj = this.addCube();
-        } else if (prefab.type === 'sphere') {
-            newObj = this.addSphere();
-        } else if (prefab.type === 'light') {
-            newObj = this.addLight();
-        } else {
-            console.error(`Unknown prefab type: ${prefab.type}`);
-            return null;
+        snapshot.entries.set(obj, entry);
+        if (!snapshot.order.includes(obj)) {
+            snapshot.order.push(obj);
         }
         
-        // Apply prefab properties
-        newObj.name = prefab.name;
-        newObj.script = prefab.script;
+        return true;
+    }
+    
+    /**
+     * Captures the objects and the prefab assets so that operations changing
+     * many objects at once, such as applying a prefab, can be undone
+     * @returns {Object} - State that can be passed to restoreSceneState()
+     */
+    captureSceneState() {
+        return {
+            snapshot: this.captureSceneSnapshot(),
+            prefabs: this.prefabSystem.serialize()
+        };
+    }
+    
+    /**
+     * Restores a state taken by captureSceneState()
+     * @param {Object} state - State to restore
+     */
+    restoreSceneState(state) {
+        this.prefabSystem.deserialize(state.prefabs);
+        this.restoreSceneSnapshot(state.snapshot);
+    }
+    
+    /**
+     * Saves an object and its descendants as a prefab asset
+     * The object becomes the first instance of the prefab.
+     * @param {Object} obj - Root object of the prefab
+     * @param {string} name - Prefab name
+     * @returns {Object|null} - The prefab asset, or null if the name is taken
+     */
+    savePrefab(obj, name) {
+        return this.prefabSystem.createPrefab(obj, name);
+    }
+    
+    /**
+     * Creates an instance of a prefab
+     * @param {string} prefabName - Prefab name or id
+     * @param {Object} position - Optional position, defaults to the prefab's
+     * @param {Object} rotation - Optional rotation, defaults to the prefab's
+     * @returns {Object|null} - Root object of the instance
+     */
+    instantiatePrefab(prefabName, position, rotation) {
+        const newObj = this.prefabSystem.instantiate(prefabName);
+        if (!newObj) return null;
         
-        // Apply transform
         if (position) {
             newObj.object3D.position.set(position.x, position.y, position.z);
-        } else {
-            newObj.object3D.position.set(prefab.position.x, prefab.position.y, prefab.position.z);
         }
         
         if (rotation) {
             newObj.object3D.rotation.set(rotation.x, rotation.y, rotation.z);
-        } else {
-            newObj.object3D.rotation.set(prefab.rotation.x, prefab.rotation.y, prefab.rotation.z);
-        }
-        
-        newObj.object3D.scale.set(prefab.scale.x, prefab.scale.y, prefab.scale.z);
-        
-        // Apply material properties if they exist
-        if (prefab.material && newObj.object3D.material) {
-            newObj.object3D.material.color.set(prefab.material.color);
-            newObj.object3D.material.wireframe = prefab.material.wireframe;
-            newObj.object3D.material.transparent = prefab.material.transparent;
-            newObj.object3D.material.opacity = prefab.material.opacity;
-            newObj.object3D.material.metalness = prefab.material.metalness;
-            newObj.object3D.material.roughness = prefab.material.roughness;
         }
         
         return newObj;
     }
     
-    addCube() {
-        const geometry = new THREE.BoxGeometry(1, 1, 1);
-        const material = new THREE.MeshStandardMaterial({ 
-            color: config.editor.defaultObjectColor 
-        });
-        const cube = new THREE.Mesh(geometry, material);
-        cube.castShadow = true;
-        cube.receiveShadow = true;
+    /**
+     * Creates an object id that no other object in the scene uses
+     * Ids are saved with the scene, so they stay the same across save/load.
+     * @param {string} type - Object type, used as a readable prefix
+     * @returns {string} - The new id
+     */
+    generateObjectId(type) {
+        let id;
+        do {
+            id = `${type}-${THREE.MathUtils.generateUUID().replace(/-/g, '').slice(0, 12)}`;
+        } while (this.getObjectById(id));
+        return id;
+    }
+    
+    /**
+     * Creates an object of any type registered with the object factory
+     * @param {string} type - Registered type, e.g. 'cube', 'torus' or 'camera'
+     * @param {Object} params - Type parameters overriding the defaults
+     * @param {Object} options - Optional settings
+     * @param {string} options.id - Id to use instead of a generated one
+     * @returns {Object|null} - The new object, or null for an unknown type
+     */
+    createObject(type, params = {}, options = {}) {
+        const definition = this.factory.get(type);
+        if (!definition) {
+            console.error(`Unknown object type: ${type}`);
+            return null;
+        }
+        
+        const resolvedParams = this.factory.resolveParams(type, params);
+        
+        // The first camera in the scene becomes the main camera
+        if (type === 'camera' && (!params || params.isMain === undefined)) {
+            resolvedParams.isMain = !this.getMainCamera();
+        }
         
-        // Position slightly above the grid
-        cube.position.y = 0.5;
+        const object3D = this.factory.createObject3D(type, resolvedParams);
+        if (definition.position) {
+            object3D.position.set(definition.position.x, definition.position.y, definition.position.z);
+        }
+        if (definition.lookAt) {
+            object3D.lookAt(definition.lookAt.x, definition.lookAt.y, definition.lookAt.z);
+        }
         
         // Add to scene
-        this.scene.add(cube);
+        this.scene.add(object3D);
         
         // Create object metadata
-        const cubeObj = {
-            id: `cube-${this.objects.length + 1}`,
-            name: `Cube ${this.objects.length + 1}`,
-            type: 'cube',
-            object3D: cube,
+        const newObj = {
+            id: options.id || this.generateObjectId(type),
+            name: `${definition.name} ${this.objects.length + 1}`,
+            type: type,
+            object3D: object3D,
+            params: resolvedParams,
             children: [],
             parent: null
         };
         
-        this.objects.push(cubeObj);
-        this.selectObject(cubeObj);
+        this.objects.push(newObj);
+        this.selectObject(newObj);
         
         // Update object count
-        document.getElementById('object-count').textContent = `Objects: ${this.objects.length}`;
+        this.notifyObjectsChanged();
+        
+        if (definition.setup) {
+            definition.setup(newObj, this);
+        }
         
-        return cubeObj;
+        // New objects are on the Default layer, cameras draw and lights light every layer
+        this.layers.applyLayer(newObj);
+        
+        return newObj;
+    }
+    
+    addCube() {
+        return this.createObject('cube');
     }
     
     addSphere() {
-        const geometry = new THREE.SphereGeometry(0.5, 32, 32);
-        const material = new THREE.MeshStandardMaterial({ 
-            color: config.editor.defaultObjectColor 
-        });
-        const sphere = new THREE.Mesh(geometry, material);
-        sphere.castShadow = true;
-        sphere.receiveShadow = true;
-        
-        // Position slightly above the grid
-        sphere.position.y = 0.5;
-        
-        // Add to scene
-        this.scene.add(sphere);
+        return this.createObject('sphere');
+    }
+    
+    /**
+     * Adds a camera object to the scene
+     * The first camera in the scene becomes the main camera.
+     * @param {string} projection - 'perspective' or 'orthographic'
+     * @returns {Object} - The new camera object
+     */
+    addCamera(projection = 'perspective') {
+        return this.createObject('camera', { projection: projection });
+    }
+    
+    addLight() {
+        return this.createObject('light');
+    }
+    
+    /**
+     * Changes type parameters of an object and applies them
+     * Geometry is rebuilt in place; types that need a different Three.js
+     * object (e.g. switching camera projection) get a new one.
+     * @param {Object} obj - The object to update
+     * @param {Object} changes - Parameters to change
+     * @returns {boolean} - Whether the parameters were applied
+     */
+    updateObjectParams(obj, changes) {
+        const definition = obj ? this.factory.get(obj.type) : null;
+        if (!definition || !obj.params) return false;
         
-        // Create object metadata
-        const sphereObj = {
-            id: `sphere-${this.objects.length + 1}`,
-            name: `Sphere ${this.objects.length + 1}`,
-            type: 'sphere',
-            object3D: sphere,
-            children: [],
-            parent: null
-        };
+        Object.assign(obj.params, changes);
         
-        this.objects.push(sphereObj);
-        this.selectObject(sphereObj);
+        if (definition.needsRebuild && definition.needsRebuild(obj.object3D, obj.params)) {
+            this.replaceObject3D(obj, this.factory.createObject3D(obj.type, obj.params));
+        } else {
+            this.factory.updateObject3D(obj.type, obj.object3D, obj.params);
+        }
         
-        // Update object count
-        document.getElementById('object-count').textContent = `Objects: ${this.objects.length}`;
+        if (definition.setup) {
+            definition.setup(obj, this);
+        }
         
-        return sphereObj;
+        return true;
     }
     
-    addLight() {
-        const light = new THREE.PointLight(0xffffff, 1, 100);
-        light.position.set(0, 3, 0);
-        light.castShadow = true;
+    /**
+     * Swaps the Three.js object of an object, keeping its transform and children
+     * @param {Object} obj - The object to update
+     * @param {THREE.Object3D} newObject3D - The replacement Three.js object
+     */
+    replaceObject3D(obj, newObject3D) {
+        const oldObject3D = obj.object3D;
+        newObject3D.position.copy(oldObject3D.position);
+        newObject3D.quaternion.copy(oldObject3D.quaternion);
+        newObject3D.scale.copy(oldObject3D.scale);
+        newObject3D.visible = oldObject3D.visible;
+        
+        // Move child objects over to the new Three.js object
+        obj.children.forEach(childId => {
+            const child = this.getObjectById(childId);
+            if (child) newObject3D.add(child.object3D);
+        });
         
-        // Add helper sphere to visualize the light
-        const sphereSize = 0.2;
-        const geometry = new THREE.SphereGeometry(sphereSize, 16, 16);
-        const material = new THREE.MeshBasicMaterial({ color: 0xffff00 });
-        const lightSphere = new THREE.Mesh(geometry, material);
-        light.add(lightSphere);
+        const parent3D = oldObject3D.parent || this.scene;
+        parent3D.remove(oldObject3D);
+        parent3D.add(newObject3D);
+        obj.object3D = newObject3D;
+        this.layers.applyLayer(obj);
+    }
+    
+    /**
+     * Returns why the asset of a model failed to load
+     * @param {Object} obj - Model object
+     * @returns {any} - The error, or null if the asset loaded or hasn't been loaded yet
+     */
+    getModelAssetError(obj) {
+        const { url } = obj.params;
+        if (!url) return null;
         
-        // Add to scene
-        this.scene.add(light);
+        const format = obj.params.format === 'auto' ? this.assets.getModelType(url) : obj.params.format;
+        return this.assets.getError(url, format);
+    }
+    
+    /**
+     * Loads the source asset of a model object and rebuilds its hierarchy
+     * Meshes inside the model become child objects so they show up in the
+     * scene tree, and the model's animation clips are kept on its object3D
+     * for the AnimationController behavior.
+     * @param {Object} obj - The model object
+     * @returns {Promise<Object>} - Resolves with the model object once loaded
+     */
+    loadModel(obj) {
+        const { url } = obj.params;
+        const format = obj.params.format === 'auto' ? this.assets.getModelType(url) : obj.params.format;
+        const wrapper = obj.object3D;
+        const source = url ? `${url}|${format}` : null;
+        
+        // Nothing to do if the model already shows this asset
+        if (wrapper.userData.source === source) {
+            return obj.modelLoading || Promise.resolve(obj);
+        }
         
-        // Create object metadata
-        const lightObj = {
-            id: `light-${this.objects.length + 1}`,
-            name: `Point Light ${this.objects.length + 1}`,
-            type: 'light',
-            object3D: light,
-            children: [],
-            parent: null
-        };
+        this.clearModel(obj);
+        wrapper.userData.source = source;
+        if (!source) return Promise.resolve(obj);
         
-        this.objects.push(lightObj);
-        this.selectObject(lightObj);
+        const request = this.assets.instantiateModel(url, format)
+            .then(model => {
+                // The model may have been pointed at another asset in the meantime
+                if (obj.object3D !== wrapper || wrapper.userData.source !== source) return obj;
+                
+                model.scene.userData.isModelContent = true;
+                wrapper.add(model.scene);
+                wrapper.animations = model.animations;
+                
+                let nodeIndex = 0;
+                const addNodes = (node, parentObj) => {
+                    node.children.forEach(child => {
+                        let childParent = parentObj;
+                        
+                        if (child.isMesh) {
+                            nodeIndex++;
+                            childParent = {
+                                id: `${obj.id}/node-${nodeIndex}`,
+                                name: child.name || `Mesh ${nodeIndex}`,
+                                type: 'model-node',
+                                object3D: child,
+                                children: [],
+                                parent: parentObj.id,
+                                sourceModel: obj.id
+                            };
+                            parentObj.children.push(childParent.id);
+                            this.objects.push(childParent);
+                        }
+                        
+                        addNodes(child, childParent);
+                    });
+                };
+                addNodes(model.scene, obj);
+                
+                // The model's meshes are on the model's layer
+                this.layers.applyLayer(obj);
+                
+                this.notifyObjectsChanged();
+                this.events.emit('model:loaded', { object: obj });
+                return obj;
+            })
+            .catch(error => {
+                console.error(`Failed to load model "${url}":`, error);
+                this.events.emit('model:error', { object: obj, url: url, error: error });
+                return obj;
+            })
+            .finally(() => {
+                if (obj.modelLoading === request) obj.modelLoading = null;
+            });
         
-        // Update object count
-        document.getElementById('object-count').textContent = `Objects: ${this.objects.length}`;
+        obj.modelLoading = request;
+        return request;
+    }
+    
+    /**
+     * Removes the loaded content of a model object, keeping objects the user parented to it
+     * @param {Object} obj - The model object
+     */
+    clearModel(obj) {
+        [...obj.children].forEach(childId => {
+            const child = this.getObjectById(childId);
+            if (child && child.sourceModel === obj.id) {
+                this.removeObject(child);
+            }
+        });
         
-        return lightObj;
+        const content = obj.object3D.children.filter(child => child.userData.isModelContent);
+        content.forEach(child => obj.object3D.remove(child));
+        obj.object3D.animations = [];
     }
     
     setParent(child, parent) {
@@ -674,6 +1785,70 @@ class GameEngine {
         return false;
     }
     
+    /**
+     * Captures an object and its descendants so they can be restored after removal
+     * @param {Object} obj - Root object of the tree to capture
+     * @returns {Object} - Capture that can be passed to restoreObjectTree()
+     */
+    captureObjectTree(obj) {
+        const parent = obj.parent ? this.getObjectById(obj.parent) : null;
+        
+        return {
+            root: obj,
+            parentIndex: parent ? parent.children.indexOf(obj.id) : -1,
+            records: [obj, ...this.getChildrenRecursive(obj)].map(record => ({
+                obj: record,
+                index: this.objects.indexOf(record),
+                parent: record.parent,
+                children: [...record.children],
+                parent3D: record.object3D.parent
+            }))
+        };
+    }
+    
+    /**
+     * Puts back objects removed after captureObjectTree() was called
+     * @param {Object} capture - Capture returned by captureObjectTree()
+     */
+    restoreObjectTree(capture) {
+        // Re-insert objects at their original positions in the object list
+        const records = [...capture.records].sort((a, b) => a.index - b.index);
+        records.forEach(record => {
+            if (this.objects.includes(record.obj)) return;
+            
+            const index = Math.min(Math.max(record.index, 0), this.objects.length);
+            this.objects.splice(index, 0, record.obj);
+        });
+        
+        // Restore hierarchy links and the Three.js scene graph
+        capture.records.forEach(record => {
+            const obj = record.obj;
+            obj.parent = record.parent;
+            obj.children = [...record.children];
+            
+            const parent = obj.parent ? this.getObjectById(obj.parent) : null;
+            if (obj.parent && !parent) {
+                obj.parent = null;
+            }
+            
+            if (parent && !parent.children.includes(obj.id)) {
+                const index = obj === capture.root && capture.parentIndex > -1 ?
+                    capture.parentIndex : parent.children.length;
+                parent.children.splice(index, 0, obj.id);
+            }
+            
+            (record.parent3D || this.scene).add(obj.object3D);
+            
+            // Re-index tags that were dropped by removeObject
+            if (obj.tags) {
+                obj.tags.forEach(tag => this.scriptingSystem.addTag(obj, tag));
+            }
+        });
+        
+        // Update object count
+        this.notifyObjectsChanged();
+    }
+    
     getChildrenRecursive(parent) {
         if (!parent || !parent.children) return [];
         
@@ -689,24 +1864,73 @@ class GameEngine {
         return allChildren;
     }
     
-    selectObject(obj) {
-        // Clear previous selection
-        if (this.selectedObject) {
-            // Remove any selection visual indicators
+    /**
+     * Selects an object
+     * @param {Object} obj - The object, or null to clear the selection
+     * @param {string} mode - 'replace' the selection, 'add' to it, 'remove' from it or 'toggle' the object
+     */
+    selectObject(obj, mode = 'replace') {
+        const selected = this.selectedObjects.filter(other => other !== obj);
+        const isSelected = selected.length !== this.selectedObjects.length;
+        
+        if (mode === 'replace') {
+            this.setSelection(obj ? [obj] : [], obj);
+        } else if (mode === 'remove' || (mode === 'toggle' && isSelected)) {
+            this.setSelection(selected, this.selectedObject === obj ? null : this.selectedObject);
+        } else if (obj) {
+            this.setSelection([...selected, obj], obj);
         }
-        
-        this.selectedObject = obj;
+    }
+    
+    /**
+     * Replaces the selection
+     * @param {Array} objects - Objects to select
+     * @param {Object} activeObject - Object that becomes selectedObject, defaults to the last one
+     */
+    setSelection(objects, activeObject = null) {
+        this.selectedObjects = objects.filter((obj, index) => obj && objects.indexOf(obj) === index);
+        this.selectedObject = this.selectedObjects.includes(activeObject) ? activeObject :
+            this.selectedObjects[this.selectedObjects.length - 1] || null;
         
         // Update selection outline
         if (this.selectionOutlinePass) {
-            this.selectionOutlinePass.selectedObjects = obj ? [obj.object3D] : [];
+            this.selectionOutlinePass.selectedObjects = this.selectedObjects.map(obj => obj.object3D);
         }
         
-        // Dispatch selection change event
-        const event = new CustomEvent('object-selected', { 
-            detail: { object: obj } 
+        // Report selection change
+        this.events.emit('selection:changed', { object: this.selectedObject, objects: [...this.selectedObjects] });
+    }
+    
+    isSelected(obj) {
+        return this.selectedObjects.includes(obj);
+    }
+    
+    /**
+     * Returns the selected objects that have no selected ancestor
+     * Moving, deleting or duplicating these also handles the rest of the selection.
+     * @returns {Array} - Selected objects in selection order
+     */
+    getSelectionRoots() {
+        return this.selectedObjects.filter(obj => {
+            let parent = obj.parent ? this.getObjectById(obj.parent) : null;
+            while (parent) {
+                if (this.selectedObjects.includes(parent)) return false;
+                parent = parent.parent ? this.getObjectById(parent.parent) : null;
+            }
+            return true;
         });
-        document.dispatchEvent(event);
+    }
+    
+    /**
+     * Returns the center of the box around the origins of the selected objects
+     * @param {THREE.Vector3} target - Vector to store the result in
+     * @returns {THREE.Vector3} - The selection center in world space
+     */
+    getSelectionCenter(target = new THREE.Vector3()) {
+        const box = new THREE.Box3();
+        const position = new THREE.Vector3();
+        this.selectedObjects.forEach(obj => box.expandByPoint(obj.object3D.getWorldPosition(position)));
+        return box.isEmpty() ? target.set(0, 0, 0) : box.getCenter(target);
     }
     
     getObjectById(id) {
@@ -744,27 +1968,35 @@ class GameEngine {
                 this.scriptingSystem.markForCleanup(obj);
             }
             
-            // Remove from scene
-            this.scene.remove(obj.object3D);
+            // Remove from scene (or from the parent it is attached to)
+            if (obj.object3D.parent) {
+                obj.object3D.parent.remove(obj.object3D);
+            }
             this.objects.splice(index, 1);
             
             // Update object count
-            document.getElementById('object-count').textContent = `Objects: ${this.objects.length}`;
+            this.notifyObjectsChanged();
             
-            // If the removed object was selected, clear selection
-            if (this.selectedObject === obj) {
-                this.selectedObject = null;
-                const event = new CustomEvent('object-selected', { 
-                    detail: { object: null } 
-                });
-                document.dispatchEvent(event);
+            // If the removed object was selected, drop it from the selection
+            if (this.selectedObjects.includes(obj)) {
+                this.selectObject(obj, 'remove');
             }
         }
     }
     
     saveScene() {
         const sceneData = {
-            objects: this.objects.map(obj => this.serializeObject(obj)),
+            schema: SCENE_SCHEMA.$id,
+            version: SCENE_FORMAT_VERSION,
+            // Model meshes are rebuilt from the model's asset on load
+            objects: this.objects.filter(obj => !obj.sourceModel).map(obj => this.serializeObject(obj)),
+            prefabs: this.prefabSystem.serialize(),
+            settings: {
+                renderer: this.getRendererSettings(),
+                postProcessing: this.postProcessing.serialize(),
+                layers: this.layers.serialize()
+            },
+            systems: this.systems.serialize(),
             properties: {}
         };
         
@@ -776,43 +2008,200 @@ class GameEngine {
         return sceneData;
     }
     
+    /**
+     * Loads a scene saved by saveScene()
+     * Files in an older format version are upgraded first. The scene is only
+     * loaded if it has no errors; the report lists every problem found.
+     * Model assets load in the background, report.assetsLoaded resolves with
+     * the report once they are done and missing ones are listed in it.
+     * @param {Object} sceneData - Scene data
+     * @returns {Object} - Report { success, version, issues, conflicts, assetsLoaded }
+     */
     loadScene(sceneData) {
-        if (!sceneData || !sceneData.objects) {
-            console.error("Invalid scene data");
-            return false;
+        const report = { success: false, version: null, issues: [], conflicts: [], assetsLoaded: null };
+        
+        if (!sceneData || typeof sceneData !== 'object' || Array.isArray(sceneData)) {
+            report.issues.push(createIssue('error', 'Scene', 'is not a scene object'));
+            return report;
         }
         
+        // Upgrade older files, then check the result
+        const migration = migrateScene(sceneData);
+        report.version = migration.fromVersion;
+        report.issues.push(...migration.issues);
+        if (migration.scene) {
+            report.issues.push(...validateScene(migration.scene, this.factory));
+        }
+        
+        if (report.issues.some(issue => issue.severity === 'error')) {
+            return report;
+        }
+        sceneData = migration.scene;
+        
         // Clear current scene
         while (this.objects.length > 0) {
             this.removeObject(this.objects[0]);
         }
         
-        // Load objects
-        const objectMap = new Map(); // Track old ID to new object mapping
+        // Prefabs are needed before their instances are linked
+        this.prefabSystem.deserialize(sceneData.prefabs);
+        
+        // Load objects, keeping their saved ids
+        const { objectMap, created, conflicts } = this.createObjectsFromData(sceneData.objects, true);
+        
+        // Instances of missing prefabs become plain objects
+        created.forEach(obj => {
+            if (obj.prefabInstance && !this.prefabSystem.getPrefab(obj.prefabInstance.asset)) {
+                this.prefabSystem.unpackInstance(obj);
+            }
+        });
+        
+        // Models whose asset failed to load before are reported now, the others once their
+        // load fails; report.assetsLoaded resolves with the report when all models are done
+        const models = created.filter(obj => obj.type === 'model' && obj.params.url);
+        const reported = new Set();
+        const reportMissingAssets = () => models.forEach(obj => {
+            if (reported.has(obj) || !this.getModelAssetError(obj)) return;
+            
+            reported.add(obj);
+            report.issues.push(createIssue('warning', `Object "${obj.name}"`,
+                `has the missing asset "${obj.params.url}" and will be empty`));
+        });
+        reportMissingAssets();
+        report.assetsLoaded = Promise.all(models.map(obj => obj.modelLoading)).then(() => {
+            reportMissingAssets();
+            return report;
+        });
+        
+        // Restore script properties if any (stored by object id)
+        if (sceneData.properties && sceneData.properties.scripts && this.scriptingSystem) {
+            const scripts = {};
+            Object.entries(sceneData.properties.scripts).forEach(([id, scriptData]) => {
+                if (objectMap.has(id)) scripts[objectMap.get(id).id] = scriptData;
+            });
+            this.scriptingSystem.deserializeAllScriptProperties(scripts);
+        }
+        
+        // Project settings saved with the scene, scenes saved without them get the defaults
+        const settings = sceneData.settings || {};
+        this.loadRendererSettings(settings.renderer || {});
+        report.issues.push(...this.postProcessing.deserialize(settings.postProcessing || DEFAULT_SETTINGS.postProcessing));
+        
+        // Scenes saved without layers get the default ones
+        report.issues.push(...this.layers.deserialize(settings.layers || {}));
+        
+        // Data of systems added by plugins
+        report.issues.push(...this.systems.deserialize(sceneData.systems));
+        
+        // Report objects that had to get a new id
+        report.conflicts = conflicts;
+        conflicts.forEach(conflict => {
+            report.issues.push(createIssue('warning', `Object "${conflict.name}"`,
+                `uses the duplicate id "${conflict.id}" and was given the id "${conflict.newId}"`));
+        });
+        
+        report.success = true;
+        this.events.emit('scene:loaded', report);
+        
+        return report;
+    }
+    
+    /**
+     * Creates objects from serialized data and rebuilds the hierarchy between them
+     * References to saved ids are mapped to the created objects, so parent/child
+     * links stay intact when objects get a new id.
+     * @param {Array} objectsData - Serialized objects
+     * @param {boolean} keepIds - Keep saved ids unless another object already uses them
+     * @returns {Object} - { objectMap: saved id to object, created: objects in order, conflicts: reassigned ids }
+     */
+    createObjectsFromData(objectsData, keepIds = false) {
+        const objectMap = new Map();
+        const created = [];
+        const conflicts = [];
         
         // First pass: create all objects
-        for (const objData of sceneData.objects) {
-            const newObj = this.deserializeObject(objData);
+        for (const objData of objectsData) {
+            let id = null;
+            if (keepIds) {
+                if (objData.id && !this.getObjectById(objData.id)) {
+                    id = objData.id;
+                } else {
+                    id = this.generateObjectId(objData.type);
+                    conflicts.push({ id: objData.id, name: objData.name, newId: id });
+                }
+            }
+            
+            const newObj = this.deserializeObject({ ...objData, id: id });
             if (newObj) {
-                objectMap.set(objData.id, newObj);
+                // The first object keeps references to an id that appears twice
+                if (!objectMap.has(objData.id)) {
+                    objectMap.set(objData.id, newObj);
+                }
+                created.push([objData, newObj]);
             }
         }
         
-        // Second pass: reconstruct hierarchy
-        for (const objData of sceneData.objects) {
-            if (objData.parent && objectMap.has(objData.id) && objectMap.has(objData.parent)) {
-                const child = objectMap.get(objData.id);
-                const parent = objectMap.get(objData.parent);
+        // Second pass: reconstruct hierarchy, parents outside the data are looked up in the scene
+        for (const [objData, child] of created) {
+            if (!objData.parent) continue;
+            
+            const parent = objectMap.get(objData.parent) || this.getObjectById(objData.parent);
+            if (parent && parent !== child) {
                 this.setParent(child, parent);
             }
         }
         
-        // Restore script properties if any
-        if (sceneData.properties && sceneData.properties.scripts && this.scriptingSystem) {
-            this.scriptingSystem.deserializeAllScriptProperties(sceneData.properties.scripts);
+        // Prefab links follow the instance root to its new id, copies of part of an instance are unlinked
+        for (const [, obj] of created) {
+            if (!obj.prefabSource) continue;
+            
+            const instance = objectMap.get(obj.prefabSource.instance);
+            if (instance) {
+                obj.prefabSource.instance = instance.id;
+            } else {
+                delete obj.prefabSource;
+            }
         }
         
-        return true;
+        return { objectMap: objectMap, created: created.map(([, obj]) => obj), conflicts: conflicts };
+    }
+    
+    /**
+     * Duplicates an object together with its children
+     * The copies get new ids and keep the same parent as the original.
+     * @param {Object} obj - The object to duplicate
+     * @returns {Object|null} - The copy of obj, or null if its type can't be created
+     */
+    duplicateObject(obj) {
+        if (!obj || !this.factory.has(obj.type)) return null;
+        
+        // Model meshes are rebuilt by the copied model itself
+        const sources = [obj, ...this.getChildrenRecursive(obj)].filter(source => !source.sourceModel);
+        const data = sources.map(source => {
+            const serialized = this.serializeObject(source);
+            
+            // A scene only has one main camera
+            if (serialized.params && serialized.type === 'camera') {
+                serialized.params.isMain = false;
+            }
+            return serialized;
+        });
+        
+        const { objectMap } = this.createObjectsFromData(data, false);
+        
+        // Carry over script state that is not part of the serialized object
+        sources.forEach(source => {
+            const copy = objectMap.get(source.id);
+            if (!copy) return;
+            
+            copy.scriptFileName = source.scriptFileName;
+            const props = source.scriptInstance ? source.scriptInstance._properties : source.scriptProperties;
+            if (props) {
+                copy.scriptProperties = {...props};
+            }
+        });
+        
+        return objectMap.get(obj.id) || null;
     }
     
     serializeObject(obj) {
@@ -821,7 +2210,10 @@ class GameEngine {
             name: obj.name,
             type: obj.type,
             parent: obj.parent,
-            children: obj.children ? [...obj.children] : [],
+            children: obj.children ? obj.children.filter(id => {
+                const child = this.getObjectById(id);
+                return !child || !child.sourceModel;
+            }) : [],
             transform: {
                 position: {
                     x: obj.object3D.position.x,
@@ -853,6 +2245,11 @@ class GameEngine {
             };
         }
         
+        // Save type parameters such as geometry size or camera settings
+        if (obj.params) {
+            serialized.params = {...obj.params};
+        }
+        
         // Save script
         if (obj.script) {
             serialized.script = obj.script;
@@ -863,28 +2260,50 @@ class GameEngine {
             serialized.tags = Array.from(obj.tags);
         }
         
+        // Save the link to the prefab the object was created from
+        if (obj.prefabInstance) {
+            serialized.prefabInstance = {...obj.prefabInstance};
+        }
+        if (obj.prefabSource) {
+            serialized.prefabSource = {...obj.prefabSource};
+        }
+        
+        // Save the level-of-detail settings
+        if (obj.lod) {
+            serialized.lod = { ...obj.lod, levels: obj.lod.levels.map(level => ({ ...level })) };
+        }
+        
+        // Save the rigid body and collider settings
+        if (obj.physics) {
+            serialized.physics = this.physics.normalizeSettings(obj.physics);
+        }
+        
+        // Save the layer, and the layers a camera draws or a light lights
+        if (obj.layer) {
+            serialized.layer = obj.layer;
+        }
+        if (obj.cullingMask !== undefined) {
+            serialized.cullingMask = obj.cullingMask;
+        }
+        
+        // Save what systems added by plugins keep for the object
+        const systems = this.systems.serializeObject(obj);
+        if (systems) {
+            serialized.systems = systems;
+        }
+        
         return serialized;
     }
     
     deserializeObject(data) {
-        let newObj;
-        
         // Create object based on type
-        switch (data.type) {
-            case 'cube':
-                newObj = this.addCube();
-                break;
-            case 'sphere':
-                newObj = this.addSphere();
-                break;
-            case 'light':
-                newObj = this.addLight();
-                break;
-            default:
-                console.error(`Unknown object type: ${data.type}`);
-                return null;
+        if (!this.factory.has(data.type)) {
+            console.error(`Unknown object type: ${data.type}`);
+            return null;
         }
         
+        const newObj = this.createObject(data.type, data.params, { id: data.id });
+        
         // Apply properties
         newObj.name = data.name;
         
@@ -923,6 +2342,11 @@ class GameEngine {
             }
         }
         
+        // Only one camera can be the main camera
+        if (newObj.type === 'camera' && newObj.params.isMain) {
+            this.setMainCamera(newObj);
+        }
+        
         // Restore script
         if (data.script) {
             newObj.script = data.script;
@@ -935,6 +2359,35 @@ class GameEngine {
             }
         }
         
+        // Restore the prefab link
+        if (data.prefabInstance) {
+            newObj.prefabInstance = {...data.prefabInstance};
+        }
+        if (data.prefabSource) {
+            newObj.prefabSource = {...data.prefabSource};
+        }
+        
+        // Restore the level-of-detail settings, the levels are generated again
+        if (data.lod) {
+            this.lod.setLOD(newObj, data.lod);
+        }
+        
+        // Restore the rigid body and collider settings
+        if (data.physics) {
+            this.physics.setPhysics(newObj, data.physics);
+        }
+        
+        // Restore the layer, and the layers a camera draws or a light lights
+        if (data.layer) {
+            this.layers.setLayer(newObj, data.layer);
+        }
+        if (data.cullingMask !== undefined) {
+            this.layers.setCullingMask(newObj, data.cullingMask);
+        }
+        
+        // Restore what systems added by plugins keep for the object
+        this.systems.deserializeObject(newObj, data.systems);
+        
         return newObj;
     }
     
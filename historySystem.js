@@ -0,0 +1,376 @@
+// Undo/redo history for editor operations
+
+/**
+ * Base class for undoable editor commands
+ */
+export class Command {
+    constructor(name, mergeKey = null) {
+        this.name = name;
+        this.mergeKey = mergeKey;
+        this.timestamp = Date.now();
+    }
+    
+    execute() {}
+    
+    undo() {}
+    
+    /**
+     * Checks whether another command can be folded into this one
+     * @param {Command} command - The newer command
+     * @returns {boolean} - True if the commands can be merged
+     */
+    canMerge(command) {
+        return this.mergeKey !== null && this.mergeKey === command.mergeKey;
+    }
+    
+    /**
+     * Folds a newer command into this one
+     * @param {Command} command - The newer command
+     */
+    merge(command) {
+        this.timestamp = command.timestamp;
+    }
+}
+
+/**
+ * Sets a value through a setter function, remembering the previous value
+ */
+export class ValueCommand extends Command {
+    /**
+     * @param {string} name - Name shown in the history list
+     * @param {function} setter - Function that applies a value
+     * @param {any} oldValue - Value before the change
+     * @param {any} newValue - Value after the change
+     * @param {string} mergeKey - Optional key for merging consecutive edits
+     */
+    constructor(name, setter, oldValue, newValue, mergeKey = null) {
+        super(name, mergeKey);
+        this.setter = setter;
+        this.oldValue = oldValue;
+        this.newValue = newValue;
+    }
+    
+    execute() {
+        this.setter(this.newValue);
+    }
+    
+    undo() {
+        this.setter(this.oldValue);
+    }
+    
+    merge(command) {
+        super.merge(command);
+        this.newValue = command.newValue;
+    }
+}
+
+/**
+ * Restores the position, rotation and scale of an object
+ */
+export class TransformCommand extends ValueCommand {
+    constructor(obj, oldTransform, newTransform, name = 'Transform') {
+        super(
+            `${name} ${obj.name}`,
+            (transform) => TransformCommand.apply(obj.object3D, transform),
+            oldTransform,
+            newTransform,
+            `transform:${obj.id}`
+        );
+    }
+    
+    /**
+     * Captures the local transform of a Three.js object
+     * @param {THREE.Object3D} object3D - The object to capture
+     * @returns {Object} - Captured transform
+     */
+    static capture(object3D) {
+        return {
+            position: object3D.position.clone(),
+            quaternion: object3D.quaternion.clone(),
+            scale: object3D.scale.clone()
+        };
+    }
+    
+    static apply(object3D, transform) {
+        object3D.position.copy(transform.position);
+        object3D.quaternion.copy(transform.quaternion);
+        object3D.scale.copy(transform.scale);
+    }
+    
+    static equals(a, b) {
+        return a.position.equals(b.position) &&
+            a.quaternion.equals(b.quaternion) &&
+            a.scale.equals(b.scale);
+    }
+}
+
+/**
+ * Records an object that was added to the scene
+ * Undo removes it again, redo brings back the same object
+ */
+export class AddObjectCommand extends Command {
+    constructor(engine, obj, name = null) {
+        super(name || `Add ${obj.name}`);
+        this.engine = engine;
+        this.obj = obj;
+        this.capture = null;
+    }
+    
+    execute() {
+        if (this.capture) {
+            this.engine.restoreObjectTree(this.capture);
+        }
+    }
+    
+    undo() {
+        this.capture = this.engine.captureObjectTree(this.obj);
+        this.engine.removeObject(this.obj);
+    }
+}
+
+/**
+ * Removes an object and its children from the scene
+ */
+export class RemoveObjectCommand extends Command {
+    constructor(engine, obj) {
+        super(`Delete ${obj.name}`);
+        this.engine = engine;
+        this.obj = obj;
+        this.capture = null;
+    }
+    
+    execute() {
+        this.capture = this.engine.captureObjectTree(this.obj);
+        this.engine.removeObject(this.obj);
+    }
+    
+    undo() {
+        this.engine.restoreObjectTree(this.capture);
+    }
+}
+
+/**
+ * Changes the parent of an object
+ * A null parent moves the object back to the top level of the scene
+ */
+export class SetParentCommand extends Command {
+    constructor(engine, child, parent) {
+        super(parent ? `Parent ${child.name} to ${parent.name}` : `Unparent ${child.name}`);
+        this.engine = engine;
+        this.child = child;
+        this.newParentId = parent ? parent.id : null;
+        this.oldParentId = child.parent;
+    }
+    
+    execute() {
+        this.applyParent(this.newParentId);
+    }
+    
+    undo() {
+        this.applyParent(this.oldParentId);
+    }
+    
+    applyParent(parentId) {
+        const parent = parentId ? this.engine.getObjectById(parentId) : null;
+        if (parent) {
+            this.engine.setParent(this.child, parent);
+        } else {
+            this.engine.removeFromParent(this.child);
+        }
+    }
+}
+
+/**
+ * Switches the whole scene and the prefab assets between two captured states
+ * Used for operations that rebuild many objects at once, such as applying a prefab
+ */
+export class SceneStateCommand extends Command {
+    /**
+     * @param {GameEngine} engine - The engine
+     * @param {string} name - Name shown in the history list
+     * @param {Object} before - State from engine.captureSceneState() before the change
+     * @param {Object} after - State after the change
+     */
+    constructor(engine, name, before, after) {
+        super(name);
+        this.engine = engine;
+        this.before = before;
+        this.after = after;
+    }
+    
+    execute() {
+        this.engine.restoreSceneState(this.after);
+    }
+    
+    undo() {
+        this.engine.restoreSceneState(this.before);
+    }
+}
+
+/**
+ * Groups several commands into a single history step
+ */
+export class CompoundCommand extends Command {
+    constructor(name, commands = []) {
+        super(name);
+        this.commands = commands;
+    }
+    
+    execute() {
+        this.commands.forEach(command => command.execute());
+    }
+    
+    undo() {
+        for (let i = this.commands.length - 1; i >= 0; i--) {
+            this.commands[i].undo();
+        }
+    }
+}
+
+export class HistorySystem {
+    constructor(engine) {
+        this.engine = engine;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.maxSteps = 100;
+        
+        // Edits to the same target within this window become one step
+        this.mergeWindow = 1000;
+        
+        // True while a command is being undone or redone
+        this.isApplying = false;
+    }
+    
+    /**
+     * Executes a command and records it in the history
+     * @param {Command} command - The command to execute
+     * @returns {Command} - The executed command
+     */
+    execute(command) {
+        this.isApplying = true;
+        try {
+            command.execute();
+        } finally {
+            this.isApplying = false;
+        }
+        
+        this.record(command);
+        return command;
+    }
+    
+    /**
+     * Records a command whose changes have already been applied
+     * @param {Command} command - The command to record
+     */
+    record(command) {
+        // Play mode changes are discarded on stop, so they are not undoable
+        if (this.isApplying || this.engine.isPlaying) return;
+        
+        const last = this.undoStack[this.undoStack.length - 1];
+        if (last && this.redoStack.length === 0 &&
+            command.timestamp - last.timestamp < this.mergeWindow &&
+            last.canMerge(command)) {
+            last.merge(command);
+        } else {
+            this.undoStack.push(command);
+            
+            if (this.undoStack.length > this.maxSteps) {
+                this.undoStack.shift();
+            }
+        }
+        
+        this.redoStack = [];
+        this.notify('record');
+    }
+    
+    canUndo() {
+        return this.undoStack.length > 0 && !this.engine.isPlaying;
+    }
+    
+    canRedo() {
+        return this.redoStack.length > 0 && !this.engine.isPlaying;
+    }
+    
+    undo() {
+        if (!this.canUndo()) return false;
+        
+        this.stepBack();
+        this.notify('undo');
+        return true;
+    }
+    
+    redo() {
+        if (!this.canRedo()) return false;
+        
+        this.stepForward();
+        this.notify('redo');
+        return true;
+    }
+    
+    /**
+     * Undoes or redoes commands until the given number of steps is applied
+     * @param {number} index - Number of applied steps, 0 is the initial state
+     */
+    jumpTo(index) {
+        if (this.engine.isPlaying) return;
+        
+        const total = this.undoStack.length + this.redoStack.length;
+        index = Math.max(0, Math.min(index, total));
+        
+        while (this.undoStack.length > index) {
+            this.stepBack();
+        }
+        
+        while (this.undoStack.length < index) {
+            this.stepForward();
+        }
+        
+        this.notify('jump');
+    }
+    
+    /**
+     * Returns every history entry in order, marking which ones are applied
+     * @returns {Array} - Array of { name, applied } entries
+     */
+    getEntries() {
+        const applied = this.undoStack.map(command => ({ name: command.name, applied: true }));
+        const undone = [...this.redoStack].reverse().map(command => ({ name: command.name, applied: false }));
+        return applied.concat(undone);
+    }
+    
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.notify('clear');
+    }
+    
+    stepBack() {
+        const command = this.undoStack.pop();
+        this.isApplying = true;
+        try {
+            command.undo();
+        } finally {
+            this.isApplying = false;
+        }
+        this.redoStack.push(command);
+    }
+    
+    stepForward() {
+        const command = this.redoStack.pop();
+        this.isApplying = true;
+        try {
+            command.execute();
+        } finally {
+            this.isApplying = false;
+        }
+        this.undoStack.push(command);
+    }
+    
+    notify(action) {
+        this.engine.events.emit('history:changed', {
+            action: action,
+            position: this.undoStack.length,
+            entries: this.getEntries()
+        });
+    }
+}
@@ -28,11 +28,17 @@ export class InputSystem {
         this.gamepadButtonsDown = {};
         this.gamepadButtonsUp = {};
         
-        // Initialize event listeners
-        this.initKeyboardEvents();
-        this.initMouseEvents();
-        this.initTouchEvents();
-        this.initGamepadEvents();
+        // Initialize event listeners (skipped when running without a browser)
+        if (typeof window !== 'undefined') {
+            this.initKeyboardEvents();
+            this.initGamepadEvents();
+        }
+        
+        // Mouse and touch input come from the engine's viewport element
+        if (engine.container) {
+            this.initMouseEvents();
+            this.initTouchEvents();
+        }
     }
     
     initKeyboardEvents() {
@@ -60,7 +66,7 @@ export class InputSystem {
     }
     
     initMouseEvents() {
-        const viewport = document.getElementById('viewport');
+        const viewport = this.engine.container;
         
         viewport.addEventListener('mousemove', (event) => {
             const rect = viewport.getBoundingClientRect();
@@ -112,7 +118,7 @@ export class InputSystem {
     }
     
     initTouchEvents() {
-        const viewport = document.getElementById('viewport');
+        const viewport = this.engine.container;
         
         viewport.addEventListener('touchstart', (event) => {
             const touches = Array.from(event.touches).map(touch => this.createTouchData(touch, viewport));
@@ -179,13 +185,13 @@ export class InputSystem {
     updateMouseWorldPosition() {
         // Use raycaster to find mouse position in 3D space
         const raycaster = new THREE.Raycaster();
-        raycaster.setFromCamera(this.mousePosition, this.engine.camera);
+        raycaster.setFromCamera(this.mousePosition, this.engine.getRenderCamera());
         
-        // Raycast against all objects
-        const intersects = raycaster.intersectObjects(this.engine.scene.children, true);
+        // Scene query against the colliders of the objects, so helpers and gizmos aren't hit
+        const hit = this.engine.physics.raycast(raycaster.ray.origin, raycaster.ray.direction);
         
-        if (intersects.length > 0) {
-            this.mouseWorldPosition.copy(intersects[0].point);
+        if (hit) {
+            this.mouseWorldPosition.copy(hit.point);
         } else {
             // If no intersection, project to ground plane at y=0
             const groundPlane = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
@@ -195,6 +201,7 @@ export class InputSystem {
     
     update() {
         // Poll gamepads
+        if (typeof navigator === 'undefined' || !navigator.getGamepads) return;
         const gamepads = navigator.getGamepads();
         for (let i = 0; i < gamepads.length; i++) {
             const gamepad = gamepads[i];
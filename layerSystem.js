@@ -0,0 +1,455 @@
+import { EDITOR_LAYER } from './objectFactory.js';
+import { validateLayerSettings, createIssue, formatIssues } from './sceneFormat.js';
+
+// Layers 0-29 belong to the project, 30 and 31 are used by the engine (BATCHED_LAYER and EDITOR_LAYER)
+export const LAYER_COUNT = 30;
+export const ALL_LAYERS = (1 << LAYER_COUNT) - 1;
+
+/**
+ * LayerSystem keeps the project's named layers and decides which of them interact
+ *
+ * Every object is on one layer, obj.layer (0, "Default", if unset). The layer
+ * decides which cameras draw the object, which lights light it, what it
+ * collides with and which scene queries hit it:
+ * - cameras draw the layers in their culling mask, obj.cullingMask
+ * - lights light the layers in their culling mask, also obj.cullingMask
+ * - the collision matrix lists the pairs of layers whose bodies pass through each other
+ * - Physics queries take a layerMask, see getMask()
+ *
+ * Three.js only turns lights on or off per camera, so a view whose layers
+ * are lit by different lights is drawn in one pass per group of layers.
+ */
+export class LayerSystem {
+    /**
+     * Create a new LayerSystem
+     * @param {GameEngine} engine - Reference to the main game engine
+     */
+    constructor(engine) {
+        this.engine = engine;
+        
+        // Layer names by number, '' for layers without a name
+        this.names = [];
+        
+        // Bits of the layers each layer collides with
+        this.collisionMasks = [];
+        
+        // Camera the next scene render splits into light passes, see prepareView()
+        this.pendingCamera = null;
+        this.lightPasses = null;
+        
+        this.reset();
+        const issues = this.deserialize(engine.config.layers || {});
+        if (issues.length > 0) {
+            console.warn(`config.layers:\n${formatIssues(issues)}`);
+        }
+        
+        engine.scene.onBeforeRender = (renderer, scene, camera) => this.beginLightPasses(camera);
+        engine.scene.onAfterRender = (renderer, scene, camera) => this.endLightPasses(renderer, scene, camera);
+    }
+    
+    // Every layer unnamed but Default, every pair colliding
+    reset() {
+        this.names = new Array(LAYER_COUNT).fill('');
+        this.names[0] = 'Default';
+        this.collisionMasks = new Array(LAYER_COUNT).fill(ALL_LAYERS);
+    }
+    
+    /**
+     * Returns the number of a layer
+     * @param {string|number} layer - Layer name or number
+     * @returns {number} - Layer number, or -1 if there is no such layer
+     */
+    nameToLayer(layer) {
+        if (typeof layer === 'number') {
+            return Number.isInteger(layer) && layer >= 0 && layer < LAYER_COUNT ? layer : -1;
+        }
+        return layer ? this.names.indexOf(layer) : -1;
+    }
+    
+    /**
+     * Returns the name of a layer
+     * @param {number} layer - Layer number
+     * @returns {string} - The name, '' for layers without one
+     */
+    layerToName(layer) {
+        return this.names[layer] || '';
+    }
+    
+    /**
+     * Returns the layers that have a name
+     * @returns {Array} - { layer, name } in layer order
+     */
+    getNamedLayers() {
+        const layers = [];
+        this.names.forEach((name, layer) => {
+            if (name) layers.push({ layer: layer, name: name });
+        });
+        return layers;
+    }
+    
+    /**
+     * Returns the bits of some layers, e.g. for a query's layerMask
+     * @param {...(string|number)} layers - Layer names or numbers
+     * @returns {number} - The mask, unknown layers are skipped
+     */
+    getMask(...layers) {
+        let mask = 0;
+        layers.forEach(layer => {
+            const index = this.nameToLayer(layer);
+            if (index === -1) {
+                console.error(`Unknown layer: ${layer}`);
+                return;
+            }
+            mask |= 1 << index;
+        });
+        return mask;
+    }
+    
+    /**
+     * Names a layer
+     * @param {number} layer - Layer number, Default (0) can't be renamed
+     * @param {string} name - New name, '' removes the name
+     * @returns {boolean} - False if the layer or the name is invalid
+     */
+    setLayerName(layer, name) {
+        if (this.nameToLayer(layer) === -1 || layer === 0) {
+            console.error(`Layer ${layer} can't be renamed`);
+            return false;
+        }
+        
+        name = String(name || '').trim();
+        if (name && this.names.some((other, index) => other === name && index !== layer)) {
+            console.error(`There is already a layer named "${name}"`);
+            return false;
+        }
+        
+        this.names[layer] = name;
+        this.changed();
+        return true;
+    }
+    
+    /**
+     * Sets whether bodies on two layers collide
+     * @param {string|number} layerA - Layer name or number
+     * @param {string|number} layerB - Layer name or number, may be the same layer
+     * @param {boolean} enabled - Whether they collide
+     * @returns {boolean} - False if a layer doesn't exist
+     */
+    setCollision(layerA, layerB, enabled) {
+        const a = this.nameToLayer(layerA);
+        const b = this.nameToLayer(layerB);
+        if (a === -1 || b === -1) {
+            console.error(`Unknown layer: ${a === -1 ? layerA : layerB}`);
+            return false;
+        }
+        
+        if (enabled) {
+            this.collisionMasks[a] |= 1 << b;
+            this.collisionMasks[b] |= 1 << a;
+        } else {
+            this.collisionMasks[a] &= ~(1 << b);
+            this.collisionMasks[b] &= ~(1 << a);
+        }
+        this.changed();
+        return true;
+    }
+    
+    /**
+     * Returns whether bodies on two layers collide
+     * @param {number} a - Layer number
+     * @param {number} b - Layer number
+     * @returns {boolean} - True if the collision matrix lets them
+     */
+    layersCollide(a, b) {
+        return (this.collisionMasks[a] & (1 << b)) !== 0;
+    }
+    
+    /**
+     * Returns the layers a layer collides with, e.g. for the layerMask of a character's sweeps
+     * @param {number} layer - Layer number
+     * @returns {number} - Layer bits
+     */
+    getCollisionMask(layer) {
+        return this.collisionMasks[layer] || 0;
+    }
+    
+    /**
+     * Returns whether two objects collide, used by the physics world
+     * @param {Object} objA - Engine object
+     * @param {Object} objB - Engine object
+     * @returns {boolean} - True if the collision matrix lets their layers
+     */
+    canCollide(objA, objB) {
+        return this.layersCollide(objA.layer || 0, objB.layer || 0);
+    }
+    
+    /**
+     * Moves an object to a layer
+     * @param {Object} obj - Engine object
+     * @param {string|number} layer - Layer name or number
+     * @returns {boolean} - False if there is no such layer
+     */
+    setLayer(obj, layer) {
+        const index = this.nameToLayer(layer);
+        if (!obj || index === -1) {
+            console.error(`Unknown layer: ${layer}`);
+            return false;
+        }
+        
+        if (index === 0) {
+            delete obj.layer;
+        } else {
+            obj.layer = index;
+        }
+        this.applyLayer(obj);
+        this.engine.events.emit('layer:changed', { object: obj, layer: index });
+        return true;
+    }
+    
+    /**
+     * Returns the layers a camera draws or a light lights
+     * @param {Object} obj - Camera or light object
+     * @returns {number} - Layer bits, every layer unless set
+     */
+    getCullingMask(obj) {
+        return obj.cullingMask === undefined ? ALL_LAYERS : obj.cullingMask;
+    }
+    
+    /**
+     * Sets the layers a camera draws or a light lights
+     * @param {Object} obj - Camera or light object
+     * @param {number} mask - Layer bits, see getMask()
+     * @returns {boolean} - False if the object is not a camera or light
+     */
+    setCullingMask(obj, mask) {
+        if (!obj || !(obj.object3D.isCamera || obj.object3D.isLight)) {
+            console.error('Only cameras and lights have a culling mask');
+            return false;
+        }
+        
+        mask &= ALL_LAYERS;
+        if (mask === ALL_LAYERS) {
+            delete obj.cullingMask;
+        } else {
+            obj.cullingMask = mask;
+        }
+        this.applyLayer(obj);
+        this.engine.events.emit('layer:changed', { object: obj, layer: obj.layer || 0 });
+        return true;
+    }
+    
+    /**
+     * Puts an object's Three.js nodes on its layer
+     * Called when objects are created or restored; cameras take their culling
+     * mask and shadow-casting lights cast the shadows of the layers they light.
+     * Meshes of a model share the model's layer.
+     * @param {Object} obj - Engine object
+     */
+    applyLayer(obj) {
+        const object3D = obj.object3D;
+        const layer = obj.layer || 0;
+        
+        // Nodes of other objects keep their own layer, except the meshes of a model
+        const others = new Set();
+        this.engine.objects.forEach(other => {
+            if (other === obj || object3D.children.length === 0) return;
+            if (other.sourceModel === obj.id) {
+                other.layer = obj.layer;
+            } else {
+                others.add(other.object3D);
+            }
+        });
+        
+        const mask = object3D.isCamera ? this.getCullingMask(obj) : 1 << layer;
+        
+        // Batched objects get their layer back through their batch
+        if (!this.engine.batching.setObjectLayers(obj, mask)) {
+            object3D.layers.mask = mask;
+        }
+        
+        // Editor gizmos stay on EDITOR_LAYER
+        const setChildren = (node) => node.children.forEach(child => {
+            if (others.has(child) || child.layers.isEnabled(EDITOR_LAYER)) return;
+            child.layers.mask = 1 << layer;
+            setChildren(child);
+        });
+        setChildren(object3D);
+        
+        if (object3D.isLight && object3D.shadow) {
+            object3D.shadow.camera.layers.mask = this.getCullingMask(obj);
+        }
+    }
+    
+    /**
+     * Names a view's camera for the light passes of its next render, see beginLightPasses()
+     * Called by the engine before each view is rendered.
+     * @param {THREE.Camera} camera - The camera about to render
+     */
+    prepareView(camera) {
+        this.pendingCamera = camera;
+    }
+    
+    /**
+     * Groups a camera's layers by the lights that light them
+     * @param {THREE.Camera} camera - The camera
+     * @returns {Array|null} - Passes { mask, lights }, or null if every light lights every layer the camera draws
+     */
+    getLightPasses(camera) {
+        const cameraMask = camera.layers.mask;
+        const lights = this.engine.objects.filter(obj => obj.object3D.isLight &&
+            (cameraMask & (1 << (obj.layer || 0))) !== 0 && isShown(obj.object3D));
+        if (lights.every(obj => obj.cullingMask === undefined)) return null;
+        
+        // Only layers with objects on them need a pass
+        let usedMask = 0;
+        this.engine.objects.forEach(obj => { usedMask |= 1 << (obj.layer || 0); });
+        usedMask &= cameraMask & ALL_LAYERS;
+        
+        const groups = new Map();
+        for (let layer = 0; layer < LAYER_COUNT; layer++) {
+            const bit = 1 << layer;
+            if (!(usedMask & bit)) continue;
+            
+            const key = lights.map(obj => this.getCullingMask(obj) & bit ? '1' : '0').join('');
+            groups.set(key, (groups.get(key) || 0) | bit);
+        }
+        
+        const passes = Array.from(groups, ([key, mask]) => ({
+            mask: mask,
+            lights: lights.filter((obj, index) => key[index] === '1')
+        }));
+        if (passes.length === 0 || (passes.length === 1 && passes[0].lights.length === lights.length)) return null;
+        
+        // Everything else the camera sees, e.g. the grid and the gizmos, is drawn with the first pass
+        passes[0].mask = cameraMask & ~passes.slice(1).reduce((mask, pass) => mask | pass.mask, 0);
+        return passes;
+    }
+    
+    /**
+     * Restricts the camera and the lights to the first light pass, called by scene.onBeforeRender
+     * @param {THREE.Camera} camera - The camera being rendered
+     */
+    beginLightPasses(camera) {
+        if (camera !== this.pendingCamera || this.lightPasses) return;
+        this.pendingCamera = null;
+        
+        const passes = this.getLightPasses(camera);
+        if (!passes) return;
+        
+        this.lightPasses = {
+            passes: passes,
+            rendering: false,
+            cameraMask: camera.layers.mask,
+            lights: this.engine.objects
+                .filter(obj => obj.object3D.isLight)
+                .map(obj => ({ object3D: obj.object3D, mask: obj.object3D.layers.mask }))
+        };
+        this.applyLightPass(camera, passes[0]);
+    }
+    
+    /**
+     * Draws the remaining light passes over the first one, called by scene.onAfterRender
+     * @param {THREE.WebGLRenderer} renderer - The renderer
+     * @param {THREE.Scene} scene - The scene
+     * @param {THREE.Camera} camera - The camera being rendered
+     */
+    endLightPasses(renderer, scene, camera) {
+        const state = this.lightPasses;
+        if (!state || state.rendering) return;
+        
+        // Later passes keep the color and depth of the earlier ones
+        const autoClear = renderer.autoClear;
+        const background = scene.background;
+        renderer.autoClear = false;
+        scene.background = null;
+        state.rendering = true;
+        
+        state.passes.slice(1).forEach(pass => {
+            this.applyLightPass(camera, pass);
+            renderer.render(scene, camera);
+        });
+        
+        renderer.autoClear = autoClear;
+        scene.background = background;
+        camera.layers.mask = state.cameraMask;
+        state.lights.forEach(light => { light.object3D.layers.mask = light.mask; });
+        this.lightPasses = null;
+    }
+    
+    applyLightPass(camera, pass) {
+        camera.layers.mask = pass.mask;
+        this.lightPasses.lights.forEach(light => { light.object3D.layers.mask = 0; });
+        pass.lights.forEach(obj => { obj.object3D.layers.mask = pass.mask; });
+    }
+    
+    /**
+     * Returns the layer settings in the format of config.layers
+     * @returns {Object} - { names, ignoredCollisions: [[a, b]] }
+     */
+    serialize() {
+        const ignoredCollisions = [];
+        for (let a = 0; a < LAYER_COUNT; a++) {
+            for (let b = a; b < LAYER_COUNT; b++) {
+                if (!this.layersCollide(a, b)) ignoredCollisions.push([a, b]);
+            }
+        }
+        
+        // Trailing unnamed layers are left out
+        const names = [...this.names];
+        while (names.length > 1 && !names[names.length - 1]) names.pop();
+        
+        return { names: names, ignoredCollisions: ignoredCollisions };
+    }
+    
+    /**
+     * Replaces the layer settings
+     * @param {Object} data - { names, ignoredCollisions }
+     * @returns {Array} - Issues found, invalid names and pairs are skipped
+     */
+    deserialize(data) {
+        const issues = validateLayerSettings(data);
+        if (issues.some(issue => issue.severity === 'error')) {
+            return issues;
+        }
+        
+        this.reset();
+        (data.names || []).slice(1).forEach((name, index) => {
+            const layer = index + 1;
+            if (layer >= LAYER_COUNT) {
+                issues.push(createIssue('warning', 'Layers', `have a name for layer ${layer}, the last layer is ${LAYER_COUNT - 1}`));
+            } else if (name && this.names.includes(name)) {
+                issues.push(createIssue('warning', 'Layers', `have the name "${name}" twice, layer ${layer} is left unnamed`));
+            } else {
+                this.names[layer] = name;
+            }
+        });
+        
+        (data.ignoredCollisions || []).forEach(([a, b]) => {
+            if (this.nameToLayer(a) === -1 || this.nameToLayer(b) === -1) {
+                issues.push(createIssue('warning', 'Layers', `have a collision pair [${a}, ${b}] that isn't a pair of layers`));
+                return;
+            }
+            this.collisionMasks[a] &= ~(1 << b);
+            this.collisionMasks[b] &= ~(1 << a);
+        });
+        
+        this.changed();
+        return issues;
+    }
+    
+    /**
+     * Keeps config.layers in sync and tells the editor
+     */
+    changed() {
+        this.engine.config.layers = this.serialize();
+        this.engine.events.emit('layers:changed', { settings: this.engine.config.layers });
+    }
+}
+
+// Whether an object and all of its parents are visible
+function isShown(object3D) {
+    for (let node = object3D; node; node = node.parent) {
+        if (!node.visible) return false;
+    }
+    return true;
+}
@@ -0,0 +1,540 @@
+import * as THREE from 'three';
+
+// Default levels per mode; distance thresholds are world units, screen size ones a fraction of the view height
+export const LOD_DEFAULTS = {
+    distance: [
+        { threshold: 20, ratio: 0.5 },
+        { threshold: 50, ratio: 0.15 }
+    ],
+    screenSize: [
+        { threshold: 0.25, ratio: 0.5 },
+        { threshold: 0.08, ratio: 0.15 }
+    ]
+};
+
+// Drawn for levels with a ratio of 0, which hide the object
+const EMPTY_GEOMETRY = new THREE.BufferGeometry();
+
+/**
+ * LODSystem switches the meshes of objects to simpler versions as they get
+ * farther away or smaller on screen.
+ *
+ * The settings of an object live in obj.lod and are saved with it:
+ * {
+ *     enabled: true,
+ *     mode: 'distance',          // 'distance' or 'screenSize'
+ *     hysteresis: 0.1,           // Thresholds have to be passed by this fraction to switch back and forth
+ *     crossFade: 0.25,           // Seconds the previous level fades out, 0 switches at once
+ *     levels: [                  // Level 0 is the full mesh, these follow it
+ *         { threshold: 20, ratio: 0.5 },  // Beyond 20 units, half the triangles
+ *         { threshold: 80, ratio: 0 }     // Beyond 80 units, hidden
+ *     ]
+ * }
+ *
+ * The simpler meshes are generated by the simplifyMesh task of worker.js,
+ * for a mesh object itself or for every mesh inside a model.
+ */
+export class LODSystem {
+    /**
+     * Create a new LODSystem
+     * @param {GameEngine} engine - Reference to the main game engine
+     */
+    constructor(engine) {
+        this.engine = engine;
+        this.states = new Map();
+        
+        // Simplified geometries by source geometry and ratio, shared by objects using the same mesh.
+        // Entries are { promise, geometry }, the geometry is set once generated.
+        this.geometryCache = new Map();
+        
+        this.worker = null;
+        this.workerTasks = new Map();
+        this.nextTaskId = 1;
+        
+        this.cameraPosition = new THREE.Vector3();
+        this.sphere = new THREE.Sphere();
+        
+        // Models get their meshes after loading, removed objects drop their state
+        this.engine.events.on('model:loaded', (data) => {
+            if (data.object.lod) this.rebuild(data.object);
+        });
+        this.engine.events.on('objects:changed', () => {
+            this.states.forEach((state, obj) => {
+                if (!this.engine.objects.includes(obj)) this.removeState(obj);
+            });
+        });
+    }
+    
+    /**
+     * Sets the LOD settings of an object and generates its levels
+     * @param {Object} obj - Engine object
+     * @param {Object|null} settings - See the class description, null removes LOD from the object
+     * @returns {boolean} - False if the settings are invalid
+     */
+    setLOD(obj, settings) {
+        if (!settings) {
+            this.removeState(obj);
+            delete obj.lod;
+            this.engine.events.emit('lod:changed', { object: obj });
+            return true;
+        }
+        
+        const normalized = this.normalizeSettings(settings);
+        if (!normalized) return false;
+        
+        obj.lod = normalized;
+        this.rebuild(obj);
+        this.engine.events.emit('lod:changed', { object: obj });
+        return true;
+    }
+    
+    /**
+     * Returns LOD settings for an object that has none yet
+     * @param {string} mode - 'distance' or 'screenSize'
+     * @returns {Object}
+     */
+    createSettings(mode = 'distance') {
+        return {
+            enabled: true,
+            mode: mode,
+            hysteresis: 0.1,
+            crossFade: 0.25,
+            levels: LOD_DEFAULTS[mode].map(level => ({ ...level }))
+        };
+    }
+    
+    /**
+     * Checks settings and sorts the levels from detailed to coarse
+     * @param {Object} settings - LOD settings
+     * @returns {Object|null} - A copy of the settings, or null if they are invalid
+     */
+    normalizeSettings(settings) {
+        const mode = settings.mode || 'distance';
+        if (!LOD_DEFAULTS[mode]) {
+            console.error(`Unknown LOD mode: ${mode}`);
+            return null;
+        }
+        
+        const levels = settings.levels || [];
+        const invalid = levels.find(level => !(level.threshold >= 0) || !(level.ratio >= 0 && level.ratio <= 1));
+        if (invalid) {
+            console.error('LOD levels need a threshold of 0 or more and a ratio between 0 and 1', invalid);
+            return null;
+        }
+        
+        // Farther distances and smaller screen sizes are coarser
+        const sorted = levels.map(level => ({ threshold: level.threshold, ratio: level.ratio }))
+            .sort((a, b) => mode === 'distance' ? a.threshold - b.threshold : b.threshold - a.threshold);
+        
+        return {
+            enabled: settings.enabled !== false,
+            mode: mode,
+            hysteresis: Math.max(0, settings.hysteresis || 0),
+            crossFade: Math.max(0, settings.crossFade || 0),
+            levels: sorted
+        };
+    }
+    
+    /**
+     * Applies changes made to obj.lod in place, e.g. by the inspector
+     * @param {Object} obj - Engine object
+     */
+    settingsChanged(obj) {
+        if (obj.lod) this.setLOD(obj, obj.lod);
+    }
+    
+    /**
+     * Returns the level an object is showing
+     * @param {Object} obj - Engine object
+     * @returns {number} - 0 for full detail, -1 if the object has no LOD
+     */
+    getLevel(obj) {
+        const state = this.states.get(obj);
+        return state ? state.level : -1;
+    }
+    
+    /**
+     * Returns the number of triangles an object draws at its current level
+     * @param {Object} obj - Engine object
+     * @returns {number}
+     */
+    getTriangleCount(obj) {
+        const state = this.states.get(obj);
+        if (!state) return 0;
+        
+        return state.targets.reduce((total, target) => total + countTriangles(target.mesh.geometry), 0);
+    }
+    
+    /**
+     * Collects the meshes of an object and starts generating their levels
+     * @param {Object} obj - Engine object with obj.lod set
+     */
+    rebuild(obj) {
+        this.removeState(obj, false);
+        
+        const state = {
+            level: 0,
+            targets: this.findMeshes(obj).map(mesh => ({
+                mesh: mesh,
+                original: mesh.geometry,
+                levels: [],
+                shown: mesh.geometry
+            })),
+            localSphere: null,
+            fade: null
+        };
+        state.localSphere = this.computeLocalSphere(obj, state.targets);
+        this.states.set(obj, state);
+        
+        state.targets.forEach(target => {
+            obj.lod.levels.forEach((level, i) => {
+                this.getLevelGeometry(target.original, level.ratio).then(geometry => {
+                    // The state may have been rebuilt in the meantime
+                    if (this.states.get(obj) === state) target.levels[i + 1] = geometry;
+                }).catch(error => {
+                    console.error(`Failed to simplify a mesh of ${obj.name}:`, error);
+                });
+            });
+        });
+        
+        // Levels of the previous meshes or settings may not be needed any more
+        this.releaseGeometries();
+    }
+    
+    /**
+     * Returns the meshes an object switches, the object itself or the meshes inside a model
+     * @param {Object} obj - Engine object
+     * @returns {Array}
+     */
+    findMeshes(obj) {
+        const meshes = [];
+        const visit = (node) => {
+            // Objects parented to this one have LOD settings of their own
+            if (node !== obj.object3D) {
+                const nodeObj = this.engine.getObjectByThreeJsObject(node);
+                if (nodeObj && nodeObj.sourceModel !== obj.id) return;
+            }
+            
+            if (node.isMesh && !node.isSkinnedMesh && !node.isInstancedMesh && !node.userData.isLODFade &&
+                !Array.isArray(node.material) && node.geometry && node.geometry.attributes.position) {
+                meshes.push(node);
+            }
+            node.children.forEach(visit);
+        };
+        visit(obj.object3D);
+        return meshes;
+    }
+    
+    /**
+     * Bounding sphere of the meshes in the object's local space
+     */
+    computeLocalSphere(obj, targets) {
+        const box = new THREE.Box3();
+        const inverse = new THREE.Matrix4();
+        const relative = new THREE.Matrix4();
+        
+        obj.object3D.updateWorldMatrix(true, true);
+        inverse.copy(obj.object3D.matrixWorld).invert();
+        
+        targets.forEach(target => {
+            if (!target.original.boundingBox) target.original.computeBoundingBox();
+            relative.multiplyMatrices(inverse, target.mesh.matrixWorld);
+            box.union(target.original.boundingBox.clone().applyMatrix4(relative));
+        });
+        
+        return box.isEmpty() ? new THREE.Sphere() : box.getBoundingSphere(new THREE.Sphere());
+    }
+    
+    /**
+     * Returns the geometry of a level, generating it on the worker the first time
+     * @param {THREE.BufferGeometry} geometry - Full detail geometry
+     * @param {number} ratio - Fraction of the triangles to keep, 0 hides the mesh
+     * @returns {Promise<THREE.BufferGeometry>}
+     */
+    getLevelGeometry(geometry, ratio) {
+        if (ratio >= 1) return Promise.resolve(geometry);
+        if (ratio <= 0) return Promise.resolve(EMPTY_GEOMETRY);
+        
+        const key = `${geometry.uuid}:${ratio}`;
+        let entry = this.geometryCache.get(key);
+        if (!entry) {
+            entry = { promise: null, geometry: null };
+            entry.promise = this.simplifyGeometry(geometry, ratio).then(simplified => {
+                // Released while it was generated, the objects that asked for it are gone
+                if (this.geometryCache.get(key) !== entry) {
+                    simplified.dispose();
+                } else {
+                    entry.geometry = simplified;
+                }
+                return simplified;
+            }, error => {
+                // A failed level is generated again the next time it is needed
+                if (this.geometryCache.get(key) === entry) this.geometryCache.delete(key);
+                throw error;
+            });
+            this.geometryCache.set(key, entry);
+        }
+        return entry.promise;
+    }
+    
+    /**
+     * Drops the generated levels no object uses any more and frees their memory
+     */
+    releaseGeometries() {
+        const used = new Set();
+        this.states.forEach((state, obj) => {
+            state.targets.forEach(target => {
+                obj.lod.levels.forEach(level => used.add(`${target.original.uuid}:${level.ratio}`));
+            });
+        });
+        
+        this.geometryCache.forEach((entry, key) => {
+            if (used.has(key)) return;
+            
+            this.geometryCache.delete(key);
+            if (entry.geometry) entry.geometry.dispose();
+        });
+    }
+    
+    /**
+     * Simplifies a geometry on the worker
+     * @param {THREE.BufferGeometry} geometry - Geometry to simplify
+     * @param {number} ratio - Fraction of the triangles to keep
+     * @returns {Promise<THREE.BufferGeometry>}
+     */
+    simplifyGeometry(geometry, ratio) {
+        const attributes = geometry.attributes;
+        const getters = ['getX', 'getY', 'getZ'];
+        
+        // Copies, so interleaved and normalized attributes arrive as plain floats
+        const toArray = (attribute, itemSize) => {
+            if (!attribute || attribute.itemSize !== itemSize) return null;
+            
+            const array = new Float32Array(attribute.count * itemSize);
+            for (let i = 0; i < attribute.count; i++) {
+                for (let j = 0; j < itemSize; j++) {
+                    array[i * itemSize + j] = attribute[getters[j]](i);
+                }
+            }
+            return array;
+        };
+        
+        const data = {
+            positions: toArray(attributes.position, 3),
+            normals: toArray(attributes.normal, 3),
+            uvs: toArray(attributes.uv, 2),
+            index: geometry.index ? Uint32Array.from(geometry.index.array) : null,
+            ratio: ratio
+        };
+        
+        return this.runWorkerTask('simplifyMesh', data).then(result => {
+            const simplified = new THREE.BufferGeometry();
+            simplified.setAttribute('position', new THREE.BufferAttribute(result.positions, 3));
+            if (result.normals) {
+                simplified.setAttribute('normal', new THREE.BufferAttribute(result.normals, 3));
+            }
+            if (result.uvs) {
+                simplified.setAttribute('uv', new THREE.BufferAttribute(result.uvs, 2));
+            }
+            simplified.setIndex(new THREE.BufferAttribute(result.index, 1));
+            if (!result.normals) simplified.computeVertexNormals();
+            simplified.computeBoundingSphere();
+            return simplified;
+        });
+    }
+    
+    /**
+     * Runs a task of worker.js
+     * @param {string} task - Task name
+     * @param {Object} data - Task input
+     * @returns {Promise} - Resolves with the task result
+     */
+    runWorkerTask(task, data) {
+        if (typeof Worker === 'undefined') {
+            return Promise.reject(new Error('Web workers are not available'));
+        }
+        
+        if (!this.worker) {
+            this.worker = new Worker(new URL('./worker.js', import.meta.url));
+            this.worker.onmessage = (event) => {
+                const { taskId, result, error } = event.data;
+                const pending = this.workerTasks.get(taskId);
+                if (!pending) return;
+                
+                this.workerTasks.delete(taskId);
+                if (error) {
+                    pending.reject(new Error(error));
+                } else {
+                    pending.resolve(result);
+                }
+            };
+        }
+        
+        const taskId = this.nextTaskId++;
+        return new Promise((resolve, reject) => {
+            this.workerTasks.set(taskId, { resolve: resolve, reject: reject });
+            this.worker.postMessage({ taskId: taskId, task: task, data: data });
+        });
+    }
+    
+    /**
+     * Picks the level of every object for the camera and shows it
+     * Called every frame before rendering.
+     * @param {THREE.Camera} camera - Camera the scene is rendered with
+     */
+    update(camera = this.engine.getRenderCamera()) {
+        if (this.states.size === 0) return;
+        
+        camera.updateMatrixWorld();
+        camera.getWorldPosition(this.cameraPosition);
+        const deltaTime = this.engine.unscaledDeltaTime;
+        
+        // A mesh whose geometry was replaced, e.g. by changing its parameters, starts over
+        const replaced = [];
+        this.states.forEach((state, obj) => {
+            const changed = state.targets.some(target =>
+                target.mesh.geometry !== target.shown && target.mesh.geometry !== target.original &&
+                !target.levels.includes(target.mesh.geometry)
+            );
+            if (changed) replaced.push(obj);
+        });
+        replaced.forEach(obj => this.rebuild(obj));
+        
+        this.states.forEach((state, obj) => {
+            const level = obj.lod.enabled ? this.chooseLevel(obj.lod, this.getMetric(obj, state, camera), state.level) : 0;
+            if (level !== state.level) {
+                this.startFade(obj, state);
+                state.level = level;
+                this.engine.events.emit('lod:switched', { object: obj, level: level });
+            }
+            
+            // Levels that are still being generated show the full mesh
+            state.targets.forEach(target => {
+                const geometry = (state.level > 0 && target.levels[state.level]) || target.original;
+                if (target.mesh.geometry !== geometry) target.mesh.geometry = geometry;
+                target.shown = geometry;
+            });
+            
+            if (state.fade) this.updateFade(state, deltaTime);
+        });
+    }
+    
+    /**
+     * Measures an object for its LOD settings
+     * @returns {number} - Camera distance in world units, or the fraction of the view height the object covers
+     */
+    getMetric(obj, state, camera) {
+        const sphere = this.sphere.copy(state.localSphere).applyMatrix4(obj.object3D.matrixWorld);
+        const distance = Math.max(sphere.center.distanceTo(this.cameraPosition), 1e-6);
+        if (obj.lod.mode === 'distance') return distance;
+        
+        if (camera.isOrthographicCamera) {
+            return sphere.radius * 2 * camera.zoom / (camera.top - camera.bottom);
+        }
+        return sphere.radius / (distance * Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2));
+    }
+    
+    /**
+     * Picks a level, a threshold has to be passed by the hysteresis margin before the level changes
+     * @param {Object} settings - LOD settings
+     * @param {number} metric - Value from getMetric()
+     * @param {number} current - Level shown now
+     * @returns {number}
+     */
+    chooseLevel(settings, metric, current) {
+        const distance = settings.mode === 'distance';
+        let level = 0;
+        
+        settings.levels.forEach((entry, i) => {
+            // Leaving a level the object is at, or beyond, needs the margin in the other direction
+            const margin = entry.threshold * settings.hysteresis * (i < current ? -1 : 1);
+            const coarser = distance ? metric > entry.threshold + margin : metric < entry.threshold - margin;
+            if (coarser) level = i + 1;
+        });
+        return level;
+    }
+    
+    /**
+     * Keeps the meshes of the previous level on screen and fades them out
+     */
+    startFade(obj, state) {
+        this.endFade(state);
+        if (!(obj.lod.crossFade > 0)) return;
+        
+        const meshes = state.targets.filter(target => target.shown !== EMPTY_GEOMETRY).map(target => {
+            const material = target.mesh.material.clone();
+            material.transparent = true;
+            material.depthWrite = false;
+            
+            const fadeMesh = new THREE.Mesh(target.shown, material);
+            fadeMesh.userData.isLODFade = true;
+            fadeMesh.layers.mask = target.mesh.layers.mask;
+            fadeMesh.raycast = () => {};
+            target.mesh.add(fadeMesh);
+            return { mesh: fadeMesh, opacity: material.opacity };
+        });
+        
+        state.fade = { meshes: meshes, time: 0, duration: obj.lod.crossFade };
+    }
+    
+    updateFade(state, deltaTime) {
+        const fade = state.fade;
+        fade.time += deltaTime;
+        
+        const remaining = 1 - fade.time / fade.duration;
+        if (remaining <= 0) {
+            this.endFade(state);
+            return;
+        }
+        fade.meshes.forEach(entry => { entry.mesh.material.opacity = entry.opacity * remaining; });
+    }
+    
+    endFade(state) {
+        if (!state.fade) return;
+        
+        state.fade.meshes.forEach(entry => {
+            entry.mesh.removeFromParent();
+            entry.mesh.material.dispose();
+        });
+        state.fade = null;
+    }
+    
+    /**
+     * Puts the full meshes back and forgets the state of an object
+     * @param {Object} obj - Engine object
+     * @param {boolean} release - Free the levels no other object uses
+     */
+    removeState(obj, release = true) {
+        const state = this.states.get(obj);
+        if (!state) return;
+        
+        this.endFade(state);
+        state.targets.forEach(target => {
+            if (target.mesh.geometry === target.shown || target.levels.includes(target.mesh.geometry)) {
+                target.mesh.geometry = target.original;
+            }
+        });
+        this.states.delete(obj);
+        
+        if (release) this.releaseGeometries();
+    }
+    
+    dispose() {
+        Array.from(this.states.keys()).forEach(obj => this.removeState(obj));
+        this.geometryCache.forEach(entry => {
+            if (entry.geometry) entry.geometry.dispose();
+        });
+        this.geometryCache.clear();
+        
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        this.workerTasks.clear();
+    }
+}
+
+function countTriangles(geometry) {
+    if (geometry.index) return geometry.index.count / 3;
+    return geometry.attributes.position ? geometry.attributes.position.count / 3 : 0;
+}
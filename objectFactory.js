@@ -0,0 +1,599 @@
+import * as THREE from 'three';
+import { RectAreaLightUniformsLib } from 'three/addons/lights/RectAreaLightUniformsLib.js';
+import { config } from './config.js';
+
+// Layer used for editor-only visuals such as camera gizmos
+export const EDITOR_LAYER = 31;
+
+// Layer of meshes drawn through an instanced batch, only raycasters look at it
+export const BATCHED_LAYER = 30;
+
+/**
+ * ObjectFactory keeps a registry of object types that can be created in the
+ * editor, from scripts and from scene files.
+ *
+ * A type definition looks like:
+ * {
+ *     name: 'Cube',                          // Display name and default object name
+ *     category: 'mesh',                      // mesh, light, camera, empty, ...
+ *     params: { width: { value: 1, min: 0.01, step: 0.1 } },
+ *     position: { x: 0, y: 0.5, z: 0 },      // Optional spawn position
+ *     createGeometry(params) {},             // Mesh types: builds the geometry
+ *     create(params, engine) {},             // Other types: builds the Object3D
+ *     update(object3D, params, engine) {},   // Optional: applies changed params
+ *     needsRebuild(object3D, params) {},     // Optional: params require a new Object3D
+ *     setup(obj, engine) {}                  // Optional: runs once the engine object exists
+ *                                            // and again after its params change
+ * }
+ */
+export class ObjectFactory {
+    /**
+     * Create a new ObjectFactory with the built-in types registered
+     * @param {GameEngine} engine - Reference to the main game engine
+     */
+    constructor(engine) {
+        this.engine = engine;
+        this.types = new Map();
+        
+        this.registerBuiltInTypes();
+        this.registerLightTypes();
+    }
+    
+    /**
+     * Registers an object type
+     * @param {string} type - Type identifier stored in scene files
+     * @param {Object} definition - Type definition
+     */
+    register(type, definition) {
+        if (!definition.create && !definition.createGeometry) {
+            console.error(`Object type "${type}" needs a create or createGeometry function`);
+            return false;
+        }
+        
+        this.types.set(type, {
+            name: type.charAt(0).toUpperCase() + type.slice(1),
+            category: definition.createGeometry ? 'mesh' : 'object',
+            params: {},
+            ...definition
+        });
+        return true;
+    }
+    
+    /**
+     * Removes an object type from the registry
+     * @param {string} type - Type identifier
+     */
+    unregister(type) {
+        this.types.delete(type);
+    }
+    
+    has(type) {
+        return this.types.has(type);
+    }
+    
+    get(type) {
+        return this.types.get(type) || null;
+    }
+    
+    /**
+     * Returns all registered type identifiers
+     * @returns {Array} - Array of type identifiers
+     */
+    getTypes() {
+        return Array.from(this.types.keys());
+    }
+    
+    /**
+     * Returns the default parameters of a type merged with overrides
+     * @param {string} type - Type identifier
+     * @param {Object} params - Parameters overriding the defaults
+     * @returns {Object} - Complete parameter set
+     */
+    resolveParams(type, params = {}) {
+        const definition = this.get(type);
+        const resolved = {};
+        
+        for (const [key, schema] of Object.entries(definition.params)) {
+            resolved[key] = schema.value;
+        }
+        
+        return Object.assign(resolved, params);
+    }
+    
+    /**
+     * Creates the Three.js object for a type
+     * @param {string} type - Type identifier
+     * @param {Object} params - Complete parameter set
+     * @returns {THREE.Object3D} - The created object
+     */
+    createObject3D(type, params) {
+        const definition = this.get(type);
+        
+        if (definition.create) {
+            return definition.create(params, this.engine);
+        }
+        
+        const material = new THREE.MeshStandardMaterial({
+            color: config.editor.defaultObjectColor,
+            side: definition.doubleSided ? THREE.DoubleSide : THREE.FrontSide
+        });
+        const mesh = new THREE.Mesh(definition.createGeometry(params), material);
+        mesh.castShadow = true;
+        mesh.receiveShadow = true;
+        return mesh;
+    }
+    
+    /**
+     * Applies changed parameters to an existing Three.js object
+     * @param {string} type - Type identifier
+     * @param {THREE.Object3D} object3D - The object to update
+     * @param {Object} params - Complete parameter set
+     */
+    updateObject3D(type, object3D, params) {
+        const definition = this.get(type);
+        
+        if (definition.update) {
+            definition.update(object3D, params, this.engine);
+        } else if (definition.createGeometry) {
+            const oldGeometry = object3D.geometry;
+            object3D.geometry = definition.createGeometry(params);
+            oldGeometry.dispose();
+        }
+    }
+    
+    registerBuiltInTypes() {
+        const size = { min: 0.01, max: 100, step: 0.1 };
+        const segments = (value, min = 1) => ({ value: value, min: min, max: 128, step: 1 });
+        const aboveGrid = { x: 0, y: 0.5, z: 0 };
+        
+        this.register('cube', {
+            name: 'Cube',
+            position: aboveGrid,
+            params: {
+                width: { value: 1, ...size },
+                height: { value: 1, ...size },
+                depth: { value: 1, ...size },
+                widthSegments: segments(1),
+                heightSegments: segments(1),
+                depthSegments: segments(1)
+            },
+            createGeometry: (p) => new THREE.BoxGeometry(
+                p.width, p.height, p.depth, p.widthSegments, p.heightSegments, p.depthSegments
+            )
+        });
+        
+        this.register('sphere', {
+            name: 'Sphere',
+            position: aboveGrid,
+            params: {
+                radius: { value: 0.5, ...size },
+                widthSegments: segments(32, 3),
+                heightSegments: segments(32, 2)
+            },
+            createGeometry: (p) => new THREE.SphereGeometry(p.radius, p.widthSegments, p.heightSegments)
+        });
+        
+        this.register('plane', {
+            name: 'Plane',
+            doubleSided: true,
+            params: {
+                width: { value: 1, ...size },
+                height: { value: 1, ...size },
+                widthSegments: segments(1),
+                heightSegments: segments(1)
+            },
+            // Lie flat on the grid by default
+            createGeometry: (p) => new THREE.PlaneGeometry(
+                p.width, p.height, p.widthSegments, p.heightSegments
+            ).rotateX(-Math.PI / 2)
+        });
+        
+        this.register('cylinder', {
+            name: 'Cylinder',
+            position: aboveGrid,
+            params: {
+                radiusTop: { value: 0.5, min: 0, max: 100, step: 0.1 },
+                radiusBottom: { value: 0.5, min: 0, max: 100, step: 0.1 },
+                height: { value: 1, ...size },
+                radialSegments: segments(32, 3),
+                heightSegments: segments(1),
+                openEnded: { value: false }
+            },
+            createGeometry: (p) => new THREE.CylinderGeometry(
+                p.radiusTop, p.radiusBottom, p.height, p.radialSegments, p.heightSegments, p.openEnded
+            )
+        });
+        
+        this.register('cone', {
+            name: 'Cone',
+            position: aboveGrid,
+            params: {
+                radius: { value: 0.5, ...size },
+                height: { value: 1, ...size },
+                radialSegments: segments(32, 3),
+                heightSegments: segments(1),
+                openEnded: { value: false }
+            },
+            createGeometry: (p) => new THREE.ConeGeometry(
+                p.radius, p.height, p.radialSegments, p.heightSegments, p.openEnded
+            )
+        });
+        
+        this.register('capsule', {
+            name: 'Capsule',
+            position: { x: 0, y: 1, z: 0 },
+            params: {
+                radius: { value: 0.5, ...size },
+                length: { value: 1, min: 0, max: 100, step: 0.1 },
+                capSegments: segments(8),
+                radialSegments: segments(16, 3)
+            },
+            createGeometry: (p) => new THREE.CapsuleGeometry(
+                p.radius, p.length, p.capSegments, p.radialSegments
+            )
+        });
+        
+        this.register('torus', {
+            name: 'Torus',
+            position: aboveGrid,
+            params: {
+                radius: { value: 0.5, ...size },
+                tube: { value: 0.2, ...size },
+                radialSegments: segments(16, 2),
+                tubularSegments: segments(48, 3),
+                arc: { value: 360, min: 1, max: 360, step: 1 }
+            },
+            createGeometry: (p) => new THREE.TorusGeometry(
+                p.radius, p.tube, p.radialSegments, p.tubularSegments, THREE.MathUtils.degToRad(p.arc)
+            )
+        });
+        
+        this.register('ring', {
+            name: 'Ring',
+            doubleSided: true,
+            params: {
+                innerRadius: { value: 0.25, min: 0, max: 100, step: 0.05 },
+                outerRadius: { value: 0.5, ...size },
+                thetaSegments: segments(32, 3),
+                phiSegments: segments(1)
+            },
+            createGeometry: (p) => new THREE.RingGeometry(
+                p.innerRadius, p.outerRadius, p.thetaSegments, p.phiSegments
+            ).rotateX(-Math.PI / 2)
+        });
+        
+        this.register('empty', {
+            name: 'Empty',
+            category: 'empty',
+            create: () => new THREE.Group()
+        });
+        
+        // Imported model, rebuilt from its source asset whenever it is created or loaded
+        this.register('model', {
+            name: 'Model',
+            category: 'model',
+            params: {
+                url: { value: '', label: 'URL' },
+                format: { value: 'auto', options: { Auto: 'auto', glTF: 'gltf', GLB: 'glb', OBJ: 'obj', FBX: 'fbx' } }
+            },
+            create: () => new THREE.Group(),
+            setup: (obj, engine) => engine.loadModel(obj)
+        });
+        
+        this.register('camera', {
+            name: 'Camera',
+            category: 'camera',
+            position: { x: 0, y: 2, z: 5 },
+            params: {
+                projection: { value: 'perspective', options: { Perspective: 'perspective', Orthographic: 'orthographic' } },
+                fov: { value: config.camera.fov, label: 'FOV', min: 1, max: 179, step: 1, projection: 'perspective' },
+                orthoSize: { value: 5, label: 'Ortho Size', min: 0.1, max: 100, step: 0.1, projection: 'orthographic' },
+                near: { value: config.camera.near, min: 0.01, max: 100, step: 0.01 },
+                far: { value: config.camera.far, min: 1, max: 10000, step: 1 },
+                isMain: { value: false, hidden: true }
+            },
+            create: (p, engine) => createCamera(p, engine),
+            update: (camera, p, engine) => applyCameraParams(camera, p, engine),
+            needsRebuild: (camera, p) => (p.projection === 'orthographic') !== Boolean(camera.isOrthographicCamera)
+        });
+    }
+    
+    registerLightTypes() {
+        const color = (value = '#ffffff') => ({ value: value });
+        const intensity = { value: 1, min: 0, max: 10, step: 0.1 };
+        
+        this.register('light', {
+            name: 'Point Light',
+            category: 'light',
+            position: { x: 0, y: 3, z: 0 },
+            params: {
+                color: color(),
+                intensity: intensity,
+                distance: { value: 100, min: 0, max: 100, step: 1 },
+                decay: { value: 2, min: 0, max: 2, step: 0.1 },
+                ...shadowParams()
+            },
+            create: (p) => {
+                const light = new THREE.PointLight();
+                
+                // Add helper sphere to visualize the light
+                const geometry = new THREE.SphereGeometry(0.2, 16, 16);
+                const material = new THREE.MeshBasicMaterial({ color: 0xffff00 });
+                light.add(new THREE.Mesh(geometry, material));
+                
+                applyLightParams(light, p);
+                return light;
+            },
+            update: (light, p) => applyLightParams(light, p)
+        });
+        
+        this.register('directional-light', {
+            name: 'Directional Light',
+            category: 'light',
+            position: { x: 5, y: 5, z: 5 },
+            lookAt: { x: 0, y: 0, z: 0 },
+            params: {
+                color: color(),
+                intensity: intensity,
+                ...shadowParams({
+                    shadowCameraLeft: { value: -5, min: -500, max: 0, step: 1, label: 'Camera Left' },
+                    shadowCameraRight: { value: 5, min: 0, max: 500, step: 1, label: 'Camera Right' },
+                    shadowCameraTop: { value: 5, min: 0, max: 500, step: 1, label: 'Camera Top' },
+                    shadowCameraBottom: { value: -5, min: -500, max: 0, step: 1, label: 'Camera Bottom' }
+                })
+            },
+            create: (p) => {
+                const light = new THREE.DirectionalLight();
+                attachLightTarget(light);
+                light.add(createLightGizmo(true));
+                applyLightParams(light, p);
+                return light;
+            },
+            update: (light, p) => applyLightParams(light, p)
+        });
+        
+        this.register('spot-light', {
+            name: 'Spot Light',
+            category: 'light',
+            position: { x: 2, y: 4, z: 2 },
+            lookAt: { x: 0, y: 0, z: 0 },
+            params: {
+                color: color(),
+                intensity: intensity,
+                distance: { value: 100, min: 0, max: 100, step: 1 },
+                angle: { value: 30, min: 1, max: 90, step: 1, label: 'angle (deg)' },
+                penumbra: { value: 0, min: 0, max: 1, step: 0.01 },
+                decay: { value: 2, min: 0, max: 2, step: 0.1 },
+                ...shadowParams()
+            },
+            create: (p) => {
+                const light = new THREE.SpotLight();
+                attachLightTarget(light);
+                light.add(createLightGizmo(true));
+                applyLightParams(light, p);
+                return light;
+            },
+            update: (light, p) => applyLightParams(light, p)
+        });
+        
+        this.register('hemisphere-light', {
+            name: 'Hemisphere Light',
+            category: 'light',
+            position: { x: 0, y: 5, z: 0 },
+            params: {
+                skyColor: color(),
+                groundColor: color('#444444'),
+                intensity: intensity
+            },
+            create: (p) => {
+                const light = new THREE.HemisphereLight();
+                light.add(createLightGizmo(false));
+                applyLightParams(light, p);
+                return light;
+            },
+            update: (light, p) => applyLightParams(light, p)
+        });
+        
+        this.register('rect-area-light', {
+            name: 'Rect Area Light',
+            category: 'light',
+            position: { x: 0, y: 3, z: 3 },
+            lookAt: { x: 0, y: 0, z: 0 },
+            params: {
+                color: color(),
+                intensity: { value: 5, min: 0, max: 50, step: 0.1 },
+                width: { value: 2, min: 0.01, max: 100, step: 0.1 },
+                height: { value: 2, min: 0.01, max: 100, step: 0.1 }
+            },
+            create: (p) => {
+                // Standard materials need the area light lookup textures
+                if (!rectAreaLightsInitialized) {
+                    RectAreaLightUniformsLib.init();
+                    rectAreaLightsInitialized = true;
+                }
+                
+                const light = new THREE.RectAreaLight();
+                
+                // Outline of the emitting area
+                const outline = new THREE.LineLoop(
+                    new THREE.BufferGeometry().setFromPoints([
+                        new THREE.Vector3(-0.5, -0.5, 0),
+                        new THREE.Vector3(0.5, -0.5, 0),
+                        new THREE.Vector3(0.5, 0.5, 0),
+                        new THREE.Vector3(-0.5, 0.5, 0)
+                    ]),
+                    new THREE.LineBasicMaterial({ color: 0xffff00 })
+                );
+                outline.name = 'areaOutline';
+                outline.layers.set(EDITOR_LAYER);
+                light.add(outline, createLightGizmo(true));
+                
+                applyLightParams(light, p);
+                return light;
+            },
+            update: (light, p) => applyLightParams(light, p)
+        });
+    }
+}
+
+/**
+ * Creates a Three.js camera with an editor-only gizmo
+ * @param {Object} params - Camera parameters
+ * @param {GameEngine} engine - Engine used for the viewport aspect ratio
+ * @returns {THREE.Camera} - The created camera
+ */
+function createCamera(params, engine) {
+    const camera = params.projection === 'orthographic' ?
+        new THREE.OrthographicCamera() :
+        new THREE.PerspectiveCamera();
+    
+    // Editor-only gizmo showing where the camera is and which way it looks
+    const gizmoMaterial = new THREE.MeshBasicMaterial({ color: 0x888888, wireframe: true });
+    const body = new THREE.Mesh(new THREE.BoxGeometry(0.3, 0.2, 0.3), gizmoMaterial);
+    const lens = new THREE.Mesh(new THREE.ConeGeometry(0.12, 0.2, 12), gizmoMaterial);
+    lens.rotation.x = Math.PI / 2;
+    lens.position.z = -0.25;
+    body.add(lens);
+    body.layers.set(EDITOR_LAYER);
+    lens.layers.set(EDITOR_LAYER);
+    camera.add(body);
+    
+    applyCameraParams(camera, params, engine);
+    return camera;
+}
+
+function applyCameraParams(camera, params, engine) {
+    const { width, height } = engine.getViewportSize();
+    const aspect = width / height;
+    
+    camera.near = params.near;
+    camera.far = params.far;
+    
+    if (camera.isOrthographicCamera) {
+        camera.left = -params.orthoSize * aspect;
+        camera.right = params.orthoSize * aspect;
+        camera.top = params.orthoSize;
+        camera.bottom = -params.orthoSize;
+    } else {
+        camera.fov = params.fov;
+        camera.aspect = aspect;
+    }
+    
+    camera.updateProjectionMatrix();
+}
+
+// RectAreaLightUniformsLib only needs to be initialized once
+let rectAreaLightsInitialized = false;
+
+/**
+ * Shadow parameters shared by the light types that can cast shadows
+ * @param {Object} cameraBounds - Extra shadow camera parameters
+ * @returns {Object} - Parameter schema
+ */
+function shadowParams(cameraBounds = {}) {
+    const shadows = {
+        castShadow: { value: true, label: 'Cast Shadow' },
+        shadowMapSize: { value: 512, label: 'Map Size', options: { '256': 256, '512': 512, '1024': 1024, '2048': 2048, '4096': 4096 } },
+        shadowBias: { value: 0, min: -0.01, max: 0.01, step: 0.0001, label: 'Bias' },
+        shadowNormalBias: { value: 0, min: 0, max: 0.1, step: 0.001, label: 'Normal Bias' },
+        shadowRadius: { value: 1, min: 0, max: 10, step: 0.1, label: 'Radius' },
+        shadowCameraNear: { value: 0.5, min: 0.01, max: 100, step: 0.01, label: 'Camera Near' },
+        shadowCameraFar: { value: 500, min: 1, max: 10000, step: 1, label: 'Camera Far' },
+        ...cameraBounds
+    };
+    
+    // Show shadow settings in their own inspector folder
+    Object.values(shadows).forEach(schema => schema.folder = 'Shadows');
+    return shadows;
+}
+
+/**
+ * Applies light parameters to a Three.js light
+ * @param {THREE.Light} light - The light to update
+ * @param {Object} params - Light parameters
+ */
+function applyLightParams(light, params) {
+    light.intensity = params.intensity;
+    
+    if (light.isHemisphereLight) {
+        light.color.set(params.skyColor);
+        light.groundColor.set(params.groundColor);
+    } else {
+        light.color.set(params.color);
+    }
+    
+    if (params.distance !== undefined) light.distance = params.distance;
+    if (params.decay !== undefined) light.decay = params.decay;
+    if (params.angle !== undefined) light.angle = THREE.MathUtils.degToRad(params.angle);
+    if (params.penumbra !== undefined) light.penumbra = params.penumbra;
+    
+    if (light.isRectAreaLight) {
+        light.width = params.width;
+        light.height = params.height;
+        light.getObjectByName('areaOutline').scale.set(params.width, params.height, 1);
+    }
+    
+    if (light.shadow && params.castShadow !== undefined) {
+        applyShadowParams(light, params);
+    }
+}
+
+function applyShadowParams(light, params) {
+    const shadow = light.shadow;
+    light.castShadow = params.castShadow;
+    
+    // A new map size needs a new shadow map
+    if (shadow.mapSize.x !== params.shadowMapSize) {
+        shadow.mapSize.set(params.shadowMapSize, params.shadowMapSize);
+        if (shadow.map) {
+            shadow.map.dispose();
+            shadow.map = null;
+        }
+    }
+    
+    shadow.bias = params.shadowBias;
+    shadow.normalBias = params.shadowNormalBias;
+    shadow.radius = params.shadowRadius;
+    shadow.camera.near = params.shadowCameraNear;
+    shadow.camera.far = params.shadowCameraFar;
+    
+    if (shadow.camera.isOrthographicCamera) {
+        shadow.camera.left = params.shadowCameraLeft;
+        shadow.camera.right = params.shadowCameraRight;
+        shadow.camera.top = params.shadowCameraTop;
+        shadow.camera.bottom = params.shadowCameraBottom;
+    }
+    
+    shadow.camera.updateProjectionMatrix();
+}
+
+/**
+ * Makes a light shine along its local -Z axis so rotating it aims the light
+ * @param {THREE.Light} light - Directional or spot light
+ */
+function attachLightTarget(light) {
+    light.target.position.set(0, 0, -1);
+    light.add(light.target);
+}
+
+/**
+ * Creates an editor-only gizmo for lights without a visible shape
+ * @param {boolean} showDirection - Draw a line in the direction the light shines
+ * @returns {THREE.Object3D} - The gizmo
+ */
+function createLightGizmo(showDirection) {
+    const material = new THREE.MeshBasicMaterial({ color: 0xffff00, wireframe: true });
+    const gizmo = new THREE.Mesh(new THREE.SphereGeometry(0.2, 8, 8), material);
+    gizmo.layers.set(EDITOR_LAYER);
+    
+    if (showDirection) {
+        const line = new THREE.Line(
+            new THREE.BufferGeometry().setFromPoints([new THREE.Vector3(0, 0, 0), new THREE.Vector3(0, 0, -1)]),
+            new THREE.LineBasicMaterial({ color: 0xffff00 })
+        );
+        line.layers.set(EDITOR_LAYER);
+        gizmo.add(line);
+    }
+    
+    return gizmo;
+}
@@ -0,0 +1,1985 @@
+import * as THREE from 'three';
+import { FIXED_TIME_STEP, MAX_SUB_STEPS } from './config.js';
+
+export const BODY_TYPES = ['dynamic', 'kinematic', 'static'];
+export const COLLIDER_SHAPES = ['box', 'sphere', 'capsule', 'plane'];
+
+// Narrowphase tests are written for the first shape of the pair coming earlier in this order
+const SHAPE_ORDER = { sphere: 0, capsule: 1, box: 2, plane: 3 };
+
+const EPSILON = 1e-9;
+
+// Script methods called for contacts, by kind and phase
+const CONTACT_CALLBACKS = {
+    collision: { enter: 'onCollisionEnter', stay: 'onCollisionStay', exit: 'onCollisionExit' },
+    trigger: { enter: 'onTriggerEnter', exit: 'onTriggerExit' }
+};
+
+// Contacts whose normal is within about 45 degrees of up count as ground
+const GROUND_COS = 0.7;
+
+// Corners this close to the other shape are contact points too, so a body that tilts
+// a little keeps resting on all of its corners
+const CONTACT_MARGIN = 0.02;
+
+// Contact points of consecutive steps closer than this are taken for the same point
+const WARM_START_DISTANCE = 0.05;
+
+// Most colliders in a leaf of the query tree
+const TREE_LEAF_SIZE = 4;
+
+const _position = new THREE.Vector3();
+const _relative = new THREE.Vector3();
+const _tangent = new THREE.Vector3();
+const _delta = new THREE.Vector3();
+const _offset = new THREE.Vector3();
+const _closest = new THREE.Vector3();
+const _segment = new THREE.Line3();
+const _box = new THREE.Box3();
+const _inverse = new THREE.Matrix4();
+const _ray = new THREE.Ray();
+const _bounds = new THREE.Box3();
+const _point = new THREE.Vector3();
+const _arm = new THREE.Vector3();
+const _torque = new THREE.Vector3();
+const _cross = new THREE.Vector3();
+const _inertia = new THREE.Vector3();
+const _quaternion = new THREE.Quaternion();
+const _spin = new THREE.Quaternion();
+const _rotation = new THREE.Matrix4();
+const _turn = new THREE.Matrix3();
+const _turnInverse = new THREE.Matrix3();
+const _diagonal = new THREE.Matrix3();
+
+/**
+ * A body simulated by the PhysicsWorld, one per engine object
+ *
+ * Dynamic bodies fall and are pushed by contacts. Kinematic bodies move only
+ * when their object is moved, e.g. by a script or tween, and push dynamic
+ * bodies without being pushed back. Static bodies don't move at all.
+ */
+export class RigidBody {
+    constructor(world, obj, settings) {
+        this.world = world;
+        this.object = obj;
+        this.id = world.nextBodyId++;
+        
+        // World transform of the object, the position and rotation are simulated
+        this.position = new THREE.Vector3();
+        this.quaternion = new THREE.Quaternion();
+        this.scale = new THREE.Vector3(1, 1, 1);
+        
+        // The angular velocity is in radians per second around the collider's center
+        this.velocity = new THREE.Vector3();
+        this.angularVelocity = new THREE.Vector3();
+        
+        // Forces and torques added during a frame act on all of its steps
+        this.force = new THREE.Vector3();
+        this.torque = new THREE.Vector3();
+        this.gravityScale = 1;
+        
+        // Velocities that only push the body out of overlaps during a step, they aren't kept
+        this.pushVelocity = new THREE.Vector3();
+        this.turnVelocity = new THREE.Vector3();
+        
+        // Inverse inertia tensor in world space, from the collider's size and the rotation
+        this.inverseInertia = new THREE.Matrix3().set(0, 0, 0, 0, 0, 0, 0, 0, 0);
+        
+        // Where the world last put the object, moving it elsewhere teleports the body
+        this.writtenPosition = null;
+        
+        this.grounded = false;
+        this.groundNormal = new THREE.Vector3(0, 1, 0);
+        
+        this.collider = new Collider(this);
+        this.applySettings(settings);
+    }
+    
+    /**
+     * Takes over body and collider settings, the velocity is kept
+     * @param {Object} settings - Normalized settings, see PhysicsWorld
+     */
+    applySettings(settings) {
+        this.settings = settings;
+        this.type = settings.bodyType;
+        this.mass = settings.mass;
+        this.friction = settings.friction;
+        this.bounciness = settings.bounciness;
+        this.useGravity = settings.useGravity;
+        this.linearDamping = settings.linearDamping;
+        this.angularDamping = settings.angularDamping;
+        this.freezeRotation = settings.freezeRotation;
+        this.isTrigger = settings.isTrigger;
+        this.collider.configure(settings.collider, this.object.object3D);
+        
+        if (this.type === 'static') this.velocity.set(0, 0, 0);
+        if (this.type === 'static' || this.freezeRotation) this.angularVelocity.set(0, 0, 0);
+        this.updateInertia();
+    }
+    
+    // Planes are infinite, so they never move from contacts
+    get inverseMass() {
+        return this.type === 'dynamic' && this.collider.shape !== 'plane' ? 1 / this.mass : 0;
+    }
+    
+    // Whether contacts, forces and torques turn the body
+    get canRotate() {
+        return this.inverseMass > 0 && !this.freezeRotation;
+    }
+    
+    /**
+     * Works out the inverse inertia tensor in world space
+     * Boxes and spheres use their exact inertia, capsules that of a cylinder of
+     * the same height. Called every step once the collider is updated.
+     */
+    updateInertia() {
+        if (!this.canRotate) {
+            this.inverseInertia.set(0, 0, 0, 0, 0, 0, 0, 0, 0);
+            return;
+        }
+        
+        const collider = this.collider;
+        const mass = this.mass;
+        switch (collider.shape) {
+            case 'box': {
+                const h = collider.worldHalfExtents;
+                _inertia.set(h.y * h.y + h.z * h.z, h.x * h.x + h.z * h.z, h.x * h.x + h.y * h.y).multiplyScalar(mass / 3);
+                break;
+            }
+            case 'sphere':
+                _inertia.setScalar(0.4 * mass * collider.worldRadius * collider.worldRadius);
+                break;
+            case 'capsule': {
+                const radius = collider.worldRadius;
+                const height = collider.start.distanceTo(collider.end) + radius * 2;
+                const across = mass * (3 * radius * radius + height * height) / 12;
+                _inertia.set(across, mass * radius * radius / 2, across);
+                break;
+            }
+        }
+        
+        // Turned into world space as R * I^-1 * R^T
+        _turn.setFromMatrix4(_rotation.makeRotationFromQuaternion(this.quaternion));
+        _turnInverse.copy(_turn).transpose();
+        _diagonal.set(
+            1 / Math.max(_inertia.x, EPSILON), 0, 0,
+            0, 1 / Math.max(_inertia.y, EPSILON), 0,
+            0, 0, 1 / Math.max(_inertia.z, EPSILON)
+        );
+        this.inverseInertia.multiplyMatrices(_turn, _diagonal).multiply(_turnInverse);
+    }
+    
+    /**
+     * Moves the body by its velocity and turns it around the collider's center
+     * @param {number} dt - Step length in seconds
+     * @param {THREE.Vector3} velocity - Velocity to move by, the body's own if not given
+     * @param {THREE.Vector3} angularVelocity - Angular velocity to turn by, the body's own if not given
+     */
+    integrate(dt, velocity = this.velocity, angularVelocity = this.angularVelocity) {
+        // The object's origin swings around the center when they aren't the same
+        const offset = _offset.copy(this.collider.center).multiply(this.scale).applyQuaternion(this.quaternion);
+        this.position.add(offset).addScaledVector(velocity, dt);
+        
+        const w = angularVelocity;
+        if (!this.freezeRotation && w.lengthSq() > 0) {
+            const q = this.quaternion;
+            _spin.set(w.x * dt / 2, w.y * dt / 2, w.z * dt / 2, 0).multiply(q);
+            q.set(q.x + _spin.x, q.y + _spin.y, q.z + _spin.z, q.w + _spin.w).normalize();
+        }
+        
+        this.position.sub(offset.copy(this.collider.center).multiply(this.scale).applyQuaternion(this.quaternion));
+    }
+    
+    /**
+     * Adds a force for the rest of the frame
+     * @param {THREE.Vector3} force - Force in newtons
+     * @param {THREE.Vector3} point - World point the force acts at, which also turns the body; the center if not given
+     */
+    applyForce(force, point) {
+        this.force.add(force);
+        if (point) {
+            this.torque.add(_arm.subVectors(point, this.collider.worldCenter).cross(force));
+        }
+    }
+    
+    /**
+     * Adds a torque for the rest of the frame
+     * @param {THREE.Vector3} torque - Torque in newton meters, around the world axes
+     */
+    applyTorque(torque) {
+        this.torque.add(torque);
+    }
+    
+    /**
+     * Changes the velocity at once, e.g. for a jump or a hit
+     * @param {THREE.Vector3} impulse - Impulse, divided by the mass
+     * @param {THREE.Vector3} point - World point the impulse hits, which also spins the body; the center if not given
+     */
+    applyImpulse(impulse, point) {
+        if (this.type !== 'dynamic') return;
+        this.velocity.addScaledVector(impulse, 1 / this.mass);
+        if (point) {
+            this.angularVelocity.add(_arm.subVectors(point, this.collider.worldCenter).cross(impulse).applyMatrix3(this.inverseInertia));
+        }
+    }
+    
+    setVelocity(x, y, z) {
+        if (x instanceof THREE.Vector3) {
+            this.velocity.copy(x);
+        } else {
+            this.velocity.set(x, y, z);
+        }
+    }
+    
+    setAngularVelocity(x, y, z) {
+        if (x instanceof THREE.Vector3) {
+            this.angularVelocity.copy(x);
+        } else {
+            this.angularVelocity.set(x, y, z);
+        }
+    }
+    
+    /**
+     * Whether the body touched ground during the last simulated frame
+     * @returns {boolean}
+     */
+    isGrounded() {
+        return this.grounded;
+    }
+}
+
+/**
+ * The shape of a body, kept in the object's local space and in world space
+ */
+class Collider {
+    constructor(body) {
+        this.body = body;
+        this.shape = 'box';
+        
+        // Local shape, relative to the object's origin and before its scale
+        this.center = new THREE.Vector3();
+        this.halfExtents = new THREE.Vector3(0.5, 0.5, 0.5);
+        this.radius = 0.5;
+        this.height = 2;
+        this.normal = new THREE.Vector3(0, 1, 0);
+        
+        // World shape, updated every step
+        this.worldCenter = new THREE.Vector3();
+        this.axes = [new THREE.Vector3(), new THREE.Vector3(), new THREE.Vector3()];
+        this.worldHalfExtents = new THREE.Vector3();
+        this.worldRadius = 0;
+        this.start = new THREE.Vector3();
+        this.end = new THREE.Vector3();
+        this.worldNormal = new THREE.Vector3();
+        this.constant = 0;
+        this.aabb = new THREE.Box3();
+    }
+    
+    /**
+     * Sets up the local shape, auto-sized colliders fit the object's bounds
+     * @param {Object} settings - Collider settings
+     * @param {THREE.Object3D} object3D - The object of the body
+     */
+    configure(settings, object3D) {
+        this.shape = settings.shape;
+        this.normal.set(0, 1, 0);
+        
+        if (!settings.autoSize) {
+            this.center.set(settings.center.x, settings.center.y, settings.center.z);
+            this.halfExtents.set(settings.size.x, settings.size.y, settings.size.z).multiplyScalar(0.5);
+            this.radius = settings.radius;
+            this.height = settings.height;
+            return;
+        }
+        
+        const bounds = getLocalBounds(object3D, _box);
+        const size = bounds.getSize(new THREE.Vector3());
+        bounds.getCenter(this.center);
+        
+        this.halfExtents.copy(size).multiplyScalar(0.5);
+        this.radius = Math.max(size.x, size.y, size.z) / 2;
+        
+        if (this.shape === 'capsule') {
+            this.radius = Math.max(size.x, size.z) / 2;
+            this.height = Math.max(size.y, this.radius * 2);
+        }
+        
+        // A plane faces along the thinnest side and lies on that side's positive face
+        if (this.shape === 'plane') {
+            const axis = size.x < size.y && size.x < size.z ? 'x' : (size.z < size.y ? 'z' : 'y');
+            this.normal.set(0, 0, 0);
+            this.normal[axis] = 1;
+            this.center[axis] += size[axis] / 2;
+        }
+    }
+    
+    update() {
+        const { position, quaternion, scale } = this.body;
+        const scaleX = Math.abs(scale.x);
+        const scaleY = Math.abs(scale.y);
+        const scaleZ = Math.abs(scale.z);
+        
+        this.worldCenter.copy(this.center).multiply(scale).applyQuaternion(quaternion).add(position);
+        
+        switch (this.shape) {
+            case 'box': {
+                this.axes[0].set(1, 0, 0).applyQuaternion(quaternion);
+                this.axes[1].set(0, 1, 0).applyQuaternion(quaternion);
+                this.axes[2].set(0, 0, 1).applyQuaternion(quaternion);
+                this.worldHalfExtents.set(this.halfExtents.x * scaleX, this.halfExtents.y * scaleY, this.halfExtents.z * scaleZ);
+                
+                const h = this.worldHalfExtents;
+                const extent = _offset.set(
+                    Math.abs(this.axes[0].x) * h.x + Math.abs(this.axes[1].x) * h.y + Math.abs(this.axes[2].x) * h.z,
+                    Math.abs(this.axes[0].y) * h.x + Math.abs(this.axes[1].y) * h.y + Math.abs(this.axes[2].y) * h.z,
+                    Math.abs(this.axes[0].z) * h.x + Math.abs(this.axes[1].z) * h.y + Math.abs(this.axes[2].z) * h.z
+                );
+                this.aabb.min.subVectors(this.worldCenter, extent);
+                this.aabb.max.addVectors(this.worldCenter, extent);
+                break;
+            }
+            case 'sphere':
+                this.worldRadius = this.radius * Math.max(scaleX, scaleY, scaleZ);
+                this.aabb.min.copy(this.worldCenter).subScalar(this.worldRadius);
+                this.aabb.max.copy(this.worldCenter).addScalar(this.worldRadius);
+                break;
+            case 'capsule': {
+                // The segment between the centers of the two caps
+                this.worldRadius = this.radius * Math.max(scaleX, scaleZ);
+                const halfLength = Math.max(0, this.height / 2 * scaleY - this.worldRadius);
+                const up = _offset.set(0, 1, 0).applyQuaternion(quaternion);
+                this.start.copy(this.worldCenter).addScaledVector(up, -halfLength);
+                this.end.copy(this.worldCenter).addScaledVector(up, halfLength);
+                this.aabb.min.copy(this.start).min(this.end).subScalar(this.worldRadius);
+                this.aabb.max.copy(this.start).max(this.end).addScalar(this.worldRadius);
+                break;
+            }
+            case 'plane':
+                this.worldNormal.copy(this.normal).applyQuaternion(quaternion).normalize();
+                this.constant = this.worldNormal.dot(this.worldCenter);
+                this.aabb.makeEmpty();
+                break;
+        }
+    }
+}
+
+/**
+ * PhysicsWorld simulates the rigid bodies of the scene in play mode
+ *
+ * Objects opt in with physics settings in obj.physics, which are saved with them:
+ * {
+ *     bodyType: 'dynamic',       // 'dynamic', 'kinematic' or 'static'
+ *     mass: 1,
+ *     friction: 0.5,             // Combined as the geometric mean of both bodies
+ *     bounciness: 0.3,           // 0 to 1, the bouncier of both bodies wins
+ *     useGravity: true,
+ *     linearDamping: 0.05,       // Velocity lost per second, like air resistance
+ *     angularDamping: 0.05,      // Spin lost per second
+ *     freezeRotation: false,     // Keep the rotation, e.g. for characters that shouldn't fall over
+ *     isTrigger: false,          // Report overlaps without pushing anything
+ *     collider: {
+ *         shape: 'box',          // 'box', 'sphere', 'capsule' or 'plane'
+ *         autoSize: true,        // Fit the object's bounds, otherwise use the values below
+ *         center: { x: 0, y: 0, z: 0 },
+ *         size: { x: 1, y: 1, z: 1 },   // Box
+ *         radius: 0.5,           // Sphere and capsule
+ *         height: 2              // Capsule, including the caps
+ *     }
+ * }
+ *
+ * Scripts, PhysicsComponent and the PhysicsBody behavior get the same body
+ * from addBody(). The world steps at a fixed rate: it integrates velocities,
+ * finds contacts with a sweep along x and exact shape tests, then resolves
+ * them with impulses at the contact points that include friction and
+ * bounciness. Impulses away from a body's center spin it, so boxes tip over
+ * edges and spheres roll; the rotation is written back to the object.
+ * There is no ground of its own: dynamic bodies need a static collider below
+ * them, e.g. a plane, or they fall forever.
+ *
+ * Once per frame, touching pairs are compared with the previous frame and both
+ * objects are told: scripts get onCollisionEnter/Stay/Exit and
+ * onTriggerEnter/Exit(collision), engine.events gets collision:enter, stay
+ * and exit and trigger:enter and exit with the same payload
+ * { object, other, points, normal, impulse, isTrigger }. The normal points
+ * from the other object towards this one, the impulse is the one this
+ * object received during the frame.
+ *
+ * Scene queries (raycast, raycastAll, sphereCast, capsuleCast, overlapSphere,
+ * overlapCapsule and overlapBox) test the same colliders through a bounding
+ * volume tree, rebuilt at most once per frame. Objects without a body take part
+ * as static colliders from their physics settings, or fitted to their mesh, so
+ * queries work in the editor too.
+ */
+export class PhysicsWorld {
+    /**
+     * Create a new PhysicsWorld
+     * @param {GameEngine} engine - Reference to the main game engine
+     */
+    constructor(engine) {
+        this.engine = engine;
+        
+        const settings = engine.config.physics || {};
+        this.enabled = settings.enabled !== false;
+        this.gravity = new THREE.Vector3(0, settings.gravity !== undefined ? settings.gravity : -9.8, 0);
+        
+        this.fixedTimeStep = settings.fixedTimeStep || FIXED_TIME_STEP;
+        this.maxSubSteps = settings.maxSubSteps || MAX_SUB_STEPS;
+        this.accumulator = 0;
+        
+        // Solver passes over all contacts per step, more make stacks steadier
+        this.iterations = settings.iterations || 8;
+        
+        // Bodies may sink this deep before they are pushed apart, which keeps resting contacts still
+        this.slop = 0.005;
+        this.correction = 0.8;
+        
+        // Slower impacts don't bounce, so resting bodies don't jitter
+        this.bounceThreshold = 1;
+        
+        this.bodies = new Map();
+        this.contacts = [];
+        this.dirty = false;
+        this.nextBodyId = 1;
+        
+        // Contacts of the last frame by pair, to tell entering from staying
+        this.touching = new Map();
+        
+        // Contacts of the last step by pair, their impulses are the starting guess of the next step
+        this.solved = new Map();
+        
+        // Colliders for scene queries, stand-ins of objects without a body by object
+        this.queryTree = new BoundsTree();
+        this.queryProxies = new Map();
+        this.queryTime = -1;
+        this.queryDirty = true;
+        
+        // Objects spawned or removed during play gain or lose their bodies on the next step
+        this.engine.events.on('objects:changed', () => {
+            this.dirty = true;
+            this.queryDirty = true;
+        });
+        this.engine.events.on('physics:changed', () => { this.queryDirty = true; });
+        this.engine.events.on('scene:loaded', () => { this.queryDirty = true; });
+    }
+    
+    /**
+     * Creates the bodies of all objects with physics settings, called when play mode starts
+     */
+    start() {
+        this.clear();
+        this.engine.objects.forEach(obj => {
+            if (obj.physics) this.createBody(obj, obj.physics);
+        });
+    }
+    
+    /**
+     * Removes every body, called when play mode stops
+     */
+    clear() {
+        this.bodies.clear();
+        this.contacts = [];
+        this.touching = new Map();
+        this.solved = new Map();
+        this.accumulator = 0;
+        this.dirty = false;
+        this.queryDirty = true;
+    }
+    
+    setGravity(x, y, z) {
+        this.gravity.set(x, y, z);
+    }
+    
+    /**
+     * Sets the physics settings of an object, in play mode its body follows them
+     * @param {Object} obj - Engine object
+     * @param {Object|null} settings - See the class description, null removes physics from the object
+     * @returns {boolean} - False if the settings are invalid
+     */
+    setPhysics(obj, settings) {
+        if (!settings) {
+            delete obj.physics;
+            this.removeBody(obj);
+            this.engine.events.emit('physics:changed', { object: obj });
+            return true;
+        }
+        
+        const normalized = this.normalizeSettings(settings);
+        if (!normalized) return false;
+        
+        obj.physics = normalized;
+        if (this.engine.isPlaying) {
+            const body = this.bodies.get(obj);
+            if (body) {
+                body.applySettings(this.normalizeSettings(normalized));
+            } else {
+                this.createBody(obj, normalized);
+            }
+        }
+        this.engine.events.emit('physics:changed', { object: obj });
+        return true;
+    }
+    
+    /**
+     * Returns physics settings for an object that has none yet, the collider matches its type
+     * @param {Object} obj - Engine object, optional
+     * @returns {Object}
+     */
+    createSettings(obj) {
+        const shapes = { sphere: 'sphere', capsule: 'capsule', plane: 'plane' };
+        const shape = (obj && shapes[obj.type]) || 'box';
+        
+        return {
+            bodyType: shape === 'plane' ? 'static' : 'dynamic',
+            mass: 1,
+            friction: 0.5,
+            bounciness: 0.3,
+            useGravity: true,
+            linearDamping: 0.05,
+            angularDamping: 0.05,
+            freezeRotation: false,
+            isTrigger: false,
+            collider: {
+                shape: shape,
+                autoSize: true,
+                center: { x: 0, y: 0, z: 0 },
+                size: { x: 1, y: 1, z: 1 },
+                radius: 0.5,
+                height: 2
+            }
+        };
+    }
+    
+    /**
+     * Checks settings and fills in defaults
+     * @param {Object} settings - Physics settings
+     * @returns {Object|null} - A copy of the settings, or null if they are invalid
+     */
+    normalizeSettings(settings) {
+        const defaults = this.createSettings();
+        const bodyType = settings.bodyType || defaults.bodyType;
+        if (!BODY_TYPES.includes(bodyType)) {
+            console.error(`Unknown body type: ${bodyType}`);
+            return null;
+        }
+        
+        const collider = { ...defaults.collider, ...settings.collider };
+        if (!COLLIDER_SHAPES.includes(collider.shape)) {
+            console.error(`Unknown collider shape: ${collider.shape}`);
+            return null;
+        }
+        
+        const mass = settings.mass !== undefined ? settings.mass : defaults.mass;
+        const size = { ...defaults.collider.size, ...collider.size };
+        const sizes = [mass, collider.radius, collider.height, size.x, size.y, size.z];
+        if (!sizes.every(value => value > 0)) {
+            console.error('Physics mass and collider sizes have to be above 0', settings);
+            return null;
+        }
+        
+        const number = (value, fallback) => typeof value === 'number' ? Math.max(0, value) : fallback;
+        
+        return {
+            bodyType: bodyType,
+            mass: mass,
+            friction: number(settings.friction, defaults.friction),
+            bounciness: Math.min(1, number(settings.bounciness, defaults.bounciness)),
+            useGravity: settings.useGravity !== false,
+            linearDamping: number(settings.linearDamping, defaults.linearDamping),
+            angularDamping: number(settings.angularDamping, defaults.angularDamping),
+            freezeRotation: settings.freezeRotation === true,
+            isTrigger: settings.isTrigger === true,
+            collider: {
+                shape: collider.shape,
+                autoSize: collider.autoSize !== false,
+                center: { ...defaults.collider.center, ...collider.center },
+                size: size,
+                radius: collider.radius,
+                height: collider.height
+            }
+        };
+    }
+    
+    /**
+     * Returns the body of an object, creating it if needed
+     * Options override the object's physics settings for this play session, e.g.
+     * { mass: 2, useGravity: false }; calling it again for the same object
+     * applies the new options to the body it already has.
+     * @param {Object} obj - Engine object
+     * @param {Object} options - Physics settings to use, see the class description
+     * @returns {RigidBody|null} - The body, or null if the object isn't in the scene or the options are invalid
+     */
+    addBody(obj, options = {}) {
+        if (!this.engine.objects.includes(obj)) {
+            console.error('Only objects in the scene can have a rigid body', obj);
+            return null;
+        }
+        
+        const body = this.bodies.get(obj);
+        const base = body ? body.settings : (obj.physics || this.createSettings(obj));
+        const settings = this.normalizeSettings({
+            ...base,
+            ...options,
+            collider: { ...base.collider, ...options.collider }
+        });
+        if (!settings) return null;
+        
+        if (body) {
+            body.applySettings(settings);
+            return body;
+        }
+        return this.createBody(obj, settings);
+    }
+    
+    createBody(obj, settings) {
+        const body = new RigidBody(this, obj, this.normalizeSettings(settings));
+        
+        this.engine.scene.updateMatrixWorld();
+        obj.object3D.matrixWorld.decompose(body.position, body.quaternion, body.scale);
+        body.writtenPosition = body.position.clone();
+        body.collider.update();
+        body.updateInertia();
+        
+        this.bodies.set(obj, body);
+        this.queryDirty = true;
+        return body;
+    }
+    
+    getBody(obj) {
+        return this.bodies.get(obj) || null;
+    }
+    
+    removeBody(obj) {
+        this.queryDirty = true;
+        return this.bodies.delete(obj);
+    }
+    
+    /**
+     * Advances the simulation by the game time of a frame in fixed steps
+     * @param {number} deltaTime - Game time of the frame in seconds
+     */
+    step(deltaTime) {
+        if (!this.enabled) return;
+        if (this.dirty) this.syncBodies();
+        
+        this.accumulator += deltaTime;
+        
+        let subSteps = 0;
+        while (this.accumulator >= this.fixedTimeStep && subSteps < this.maxSubSteps) {
+            this.accumulator -= this.fixedTimeStep;
+            subSteps++;
+        }
+        
+        // Don't try to catch up on time that was skipped
+        if (subSteps === this.maxSubSteps) {
+            this.accumulator = 0;
+        }
+        if (subSteps === 0 || this.bodies.size === 0) return;
+        
+        this.readTransforms(subSteps * this.fixedTimeStep);
+        this.bodies.forEach(body => { body.grounded = false; });
+        
+        // A pair touching in any step of the frame touches in the frame, with the impulses of all steps
+        const frameContacts = new Map();
+        for (let i = 0; i < subSteps; i++) {
+            this.simulate(this.fixedTimeStep);
+            
+            this.contacts.forEach(contact => {
+                const key = getPairKey(contact.bodyA, contact.bodyB);
+                const previous = frameContacts.get(key);
+                if (previous) contact.impulse.addScaledVector(previous.impulse, previous.bodyA === contact.bodyA ? 1 : -1);
+                frameContacts.set(key, contact);
+            });
+        }
+        this.contacts = Array.from(frameContacts.values());
+        
+        this.writeTransforms();
+        this.bodies.forEach(body => {
+            body.force.set(0, 0, 0);
+            body.torque.set(0, 0, 0);
+        });
+        this.queryDirty = true;
+        
+        this.dispatchContacts(frameContacts);
+    }
+    
+    /**
+     * Sends enter, stay and exit callbacks and events by comparing with the previous frame
+     * Triggers only report entering and leaving.
+     * @param {Map} current - Contacts of this frame by pair
+     */
+    dispatchContacts(current) {
+        const previous = this.touching;
+        this.touching = current;
+        
+        current.forEach((contact, key) => {
+            if (!previous.has(key)) {
+                this.notifyContact(contact, 'enter');
+            } else if (!contact.isTrigger) {
+                this.notifyContact(contact, 'stay');
+            }
+        });
+        
+        previous.forEach((contact, key) => {
+            if (!current.has(key)) this.notifyContact(contact, 'exit');
+        });
+    }
+    
+    /**
+     * Tells both objects of a contact, through their scripts and engine.events
+     * @param {Object} contact - Contact between bodyA and bodyB
+     * @param {string} phase - 'enter', 'stay' or 'exit'
+     */
+    notifyContact(contact, phase) {
+        const kind = contact.isTrigger ? 'trigger' : 'collision';
+        const method = CONTACT_CALLBACKS[kind][phase];
+        
+        // The contact normal and impulse are those of bodyB, bodyA gets them reversed
+        [[contact.bodyA, contact.bodyB, -1], [contact.bodyB, contact.bodyA, 1]].forEach(([body, other, sign]) => {
+            const collision = {
+                object: body.object,
+                other: other.object,
+                points: contact.points.map(point => point.clone()),
+                normal: contact.normal.clone().multiplyScalar(sign),
+                impulse: contact.impulse.clone().multiplyScalar(sign),
+                isTrigger: contact.isTrigger
+            };
+            
+            this.engine.events.emit(`${kind}:${phase}`, collision);
+            
+            const script = body.object.scriptInstance;
+            if (script && typeof script[method] === 'function' && (!script.isEnabled || script.isEnabled())) {
+                try {
+                    script[method](collision);
+                } catch (e) {
+                    console.error(`Error in ${method} of ${body.object.name}:`, e);
+                }
+            }
+        });
+    }
+    
+    /**
+     * Adds bodies for spawned objects with physics settings and drops those of removed objects
+     */
+    syncBodies() {
+        this.dirty = false;
+        
+        this.bodies.forEach((body, obj) => {
+            if (!this.engine.objects.includes(obj)) this.bodies.delete(obj);
+        });
+        this.engine.objects.forEach(obj => {
+            if (obj.physics && !this.bodies.has(obj)) this.createBody(obj, obj.physics);
+        });
+    }
+    
+    /**
+     * Picks up transforms changed outside the simulation
+     * Kinematic bodies get the velocities of their movement and turning, so bodies on them ride along.
+     * @param {number} elapsed - Time the frame simulates in seconds
+     */
+    readTransforms(elapsed) {
+        this.engine.scene.updateMatrixWorld();
+        
+        this.bodies.forEach(body => {
+            body.object.object3D.matrixWorld.decompose(_position, _quaternion, body.scale);
+            
+            if (body.type === 'kinematic') {
+                body.velocity.subVectors(_position, body.position).divideScalar(elapsed);
+                getAngularVelocity(body.quaternion, _quaternion, elapsed, body.angularVelocity);
+            }
+            body.quaternion.copy(_quaternion);
+            
+            // A dynamic body moved by a script is teleported there
+            if (body.type !== 'dynamic' || _position.distanceToSquared(body.writtenPosition) > 1e-8) {
+                body.position.copy(_position);
+            }
+        });
+    }
+    
+    writeTransforms() {
+        this.bodies.forEach(body => {
+            if (body.type !== 'dynamic') return;
+            
+            const object3D = body.object.object3D;
+            _position.copy(body.position);
+            if (object3D.parent) {
+                object3D.parent.worldToLocal(_position);
+            }
+            object3D.position.copy(_position);
+            
+            if (!body.freezeRotation) {
+                _quaternion.copy(body.quaternion);
+                if (object3D.parent) {
+                    _quaternion.premultiply(object3D.parent.getWorldQuaternion(_spin).invert());
+                }
+                object3D.quaternion.copy(_quaternion);
+            }
+            object3D.updateMatrixWorld();
+            body.writtenPosition.copy(body.position);
+        });
+    }
+    
+    /**
+     * Runs one fixed step
+     * @param {number} dt - Step length in seconds
+     */
+    simulate(dt) {
+        this.bodies.forEach(body => {
+            const inverseMass = body.inverseMass;
+            if (inverseMass > 0) {
+                if (body.useGravity) body.velocity.addScaledVector(this.gravity, dt * body.gravityScale);
+                body.velocity.addScaledVector(body.force, dt * inverseMass);
+                body.velocity.multiplyScalar(1 / (1 + body.linearDamping * dt));
+                
+                if (body.canRotate) {
+                    body.angularVelocity.add(_torque.copy(body.torque).applyMatrix3(body.inverseInertia).multiplyScalar(dt));
+                    body.angularVelocity.multiplyScalar(1 / (1 + body.angularDamping * dt));
+                }
+            }
+        });
+        
+        // Contacts are solved before the bodies move, so resting bodies don't sink or slide down slopes first
+        this.contacts = this.findContacts();
+        this.solveContacts(this.contacts.filter(contact => !contact.isTrigger), dt);
+        
+        this.bodies.forEach(body => {
+            if (body.inverseMass > 0) body.integrate(dt);
+            body.collider.update();
+            body.updateInertia();
+        });
+    }
+    
+    /**
+     * Finds the touching pairs of colliders
+     * Boxes, spheres and capsules are swept along x by their bounds, planes are
+     * infinite and tested against every other collider.
+     * @returns {Array} - Contacts { bodyA, bodyB, normal (from A to B), depth, points, impulse, isTrigger }
+     */
+    findContacts() {
+        const colliders = [];
+        const planes = [];
+        this.bodies.forEach(body => {
+            (body.collider.shape === 'plane' ? planes : colliders).push(body.collider);
+        });
+        colliders.sort((a, b) => a.aabb.min.x - b.aabb.min.x);
+        
+        const contacts = [];
+        for (let i = 0; i < colliders.length; i++) {
+            const a = colliders[i];
+            for (let j = i + 1; j < colliders.length; j++) {
+                const b = colliders[j];
+                if (b.aabb.min.x > a.aabb.max.x) break;
+                if (a.aabb.intersectsBox(b.aabb)) this.testPair(a, b, contacts);
+            }
+        }
+        
+        planes.forEach(plane => {
+            colliders.forEach(collider => this.testPair(collider, plane, contacts));
+        });
+        return contacts;
+    }
+    
+    testPair(a, b, contacts) {
+        // The collision matrix lets some layers pass through each other
+        if (!this.engine.layers.canCollide(a.body.object, b.body.object)) return;
+        
+        const isTrigger = a.body.isTrigger || b.body.isTrigger;
+        if (isTrigger) {
+            // Triggers notice bodies that move, not the level or each other
+            if (a.body.isTrigger && b.body.isTrigger) return;
+            if ((a.body.isTrigger ? b.body : a.body).type === 'static') return;
+        } else if (a.body.inverseMass === 0 && b.body.inverseMass === 0) {
+            // Bodies that can't move don't need contacts between them
+            return;
+        }
+        
+        const contact = collide(a, b);
+        if (!contact) return;
+        
+        contact.bodyA = a.body;
+        contact.bodyB = b.body;
+        contact.impulse = new THREE.Vector3();
+        contact.isTrigger = isTrigger;
+        contacts.push(contact);
+    }
+    
+    /**
+     * Resolves contacts with sequential impulses, then pushes overlapping bodies apart
+     * Each contact point gets its own impulses, applied at the point, so bodies
+     * also turn. The impulse applied to bodyB ends up in contact.impulse.
+     * @param {Array} contacts - Contacts from findContacts()
+     * @param {number} dt - Step length in seconds
+     */
+    solveContacts(contacts, dt) {
+        contacts.forEach(contact => {
+            const a = contact.bodyA;
+            const b = contact.bodyB;
+            const bounciness = Math.max(a.bounciness, b.bounciness);
+            
+            contact.friction = Math.sqrt(a.friction * b.friction);
+            
+            // The middle of several points is solved too and takes most of the load, points
+            // solved one after the other would rock bodies that land flat
+            const points = contact.points.slice();
+            const depths = contact.depths.slice();
+            if (points.length > 1) {
+                points.unshift(points.reduce((sum, point) => sum.add(point), new THREE.Vector3()).divideScalar(points.length));
+                depths.unshift(depths.reduce((sum, depth) => sum + depth, 0) / depths.length);
+            }
+            
+            // Arms from the centers of both bodies to the point
+            contact.anchors = points.map((point, index) => {
+                const armA = new THREE.Vector3().subVectors(point, a.collider.worldCenter);
+                const armB = new THREE.Vector3().subVectors(point, b.collider.worldCenter);
+                const approach = getRelativeVelocity(a, armA, b, armB, _relative).dot(contact.normal);
+                
+                return {
+                    point: point,
+                    depth: depths[index],
+                    armA: armA,
+                    armB: armB,
+                    normalMass: getInverseMassAlong(a, armA, b, armB, contact.normal),
+                    normalImpulse: 0,
+                    tangentImpulse: new THREE.Vector3(),
+                    pushImpulse: 0,
+                    bounce: approach < -this.bounceThreshold ? -approach * bounciness : 0
+                };
+            });
+        });
+        
+        // Resting contacts start from the impulses of the last step at about the same points,
+        // which keeps stacks from drifting. Bounces are worked out before, from the real impacts.
+        contacts.forEach(contact => {
+            const a = contact.bodyA;
+            const b = contact.bodyB;
+            const previous = this.solved.get(getPairKey(a, b));
+            if (!previous) return;
+            
+            // The pair can come in the other order, then the friction impulse was the one of the other body
+            const sign = previous.bodyA === a ? 1 : -1;
+            // Each old point is taken once, boxes can have points of both boxes at the same place
+            const unmatched = previous.anchors.slice();
+            contact.anchors.forEach(anchor => {
+                const index = unmatched.findIndex(old => old.point.distanceToSquared(anchor.point) < WARM_START_DISTANCE * WARM_START_DISTANCE);
+                if (index === -1) return;
+                
+                const match = unmatched.splice(index, 1)[0];
+                anchor.normalImpulse = match.normalImpulse;
+                anchor.tangentImpulse.copy(match.tangentImpulse).multiplyScalar(sign);
+                _delta.copy(contact.normal).multiplyScalar(anchor.normalImpulse).add(anchor.tangentImpulse);
+                applyImpulseAt(a, _delta, anchor.armA, -1);
+                applyImpulseAt(b, _delta, anchor.armB, 1);
+            });
+        });
+        this.solved = new Map(contacts.map(contact => [getPairKey(contact.bodyA, contact.bodyB), contact]));
+        
+        for (let i = 0; i < this.iterations; i++) {
+            (i % 2 ? contacts.slice().reverse() : contacts).forEach(contact => {
+                const a = contact.bodyA;
+                const b = contact.bodyB;
+                const normal = contact.normal;
+                
+                (i % 2 ? contact.anchors.slice().reverse() : contact.anchors).forEach(anchor => {
+                    const { armA, armB } = anchor;
+                    
+                    // Stop the bodies moving into each other at the point, or bounce them apart;
+                    // points that are still apart may close the gap during the step
+                    const target = anchor.depth < 0 ? anchor.depth / dt : anchor.bounce;
+                    const closing = getRelativeVelocity(a, armA, b, armB, _relative).dot(normal);
+                    const previous = anchor.normalImpulse;
+                    anchor.normalImpulse = Math.max(previous + (target - closing) / anchor.normalMass, 0);
+                    _delta.copy(normal).multiplyScalar(anchor.normalImpulse - previous);
+                    applyImpulseAt(a, _delta, armA, -1);
+                    applyImpulseAt(b, _delta, armB, 1);
+                    
+                    // Friction takes out sliding, up to the friction times the normal impulse
+                    getRelativeVelocity(a, armA, b, armB, _relative);
+                    _tangent.copy(normal).multiplyScalar(-_relative.dot(normal)).add(_relative);
+                    const speed = _tangent.length();
+                    if (speed < EPSILON) return;
+                    
+                    _tangent.divideScalar(speed);
+                    _delta.copy(anchor.tangentImpulse);
+                    anchor.tangentImpulse.addScaledVector(_tangent, -speed / getInverseMassAlong(a, armA, b, armB, _tangent));
+                    
+                    const maxFriction = contact.friction * anchor.normalImpulse;
+                    if (anchor.tangentImpulse.lengthSq() > maxFriction * maxFriction) {
+                        anchor.tangentImpulse.setLength(maxFriction);
+                    }
+                    _delta.subVectors(anchor.tangentImpulse, _delta);
+                    applyImpulseAt(a, _delta, armA, -1);
+                    applyImpulseAt(b, _delta, armB, 1);
+                });
+            });
+        }
+        
+        // Overlaps are pushed apart at each point with velocities that are dropped afterwards,
+        // so the push doesn't make bodies fly apart and tilted bodies are turned back
+        this.bodies.forEach(body => {
+            body.pushVelocity.set(0, 0, 0);
+            body.turnVelocity.set(0, 0, 0);
+        });
+        for (let i = 0; i < this.iterations; i++) {
+            (i % 2 ? contacts.slice().reverse() : contacts).forEach(contact => {
+                const a = contact.bodyA;
+                const b = contact.bodyB;
+                const normal = contact.normal;
+                
+                (i % 2 ? contact.anchors.slice().reverse() : contact.anchors).forEach(anchor => {
+                    const { armA, armB } = anchor;
+                    const target = Math.max(anchor.depth - this.slop, 0) * this.correction / dt;
+                    const closing = getRelativePush(a, armA, b, armB, _relative).dot(normal);
+                    const previous = anchor.pushImpulse;
+                    anchor.pushImpulse = Math.max(previous + (target - closing) / anchor.normalMass, 0);
+                    _delta.copy(normal).multiplyScalar(anchor.pushImpulse - previous);
+                    applyPushAt(a, _delta, armA, -1);
+                    applyPushAt(b, _delta, armB, 1);
+                });
+            });
+        }
+        this.bodies.forEach(body => {
+            if (body.inverseMass > 0) body.integrate(dt, body.pushVelocity, body.turnVelocity);
+        });
+        
+        const up = _offset.copy(this.gravity).negate();
+        if (up.lengthSq() > 0) {
+            up.normalize();
+        } else {
+            up.set(0, 1, 0);
+        }
+        
+        contacts.forEach(contact => {
+            const a = contact.bodyA;
+            const b = contact.bodyB;
+            const normal = contact.normal;
+            
+            contact.impulse = new THREE.Vector3();
+            contact.anchors.forEach(anchor => {
+                contact.impulse.addScaledVector(normal, anchor.normalImpulse).add(anchor.tangentImpulse);
+            });
+            
+            // The normal points from A to B, so B stands on A when it points up
+            const upward = normal.dot(up);
+            if (upward > GROUND_COS) {
+                b.grounded = true;
+                b.groundNormal.copy(normal);
+            } else if (-upward > GROUND_COS) {
+                a.grounded = true;
+                a.groundNormal.copy(normal).negate();
+            }
+        });
+    }
+    
+    /**
+     * Casts a ray against the colliders of the scene
+     * Colliders the ray starts in are not hit.
+     * @param {THREE.Vector3} origin - Start of the ray
+     * @param {THREE.Vector3} direction - Direction of the ray, any length
+     * @param {Object} options - See getQueryOptions()
+     * @returns {Object|null} - The closest hit { object, point, normal, distance, isTrigger, body }, null if nothing is hit
+     */
+    raycast(origin, direction, options = {}) {
+        return this.cast(origin, direction, 0, options, false)[0] || null;
+    }
+    
+    /**
+     * Casts a ray against the colliders of the scene and returns everything it hits
+     * @param {THREE.Vector3} origin - Start of the ray
+     * @param {THREE.Vector3} direction - Direction of the ray, any length
+     * @param {Object} options - See getQueryOptions()
+     * @returns {Array} - Hits as for raycast(), nearest first
+     */
+    raycastAll(origin, direction, options = {}) {
+        return this.cast(origin, direction, 0, options, true);
+    }
+    
+    /**
+     * Moves a sphere along a ray and returns the first collider it touches, e.g. to check if a character fits
+     * Colliders the sphere overlaps at the start are not hit.
+     * @param {THREE.Vector3} origin - Center of the sphere at the start
+     * @param {number} radius - Radius of the sphere
+     * @param {THREE.Vector3} direction - Direction to move in, any length
+     * @param {Object} options - See getQueryOptions()
+     * @returns {Object|null} - Hit as for raycast(), the distance is how far the sphere moved and the point is where it touches
+     */
+    sphereCast(origin, radius, direction, options = {}) {
+        if (!(radius > 0)) {
+            console.error(`Sphere cast radius has to be above 0: ${radius}`);
+            return null;
+        }
+        return this.cast(origin, direction, radius, options, false)[0] || null;
+    }
+    
+    /**
+     * Moves a capsule along a ray and returns the first collider it touches, e.g. to move a character
+     * The capsule is swept as spheres along its axis, at most its radius apart,
+     * so thin edges can slip in between them by a few percent of the radius.
+     * Colliders the capsule overlaps at the start are not hit.
+     * @param {THREE.Vector3} point1 - Center of one cap at the start
+     * @param {THREE.Vector3} point2 - Center of the other cap at the start
+     * @param {number} radius - Radius of the capsule
+     * @param {THREE.Vector3} direction - Direction to move in, any length
+     * @param {Object} options - See getQueryOptions()
+     * @returns {Object|null} - Hit as for sphereCast()
+     */
+    capsuleCast(point1, point2, radius, direction, options = {}) {
+        if (!(radius > 0)) {
+            console.error(`Capsule cast radius has to be above 0: ${radius}`);
+            return null;
+        }
+        
+        const start = new THREE.Vector3(point1.x, point1.y, point1.z);
+        const end = new THREE.Vector3(point2.x, point2.y, point2.z);
+        const count = Math.max(1, Math.ceil(start.distanceTo(end) / radius));
+        const center = new THREE.Vector3();
+        
+        // Each sphere only has to beat the closest hit so far
+        let closest = null;
+        for (let i = 0; i <= count; i++) {
+            center.lerpVectors(start, end, i / count);
+            const maxDistance = closest ? closest.distance : options.maxDistance;
+            const hit = this.cast(center, direction, radius, { ...options, maxDistance: maxDistance }, false)[0];
+            if (hit) closest = hit;
+        }
+        return closest;
+    }
+    
+    /**
+     * Finds the colliders that overlap a sphere
+     * @param {THREE.Vector3} center - Center of the sphere
+     * @param {number} radius - Radius of the sphere
+     * @param {Object} options - See getQueryOptions()
+     * @returns {Array} - Hits { object, point, normal, depth, isTrigger, body }, the normal points from the collider towards the sphere
+     */
+    overlapSphere(center, radius, options = {}) {
+        if (!(radius > 0)) {
+            console.error(`Overlap sphere radius has to be above 0: ${radius}`);
+            return [];
+        }
+        
+        const shape = createQueryShape('sphere', center, null);
+        shape.radius = radius;
+        return this.overlap(shape, options);
+    }
+    
+    /**
+     * Finds the colliders that overlap a box
+     * @param {THREE.Vector3} center - Center of the box
+     * @param {THREE.Vector3} halfExtents - Half of the box's size along each of its axes
+     * @param {Object} options - See getQueryOptions(), plus rotation, a THREE.Quaternion or THREE.Euler that turns the box
+     * @returns {Array} - Hits as for overlapSphere()
+     */
+    overlapBox(center, halfExtents, options = {}) {
+        if (!(halfExtents.x > 0 && halfExtents.y > 0 && halfExtents.z > 0)) {
+            console.error('Overlap box half extents have to be above 0', halfExtents);
+            return [];
+        }
+        
+        const shape = createQueryShape('box', center, options.rotation);
+        shape.halfExtents.set(halfExtents.x, halfExtents.y, halfExtents.z);
+        return this.overlap(shape, options);
+    }
+    
+    /**
+     * Finds the colliders that overlap a capsule
+     * @param {THREE.Vector3} point1 - Center of one cap
+     * @param {THREE.Vector3} point2 - Center of the other cap
+     * @param {number} radius - Radius of the capsule
+     * @param {Object} options - See getQueryOptions()
+     * @returns {Array} - Hits as for overlapSphere()
+     */
+    overlapCapsule(point1, point2, radius, options = {}) {
+        if (!(radius > 0)) {
+            console.error(`Overlap capsule radius has to be above 0: ${radius}`);
+            return [];
+        }
+        
+        // The query collider is upright, turned onto the axis between the caps
+        const axis = new THREE.Vector3(point2.x - point1.x, point2.y - point1.y, point2.z - point1.z);
+        const length = axis.length();
+        
+        // Caps at the same point make a sphere, it has no axis to turn onto
+        if (length <= EPSILON) return this.overlapSphere(point1, radius, options);
+        const rotation = new THREE.Quaternion().setFromUnitVectors(new THREE.Vector3(0, 1, 0), axis.divideScalar(length));
+        
+        const center = new THREE.Vector3(point1.x, point1.y, point1.z).lerp(point2, 0.5);
+        const shape = createQueryShape('capsule', center, rotation);
+        shape.radius = radius;
+        shape.height = length + radius * 2;
+        return this.overlap(shape, options);
+    }
+    
+    /**
+     * Fills in the options of a scene query
+     * @param {Object} options - {
+     *     maxDistance: Infinity,     // Casts only
+     *     layerMask: ~0,             // Bits of the layers to hit, objects are on layer obj.layer, 0 if unset
+     *     tags: null,                // A tag or an array of tags, objects need one of them
+     *     includeTriggers: false,    // Whether trigger colliders are hit
+     *     ignore: null               // An object or an array of objects to skip, e.g. the caller
+     * }
+     * @returns {Object}
+     */
+    getQueryOptions(options) {
+        return {
+            maxDistance: options.maxDistance !== undefined ? Math.max(0, options.maxDistance) : Infinity,
+            layerMask: options.layerMask !== undefined ? options.layerMask : ~0,
+            tags: options.tags ? [].concat(options.tags) : null,
+            includeTriggers: options.includeTriggers === true,
+            ignore: options.ignore ? [].concat(options.ignore) : []
+        };
+    }
+    
+    matchesQuery(collider, query) {
+        const obj = collider.body.object;
+        if (collider.body.isTrigger && !query.includeTriggers) return false;
+        if (query.ignore.includes(obj)) return false;
+        if ((query.layerMask & (1 << (obj.layer || 0))) === 0) return false;
+        if (query.tags && !(obj.tags && query.tags.some(tag => obj.tags.has(tag)))) return false;
+        return true;
+    }
+    
+    /**
+     * Sweeps a sphere, or a ray for a radius of 0, through the query tree
+     * @returns {Array} - The hits sorted by distance, only the closest one unless all is set
+     */
+    cast(origin, direction, radius, options, all) {
+        const start = new THREE.Vector3(origin.x, origin.y, origin.z);
+        const ray = new THREE.Vector3(direction.x, direction.y, direction.z);
+        if (ray.lengthSq() < EPSILON) {
+            console.error('Cast direction has to be longer than 0', direction);
+            return [];
+        }
+        ray.normalize();
+        
+        const query = this.getQueryOptions(options);
+        const hits = [];
+        let maxDistance = query.maxDistance;
+        
+        // Once something is hit, only closer colliders matter for the closest hit
+        const reaches = (bounds) => {
+            const distance = rayBoundsDistance(start, ray, bounds, radius);
+            return distance !== null && distance <= maxDistance;
+        };
+        
+        this.getQueryTree().traverse(reaches, collider => {
+            if (!this.matchesQuery(collider, query)) return;
+            
+            const hit = castCollider(start, ray, radius, collider);
+            if (!hit || hit.distance > maxDistance) return;
+            
+            if (!all) {
+                maxDistance = hit.distance;
+                hits.length = 0;
+            }
+            hits.push(this.createHit(collider, {
+                point: start.clone().addScaledVector(ray, hit.distance).addScaledVector(hit.normal, -radius),
+                normal: hit.normal,
+                distance: hit.distance
+            }));
+        });
+        
+        return hits.sort((a, b) => a.distance - b.distance);
+    }
+    
+    overlap(shape, options) {
+        const query = this.getQueryOptions(options);
+        const hits = [];
+        shape.update();
+        
+        this.getQueryTree().traverse(bounds => bounds.intersectsBox(shape.aabb), collider => {
+            if (collider.shape !== 'plane' && !collider.aabb.intersectsBox(shape.aabb)) return;
+            if (!this.matchesQuery(collider, query)) return;
+            
+            const contact = collide(shape, collider);
+            if (!contact) return;
+            
+            hits.push(this.createHit(collider, {
+                point: contact.points[0],
+                normal: contact.normal.negate(),
+                depth: contact.depth
+            }));
+        });
+        return hits;
+    }
+    
+    createHit(collider, hit) {
+        const obj = collider.body.object;
+        return {
+            object: obj,
+            ...hit,
+            isTrigger: collider.body.isTrigger,
+            body: this.bodies.get(obj) || null
+        };
+    }
+    
+    /**
+     * Returns the query tree, rebuilding it on the first query of a frame
+     * @returns {BoundsTree}
+     */
+    getQueryTree() {
+        if (this.queryDirty || this.queryTime !== this.engine.elapsedTime) {
+            this.refreshQueries();
+        }
+        return this.queryTree;
+    }
+    
+    /**
+     * Rebuilds the query tree from the current transforms
+     * Queries see objects where they were at the first query of the frame; call
+     * this after moving objects to find them at their new place in the same frame.
+     */
+    refreshQueries() {
+        this.queryDirty = false;
+        this.queryTime = this.engine.elapsedTime;
+        this.engine.scene.updateMatrixWorld();
+        
+        const colliders = [];
+        this.bodies.forEach(body => colliders.push(body.collider));
+        
+        const objects = new Set(this.engine.objects);
+        this.queryProxies.forEach((proxy, obj) => {
+            if (!objects.has(obj)) this.queryProxies.delete(obj);
+        });
+        
+        objects.forEach(obj => {
+            if (this.bodies.has(obj)) return;
+            
+            const body = this.getQueryProxy(obj);
+            if (!body) return;
+            
+            obj.object3D.matrixWorld.decompose(body.position, body.quaternion, body.scale);
+            body.collider.update();
+            colliders.push(body.collider);
+        });
+        
+        this.queryTree.build(colliders);
+    }
+    
+    /**
+     * Returns the static stand-in body queries use for an object without a body
+     * It follows the object's physics settings, or fits a collider to its mesh.
+     * @param {Object} obj - Engine object
+     * @returns {RigidBody|null} - Null for hidden objects and objects without a mesh or physics settings
+     */
+    getQueryProxy(obj) {
+        const object3D = obj.object3D;
+        if (!obj.physics && !object3D.isMesh) return null;
+        if (!isShown(object3D)) return null;
+        
+        const proxy = this.queryProxies.get(obj);
+        if (proxy && proxy.physics === obj.physics && proxy.geometry === object3D.geometry) {
+            return proxy.body;
+        }
+        
+        // A plane mesh is a finite quad, only physics settings make it an infinite plane
+        const settings = obj.physics ? this.normalizeSettings(obj.physics) : this.createSettings(obj);
+        if (!obj.physics && settings.collider.shape === 'plane') {
+            settings.collider.shape = 'box';
+        }
+        settings.bodyType = 'static';
+        
+        const body = new RigidBody(this, obj, settings);
+        this.queryProxies.set(obj, { body: body, physics: obj.physics, geometry: object3D.geometry });
+        return body;
+    }
+    
+    dispose() {
+        this.clear();
+        this.queryProxies.clear();
+    }
+}
+
+// Velocity of bodyB relative to bodyA at a point, from the arms of both bodies to it
+function getRelativeVelocity(a, armA, b, armB, target) {
+    target.crossVectors(b.angularVelocity, armB).add(b.velocity).sub(a.velocity);
+    return target.sub(_cross.crossVectors(a.angularVelocity, armA));
+}
+
+// How much the relative velocity along a direction changes per unit of impulse at the point
+function getInverseMassAlong(a, armA, b, armB, direction) {
+    let inverseMass = a.inverseMass + b.inverseMass;
+    [[a, armA], [b, armB]].forEach(([body, arm]) => {
+        _torque.crossVectors(arm, direction).applyMatrix3(body.inverseInertia);
+        inverseMass += _cross.crossVectors(_torque, arm).dot(direction);
+    });
+    return Math.max(inverseMass, EPSILON);
+}
+
+// Pushes and spins a body by an impulse at the end of an arm from its center
+function applyImpulseAt(body, impulse, arm, sign) {
+    body.velocity.addScaledVector(impulse, sign * body.inverseMass);
+    body.angularVelocity.addScaledVector(_torque.crossVectors(arm, impulse).applyMatrix3(body.inverseInertia), sign);
+}
+
+// How fast the push velocities move the points of both bodies apart, see solveContacts()
+function getRelativePush(a, armA, b, armB, target) {
+    target.crossVectors(b.turnVelocity, armB).add(b.pushVelocity).sub(a.pushVelocity);
+    return target.sub(_cross.crossVectors(a.turnVelocity, armA));
+}
+
+function applyPushAt(body, impulse, arm, sign) {
+    body.pushVelocity.addScaledVector(impulse, sign * body.inverseMass);
+    body.turnVelocity.addScaledVector(_torque.crossVectors(arm, impulse).applyMatrix3(body.inverseInertia), sign);
+}
+
+// Angular velocity that turns the rotation from into the rotation to over the elapsed time
+function getAngularVelocity(from, to, elapsed, target) {
+    _spin.copy(from).invert().premultiply(to);
+    if (_spin.w < 0) _spin.set(-_spin.x, -_spin.y, -_spin.z, -_spin.w);
+    
+    const sine = Math.sqrt(_spin.x * _spin.x + _spin.y * _spin.y + _spin.z * _spin.z);
+    if (sine < EPSILON) return target.set(0, 0, 0);
+    
+    const angle = 2 * Math.atan2(sine, _spin.w);
+    return target.set(_spin.x, _spin.y, _spin.z).multiplyScalar(angle / (sine * elapsed));
+}
+
+function getPairKey(bodyA, bodyB) {
+    return bodyA.id < bodyB.id ? `${bodyA.id}:${bodyB.id}` : `${bodyB.id}:${bodyA.id}`;
+}
+
+// Bounds of an object in its own space, before its scale
+function getLocalBounds(object3D, target) {
+    const geometry = object3D.geometry;
+    if (geometry) {
+        if (!geometry.boundingBox) geometry.computeBoundingBox();
+        target.copy(geometry.boundingBox);
+    } else {
+        // Groups and models: their world bounds taken back into their own space, which is exact when they aren't rotated
+        object3D.updateWorldMatrix(true, true);
+        target.setFromObject(object3D).applyMatrix4(_inverse.copy(object3D.matrixWorld).invert());
+    }
+    
+    if (target.isEmpty()) {
+        target.min.set(-0.5, -0.5, -0.5);
+        target.max.set(0.5, 0.5, 0.5);
+    }
+    return target;
+}
+
+/**
+ * Tests two colliders for contact
+ * @returns {Object|null} - { normal (from a to b), depth, points, depths }, null if they don't touch
+ *     depths holds how deep each of the points is
+ */
+function collide(a, b) {
+    if (SHAPE_ORDER[a.shape] > SHAPE_ORDER[b.shape]) {
+        const contact = collide(b, a);
+        if (contact) contact.normal.negate();
+        return contact;
+    }
+    
+    switch (`${a.shape}-${b.shape}`) {
+        case 'sphere-sphere':
+            return sphereSphere(a.worldCenter, a.worldRadius, b.worldCenter, b.worldRadius);
+        case 'sphere-capsule':
+            return sphereSphere(a.worldCenter, a.worldRadius, closestOnSegment(a.worldCenter, b.start, b.end), b.worldRadius);
+        case 'sphere-box':
+            return sphereBox(a.worldCenter, a.worldRadius, b);
+        case 'sphere-plane':
+            return spherePlane(a.worldCenter, a.worldRadius, b);
+        case 'capsule-capsule': {
+            const [pointA, pointB] = closestOnSegments(a.start, a.end, b.start, b.end);
+            return sphereSphere(pointA, a.worldRadius, pointB, b.worldRadius);
+        }
+        case 'capsule-box': {
+            // Alternate between the closest points on the segment and on the box
+            const point = closestOnSegment(b.worldCenter, a.start, a.end);
+            for (let i = 0; i < 3; i++) {
+                point.copy(closestOnSegment(closestOnBox(point, b), a.start, a.end));
+            }
+            
+            // The caps touch too when the capsule lies on the box, so it rests on both ends
+            const caps = [a.start, a.end].filter(cap => cap.distanceToSquared(point) > 1e-6);
+            return mergeContacts([point, ...caps].map(center => sphereBox(center, a.worldRadius, b)));
+        }
+        case 'capsule-plane':
+            return mergeContacts([
+                spherePlane(a.start, a.worldRadius, b),
+                spherePlane(a.end, a.worldRadius, b)
+            ]);
+        case 'box-box':
+            return boxBox(a, b);
+        case 'box-plane':
+            return boxPlane(a, b);
+        default:
+            return null;
+    }
+}
+
+function sphereSphere(centerA, radiusA, centerB, radiusB) {
+    const normal = new THREE.Vector3().subVectors(centerB, centerA);
+    const distance = normal.length();
+    const depth = radiusA + radiusB - distance;
+    if (depth <= 0) return null;
+    
+    if (distance > EPSILON) {
+        normal.divideScalar(distance);
+    } else {
+        normal.set(0, 1, 0);
+    }
+    
+    return {
+        normal: normal,
+        depth: depth,
+        points: [centerA.clone().addScaledVector(normal, radiusA - depth / 2)],
+        depths: [depth]
+    };
+}
+
+function sphereBox(center, radius, box) {
+    _offset.subVectors(center, box.worldCenter);
+    const local = box.axes.map(axis => _offset.dot(axis));
+    const half = box.worldHalfExtents.toArray();
+    
+    const closest = box.worldCenter.clone();
+    let inside = true;
+    for (let i = 0; i < 3; i++) {
+        const clamped = THREE.MathUtils.clamp(local[i], -half[i], half[i]);
+        if (clamped !== local[i]) inside = false;
+        closest.addScaledVector(box.axes[i], clamped);
+    }
+    
+    if (!inside) {
+        const normal = new THREE.Vector3().subVectors(closest, center);
+        const distance = normal.length();
+        if (distance >= radius) return null;
+        
+        normal.divideScalar(Math.max(distance, EPSILON));
+        return { normal: normal, depth: radius - distance, points: [closest], depths: [radius - distance] };
+    }
+    
+    // The center is inside, it leaves through the nearest face
+    let axis = 0;
+    let gap = Infinity;
+    for (let i = 0; i < 3; i++) {
+        const faceGap = half[i] - Math.abs(local[i]);
+        if (faceGap < gap) {
+            gap = faceGap;
+            axis = i;
+        }
+    }
+    
+    const normal = box.axes[axis].clone().multiplyScalar(local[axis] >= 0 ? -1 : 1);
+    return { normal: normal, depth: radius + gap, points: [center.clone()], depths: [radius + gap] };
+}
+
+function spherePlane(center, radius, plane) {
+    const distance = plane.worldNormal.dot(center) - plane.constant;
+    if (distance >= radius) return null;
+    
+    return {
+        normal: plane.worldNormal.clone().negate(),
+        depth: radius - distance,
+        points: [center.clone().addScaledVector(plane.worldNormal, -distance)],
+        depths: [radius - distance]
+    };
+}
+
+function boxPlane(box, plane) {
+    const points = [];
+    const depths = [];
+    getCorners(box).forEach(corner => {
+        const distance = plane.worldNormal.dot(corner) - plane.constant;
+        if (distance < CONTACT_MARGIN) {
+            depths.push(-distance);
+            points.push(corner.addScaledVector(plane.worldNormal, -distance));
+        }
+    });
+    if (!depths.some(depth => depth > 0)) return null;
+    
+    return { normal: plane.worldNormal.clone().negate(), depth: Math.max(...depths), points: points, depths: depths };
+}
+
+// Separating axis test over the face normals of both boxes and the cross products of their edges
+function boxBox(a, b) {
+    const axes = [...a.axes, ...b.axes];
+    a.axes.forEach(axisA => {
+        b.axes.forEach(axisB => {
+            const axis = new THREE.Vector3().crossVectors(axisA, axisB);
+            if (axis.lengthSq() > 1e-6) axes.push(axis.normalize());
+        });
+    });
+    
+    const between = new THREE.Vector3().subVectors(b.worldCenter, a.worldCenter);
+    let depth = Infinity;
+    let best = Infinity;
+    let normal = null;
+    
+    for (let i = 0; i < axes.length; i++) {
+        const axis = axes[i];
+        const distance = between.dot(axis);
+        const overlap = projectBox(a, axis) + projectBox(b, axis) - Math.abs(distance);
+        if (overlap <= 0) return null;
+        
+        // Edge axes have to win clearly, face contacts rest more steadily
+        const score = i < 6 ? overlap : overlap * 1.05 + 1e-4;
+        if (score < best) {
+            best = score;
+            depth = overlap;
+            normal = axis.clone().multiplyScalar(distance < 0 ? -1 : 1);
+        }
+    }
+    
+    const tolerance = CONTACT_MARGIN + depth;
+    const cornersB = getCorners(b).filter(corner => isInBox(corner, a, tolerance));
+    const cornersA = getCorners(a).filter(corner => isInBox(corner, b, tolerance));
+    
+    // Corners are as deep as they are past the face of the other box, those short of it have a negative depth
+    const back = normal.clone().negate();
+    const points = [...cornersB];
+    const depths = cornersB.map(corner => getFaceDepth(corner, a, normal));
+    
+    // Boxes of the same size meet corner on corner, those count once
+    cornersA.forEach(corner => {
+        if (points.some(point => point.distanceToSquared(corner) < tolerance * tolerance * 4)) return;
+        points.push(corner);
+        depths.push(getFaceDepth(corner, b, back));
+    });
+    
+    // Edge against edge, halfway between the closest points of both boxes
+    if (points.length === 0) {
+        points.push(closestOnBox(b.worldCenter, a).add(closestOnBox(a.worldCenter, b)).multiplyScalar(0.5));
+        depths.push(depth);
+    }
+    
+    return { normal: normal, depth: depth, points: points, depths: depths };
+}
+
+// How far a point is inside the face of a box that faces the most along a direction
+function getFaceDepth(point, box, direction) {
+    let axis = 0;
+    for (let i = 1; i < 3; i++) {
+        if (Math.abs(box.axes[i].dot(direction)) > Math.abs(box.axes[axis].dot(direction))) axis = i;
+    }
+    
+    const face = box.axes[axis];
+    const side = face.dot(direction) < 0 ? -1 : 1;
+    return box.worldHalfExtents.getComponent(axis) - _offset.subVectors(point, box.worldCenter).dot(face) * side;
+}
+
+function projectBox(box, axis) {
+    const h = box.worldHalfExtents;
+    return Math.abs(box.axes[0].dot(axis)) * h.x + Math.abs(box.axes[1].dot(axis)) * h.y + Math.abs(box.axes[2].dot(axis)) * h.z;
+}
+
+function getCorners(box) {
+    const corners = [];
+    const h = box.worldHalfExtents;
+    for (let i = 0; i < 8; i++) {
+        corners.push(box.worldCenter.clone()
+            .addScaledVector(box.axes[0], i & 1 ? h.x : -h.x)
+            .addScaledVector(box.axes[1], i & 2 ? h.y : -h.y)
+            .addScaledVector(box.axes[2], i & 4 ? h.z : -h.z));
+    }
+    return corners;
+}
+
+function isInBox(point, box, tolerance) {
+    _offset.subVectors(point, box.worldCenter);
+    const h = box.worldHalfExtents;
+    return Math.abs(_offset.dot(box.axes[0])) <= h.x + tolerance &&
+        Math.abs(_offset.dot(box.axes[1])) <= h.y + tolerance &&
+        Math.abs(_offset.dot(box.axes[2])) <= h.z + tolerance;
+}
+
+function closestOnBox(point, box) {
+    _closest.subVectors(point, box.worldCenter);
+    const half = box.worldHalfExtents.toArray();
+    const result = box.worldCenter.clone();
+    box.axes.forEach((axis, i) => {
+        result.addScaledVector(axis, THREE.MathUtils.clamp(_closest.dot(axis), -half[i], half[i]));
+    });
+    return result;
+}
+
+function closestOnSegment(point, start, end) {
+    // Capsules no taller than they are wide have no segment, projecting onto it would divide by zero
+    if (start.distanceToSquared(end) <= EPSILON) return start.clone();
+    return _segment.set(start, end).closestPointToPoint(point, true, new THREE.Vector3());
+}
+
+// Closest points between the segments p1-q1 and p2-q2
+function closestOnSegments(p1, q1, p2, q2) {
+    const d1 = new THREE.Vector3().subVectors(q1, p1);
+    const d2 = new THREE.Vector3().subVectors(q2, p2);
+    const r = new THREE.Vector3().subVectors(p1, p2);
+    const a = d1.dot(d1);
+    const e = d2.dot(d2);
+    const f = d2.dot(r);
+    const clamp = THREE.MathUtils.clamp;
+    
+    let s = 0;
+    let t = 0;
+    if (a <= EPSILON && e > EPSILON) {
+        t = clamp(f / e, 0, 1);
+    } else if (a > EPSILON) {
+        const c = d1.dot(r);
+        if (e <= EPSILON) {
+            s = clamp(-c / a, 0, 1);
+        } else {
+            const b = d1.dot(d2);
+            const denominator = a * e - b * b;
+            s = denominator > EPSILON ? clamp((b * f - c * e) / denominator, 0, 1) : 0;
+            t = (b * s + f) / e;
+            if (t < 0) {
+                t = 0;
+                s = clamp(-c / a, 0, 1);
+            } else if (t > 1) {
+                t = 1;
+                s = clamp((b - c) / a, 0, 1);
+            }
+        }
+    }
+    
+    return [p1.clone().addScaledVector(d1, s), p2.clone().addScaledVector(d2, t)];
+}
+
+// Combines the contacts of several spheres against one shape, the deepest sets the depth
+function mergeContacts(contacts) {
+    const found = contacts.filter(contact => contact);
+    if (found.length === 0) return null;
+    
+    const deepest = found.reduce((a, b) => b.depth > a.depth ? b : a);
+    return {
+        normal: deepest.normal,
+        depth: deepest.depth,
+        points: found.flatMap(contact => contact.points),
+        depths: found.flatMap(contact => contact.depths)
+    };
+}
+
+// Whether an object and all of its parents are visible
+function isShown(object3D) {
+    for (let node = object3D; node; node = node.parent) {
+        if (!node.visible) return false;
+    }
+    return true;
+}
+
+/**
+ * Creates the collider of an overlap query, set its size and call update() before testing
+ * @param {string} shape - 'sphere', 'capsule' or 'box'
+ * @param {THREE.Vector3} center - World position
+ * @param {THREE.Quaternion|THREE.Euler|null} rotation - World rotation
+ * @returns {Collider}
+ */
+function createQueryShape(shape, center, rotation) {
+    const quaternion = new THREE.Quaternion();
+    if (rotation && rotation.isQuaternion) {
+        quaternion.copy(rotation);
+    } else if (rotation && rotation.isEuler) {
+        quaternion.setFromEuler(rotation);
+    }
+    
+    const collider = new Collider({
+        position: new THREE.Vector3(center.x, center.y, center.z),
+        quaternion: quaternion,
+        scale: new THREE.Vector3(1, 1, 1)
+    });
+    collider.shape = shape;
+    return collider;
+}
+
+// Distance along a ray to where it enters a box grown by a radius, null if it misses
+function rayBoundsDistance(origin, direction, bounds, radius) {
+    _bounds.copy(bounds).expandByScalar(radius);
+    if (_bounds.containsPoint(origin)) return 0;
+    
+    _ray.set(origin, direction);
+    return _ray.intersectBox(_bounds, _point) ? _point.distanceTo(origin) : null;
+}
+
+/**
+ * Moves a sphere along a ray until it touches a collider, a radius of 0 casts the ray itself
+ * Colliders the sphere overlaps at the start are not hit.
+ * @param {THREE.Vector3} origin - Start of the ray
+ * @param {THREE.Vector3} direction - Normalized direction
+ * @param {number} radius - Radius of the sphere
+ * @param {Collider} collider - Collider to test
+ * @returns {Object|null} - { distance, normal } where the sphere first touches, the normal points towards its center
+ */
+function castCollider(origin, direction, radius, collider) {
+    switch (collider.shape) {
+        case 'sphere':
+            return castSphere(origin, direction, collider.worldCenter, collider.worldRadius + radius);
+        case 'capsule':
+            return castCapsule(origin, direction, collider.start, collider.end, collider.worldRadius + radius);
+        case 'box':
+            return castBox(origin, direction, radius, collider);
+        case 'plane':
+            return castPlane(origin, direction, radius, collider);
+        default:
+            return null;
+    }
+}
+
+function castSphere(origin, direction, center, radius) {
+    const offset = new THREE.Vector3().subVectors(origin, center);
+    const b = offset.dot(direction);
+    const c = offset.lengthSq() - radius * radius;
+    
+    // Starts inside or moves away
+    if (c <= 0 || b > 0) return null;
+    
+    const discriminant = b * b - c;
+    if (discriminant < 0) return null;
+    
+    const distance = -b - Math.sqrt(discriminant);
+    return { distance: distance, normal: offset.addScaledVector(direction, distance).divideScalar(radius) };
+}
+
+// A capsule is hit where the ray first enters one of its caps or the cylinder between them
+function castCapsule(origin, direction, start, end, radius) {
+    if (closestOnSegment(origin, start, end).distanceToSquared(origin) <= radius * radius) return null;
+    
+    let best = null;
+    [start, end].forEach(center => {
+        const hit = castSphere(origin, direction, center, radius);
+        if (hit && (!best || hit.distance < best.distance)) best = hit;
+    });
+    
+    const axis = new THREE.Vector3().subVectors(end, start);
+    const length = axis.length();
+    if (length <= EPSILON) return best;
+    axis.divideScalar(length);
+    
+    // The ray and the offset from the axis, without their parts along the axis
+    const offset = new THREE.Vector3().subVectors(origin, start);
+    const across = offset.clone().addScaledVector(axis, -offset.dot(axis));
+    const sideways = direction.clone().addScaledVector(axis, -direction.dot(axis));
+    const a = sideways.lengthSq();
+    const b = across.dot(sideways);
+    const c = across.lengthSq() - radius * radius;
+    const discriminant = b * b - a * c;
+    if (a <= EPSILON || discriminant < 0) return best;
+    
+    const distance = (-b - Math.sqrt(discriminant)) / a;
+    const along = offset.dot(axis) + distance * direction.dot(axis);
+    if (distance >= 0 && along >= 0 && along <= length && (!best || distance < best.distance)) {
+        best = { distance: distance, normal: across.addScaledVector(sideways, distance).divideScalar(radius) };
+    }
+    return best;
+}
+
+// A sphere swept against a box hits its faces, or the edges and corners rounded by the radius
+function castBox(origin, direction, radius, box) {
+    if (closestOnBox(origin, box).distanceToSquared(origin) <= radius * radius) return null;
+    
+    _offset.subVectors(origin, box.worldCenter);
+    const local = box.axes.map(axis => _offset.dot(axis));
+    const speed = box.axes.map(axis => direction.dot(axis));
+    const half = box.worldHalfExtents.toArray();
+    
+    // Slabs of the box grown by the radius
+    let near = -Infinity;
+    let far = Infinity;
+    let face = 0;
+    for (let i = 0; i < 3; i++) {
+        const extent = half[i] + radius;
+        if (Math.abs(speed[i]) < EPSILON) {
+            if (Math.abs(local[i]) > extent) return null;
+            continue;
+        }
+        
+        let enter = (-extent - local[i]) / speed[i];
+        let exit = (extent - local[i]) / speed[i];
+        if (enter > exit) [enter, exit] = [exit, enter];
+        if (enter > near) {
+            near = enter;
+            face = i;
+        }
+        far = Math.min(far, exit);
+    }
+    if (near > far || far < 0) return null;
+    
+    const onFace = [0, 1, 2].every(i => i === face || Math.abs(local[i] + speed[i] * near) <= half[i] + 1e-6);
+    if (near >= 0 && (onFace || radius === 0)) {
+        return { distance: near, normal: box.axes[face].clone().multiplyScalar(speed[face] > 0 ? -1 : 1) };
+    }
+    if (radius === 0) return null;
+    
+    // Past the edges of the faces the sphere touches an edge first, or a corner at the end of one
+    const corners = getCorners(box);
+    let best = null;
+    corners.forEach((corner, i) => {
+        [1, 2, 4].forEach(bit => {
+            if (i & bit) return;
+            
+            const hit = castCapsule(origin, direction, corner, corners[i | bit], radius);
+            if (hit && (!best || hit.distance < best.distance)) best = hit;
+        });
+    });
+    return best;
+}
+
+// Planes are solid below their surface, so rays from below don't hit them
+function castPlane(origin, direction, radius, plane) {
+    const height = plane.worldNormal.dot(origin) - plane.constant - radius;
+    const speed = plane.worldNormal.dot(direction);
+    if (height <= 0 || speed >= 0) return null;
+    
+    return { distance: -height / speed, normal: plane.worldNormal.clone() };
+}
+
+/**
+ * Bounding volume tree over the bounds of colliders, for scene queries
+ * Planes have no bounds and are kept in a list of their own.
+ */
+class BoundsTree {
+    constructor() {
+        this.root = null;
+        this.planes = [];
+    }
+    
+    build(colliders) {
+        this.planes = colliders.filter(collider => collider.shape === 'plane');
+        
+        const bounded = colliders.filter(collider => collider.shape !== 'plane');
+        this.root = bounded.length > 0 ? this.buildNode(bounded) : null;
+    }
+    
+    // Splits the colliders in half along the axis their centers spread the most
+    buildNode(colliders) {
+        const bounds = new THREE.Box3();
+        colliders.forEach(collider => bounds.union(collider.aabb));
+        if (colliders.length <= TREE_LEAF_SIZE) {
+            return { bounds: bounds, colliders: colliders, left: null, right: null };
+        }
+        
+        const centers = new THREE.Box3();
+        colliders.forEach(collider => centers.expandByPoint(collider.aabb.getCenter(_position)));
+        const spread = centers.getSize(_position);
+        const axis = spread.x > spread.y && spread.x > spread.z ? 'x' : (spread.y > spread.z ? 'y' : 'z');
+        
+        const sorted = colliders.slice().sort((a, b) => (a.aabb.min[axis] + a.aabb.max[axis]) - (b.aabb.min[axis] + b.aabb.max[axis]));
+        const middle = sorted.length >> 1;
+        return {
+            bounds: bounds,
+            colliders: null,
+            left: this.buildNode(sorted.slice(0, middle)),
+            right: this.buildNode(sorted.slice(middle))
+        };
+    }
+    
+    /**
+     * Visits the colliders a query may touch
+     * @param {Function} testBounds - Called with the bounds of a node, false skips everything in it
+     * @param {Function} visit - Called with each collider in the nodes that pass, and with every plane
+     */
+    traverse(testBounds, visit) {
+        this.planes.forEach(visit);
+        
+        const stack = this.root ? [this.root] : [];
+        while (stack.length > 0) {
+            const node = stack.pop();
+            if (!testBounds(node.bounds)) continue;
+            
+            if (node.colliders) {
+                node.colliders.forEach(visit);
+            } else {
+                stack.push(node.right, node.left);
+            }
+        }
+    }
+}
@@ -0,0 +1,624 @@
+import * as THREE from 'three';
+import { EffectComposer } from 'three/addons/postprocessing/EffectComposer.js';
+import { RenderPass } from 'three/addons/postprocessing/RenderPass.js';
+import { ShaderPass } from 'three/addons/postprocessing/ShaderPass.js';
+import { OutlinePass } from 'three/addons/postprocessing/OutlinePass.js';
+import { UnrealBloomPass } from 'three/addons/postprocessing/UnrealBloomPass.js';
+import { BokehPass } from 'three/addons/postprocessing/BokehPass.js';
+import { FilmPass } from 'three/addons/postprocessing/FilmPass.js';
+import { GlitchPass } from 'three/addons/postprocessing/GlitchPass.js';
+import { DotScreenPass } from 'three/addons/postprocessing/DotScreenPass.js';
+import { RGBShiftShader } from 'three/addons/shaders/RGBShiftShader.js';
+import { validatePostProcessing, createIssue, formatIssues } from './sceneFormat.js';
+
+const COPY_VERTEX_SHADER = `
+    varying vec2 vUv;
+    void main() {
+        vUv = uv;
+        gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    }
+`;
+
+const COPY_FRAGMENT_SHADER = `
+    uniform sampler2D tDiffuse;
+    varying vec2 vUv;
+    void main() {
+        gl_FragColor = texture2D(tDiffuse, vUv);
+    }
+`;
+
+// The renderer only tone maps and converts the color space when drawing to the screen,
+// so the last pass of the stack does it for the render targets in between
+const OutputShader = {
+    uniforms: {
+        tDiffuse: { value: null }
+    },
+    vertexShader: COPY_VERTEX_SHADER,
+    fragmentShader: `
+        uniform sampler2D tDiffuse;
+        varying vec2 vUv;
+        void main() {
+            gl_FragColor = texture2D(tDiffuse, vUv);
+            #include <tonemapping_fragment>
+            #include <encodings_fragment>
+        }
+    `
+};
+
+/**
+ * Effects that can be added to the post-processing stack
+ * Each effect lists its editable parameters with their default value and range.
+ * create() builds the pass, update() applies changed parameters to it; when
+ * update() is missing or returns false the pass is created again instead.
+ */
+export const POST_PROCESSING_EFFECTS = {
+    bloom: {
+        label: 'Bloom',
+        params: {
+            strength: { value: 1.5, min: 0, max: 3, step: 0.05 },
+            radius: { value: 0.4, min: 0, max: 1, step: 0.01 },
+            threshold: { value: 0.85, min: 0, max: 1, step: 0.01 }
+        },
+        create(params, engine) {
+            const { width, height } = engine.getViewportSize();
+            return new UnrealBloomPass(new THREE.Vector2(width, height), params.strength, params.radius, params.threshold);
+        },
+        update(pass, params) {
+            pass.strength = params.strength;
+            pass.radius = params.radius;
+            pass.threshold = params.threshold;
+        }
+    },
+    
+    dof: {
+        label: 'Depth of Field',
+        params: {
+            focus: { value: 10, min: 0.1, max: 100, step: 0.1 },
+            aperture: { value: 0.025, min: 0, max: 0.2, step: 0.001 },
+            maxblur: { value: 0.01, min: 0, max: 0.05, step: 0.001 }
+        },
+        create(params, engine) {
+            return new BokehPass(engine.scene, engine.camera, {
+                focus: params.focus,
+                aperture: params.aperture,
+                maxblur: params.maxblur
+            });
+        },
+        update(pass, params) {
+            pass.uniforms.focus.value = params.focus;
+            pass.uniforms.aperture.value = params.aperture;
+            pass.uniforms.maxblur.value = params.maxblur;
+        },
+        setCamera(pass, camera) {
+            if (camera.isPerspectiveCamera) {
+                pass.uniforms.aspect.value = camera.aspect;
+            }
+        }
+    },
+    
+    film: {
+        label: 'Film',
+        params: {
+            noiseIntensity: { value: 0.35, min: 0, max: 1, step: 0.01 },
+            scanlinesIntensity: { value: 0.5, min: 0, max: 1, step: 0.01 },
+            scanlinesCount: { value: 256, min: 0, max: 2048, step: 1 },
+            grayscale: { value: false }
+        },
+        create(params) {
+            return new FilmPass(params.noiseIntensity, params.scanlinesIntensity, params.scanlinesCount, params.grayscale);
+        },
+        update(pass, params) {
+            pass.uniforms.nIntensity.value = params.noiseIntensity;
+            pass.uniforms.sIntensity.value = params.scanlinesIntensity;
+            pass.uniforms.sCount.value = params.scanlinesCount;
+            pass.uniforms.grayscale.value = params.grayscale;
+        }
+    },
+    
+    glitch: {
+        label: 'Glitch',
+        params: {
+            wild: { value: false }
+        },
+        create(params) {
+            const pass = new GlitchPass();
+            pass.goWild = params.wild;
+            return pass;
+        },
+        update(pass, params) {
+            pass.goWild = params.wild;
+        }
+    },
+    
+    dot: {
+        label: 'Dot Screen',
+        params: {
+            scale: { value: 1, min: 0.1, max: 10, step: 0.1 },
+            angle: { value: 0.5, min: 0, max: Math.PI, step: 0.01 }
+        },
+        create(params) {
+            return new DotScreenPass(new THREE.Vector2(0.5, 0.5), params.angle, params.scale);
+        },
+        update(pass, params) {
+            pass.uniforms.scale.value = params.scale;
+            pass.uniforms.angle.value = params.angle;
+        }
+    },
+    
+    rgb: {
+        label: 'RGB Shift',
+        params: {
+            amount: { value: 0.005, min: 0, max: 0.05, step: 0.0005 },
+            angle: { value: 0, min: 0, max: Math.PI * 2, step: 0.01 }
+        },
+        create(params) {
+            const pass = new ShaderPass(RGBShiftShader);
+            pass.uniforms.amount.value = params.amount;
+            pass.uniforms.angle.value = params.angle;
+            return pass;
+        },
+        update(pass, params) {
+            pass.uniforms.amount.value = params.amount;
+            pass.uniforms.angle.value = params.angle;
+        }
+    },
+    
+    // Shader code and uniform values are saved with the scene, tDiffuse holds the image so far
+    custom: {
+        label: 'Custom Shader',
+        params: {
+            vertexShader: { value: COPY_VERTEX_SHADER },
+            fragmentShader: { value: COPY_FRAGMENT_SHADER },
+            uniforms: { value: {} }
+        },
+        create(params) {
+            const uniforms = { tDiffuse: { value: null } };
+            Object.entries(params.uniforms).forEach(([name, value]) => {
+                uniforms[name] = { value: value };
+            });
+            
+            return new ShaderPass({
+                uniforms: uniforms,
+                vertexShader: params.vertexShader,
+                fragmentShader: params.fragmentShader
+            });
+        },
+        update(pass, params) {
+            if (pass.material.vertexShader !== params.vertexShader ||
+                pass.material.fragmentShader !== params.fragmentShader) {
+                return false;
+            }
+            
+            Object.entries(params.uniforms).forEach(([name, value]) => {
+                if (!pass.uniforms[name]) pass.uniforms[name] = { value: value };
+                pass.uniforms[name].value = value;
+            });
+            return true;
+        }
+    }
+};
+
+/**
+ * PostProcessingSystem renders the scene through an EffectComposer
+ *
+ * The composer runs the scene render, then the effect stack in order, then the
+ * selection and hover outlines of the editor and finally a pass that applies
+ * tone mapping and the output color space. The effect stack lives in
+ * config.postProcessing, so it is saved with the scene and written to the
+ * config.js of exported projects.
+ */
+export class PostProcessingSystem {
+    /**
+     * Create a new PostProcessingSystem
+     * @param {GameEngine} engine - Reference to the main game engine
+     */
+    constructor(engine) {
+        this.engine = engine;
+        this.effects = { ...POST_PROCESSING_EFFECTS };
+        
+        // Effect stack, each entry { id, type, enabled, params, pass }
+        this.stack = [];
+        this.enabled = false;
+        this.nextId = 1;
+        
+        this.composer = null;
+        this.renderPass = null;
+        this.selectionOutlinePass = null;
+        this.hoverOutlinePass = null;
+        this.outputPass = null;
+    }
+    
+    /**
+     * Creates the composer and the stack from config.postProcessing
+     * Without a renderer only the stack is kept, so it can still be edited and saved.
+     */
+    init() {
+        const renderer = this.engine.renderer;
+        
+        if (renderer) {
+            const { width, height } = this.engine.getViewportSize();
+            const scene = this.engine.scene;
+            const camera = this.engine.camera;
+            
+            this.composer = new EffectComposer(renderer);
+            this.renderPass = new RenderPass(scene, camera);
+            
+            // Outline of the selected objects
+            this.selectionOutlinePass = new OutlinePass(new THREE.Vector2(width, height), scene, camera);
+            this.selectionOutlinePass.edgeStrength = 3;
+            this.selectionOutlinePass.edgeGlow = 1;
+            this.selectionOutlinePass.edgeThickness = 1;
+            this.selectionOutlinePass.visibleEdgeColor.set('#4b80ff');
+            this.selectionOutlinePass.hiddenEdgeColor.set('#4b80ff');
+            
+            // Outline of the object under the mouse
+            this.hoverOutlinePass = new OutlinePass(new THREE.Vector2(width, height), scene, camera);
+            this.hoverOutlinePass.edgeStrength = 2;
+            this.hoverOutlinePass.edgeGlow = 0.5;
+            this.hoverOutlinePass.edgeThickness = 1;
+            this.hoverOutlinePass.visibleEdgeColor.set('#ffffff');
+            this.hoverOutlinePass.hiddenEdgeColor.set('#ffffff');
+            
+            this.outputPass = new ShaderPass(OutputShader);
+        }
+        
+        const issues = this.deserialize(this.engine.config.postProcessing || {});
+        if (issues.length > 0) {
+            console.warn(`config.postProcessing:\n${formatIssues(issues)}`);
+        }
+    }
+    
+    /**
+     * Adds an effect type that can be used in the stack
+     * @param {string} type - Type name saved with the scene
+     * @param {Object} definition - { label, params, create(params, engine), update(pass, params) }
+     */
+    registerEffect(type, definition) {
+        if (typeof definition.create !== 'function') {
+            console.error(`Post-processing effect "${type}" needs a create function`);
+            return;
+        }
+        this.effects[type] = { label: type, params: {}, ...definition };
+    }
+    
+    /**
+     * Returns the effect types that can be added to the stack
+     * @returns {Array} - Entries { type, label, params }
+     */
+    getEffectTypes() {
+        return Object.entries(this.effects).map(([type, definition]) => ({
+            type: type,
+            label: definition.label,
+            params: definition.params
+        }));
+    }
+    
+    /**
+     * Returns the default parameters of an effect type
+     * @param {string} type - Effect type
+     * @returns {Object}
+     */
+    getDefaultParams(type) {
+        const params = {};
+        Object.entries(this.effects[type].params).forEach(([name, param]) => {
+            params[name] = typeof param.value === 'object' ? JSON.parse(JSON.stringify(param.value)) : param.value;
+        });
+        return params;
+    }
+    
+    /**
+     * Returns the effect stack in order
+     * @returns {Array} - Entries { id, type, enabled, params, pass }
+     */
+    getPasses() {
+        return this.stack.slice();
+    }
+    
+    getPass(id) {
+        return this.stack.find(entry => entry.id === id) || null;
+    }
+    
+    /**
+     * Turns the whole effect stack on or off, the editor outlines stay on
+     * @param {boolean} enabled - Whether effects are rendered
+     */
+    setEnabled(enabled) {
+        this.enabled = !!enabled;
+        this.updateComposer();
+        this.changed();
+    }
+    
+    /**
+     * Adds an effect to the stack
+     * @param {string} type - Effect type, see getEffectTypes()
+     * @param {Object} params - Parameters, missing ones use the defaults
+     * @param {number} index - Position in the stack, defaults to the end
+     * @returns {Object|null} - The new entry, or null if the type is unknown
+     */
+    addPass(type, params = {}, index = this.stack.length) {
+        const entry = this.createEntry({ type: type, params: params });
+        if (!entry) return null;
+        
+        this.stack.splice(Math.max(0, Math.min(index, this.stack.length)), 0, entry);
+        this.updateComposer();
+        this.changed();
+        return entry;
+    }
+    
+    /**
+     * Adds a pass made elsewhere, e.g. by a script
+     * Such passes run even when the effect stack is off and are not saved with the scene.
+     * @param {Pass} pass - A pass for the EffectComposer
+     * @param {string} label - Name shown in the editor
+     * @returns {Object} - The new entry
+     */
+    addExternalPass(pass, label = 'Script Pass') {
+        const entry = {
+            id: `external-${this.nextId++}`,
+            type: 'external',
+            label: label,
+            enabled: true,
+            params: {},
+            pass: pass
+        };
+        
+        this.stack.push(entry);
+        this.updateComposer();
+        this.changed();
+        return entry;
+    }
+    
+    /**
+     * Removes an effect from the stack
+     * @param {string|Object} id - Entry id, entry or pass
+     * @returns {boolean} - False if it isn't in the stack
+     */
+    removePass(id) {
+        const entry = this.findEntry(id);
+        if (!entry) {
+            console.error(`Post-processing pass "${id}" not found`);
+            return false;
+        }
+        
+        this.stack.splice(this.stack.indexOf(entry), 1);
+        this.disposePass(entry);
+        this.updateComposer();
+        this.changed();
+        return true;
+    }
+    
+    /**
+     * Moves an effect to another position in the stack
+     * @param {string} id - Entry id
+     * @param {number} index - New position
+     * @returns {boolean} - False if it isn't in the stack
+     */
+    movePass(id, index) {
+        const entry = this.findEntry(id);
+        if (!entry) {
+            console.error(`Post-processing pass "${id}" not found`);
+            return false;
+        }
+        
+        this.stack.splice(this.stack.indexOf(entry), 1);
+        this.stack.splice(Math.max(0, Math.min(index, this.stack.length)), 0, entry);
+        this.updateComposer();
+        this.changed();
+        return true;
+    }
+    
+    /**
+     * Turns one effect on or off
+     * @param {string} id - Entry id
+     * @param {boolean} enabled - Whether the effect is rendered
+     * @returns {boolean} - False if it isn't in the stack
+     */
+    setPassEnabled(id, enabled) {
+        const entry = this.findEntry(id);
+        if (!entry) {
+            console.error(`Post-processing pass "${id}" not found`);
+            return false;
+        }
+        
+        entry.enabled = !!enabled;
+        this.updateComposer();
+        this.changed();
+        return true;
+    }
+    
+    /**
+     * Changes parameters of an effect
+     * @param {string} id - Entry id
+     * @param {Object} changes - Parameters to change, e.g. { strength: 2 }
+     * @returns {boolean} - False if it isn't in the stack or a parameter is unknown
+     */
+    setPassParams(id, changes) {
+        const entry = this.findEntry(id);
+        if (!entry) {
+            console.error(`Post-processing pass "${id}" not found`);
+            return false;
+        }
+        
+        const definition = this.effects[entry.type];
+        if (!definition) {
+            console.error(`Post-processing pass "${id}" has no editable parameters`);
+            return false;
+        }
+        
+        const unknown = Object.keys(changes).filter(name => !(name in definition.params));
+        if (unknown.length > 0) {
+            console.error(`Unknown parameters for post-processing pass "${id}": ${unknown.join(', ')}`);
+            return false;
+        }
+        
+        Object.assign(entry.params, changes);
+        
+        if (entry.pass && (!definition.update || definition.update(entry.pass, entry.params) === false)) {
+            this.disposePass(entry);
+            entry.pass = definition.create(entry.params, this.engine);
+            this.updateComposer();
+        }
+        
+        this.changed();
+        return true;
+    }
+    
+    /**
+     * Returns the stack in the format of config.postProcessing, passes added by scripts are left out
+     * @returns {Object} - { enabled, passes: [{ type, enabled, params }] }
+     */
+    serialize() {
+        return {
+            enabled: this.enabled,
+            passes: this.stack
+                .filter(entry => entry.type !== 'external')
+                .map(entry => ({
+                    type: entry.type,
+                    enabled: entry.enabled,
+                    params: JSON.parse(JSON.stringify(entry.params))
+                }))
+        };
+    }
+    
+    /**
+     * Replaces the stack
+     * Passes can be given as a type name, as in the default config, or as { type, enabled, params }.
+     * @param {Object} data - { enabled, passes }
+     * @returns {Array} - Issues found, effects of unknown types are skipped
+     */
+    deserialize(data) {
+        const issues = validatePostProcessing(data);
+        if (issues.some(issue => issue.severity === 'error')) {
+            return issues;
+        }
+        
+        this.stack.forEach(entry => this.disposePass(entry));
+        this.stack = [];
+        this.enabled = !!data.enabled;
+        
+        (data.passes || []).forEach(item => {
+            const pass = typeof item === 'string' ? { type: item } : item;
+            if (this.effects[pass.type]) {
+                this.stack.push(this.createEntry(pass));
+            } else {
+                issues.push(createIssue('warning', 'Post-processing', `has an unknown effect "${pass.type}" that will be skipped`));
+            }
+        });
+        
+        this.updateComposer();
+        this.changed();
+        return issues;
+    }
+    
+    /**
+     * Renders the scene with one camera into the current viewport
+     * @param {THREE.Camera} camera - The camera to render with
+     * @param {number} deltaTime - Time since the last frame, used by animated effects
+     */
+    render(camera, deltaTime) {
+        // Outlines belong to the editor
+        const showOutlines = !this.engine.isPlaying;
+        this.selectionOutlinePass.enabled = showOutlines;
+        this.hoverOutlinePass.enabled = showOutlines;
+        
+        // Point camera-dependent passes at the camera being rendered
+        this.composer.passes.forEach(pass => {
+            if (pass.camera !== undefined) pass.camera = camera;
+            if (pass.renderCamera !== undefined) pass.renderCamera = camera;
+        });
+        this.stack.forEach(entry => {
+            const definition = this.effects[entry.type];
+            if (entry.pass && definition && definition.setCamera) {
+                definition.setCamera(entry.pass, camera);
+            }
+        });
+        
+        this.composer.render(deltaTime);
+    }
+    
+    setSize(width, height) {
+        if (this.composer) {
+            this.composer.setSize(width, height);
+        }
+    }
+    
+    setPixelRatio(pixelRatio) {
+        if (this.composer) {
+            this.composer.setPixelRatio(pixelRatio);
+        }
+    }
+    
+    dispose() {
+        this.stack.forEach(entry => this.disposePass(entry));
+        this.stack = [];
+        
+        if (this.composer) {
+            [this.selectionOutlinePass, this.hoverOutlinePass, this.outputPass].forEach(pass => pass.dispose());
+            this.composer.dispose();
+            this.composer = null;
+        }
+    }
+    
+    /**
+     * Creates a stack entry and its pass
+     * @returns {Object|null} - Null if the type is unknown
+     */
+    createEntry(data) {
+        const definition = this.effects[data.type];
+        if (!definition) {
+            console.error(`Unknown post-processing effect: ${data.type}`);
+            return null;
+        }
+        
+        const params = this.getDefaultParams(data.type);
+        Object.entries(data.params || {}).forEach(([name, value]) => {
+            if (name in params) params[name] = value;
+        });
+        
+        return {
+            id: `${data.type}-${this.nextId++}`,
+            type: data.type,
+            label: definition.label,
+            enabled: data.enabled !== false,
+            params: params,
+            pass: this.composer ? definition.create(params, this.engine) : null
+        };
+    }
+    
+    findEntry(id) {
+        return this.stack.find(entry => entry.id === id || entry === id || (entry.pass && entry.pass === id)) || null;
+    }
+    
+    disposePass(entry) {
+        if (entry.pass && entry.type !== 'external' && entry.pass.dispose) {
+            entry.pass.dispose();
+        }
+        entry.pass = null;
+    }
+    
+    /**
+     * Puts the passes into the composer in stack order
+     */
+    updateComposer() {
+        if (!this.composer) return;
+        
+        this.composer.passes.length = 0;
+        this.composer.addPass(this.renderPass);
+        this.stack.forEach(entry => {
+            if (!entry.pass) return;
+            entry.pass.enabled = entry.enabled && (this.enabled || entry.type === 'external');
+            this.composer.addPass(entry.pass);
+        });
+        this.composer.addPass(this.selectionOutlinePass);
+        this.composer.addPass(this.hoverOutlinePass);
+        this.composer.addPass(this.outputPass);
+    }
+    
+    /**
+     * Keeps config.postProcessing in sync and tells the editor
+     */
+    changed() {
+        this.engine.config.postProcessing = this.serialize();
+        this.engine.events.emit('postprocessing:changed', { settings: this.engine.config.postProcessing });
+    }
+}
@@ -0,0 +1,844 @@
+import * as THREE from 'three';
+
+// Fields that place an object inside its parent, an instance root keeps its own
+const PLACEMENT_FIELDS = ['name', 'parent', 'transform.position', 'transform.rotation', 'transform.scale'];
+
+// Other record fields an instance can override, params and material are compared per key
+const RECORD_FIELDS = ['script', 'scriptFileName', 'scriptProperties', 'tags', 'components', 'lod', 'physics', 'layer', 'cullingMask'];
+
+/**
+ * PrefabSystem manages prefab assets: reusable object subtrees saved with
+ * the project.
+ *
+ * A prefab asset looks like:
+ * {
+ *     id: 'prefab-1a2b3c4d5e6f',
+ *     name: 'Enemy',
+ *     base: null,              // Variants: id of the prefab they extend
+ *     objects: [],             // Object records, the first one is the root
+ *     overrides: null          // Variants: overrides applied on top of the base
+ * }
+ *
+ * Object records use the serialized object format, with ids that are local
+ * to the prefab. A record with a `prefab: { asset, overrides }` field is a
+ * nested prefab instance and only stores where that instance is placed.
+ *
+ * Objects created from a prefab stay linked to it:
+ * - the instance root has `prefabInstance: { asset }`
+ * - every other object of the instance has `prefabSource: { instance, localId }`
+ *
+ * Overrides are the differences between an instance and its prefab:
+ * { changes: { localId: { path: value } }, added: [records], removed: [localIds] }
+ */
+export class PrefabSystem {
+    /**
+     * Create a new PrefabSystem
+     * @param {GameEngine} engine - Reference to the main game engine
+     */
+    constructor(engine) {
+        this.engine = engine;
+        this.prefabs = new Map();
+    }
+    
+    /**
+     * Finds a prefab asset
+     * @param {string} nameOrId - Prefab id or name
+     * @returns {Object|null} - The prefab asset
+     */
+    getPrefab(nameOrId) {
+        if (this.prefabs.has(nameOrId)) return this.prefabs.get(nameOrId);
+        return this.getPrefabs().find(prefab => prefab.name === nameOrId) || null;
+    }
+    
+    /**
+     * Returns all prefab assets
+     * @returns {Array} - Array of prefab assets
+     */
+    getPrefabs() {
+        return Array.from(this.prefabs.values());
+    }
+    
+    /**
+     * Creates a prefab from an object and its descendants
+     * The object becomes an instance of the new prefab. Prefab instances
+     * inside the subtree are kept as nested prefabs.
+     * @param {Object} root - Root object of the subtree
+     * @param {string} name - Prefab name, defaults to the object name
+     * @returns {Object|null} - The new prefab asset
+     */
+    createPrefab(root, name = null) {
+        if (!root) return null;
+        
+        name = name || root.name;
+        if (this.getPrefab(name)) {
+            console.error(`A prefab named "${name}" already exists`);
+            return null;
+        }
+        
+        const prefab = {
+            id: this.generatePrefabId(),
+            name: name,
+            base: null,
+            objects: this.captureTree(root, null, root),
+            overrides: null
+        };
+        
+        this.prefabs.set(prefab.id, prefab);
+        this.linkInstance(root, prefab.id);
+        this.notifyPrefabsChanged(prefab);
+        
+        return prefab;
+    }
+    
+    /**
+     * Creates a variant of a prefab
+     * A variant starts out like its base prefab and stores only what differs,
+     * so later changes to the base show up in the variant too.
+     * @param {string} baseNameOrId - Prefab the variant is based on
+     * @param {string} name - Variant name
+     * @param {Object} instance - Optional instance of the base prefab whose overrides become the variant
+     * @returns {Object|null} - The new prefab asset
+     */
+    createVariant(baseNameOrId, name, instance = null) {
+        const base = this.getPrefab(baseNameOrId);
+        if (!base) {
+            console.error(`Prefab "${baseNameOrId}" not found`);
+            return null;
+        }
+        if (!name || this.getPrefab(name)) {
+            console.error(`A prefab named "${name}" already exists`);
+            return null;
+        }
+        
+        const overrides = instance ? this.getOverrides(instance, this.resolve(base.id)) : null;
+        if (overrides && findLinks(overrides).some(id => this.dependsOn(id, base.id))) {
+            console.error(`Prefab "${base.name}" can't contain an instance of itself`);
+            return null;
+        }
+        
+        const variant = {
+            id: this.generatePrefabId(),
+            name: name,
+            base: base.id,
+            objects: [],
+            overrides: overrides
+        };
+        
+        this.prefabs.set(variant.id, variant);
+        if (instance) {
+            this.linkInstance(instance, variant.id);
+        }
+        this.notifyPrefabsChanged(variant);
+        
+        return variant;
+    }
+    
+    /**
+     * Deletes a prefab asset, its instances are unpacked into plain objects
+     * @param {string} nameOrId - Prefab id or name
+     * @returns {boolean} - Whether the prefab was deleted
+     */
+    deletePrefab(nameOrId) {
+        const prefab = this.getPrefab(nameOrId);
+        if (!prefab) return false;
+        
+        const user = this.getPrefabs().find(other => other !== prefab && getReferences(other).includes(prefab.id));
+        if (user) {
+            console.error(`Prefab "${prefab.name}" is used by prefab "${user.name}"`);
+            return false;
+        }
+        
+        this.engine.objects
+            .filter(obj => obj.prefabInstance && obj.prefabInstance.asset === prefab.id)
+            .forEach(obj => this.unpackInstance(obj));
+        
+        this.prefabs.delete(prefab.id);
+        this.notifyPrefabsChanged(prefab);
+        return true;
+    }
+    
+    /**
+     * Creates an instance of a prefab, including its nested prefabs
+     * @param {string} nameOrId - Prefab id or name
+     * @param {Object} overrides - Optional overrides for the new instance
+     * @returns {Object|null} - Root object of the instance
+     */
+    instantiate(nameOrId, overrides = null) {
+        const prefab = this.getPrefab(nameOrId);
+        if (!prefab) {
+            console.error(`Prefab "${nameOrId}" not found`);
+            return null;
+        }
+        
+        const root = this.buildInstance(prefab.id, overrides, { ids: null, key: '', stack: [] });
+        if (root) {
+            this.engine.selectObject(root);
+        }
+        return root;
+    }
+    
+    /**
+     * Returns the closest prefab instance an object belongs to
+     * @param {Object} obj - Any object
+     * @returns {Object|null} - The instance root
+     */
+    getInstanceRoot(obj) {
+        if (!obj) return null;
+        if (obj.prefabInstance) return obj;
+        return obj.prefabSource ? this.engine.getObjectById(obj.prefabSource.instance) || null : null;
+    }
+    
+    /**
+     * Computes the differences between an instance and its prefab
+     * @param {Object} root - Instance root
+     * @param {Array} baseRecords - Records to compare against, defaults to the resolved prefab
+     * @returns {Object} - Overrides { changes, added, removed }
+     */
+    getOverrides(root, baseRecords = null) {
+        const overrides = { changes: {}, added: [], removed: [] };
+        const records = baseRecords || (root && root.prefabInstance ? this.resolve(root.prefabInstance.asset) : null);
+        if (!records || records.length === 0) return overrides;
+        
+        const members = new Map();
+        const visit = (obj, parentLocalId) => {
+            this.getChildObjects(obj).forEach(child => {
+                if (this.isMemberOf(child, root)) {
+                    const localId = child.prefabSource.localId;
+                    members.set(localId, this.createRecord(child, localId, parentLocalId));
+                    if (!child.prefabInstance) visit(child, localId);
+                } else {
+                    overrides.added.push(...this.captureTree(child, parentLocalId, root));
+                }
+            });
+        };
+        members.set(records[0].id, this.createRecord(root, records[0].id, null, false));
+        visit(root, records[0].id);
+        
+        const removed = new Set();
+        records.forEach((record, index) => {
+            const member = members.get(record.id);
+            
+            // A removed object takes its descendants with it
+            if (record.parent && removed.has(record.parent)) {
+                removed.add(record.id);
+                return;
+            }
+            
+            // Objects replaced by or turned into a nested prefab can't be compared
+            if (!member || !member.prefab !== !record.prefab) {
+                removed.add(record.id);
+                overrides.removed.push(record.id);
+                if (member) overrides.added.push(member);
+                return;
+            }
+            
+            const changes = diffRecords(member, record, index === 0);
+            if (Object.keys(changes).length > 0) {
+                overrides.changes[record.id] = changes;
+            }
+        });
+        
+        // Objects that were added by overrides the base records don't know about
+        const baseIds = new Set(records.map(record => record.id));
+        members.forEach((member, localId) => {
+            if (!baseIds.has(localId)) overrides.added.push(member);
+        });
+        
+        return overrides;
+    }
+    
+    /**
+     * Checks whether an instance differs from its prefab
+     * @param {Object} root - Instance root
+     * @returns {boolean} - True if the instance has overrides
+     */
+    hasOverrides(root) {
+        return countOverrides(this.getOverrides(root)) > 0;
+    }
+    
+    /**
+     * Counts the overridden properties, added and removed objects
+     * @param {Object} root - Instance root
+     * @returns {number} - Number of overrides
+     */
+    countOverrides(root) {
+        return countOverrides(this.getOverrides(root));
+    }
+    
+    /**
+     * Writes the overrides of an instance to its prefab
+     * Other instances of the prefab and of its variants are updated, keeping
+     * their own overrides. Variants store the change as their own override.
+     * @param {Object} root - Instance root
+     * @returns {boolean} - Whether the prefab was updated
+     */
+    applyInstance(root) {
+        const prefab = root && root.prefabInstance ? this.prefabs.get(root.prefabInstance.asset) : null;
+        if (!prefab) return false;
+        
+        const update = {};
+        if (prefab.base) {
+            const base = this.resolve(prefab.base);
+            if (!base) return false;
+            update.overrides = this.getOverrides(root, base);
+        } else {
+            update.objects = this.captureTree(root, null, root);
+        }
+        
+        if (findLinks(update).some(id => this.dependsOn(id, prefab.id))) {
+            console.error(`Prefab "${prefab.name}" can't contain an instance of itself`);
+            return false;
+        }
+        
+        // Other instances keep their overrides, measured against the prefab before the change
+        const pending = this.getAffectedInstances(prefab.id)
+            .filter(instance => instance !== root)
+            .map(instance => ({ instance: instance, overrides: this.getOverrides(instance) }));
+        
+        Object.assign(prefab, update);
+        
+        const selectedId = this.engine.selectedObject ? this.engine.selectedObject.id : null;
+        pending.forEach(({ instance, overrides }) => this.rebuildInstance(instance, overrides));
+        this.engine.selectObject(this.engine.getObjectById(selectedId) || root);
+        
+        this.notifyPrefabsChanged(prefab);
+        return true;
+    }
+    
+    /**
+     * Discards the overrides of an instance
+     * Nested instances go back to the state their outer prefab gives them.
+     * @param {Object} root - Instance root
+     * @returns {Object|null} - The rebuilt instance root
+     */
+    revertInstance(root) {
+        if (!root || !root.prefabInstance || !this.prefabs.has(root.prefabInstance.asset)) return null;
+        
+        // Nested instances get the overrides stored in their outer prefab
+        let overrides = null;
+        const outer = root.prefabSource ? this.engine.getObjectById(root.prefabSource.instance) : null;
+        if (outer && outer.prefabInstance) {
+            const records = this.resolve(outer.prefabInstance.asset) || [];
+            const link = records.find(record => record.id === root.prefabSource.localId);
+            overrides = link && link.prefab ? link.prefab.overrides : null;
+        }
+        
+        const selectedId = this.engine.selectedObject ? this.engine.selectedObject.id : null;
+        const newRoot = this.rebuildInstance(root, overrides);
+        this.engine.selectObject(this.engine.getObjectById(selectedId) || newRoot);
+        
+        return newRoot;
+    }
+    
+    /**
+     * Breaks the link between an instance and its prefab
+     * Nested instances inside it stay linked to their own prefabs.
+     * @param {Object} root - Instance root
+     */
+    unpackInstance(root) {
+        if (!root || !root.prefabInstance) return;
+        
+        this.engine.getChildrenRecursive(root).forEach(obj => {
+            if (this.isMemberOf(obj, root)) {
+                delete obj.prefabSource;
+            }
+        });
+        delete root.prefabInstance;
+    }
+    
+    /**
+     * Returns the object records of a prefab with its variant chain applied
+     * @param {string} id - Prefab id
+     * @param {Array} stack - Prefabs already being resolved, used to detect cycles
+     * @returns {Array|null} - Copies of the records, or null if the prefab can't be resolved
+     */
+    resolve(id, stack = []) {
+        const prefab = this.prefabs.get(id);
+        if (!prefab) return null;
+        
+        if (stack.includes(id)) {
+            console.error(`Prefab "${prefab.name}" is based on itself`);
+            return null;
+        }
+        
+        if (prefab.base) {
+            const base = this.resolve(prefab.base, [...stack, id]);
+            return base ? this.applyOverrides(base, prefab.overrides) : null;
+        }
+        
+        return copy(prefab.objects);
+    }
+    
+    /**
+     * Applies overrides to a list of object records
+     * @param {Array} records - Object records
+     * @param {Object} overrides - Overrides { changes, added, removed }
+     * @returns {Array} - New list of records
+     */
+    applyOverrides(records, overrides) {
+        const result = copy(records);
+        if (!overrides) return result;
+        
+        const removed = new Set(overrides.removed || []);
+        result.forEach(record => {
+            if (record.parent && removed.has(record.parent)) removed.add(record.id);
+        });
+        const kept = result.filter(record => !removed.has(record.id));
+        
+        Object.entries(overrides.changes || {}).forEach(([localId, changes]) => {
+            const record = kept.find(candidate => candidate.id === localId);
+            if (!record) return;
+            
+            Object.entries(changes).forEach(([path, value]) => setPath(record, path, copy(value)));
+        });
+        
+        return kept.concat(copy(overrides.added || []));
+    }
+    
+    /**
+     * Captures an object and its descendants as object records
+     * Members of `instanceRoot` are recorded under their local id, other objects
+     * under their own id. Nested prefab instances become link records.
+     * @param {Object} obj - Root of the subtree
+     * @param {string} parentLocalId - Local id recorded as the parent of obj
+     * @param {Object} instanceRoot - Instance the records are captured for
+     * @returns {Array} - Object records, parents before children
+     */
+    captureTree(obj, parentLocalId, instanceRoot) {
+        const localId = this.getLocalId(obj, instanceRoot);
+        const record = this.createRecord(obj, localId, parentLocalId, obj !== instanceRoot);
+        if (record.prefab) return [record];
+        
+        return [record, ...this.getChildObjects(obj).flatMap(child => this.captureTree(child, localId, instanceRoot))];
+    }
+    
+    /**
+     * Creates the record of a single object
+     * @param {Object} obj - The object
+     * @param {string} localId - Id stored in the record
+     * @param {string} parentLocalId - Parent id stored in the record
+     * @param {boolean} asLink - Record nested prefab instances as links
+     * @returns {Object} - Object record
+     */
+    createRecord(obj, localId, parentLocalId, asLink = true) {
+        const serialized = this.engine.serializeObject(obj);
+        
+        if (asLink && obj.prefabInstance) {
+            return {
+                id: localId,
+                name: serialized.name,
+                type: serialized.type,
+                parent: parentLocalId,
+                transform: serialized.transform,
+                prefab: { asset: obj.prefabInstance.asset, overrides: this.getOverrides(obj) }
+            };
+        }
+        
+        const record = { ...serialized, id: localId, parent: parentLocalId };
+        delete record.children;
+        delete record.prefabInstance;
+        delete record.prefabSource;
+        if (record.tags && record.tags.length === 0) delete record.tags;
+        
+        // The main camera is chosen by the scene
+        if (record.params) delete record.params.isMain;
+        
+        if (obj.scriptFileName) {
+            record.scriptFileName = obj.scriptFileName;
+        }
+        
+        const props = obj.scriptInstance ? obj.scriptInstance._properties : obj.scriptProperties;
+        if (props && Object.keys(props).length > 0) {
+            record.scriptProperties = copy(props);
+        }
+        
+        const entity = this.engine.ecs.getEntityFromObject(obj);
+        if (entity && entity.components.size > 0) {
+            record.components = Array.from(entity.components.keys());
+        }
+        
+        return record;
+    }
+    
+    /**
+     * Creates the objects of a prefab instance from its records
+     * @param {string} id - Prefab id
+     * @param {Object} overrides - Overrides applied to the prefab records
+     * @param {Object} context - { ids, key, rootKey, stack }, ids maps record keys to ids to reuse
+     * @returns {Object|null} - Root object of the instance
+     */
+    buildInstance(id, overrides, context) {
+        const prefab = this.prefabs.get(id);
+        if (!prefab) {
+            console.error(`Prefab "${id}" not found`);
+            return null;
+        }
+        if (context.stack.includes(id)) {
+            console.error(`Prefab "${prefab.name}" contains an instance of itself`);
+            return null;
+        }
+        
+        const resolved = this.resolve(id);
+        if (!resolved || resolved.length === 0) return null;
+        
+        const records = this.applyOverrides(resolved, overrides);
+        const stack = [...context.stack, id];
+        const objectMap = new Map();
+        
+        records.forEach((record, index) => {
+            const key = index === 0 && context.rootKey !== undefined ? context.rootKey : context.key + record.id;
+            let obj;
+            
+            if (record.prefab) {
+                obj = this.buildInstance(record.prefab.asset, record.prefab.overrides, {
+                    ids: context.ids,
+                    key: `${key}/`,
+                    rootKey: key,
+                    stack: stack
+                });
+                if (obj) applyPlacement(obj, record);
+            } else {
+                obj = this.engine.deserializeObject({ ...record, id: this.reuseId(context.ids, key) });
+                if (obj) this.applyRecordState(obj, record);
+            }
+            
+            if (!obj) return;
+            if (index > 0) {
+                obj.prefabSource = { instance: null, localId: record.id };
+            }
+            objectMap.set(record.id, obj);
+        });
+        
+        const root = objectMap.get(records[0].id);
+        if (!root) {
+            objectMap.forEach(obj => this.engine.removeObject(obj));
+            return null;
+        }
+        
+        // Rebuild the hierarchy, objects whose parent is missing stay under the root
+        records.forEach(record => {
+            const obj = objectMap.get(record.id);
+            if (!obj || obj === root) return;
+            
+            this.engine.setParent(obj, objectMap.get(record.parent) || root);
+            obj.prefabSource.instance = root.id;
+        });
+        
+        root.prefabInstance = { asset: id };
+        return root;
+    }
+    
+    /**
+     * Recreates an instance from its prefab and the given overrides
+     * Objects keep their ids, the root keeps its name, transform and parent.
+     * @param {Object} root - Instance root
+     * @param {Object} overrides - Overrides for the new instance
+     * @returns {Object|null} - The new instance root
+     */
+    rebuildInstance(root, overrides) {
+        const id = root.prefabInstance.asset;
+        if (!this.resolve(id)) return null;
+        
+        const placement = this.engine.serializeObject(root);
+        const parent = root.parent ? this.engine.getObjectById(root.parent) : null;
+        const outerSource = root.prefabSource;
+        const ids = this.collectIds(root);
+        
+        this.engine.removeObject(root);
+        
+        const newRoot = this.buildInstance(id, overrides, { ids: ids, key: '', stack: [] });
+        if (!newRoot) return null;
+        
+        applyPlacement(newRoot, placement);
+        if (outerSource) {
+            newRoot.prefabSource = outerSource;
+        }
+        if (parent) {
+            this.engine.setParent(newRoot, parent);
+        }
+        
+        return newRoot;
+    }
+    
+    /**
+     * Maps the record keys of an instance to the ids of its objects
+     * Keys match the ones buildInstance() uses, so rebuilt objects keep their ids.
+     * @param {Object} root - Instance root
+     * @param {Map} ids - Map to fill
+     * @param {string} prefix - Key prefix of nested instances
+     * @param {string} rootKey - Key of the root of a nested instance
+     * @returns {Map} - Record key to object id
+     */
+    collectIds(root, ids = new Map(), prefix = '', rootKey = null) {
+        ids.set(rootKey !== null ? rootKey : prefix + this.getLocalId(root, root), root.id);
+        
+        const visit = (obj) => {
+            this.getChildObjects(obj).forEach(child => {
+                const key = prefix + this.getLocalId(child, root);
+                if (child.prefabInstance) {
+                    this.collectIds(child, ids, `${key}/`, key);
+                } else {
+                    ids.set(key, child.id);
+                    visit(child);
+                }
+            });
+        };
+        visit(root);
+        
+        return ids;
+    }
+    
+    /**
+     * Makes an object and its descendants an instance of a prefab
+     * @param {Object} root - Root object
+     * @param {string} id - Prefab id
+     */
+    linkInstance(root, id) {
+        const visit = (obj) => {
+            this.getChildObjects(obj).forEach(child => {
+                child.prefabSource = { instance: root.id, localId: this.getLocalId(child, root) };
+                if (!child.prefabInstance) visit(child);
+            });
+        };
+        visit(root);
+        
+        root.prefabInstance = { asset: id };
+    }
+    
+    /**
+     * Returns the instances that have to be rebuilt when a prefab changes:
+     * instances of the prefab and of its variants, outermost first
+     * @param {string} id - Prefab id
+     * @returns {Array} - Instance roots
+     */
+    getAffectedInstances(id) {
+        const instances = this.engine.objects.filter(obj =>
+            obj.prefabInstance && this.inheritsFrom(obj.prefabInstance.asset, id));
+        
+        // Rebuilding an instance also rebuilds the instances nested inside it
+        return instances.filter(instance => {
+            let parent = instance.parent ? this.engine.getObjectById(instance.parent) : null;
+            while (parent) {
+                if (instances.includes(parent)) return false;
+                parent = parent.parent ? this.engine.getObjectById(parent.parent) : null;
+            }
+            return true;
+        });
+    }
+    
+    /**
+     * Checks whether a prefab is another prefab or one of its variants
+     * @param {string} id - Prefab id
+     * @param {string} baseId - Possible base prefab id
+     * @returns {boolean}
+     */
+    inheritsFrom(id, baseId) {
+        const visited = new Set();
+        let prefab = this.prefabs.get(id);
+        
+        while (prefab && !visited.has(prefab.id)) {
+            if (prefab.id === baseId) return true;
+            visited.add(prefab.id);
+            prefab = prefab.base ? this.prefabs.get(prefab.base) : null;
+        }
+        
+        return false;
+    }
+    
+    /**
+     * Checks whether a prefab uses another prefab as its base or as a nested prefab
+     * @param {string} id - Prefab id
+     * @param {string} otherId - Prefab that might be used
+     * @param {Set} visited - Prefabs already checked
+     * @returns {boolean}
+     */
+    dependsOn(id, otherId, visited = new Set()) {
+        if (id === otherId) return true;
+        if (visited.has(id)) return false;
+        visited.add(id);
+        
+        const prefab = this.prefabs.get(id);
+        return !!prefab && getReferences(prefab).some(ref => this.dependsOn(ref, otherId, visited));
+    }
+    
+    /**
+     * Serializes all prefab assets
+     * @returns {Array} - Copies of the prefab assets
+     */
+    serialize() {
+        return copy(this.getPrefabs());
+    }
+    
+    /**
+     * Replaces all prefab assets
+     * @param {Array} prefabs - Prefab assets as returned by serialize()
+     */
+    deserialize(prefabs) {
+        this.prefabs.clear();
+        copy(prefabs || []).forEach(prefab => this.prefabs.set(prefab.id, prefab));
+        this.notifyPrefabsChanged(null);
+    }
+    
+    getChildObjects(obj) {
+        return (obj.children || [])
+            .map(id => this.engine.getObjectById(id))
+            .filter(child => child && !child.sourceModel);
+    }
+    
+    isMemberOf(obj, root) {
+        return obj !== root && !!obj.prefabSource && obj.prefabSource.instance === root.id;
+    }
+    
+    /**
+     * Returns the id an object is recorded under in the records of an instance
+     * @param {Object} obj - The object
+     * @param {Object} instanceRoot - Instance root
+     * @returns {string} - Local id
+     */
+    getLocalId(obj, instanceRoot) {
+        if (obj === instanceRoot && obj.prefabInstance) {
+            const records = this.resolve(obj.prefabInstance.asset);
+            if (records && records.length > 0) return records[0].id;
+        }
+        return this.isMemberOf(obj, instanceRoot) ? obj.prefabSource.localId : obj.id;
+    }
+    
+    /**
+     * Applies the record fields that deserializeObject() doesn't handle
+     * @param {Object} obj - The new object
+     * @param {Object} record - Object record
+     */
+    applyRecordState(obj, record) {
+        if (record.scriptFileName) {
+            obj.scriptFileName = record.scriptFileName;
+        }
+        
+        if (record.scriptProperties) {
+            obj.scriptProperties = copy(record.scriptProperties);
+        }
+        
+        if (record.components && record.components.length > 0) {
+            const ecs = this.engine.ecs;
+            const entity = ecs.getEntityFromObject(obj) || ecs.createEntity(obj);
+            record.components.forEach(name => {
+                const componentType = ecs.componentTypes.get(name);
+                if (componentType && !entity.components.has(name)) {
+                    entity.addComponent(componentType);
+                }
+            });
+        }
+    }
+    
+    reuseId(ids, key) {
+        const id = ids ? ids.get(key) : null;
+        return id && !this.engine.getObjectById(id) ? id : null;
+    }
+    
+    generatePrefabId() {
+        let id;
+        do {
+            id = `prefab-${THREE.MathUtils.generateUUID().replace(/-/g, '').slice(0, 12)}`;
+        } while (this.prefabs.has(id));
+        return id;
+    }
+    
+    notifyPrefabsChanged(prefab) {
+        this.engine.events.emit('prefabs:changed', { prefab: prefab });
+    }
+}
+
+/**
+ * Compares an object record with the record it came from
+ * @param {Object} current - Record of the instance object
+ * @param {Object} base - Record from the prefab
+ * @param {boolean} isRoot - The instance root keeps its own placement
+ * @returns {Object} - Changed paths and their new values
+ */
+function diffRecords(current, base, isRoot) {
+    const changes = {};
+    const compare = (path) => {
+        const value = getPath(current, path);
+        if (JSON.stringify(value) !== JSON.stringify(getPath(base, path))) {
+            changes[path] = value === undefined ? null : copy(value);
+        }
+    };
+    
+    if (!isRoot) {
+        PLACEMENT_FIELDS.forEach(compare);
+    }
+    
+    // Everything else about a nested instance is part of its own overrides
+    if (base.prefab) {
+        compare('prefab.overrides');
+        return changes;
+    }
+    
+    RECORD_FIELDS.forEach(compare);
+    ['params', 'material'].forEach(group => {
+        const keys = new Set([...Object.keys(current[group] || {}), ...Object.keys(base[group] || {})]);
+        keys.forEach(key => compare(`${group}.${key}`));
+    });
+    
+    return changes;
+}
+
+function countOverrides(overrides) {
+    return Object.values(overrides.changes).reduce((count, changes) => count + Object.keys(changes).length, 0) +
+        overrides.added.length + overrides.removed.length;
+}
+
+function applyPlacement(obj, record) {
+    const { position, rotation, scale } = record.transform;
+    obj.name = record.name;
+    obj.object3D.position.set(position.x, position.y, position.z);
+    obj.object3D.rotation.set(rotation.x, rotation.y, rotation.z);
+    obj.object3D.scale.set(scale.x, scale.y, scale.z);
+}
+
+/**
+ * Returns the ids of the prefabs a prefab is built from
+ */
+function getReferences(prefab) {
+    return [
+        ...(prefab.base ? [prefab.base] : []),
+        ...findLinks(prefab.objects),
+        ...findLinks(prefab.overrides)
+    ];
+}
+
+/**
+ * Collects the prefab ids of all link records found anywhere in a value
+ */
+function findLinks(value, ids = []) {
+    if (!value || typeof value !== 'object') return ids;
+    
+    if (value.prefab && typeof value.prefab.asset === 'string') {
+        ids.push(value.prefab.asset);
+    }
+    Object.values(value).forEach(item => findLinks(item, ids));
+    
+    return ids;
+}
+
+function getPath(target, path) {
+    return path.split('.').reduce((value, key) => (value ? value[key] : undefined), target);
+}
+
+function setPath(target, path, value) {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const parent = keys.reduce((obj, key) => {
+        if (!obj[key] || typeof obj[key] !== 'object') obj[key] = {};
+        return obj[key];
+    }, target);
+    
+    if (value === null) {
+        delete parent[last];
+    } else {
+        parent[last] = value;
+    }
+}
+
+function copy(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
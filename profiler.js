@@ -0,0 +1,312 @@
+import * as THREE from 'three';
+
+// Top-level sections measured every frame, nested ones are named "parent/child", e.g. "scripts/Player (capsule-3f2a)"
+export const PROFILER_SECTIONS = ['input', 'physics', 'scripts', 'tweens', 'timers', 'ecs.update', 'ecs.lateUpdate', 'spatialIndex', 'systems', 'lod', 'batching', 'render'];
+
+// renderer.info values recorded with each frame
+export const RENDERER_STATS = ['calls', 'triangles', 'geometries', 'textures'];
+
+export const TRACE_FORMAT = 'three-game-engine/profile-trace';
+
+/**
+ * Profiler measures where the time of each frame goes
+ *
+ * Sections are timed with begin()/end() around the code they cover. Times are
+ * CPU milliseconds; the GPU works asynchronously, so "render" is the time spent
+ * issuing draw calls. While the profiler is off, begin() and end() return right away.
+ */
+export class Profiler {
+    /**
+     * Create a new Profiler
+     * @param {GameEngine} engine - Reference to the main game engine
+     */
+    constructor(engine) {
+        this.engine = engine;
+        this.enabled = false;
+        
+        // Recent frames for the overlay graphs
+        this.historySize = 240;
+        this.history = [];
+        
+        this.frameNumber = 0;
+        this.current = null;
+        this.openSections = new Map();
+        this.capture = null;
+    }
+    
+    /**
+     * Turns profiling on or off
+     * @param {boolean} enabled - Whether frames are measured
+     */
+    setEnabled(enabled) {
+        this.enabled = !!enabled;
+        
+        // renderer.info is reset once per frame instead of once per render call,
+        // so frames rendered in several passes or views report all their draw calls
+        const renderer = this.engine.renderer;
+        if (renderer && renderer.info) {
+            renderer.info.autoReset = !this.enabled;
+        }
+        
+        if (!this.enabled) {
+            this.current = null;
+            this.openSections.clear();
+            if (this.capture) this.stopCapture();
+        }
+        
+        this.engine.events.emit('profiler:changed', { enabled: this.enabled });
+    }
+    
+    now() {
+        return typeof performance !== 'undefined' ? performance.now() : Date.now();
+    }
+    
+    beginFrame() {
+        if (!this.enabled) return;
+        
+        const renderer = this.engine.renderer;
+        if (renderer && renderer.info) {
+            renderer.info.reset();
+        }
+        
+        this.current = {
+            frame: this.frameNumber++,
+            start: this.now(),
+            total: 0,
+            deltaTime: 0,
+            unscaledDeltaTime: 0,
+            sections: {},
+            renderer: null
+        };
+        this.openSections.clear();
+    }
+    
+    /**
+     * Starts timing a section, calls with the same name add up within a frame
+     * @param {string} name - Section name, see PROFILER_SECTIONS
+     */
+    begin(name) {
+        if (!this.current) return;
+        this.openSections.set(name, this.now());
+    }
+    
+    end(name) {
+        if (!this.current) return;
+        
+        const start = this.openSections.get(name);
+        if (start === undefined) return;
+        
+        this.openSections.delete(name);
+        this.current.sections[name] = (this.current.sections[name] || 0) + this.now() - start;
+    }
+    
+    endFrame() {
+        const frame = this.current;
+        if (!frame) return;
+        
+        this.current = null;
+        frame.total = this.now() - frame.start;
+        frame.deltaTime = this.engine.deltaTime;
+        frame.unscaledDeltaTime = this.engine.unscaledDeltaTime;
+        
+        const renderer = this.engine.renderer;
+        if (renderer && renderer.info) {
+            frame.renderer = {
+                calls: renderer.info.render.calls,
+                triangles: renderer.info.render.triangles,
+                geometries: renderer.info.memory.geometries,
+                textures: renderer.info.memory.textures
+            };
+        }
+        
+        this.history.push(frame);
+        if (this.history.length > this.historySize) {
+            this.history.shift();
+        }
+        
+        if (this.capture) {
+            this.capture.frames.push(frame);
+            if (this.capture.frames.length >= this.capture.frameCount) {
+                this.stopCapture();
+            }
+        }
+        
+        this.engine.events.emit('profiler:frame', { frame: frame });
+    }
+    
+    /**
+     * Records the next frames into a trace
+     * Turns the profiler on if needed; emits profiler:captured with the trace when done.
+     * @param {number} frameCount - Number of frames to record
+     * @param {string} label - Name of the build or change being measured, stored in the trace
+     * @returns {boolean} - False if the frame count is invalid or a capture is running
+     */
+    startCapture(frameCount = 300, label = '') {
+        if (!(frameCount >= 1) || !Number.isInteger(frameCount)) {
+            console.error(`Invalid number of frames to capture: ${frameCount}`);
+            return false;
+        }
+        
+        if (this.capture) {
+            console.error('A profiler capture is already running');
+            return false;
+        }
+        
+        // A capture started from a script turns the profiler off again when done
+        const disableAfter = !this.enabled;
+        if (disableAfter) {
+            this.setEnabled(true);
+        }
+        
+        this.capture = {
+            frameCount: frameCount,
+            label: label,
+            startedAt: new Date().toISOString(),
+            disableAfter: disableAfter,
+            frames: []
+        };
+        this.engine.events.emit('profiler:capture', { frameCount: frameCount });
+        return true;
+    }
+    
+    /**
+     * Ends a capture early, the frames recorded so far make up the trace
+     * @returns {Object|null} - The trace, or null if no capture was running
+     */
+    stopCapture() {
+        if (!this.capture) return null;
+        
+        const capture = this.capture;
+        this.capture = null;
+        
+        const trace = this.createTrace(capture.frames, {
+            label: capture.label,
+            capturedAt: capture.startedAt
+        });
+        this.lastTrace = trace;
+        
+        if (capture.disableAfter && this.enabled) {
+            this.setEnabled(false);
+        }
+        
+        this.engine.events.emit('profiler:captured', { trace: trace });
+        return trace;
+    }
+    
+    /**
+     * Builds a trace from recorded frames
+     * @param {Array} frames - Frames from the history or a capture
+     * @param {Object} info - { label, capturedAt }
+     * @returns {Object} - JSON-ready trace { format, version, label, capturedAt, environment, summary, frames }
+     */
+    createTrace(frames, info = {}) {
+        const renderer = this.engine.renderer;
+        const size = this.engine.getViewportSize();
+        
+        return {
+            format: TRACE_FORMAT,
+            version: 1,
+            label: info.label || '',
+            capturedAt: info.capturedAt || new Date().toISOString(),
+            environment: {
+                three: THREE.REVISION,
+                userAgent: typeof navigator !== 'undefined' ? navigator.userAgent : null,
+                viewport: { width: size.width, height: size.height },
+                pixelRatio: renderer && renderer.getPixelRatio ? renderer.getPixelRatio() : null,
+                objects: this.engine.objects.length,
+                isPlaying: this.engine.isPlaying,
+                timeScale: this.engine.getTimeScale()
+            },
+            summary: summarizeFrames(frames),
+            frames: frames
+        };
+    }
+    
+    /**
+     * Summarizes the most recent frames, e.g. for the overlay
+     * @param {number} frameCount - Number of recent frames to include
+     * @returns {Object} - See summarizeFrames()
+     */
+    getSummary(frameCount = 60) {
+        return summarizeFrames(this.history.slice(-frameCount));
+    }
+    
+    clearHistory() {
+        this.history = [];
+    }
+}
+
+/**
+ * Averages, minimums and maximums of a list of frames
+ * @param {Array} frames - Profiled frames
+ * @returns {Object} - { frameCount, total, sections: { name: stats }, renderer: { name: stats } }
+ */
+export function summarizeFrames(frames) {
+    const stats = (values) => {
+        if (values.length === 0) return { avg: 0, min: 0, max: 0 };
+        
+        const sum = values.reduce((total, value) => total + value, 0);
+        return {
+            avg: sum / values.length,
+            min: Math.min(...values),
+            max: Math.max(...values)
+        };
+    };
+    
+    // Frames that skip a section count as zero for it
+    const names = new Set();
+    frames.forEach(frame => Object.keys(frame.sections).forEach(name => names.add(name)));
+    
+    const sections = {};
+    names.forEach(name => {
+        sections[name] = stats(frames.map(frame => frame.sections[name] || 0));
+    });
+    
+    const rendererFrames = frames.filter(frame => frame.renderer);
+    const rendererStats = {};
+    if (rendererFrames.length > 0) {
+        RENDERER_STATS.forEach(name => {
+            rendererStats[name] = stats(rendererFrames.map(frame => frame.renderer[name]));
+        });
+    }
+    
+    return {
+        frameCount: frames.length,
+        total: stats(frames.map(frame => frame.total)),
+        sections: sections,
+        renderer: rendererStats
+    };
+}
+
+/**
+ * Compares the averages of two traces, e.g. from two builds
+ * @param {Object} base - Trace to compare against
+ * @param {Object} other - Trace being compared
+ * @returns {Array} - Rows { name, base, other, difference, percent } for the frame total, sections and renderer stats
+ */
+export function compareTraces(base, other) {
+    const row = (name, a, b) => ({
+        name: name,
+        base: a,
+        other: b,
+        difference: b - a,
+        percent: a !== 0 ? (b - a) / a * 100 : null
+    });
+    
+    const rows = [row('total', base.summary.total.avg, other.summary.total.avg)];
+    
+    const sections = new Set([...Object.keys(base.summary.sections), ...Object.keys(other.summary.sections)]);
+    sections.forEach(name => {
+        const a = base.summary.sections[name];
+        const b = other.summary.sections[name];
+        rows.push(row(name, a ? a.avg : 0, b ? b.avg : 0));
+    });
+    
+    RENDERER_STATS.forEach(name => {
+        const a = base.summary.renderer[name];
+        const b = other.summary.renderer[name];
+        if (a || b) rows.push(row(`renderer.${name}`, a ? a.avg : 0, b ? b.avg : 0));
+    });
+    
+    return rows;
+}
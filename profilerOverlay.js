@@ -0,0 +1,307 @@
+import { PROFILER_SECTIONS, RENDERER_STATS } from './profiler.js';
+
+// Colors of the top-level sections in the frame time graph
+const SECTION_COLORS = {
+    'input': '#9e9e9e',
+    'physics': '#4fc3f7',
+    'scripts': '#ffb74d',
+    'tweens': '#ffe082',
+    'timers': '#fff59d',
+    'ecs.update': '#81c784',
+    'ecs.lateUpdate': '#aed581',
+    'spatialIndex': '#4db6ac',
+    'systems': '#ba68c8',
+    'lod': '#90a4ae',
+    'batching': '#7986cb',
+    'render': '#e57373'
+};
+
+const RENDERER_LABELS = {
+    calls: 'Draw Calls',
+    triangles: 'Triangles',
+    geometries: 'Geometries',
+    textures: 'Textures'
+};
+
+/**
+ * ProfilerOverlay shows the engine profiler on top of the viewport
+ *
+ * A stacked graph of the frame time by section, graphs of the renderer.info
+ * counters, a table of the slowest sections and the controls to capture a trace.
+ */
+export class ProfilerOverlay {
+    /**
+     * Create a new ProfilerOverlay
+     * @param {GameEngine} engine - Reference to the main game engine
+     */
+    constructor(engine) {
+        this.engine = engine;
+        this.element = null;
+        this.visible = false;
+        
+        // Frames between table refreshes, the graphs are drawn every frame
+        this.tableInterval = 30;
+        this.framesSinceTable = 0;
+        
+        // Frame time at the top of the graph, in milliseconds
+        this.graphScale = 33.3;
+        
+        this.onFrame = (data) => this.update(data.frame);
+        this.onCaptured = (data) => this.handleCaptured(data.trace);
+    }
+    
+    toggle() {
+        if (this.visible) {
+            this.hide();
+        } else {
+            this.show();
+        }
+    }
+    
+    show() {
+        if (this.visible) return;
+        
+        this.visible = true;
+        this.build();
+        this.engine.events.on('profiler:frame', this.onFrame);
+        this.engine.events.on('profiler:captured', this.onCaptured);
+        this.engine.profiler.setEnabled(true);
+        this.engine.events.emit('profiler:overlay', { visible: true });
+    }
+    
+    hide() {
+        if (!this.visible) return;
+        
+        this.visible = false;
+        this.engine.events.off('profiler:frame', this.onFrame);
+        this.engine.events.off('profiler:captured', this.onCaptured);
+        this.engine.profiler.setEnabled(false);
+        
+        if (this.element) {
+            this.element.remove();
+            this.element = null;
+        }
+        this.engine.events.emit('profiler:overlay', { visible: false });
+    }
+    
+    build() {
+        this.element = document.createElement('div');
+        this.element.className = 'profiler-overlay';
+        
+        const legend = PROFILER_SECTIONS.map(name =>
+            `<span><i style="background:${SECTION_COLORS[name]}"></i>${name}</span>`
+        ).join('');
+        
+        const counters = RENDERER_STATS.map(name => `
+            <div class="profiler-counter">
+                <div class="profiler-counter-label">${RENDERER_LABELS[name]} <span data-stat="${name}">-</span></div>
+                <canvas data-graph="${name}" width="120" height="32"></canvas>
+            </div>
+        `).join('');
+        
+        this.element.innerHTML = `
+            <div class="profiler-header">
+                <span>Profiler</span>
+                <span class="profiler-frame-time">-</span>
+                <button class="profiler-close" title="Close the profiler">×</button>
+            </div>
+            <canvas class="profiler-frame-graph" width="240" height="80"></canvas>
+            <div class="profiler-legend">${legend}</div>
+            <div class="profiler-counters">${counters}</div>
+            <table class="profiler-table">
+                <thead><tr><th>Section</th><th>Avg</th><th>Max</th></tr></thead>
+                <tbody></tbody>
+            </table>
+            <div class="profiler-capture">
+                <input type="number" class="profiler-capture-frames" min="1" step="1" value="300" title="Number of frames to record">
+                <input type="text" class="profiler-capture-label" placeholder="Label" title="Build or change being measured, saved in the trace">
+                <button class="profiler-capture-button" title="Record the next frames and download them as a JSON trace">Capture</button>
+            </div>
+            <div class="profiler-status"></div>
+        `;
+        
+        this.frameGraph = this.element.querySelector('.profiler-frame-graph');
+        this.frameTimeLabel = this.element.querySelector('.profiler-frame-time');
+        this.tableBody = this.element.querySelector('.profiler-table tbody');
+        this.statusElement = this.element.querySelector('.profiler-status');
+        
+        this.element.querySelector('.profiler-close').addEventListener('click', () => this.hide());
+        
+        const captureButton = this.element.querySelector('.profiler-capture-button');
+        captureButton.addEventListener('click', () => {
+            if (this.engine.profiler.capture) {
+                this.engine.profiler.stopCapture();
+                return;
+            }
+            
+            const frameCount = parseInt(this.element.querySelector('.profiler-capture-frames').value, 10);
+            const label = this.element.querySelector('.profiler-capture-label').value.trim();
+            if (!this.engine.profiler.startCapture(frameCount, label)) {
+                alert('Enter the number of frames to capture (1 or more).');
+                return;
+            }
+            
+            captureButton.textContent = 'Stop';
+            this.statusElement.textContent = `Capturing 0 / ${frameCount} frames`;
+        });
+        
+        // Keep clicks on the overlay away from viewport picking
+        this.element.addEventListener('pointerdown', (event) => event.stopPropagation());
+        
+        this.engine.container.appendChild(this.element);
+    }
+    
+    /**
+     * Redraws the overlay for a profiled frame
+     * @param {Object} frame - Frame from the profiler
+     */
+    update(frame) {
+        if (!this.element) return;
+        
+        const history = this.engine.profiler.history;
+        
+        this.frameTimeLabel.textContent = `${frame.total.toFixed(2)} ms`;
+        this.drawFrameGraph(history);
+        
+        RENDERER_STATS.forEach(name => {
+            const values = history.map(entry => entry.renderer ? entry.renderer[name] : 0);
+            this.element.querySelector(`[data-stat="${name}"]`).textContent = frame.renderer ? frame.renderer[name].toLocaleString() : '-';
+            this.drawCounterGraph(this.element.querySelector(`[data-graph="${name}"]`), values);
+        });
+        
+        const capture = this.engine.profiler.capture;
+        if (capture) {
+            this.statusElement.textContent = `Capturing ${capture.frames.length} / ${capture.frameCount} frames`;
+        }
+        
+        if (++this.framesSinceTable >= this.tableInterval) {
+            this.framesSinceTable = 0;
+            this.updateTable();
+        }
+    }
+    
+    /**
+     * Draws the time of each frame as a bar stacked by section
+     * @param {Array} history - Recent frames, oldest first
+     */
+    drawFrameGraph(history) {
+        const canvas = this.frameGraph;
+        const context = canvas.getContext('2d');
+        const width = canvas.width;
+        const height = canvas.height;
+        const barWidth = width / this.engine.profiler.historySize;
+        const offset = width - history.length * barWidth;
+        
+        context.clearRect(0, 0, width, height);
+        
+        // 60 and 30 FPS budgets
+        context.strokeStyle = 'rgba(255, 255, 255, 0.2)';
+        [16.7, 33.3].forEach(ms => {
+            const y = Math.round(height - ms / this.graphScale * height) + 0.5;
+            context.beginPath();
+            context.moveTo(0, y);
+            context.lineTo(width, y);
+            context.stroke();
+        });
+        
+        history.forEach((frame, i) => {
+            const x = offset + i * barWidth;
+            let y = height;
+            let measured = 0;
+            
+            PROFILER_SECTIONS.forEach(name => {
+                const time = frame.sections[name];
+                if (!time) return;
+                
+                const barHeight = time / this.graphScale * height;
+                context.fillStyle = SECTION_COLORS[name];
+                context.fillRect(x, y - barHeight, barWidth, barHeight);
+                y -= barHeight;
+                measured += time;
+            });
+            
+            // Time not covered by a section, e.g. camera controls and events
+            const rest = Math.max(0, frame.total - measured) / this.graphScale * height;
+            context.fillStyle = 'rgba(255, 255, 255, 0.15)';
+            context.fillRect(x, y - rest, barWidth, rest);
+        });
+    }
+    
+    /**
+     * Draws a counter as a line scaled to its largest value
+     * @param {HTMLCanvasElement} canvas - Graph canvas
+     * @param {Array} values - Recent values, oldest first
+     */
+    drawCounterGraph(canvas, values) {
+        const context = canvas.getContext('2d');
+        const width = canvas.width;
+        const height = canvas.height;
+        const max = Math.max(1, ...values);
+        const step = width / this.engine.profiler.historySize;
+        const offset = width - values.length * step;
+        
+        context.clearRect(0, 0, width, height);
+        context.strokeStyle = '#4fc3f7';
+        context.beginPath();
+        values.forEach((value, i) => {
+            const x = offset + i * step;
+            const y = height - 1 - value / max * (height - 2);
+            if (i === 0) {
+                context.moveTo(x, y);
+            } else {
+                context.lineTo(x, y);
+            }
+        });
+        context.stroke();
+    }
+    
+    /**
+     * Lists the sections of the last frames, slowest first
+     */
+    updateTable() {
+        const summary = this.engine.profiler.getSummary(this.tableInterval * 2);
+        const rows = Object.entries(summary.sections)
+            .sort((a, b) => b[1].avg - a[1].avg)
+            .slice(0, 16);
+        
+        this.tableBody.innerHTML = '';
+        rows.forEach(([name, stats]) => {
+            const row = document.createElement('tr');
+            if (name.includes('/')) row.className = 'nested';
+            
+            const nameCell = document.createElement('td');
+            nameCell.textContent = name;
+            row.appendChild(nameCell);
+            
+            [stats.avg, stats.max].forEach(value => {
+                const cell = document.createElement('td');
+                cell.textContent = value.toFixed(2);
+                row.appendChild(cell);
+            });
+            this.tableBody.appendChild(row);
+        });
+    }
+    
+    /**
+     * Downloads a finished capture as JSON
+     * @param {Object} trace - Trace from the profiler
+     */
+    handleCaptured(trace) {
+        if (this.element) {
+            this.element.querySelector('.profiler-capture-button').textContent = 'Capture';
+            this.statusElement.textContent = `Captured ${trace.summary.frameCount} frames, ${trace.summary.total.avg.toFixed(2)} ms average`;
+        }
+        
+        const name = (trace.label || 'trace').replace(/[^\w.-]+/g, '_');
+        const date = trace.capturedAt.replace(/[:.]/g, '-');
+        const blob = new Blob([JSON.stringify(trace, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `profile-${name}-${date}.json`;
+        a.click();
+        
+        URL.revokeObjectURL(url);
+    }
+}
@@ -0,0 +1,575 @@
+/**
+ * Scene file format for the Three.js Game Engine
+ * Describes the JSON written by GameEngine.saveScene(), upgrades files
+ * saved by older versions and validates scenes before they are loaded.
+ */
+
+// Version written by saveScene(), files without a version are version 1
+export const SCENE_FORMAT_VERSION = 3;
+
+const vector3Schema = {
+    type: 'object',
+    required: ['x', 'y', 'z'],
+    properties: {
+        x: { type: 'number' },
+        y: { type: 'number' },
+        z: { type: 'number' }
+    }
+};
+
+// Sizes of colliders, the physics world can't use a zero size
+const sizeSchema = {
+    type: 'object',
+    required: ['x', 'y', 'z'],
+    properties: {
+        x: { type: 'number', exclusiveMinimum: 0 },
+        y: { type: 'number', exclusiveMinimum: 0 },
+        z: { type: 'number', exclusiveMinimum: 0 }
+    }
+};
+
+export const OBJECT_SCHEMA = {
+    type: 'object',
+    required: ['id', 'name', 'type', 'transform'],
+    properties: {
+        id: { type: 'string' },
+        name: { type: 'string' },
+        type: { type: 'string' },
+        parent: { type: ['string', 'null'] },
+        children: { type: 'array', items: { type: 'string' } },
+        transform: {
+            type: 'object',
+            required: ['position', 'rotation', 'scale'],
+            properties: {
+                position: vector3Schema,
+                rotation: vector3Schema,
+                scale: vector3Schema
+            }
+        },
+        params: { type: 'object' },
+        material: {
+            type: 'object',
+            properties: {
+                color: { type: 'string' },
+                wireframe: { type: 'boolean' },
+                transparent: { type: 'boolean' },
+                opacity: { type: 'number' },
+                metalness: { type: 'number' },
+                roughness: { type: 'number' }
+            }
+        },
+        script: { type: 'string' },
+        tags: { type: 'array', items: { type: 'string' } },
+        // Layer number and the layers a camera draws or a light lights, see LayerSystem
+        layer: { type: 'number', minimum: 0 },
+        cullingMask: { type: 'number', minimum: 0 },
+        // Scene objects created from a prefab
+        prefabInstance: {
+            type: 'object',
+            required: ['asset'],
+            properties: { asset: { type: 'string' } }
+        },
+        prefabSource: {
+            type: 'object',
+            required: ['instance', 'localId'],
+            properties: {
+                instance: { type: 'string' },
+                localId: { type: 'string' }
+            }
+        },
+        // Level of detail, see LODSystem
+        lod: {
+            type: 'object',
+            properties: {
+                enabled: { type: 'boolean' },
+                mode: { type: 'string', enum: ['distance', 'screenSize'] },
+                hysteresis: { type: 'number', minimum: 0 },
+                crossFade: { type: 'number', minimum: 0 },
+                levels: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['threshold', 'ratio'],
+                        properties: {
+                            threshold: { type: 'number', minimum: 0 },
+                            ratio: { type: 'number', minimum: 0, maximum: 1 }
+                        }
+                    }
+                }
+            }
+        },
+        // Rigid body and collider, see PhysicsWorld
+        physics: {
+            type: 'object',
+            properties: {
+                bodyType: { type: 'string', enum: ['dynamic', 'kinematic', 'static'] },
+                mass: { type: 'number', exclusiveMinimum: 0 },
+                friction: { type: 'number', minimum: 0 },
+                bounciness: { type: 'number', minimum: 0, maximum: 1 },
+                useGravity: { type: 'boolean' },
+                linearDamping: { type: 'number', minimum: 0 },
+                angularDamping: { type: 'number', minimum: 0 },
+                freezeRotation: { type: 'boolean' },
+                isTrigger: { type: 'boolean' },
+                collider: {
+                    type: 'object',
+                    properties: {
+                        shape: { type: 'string', enum: ['box', 'sphere', 'capsule', 'plane'] },
+                        autoSize: { type: 'boolean' },
+                        center: vector3Schema,
+                        size: sizeSchema,
+                        radius: { type: 'number', exclusiveMinimum: 0 },
+                        height: { type: 'number', exclusiveMinimum: 0 }
+                    }
+                }
+            }
+        },
+        // Prefab records only
+        prefab: {
+            type: 'object',
+            required: ['asset'],
+            properties: {
+                asset: { type: 'string' },
+                overrides: { type: 'object' }
+            }
+        },
+        scriptFileName: { type: 'string' },
+        scriptProperties: { type: 'object' },
+        components: { type: 'array', items: { type: 'string' } },
+        // Data of systems added by plugins, keyed by system name
+        systems: { type: 'object' }
+    }
+};
+
+export const PREFAB_SCHEMA = {
+    type: 'object',
+    required: ['id', 'name', 'objects'],
+    properties: {
+        id: { type: 'string' },
+        name: { type: 'string' },
+        base: { type: ['string', 'null'] },
+        objects: { type: 'array', items: OBJECT_SCHEMA },
+        overrides: { type: ['object', 'null'] }
+    }
+};
+
+// Project renderer settings, the same fields as config.renderer
+export const RENDERER_SETTINGS_SCHEMA = {
+    type: 'object',
+    properties: {
+        antialias: { type: 'boolean' },
+        shadowMap: { type: 'boolean' },
+        shadowType: { type: 'string', enum: ['Basic', 'PCF', 'PCFSoft', 'VSM'] },
+        clearColor: { type: 'string' },
+        physicallyCorrectLights: { type: 'boolean' },
+        outputEncoding: { type: 'string', enum: ['sRGB', 'Linear'] },
+        toneMapping: { type: 'string', enum: ['None', 'Linear', 'Reinhard', 'Cineon', 'ACESFilmic'] },
+        toneMappingExposure: { type: 'number', minimum: 0 },
+        // null uses the device pixel ratio
+        pixelRatio: { type: ['number', 'null'], minimum: 0.25 }
+    }
+};
+
+// Post-processing stack, the same fields as config.postProcessing
+// Passes are { type, enabled, params }, the default config also lists bare type names
+export const POST_PROCESSING_SCHEMA = {
+    type: 'object',
+    properties: {
+        enabled: { type: 'boolean' },
+        passes: {
+            type: 'array',
+            items: {
+                type: ['string', 'object'],
+                required: ['type'],
+                properties: {
+                    type: { type: 'string' },
+                    enabled: { type: 'boolean' },
+                    params: { type: 'object' }
+                }
+            }
+        }
+    }
+};
+
+// Named layers and the collision matrix, the same fields as config.layers
+export const LAYER_SETTINGS_SCHEMA = {
+    type: 'object',
+    properties: {
+        // Names by layer number, '' for layers without a name
+        names: { type: 'array', items: { type: 'string' } },
+        // Pairs of layer numbers that don't collide
+        ignoredCollisions: {
+            type: 'array',
+            items: { type: 'array', items: { type: 'number', minimum: 0 } }
+        }
+    }
+};
+
+export const SCENE_SCHEMA = {
+    $id: 'three-game-engine/scene',
+    type: 'object',
+    required: ['version', 'objects'],
+    properties: {
+        schema: { type: 'string' },
+        version: { type: 'number' },
+        objects: { type: 'array', items: OBJECT_SCHEMA },
+        prefabs: { type: 'array', items: PREFAB_SCHEMA },
+        settings: {
+            type: 'object',
+            properties: {
+                renderer: RENDERER_SETTINGS_SCHEMA,
+                postProcessing: POST_PROCESSING_SCHEMA,
+                layers: LAYER_SETTINGS_SCHEMA
+            }
+        },
+        systems: { type: 'object' },
+        properties: { type: 'object' }
+    }
+};
+
+/**
+ * Upgrade steps, each one takes a scene from the previous version to `version`
+ */
+export const MIGRATIONS = [
+    {
+        version: 2,
+        description: 'Store type parameters under "params" and give the default directional light its own type, adding it where missing',
+        migrate(scene) {
+            scene.objects.forEach(obj => {
+                if (obj.camera && !obj.params) {
+                    obj.params = obj.camera;
+                }
+                delete obj.camera;
+                
+                if (obj.type === 'light' && typeof obj.id === 'string' && obj.id.startsWith('directional-light')) {
+                    obj.type = 'directional-light';
+                }
+            });
+            
+            // The light used to be part of the editor, loading a scene now replaces it
+            if (!scene.objects.some(obj => obj && obj.type === 'directional-light')) {
+                scene.objects.unshift({
+                    id: 'directional-light-1',
+                    name: 'Directional Light',
+                    type: 'directional-light',
+                    parent: null,
+                    children: [],
+                    transform: {
+                        position: { x: 5, y: 5, z: 5 },
+                        // Looking at the origin, where the light used to point
+                        rotation: { x: -Math.PI / 4, y: Math.asin(1 / Math.sqrt(3)), z: Math.PI / 6 },
+                        scale: { x: 1, y: 1, z: 1 }
+                    },
+                    params: { color: '#ffffff', intensity: 1 }
+                });
+            }
+        }
+    },
+    {
+        version: 3,
+        description: 'Store prefab assets with the scene',
+        migrate(scene) {
+            if (!scene.prefabs) {
+                scene.prefabs = [];
+            }
+        }
+    }
+];
+
+/**
+ * Upgrades a scene to the current format version
+ * The input is left untouched, migrations run on a copy.
+ * @param {Object} sceneData - Scene data as read from a file
+ * @returns {Object} - { scene, fromVersion, issues }, scene is null if it can't be upgraded
+ */
+export function migrateScene(sceneData) {
+    const fromVersion = sceneData.version === undefined ? 1 : sceneData.version;
+    const issues = [];
+    
+    if (typeof fromVersion !== 'number' || !Number.isInteger(fromVersion) || fromVersion < 1) {
+        issues.push(createIssue('error', 'Scene', `has an invalid format version: ${JSON.stringify(sceneData.version)}`));
+        return { scene: null, fromVersion: fromVersion, issues: issues };
+    }
+    
+    if (fromVersion > SCENE_FORMAT_VERSION) {
+        issues.push(createIssue('error', 'Scene',
+            `was saved in format version ${fromVersion}, this editor supports up to version ${SCENE_FORMAT_VERSION}`));
+        return { scene: null, fromVersion: fromVersion, issues: issues };
+    }
+    
+    const scene = JSON.parse(JSON.stringify(sceneData));
+    
+    // Migrations can only work on a list of objects
+    if (!Array.isArray(scene.objects)) {
+        return { scene: scene, fromVersion: fromVersion, issues: issues };
+    }
+    
+    for (const step of MIGRATIONS) {
+        if (step.version <= fromVersion) continue;
+        
+        try {
+            step.migrate(scene);
+            scene.version = step.version;
+        } catch (error) {
+            issues.push(createIssue('error', 'Scene', `could not be upgraded to version ${step.version}: ${error.message}`));
+            return { scene: null, fromVersion: fromVersion, issues: issues };
+        }
+    }
+    
+    scene.version = SCENE_FORMAT_VERSION;
+    return { scene: scene, fromVersion: fromVersion, issues: issues };
+}
+
+/**
+ * Validates a scene in the current format version
+ * @param {Object} scene - Migrated scene data
+ * @param {ObjectFactory} factory - Factory used to check object types
+ * @returns {Array} - Issues found, each { severity: 'error'|'warning', subject, message }
+ */
+export function validateScene(scene, factory) {
+    const issues = [];
+    
+    // Objects are checked one by one below, so their issues can name the object,
+    // renderer settings too, so an invalid one doesn't keep the scene from loading
+    const settingsSchema = SCENE_SCHEMA.properties.settings;
+    const topLevelSchema = {
+        ...SCENE_SCHEMA,
+        properties: {
+            ...SCENE_SCHEMA.properties,
+            objects: { type: 'array' },
+            prefabs: { type: 'array' },
+            settings: { ...settingsSchema, properties: { ...settingsSchema.properties, renderer: { type: 'object' } } }
+        }
+    };
+    checkSchema(scene, topLevelSchema, '', 'Scene', issues);
+    
+    if (scene.settings && matchesType(scene.settings.renderer, 'object')) {
+        validateRendererSettings(scene.settings.renderer).forEach(issue => {
+            issues.push(issue.severity === 'error' ?
+                createIssue('warning', issue.subject, `${issue.message}, the default is used`) :
+                issue);
+        });
+    }
+    
+    // Prefabs are checked the same way, their records can only use known types too
+    const prefabSchema = {
+        ...PREFAB_SCHEMA,
+        properties: { ...PREFAB_SCHEMA.properties, objects: { type: 'array' } }
+    };
+    const prefabIds = new Set();
+    if (Array.isArray(scene.prefabs)) {
+        scene.prefabs.forEach((prefab, index) => {
+            const subject = prefab && typeof prefab.name === 'string' ?
+                `Prefab "${prefab.name}"` :
+                `Prefab #${index + 1}`;
+            
+            if (!checkSchema(prefab, prefabSchema, '', subject, issues)) return;
+            
+            prefabIds.add(prefab.id);
+            prefab.objects.forEach((record, recordIndex) => {
+                const recordSubject = `${subject} object ${record && typeof record.name === 'string' ? `"${record.name}"` : `#${recordIndex + 1}`}`;
+                checkSchema(record, OBJECT_SCHEMA, '', recordSubject, issues);
+                if (record && typeof record.type === 'string' && !factory.has(record.type)) {
+                    issues.push(createIssue('error', recordSubject, `has unknown type "${record.type}"`));
+                }
+            });
+        });
+        
+        // Prefabs can refer to each other in any order
+        scene.prefabs.forEach(prefab => {
+            if (!prefab || !prefabIds.has(prefab.id)) return;
+            
+            const references = [prefab.base, ...prefab.objects.map(record => record && record.prefab && record.prefab.asset)];
+            references.filter(Boolean).forEach(id => {
+                if (!prefabIds.has(id)) {
+                    issues.push(createIssue('warning', `Prefab "${prefab.name}"`, `refers to missing prefab "${id}"`));
+                }
+            });
+        });
+    }
+    
+    if (!Array.isArray(scene.objects)) return issues;
+    
+    const ids = new Set(scene.objects.map(obj => obj && obj.id));
+    
+    scene.objects.forEach((obj, index) => {
+        const subject = obj && typeof obj.name === 'string' ?
+            `Object "${obj.name}"` :
+            `Object #${index + 1}`;
+        
+        // The other checks still run on the fields that are fine, so one load reports every problem
+        checkSchema(obj, OBJECT_SCHEMA, '', subject, issues);
+        if (!matchesType(obj, 'object')) return;
+        
+        if (typeof obj.type === 'string' && !factory.has(obj.type)) {
+            issues.push(createIssue('error', subject, `has unknown type "${obj.type}"`));
+        }
+        
+        if (matchesType(obj.prefabInstance, 'object') && !prefabIds.has(obj.prefabInstance.asset)) {
+            issues.push(createIssue('warning', subject, `is linked to missing prefab "${obj.prefabInstance.asset}" and will be unlinked`));
+        }
+        
+        if (typeof obj.parent === 'string' && !ids.has(obj.parent)) {
+            issues.push(createIssue('warning', subject, `refers to missing parent "${obj.parent}" and will be placed at the top level`));
+        }
+        
+        // Models are rebuilt from their asset
+        if (obj.type === 'model' && (!matchesType(obj.params, 'object') || !obj.params.url)) {
+            issues.push(createIssue('warning', subject, 'has no source asset and will be empty'));
+        }
+    });
+    
+    // The physics world has no floor of its own, bodies only land on other colliders
+    const bodies = scene.objects.filter(obj => obj && matchesType(obj.physics, 'object'));
+    const falling = bodies.some(obj => (obj.physics.bodyType || 'dynamic') === 'dynamic' && obj.physics.useGravity !== false);
+    const ground = bodies.some(obj => (obj.physics.bodyType === 'static' || obj.physics.bodyType === 'kinematic') && !obj.physics.isTrigger);
+    if (falling && !ground) {
+        issues.push(createIssue('warning', 'Scene', 'has falling rigid bodies but no static collider to land on, add a ground such as a static plane'));
+    }
+    
+    return issues;
+}
+
+/**
+ * Validates renderer settings, e.g. before they are applied
+ * @param {Object} settings - Renderer settings, all fields are optional
+ * @returns {Array} - Issues found, settings the engine doesn't know are warnings
+ */
+export function validateRendererSettings(settings) {
+    const issues = [];
+    checkSchema(settings, RENDERER_SETTINGS_SCHEMA, '', 'Renderer settings', issues);
+    if (!matchesType(settings, 'object')) return issues;
+    
+    Object.keys(settings).forEach(key => {
+        if (!RENDERER_SETTINGS_SCHEMA.properties[key]) {
+            issues.push(createIssue('warning', 'Renderer settings', `have an unknown setting "${key}" that will be ignored`));
+        }
+    });
+    return issues;
+}
+
+/**
+ * Validates a post-processing stack, e.g. before it is loaded
+ * Effect types are checked by the PostProcessingSystem, which knows the registered ones.
+ * @param {Object} settings - { enabled, passes }
+ * @returns {Array} - Issues found
+ */
+export function validatePostProcessing(settings) {
+    const issues = [];
+    checkSchema(settings, POST_PROCESSING_SCHEMA, '', 'Post-processing', issues);
+    return issues;
+}
+
+/**
+ * Validates layer settings, e.g. before they are loaded
+ * Layer numbers are checked by the LayerSystem.
+ * @param {Object} settings - { names, ignoredCollisions }
+ * @returns {Array} - Issues found
+ */
+export function validateLayerSettings(settings) {
+    const issues = [];
+    checkSchema(settings, LAYER_SETTINGS_SCHEMA, '', 'Layers', issues);
+    return issues;
+}
+
+/**
+ * Formats issues as a readable list, one issue per line
+ * @param {Array} issues - Issues from migrateScene() or validateScene()
+ * @returns {string} - The formatted list
+ */
+export function formatIssues(issues) {
+    return issues
+        .map(issue => `${issue.severity === 'error' ? 'Error' : 'Warning'}: ${issue.subject} ${issue.message}`)
+        .join('\n');
+}
+
+export function createIssue(severity, subject, message) {
+    return { severity: severity, subject: subject, message: message };
+}
+
+/**
+ * Checks a value against a small subset of JSON Schema
+ * (type, enum, minimum, exclusiveMinimum, required, properties and items)
+ * @returns {boolean} - True if no errors were found
+ */
+function checkSchema(value, schema, path, subject, issues) {
+    const count = issues.length;
+    const where = path ? `${path} ` : '';
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    
+    if (schema.type && !types.some(type => matchesType(value, type))) {
+        issues.push(createIssue('error', subject, `${where}should be ${types.map(describeType).join(' or ')}, got ${describeValue(value)}`));
+        return false;
+    }
+    
+    if (schema.enum && !schema.enum.includes(value)) {
+        issues.push(createIssue('error', subject, `${where}should be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}, got ${describeValue(value)}`));
+        return false;
+    }
+    
+    if (schema.minimum !== undefined && typeof value === 'number' && value < schema.minimum) {
+        issues.push(createIssue('error', subject, `${where}should be at least ${schema.minimum}, got ${value}`));
+        return false;
+    }
+    
+    if (schema.exclusiveMinimum !== undefined && typeof value === 'number' && value <= schema.exclusiveMinimum) {
+        issues.push(createIssue('error', subject, `${where}should be above ${schema.exclusiveMinimum}, got ${value}`));
+        return false;
+    }
+    
+    // Values that may be an object or something else only need the fields when they are objects
+    if (schema.required && matchesType(value, 'object')) {
+        schema.required.forEach(key => {
+            if (value[key] === undefined) {
+                issues.push(createIssue('error', subject, `is missing ${path ? `${path}.` : ''}${key}`));
+            }
+        });
+    }
+    
+    if (schema.properties) {
+        Object.entries(schema.properties).forEach(([key, propertySchema]) => {
+            if (value[key] !== undefined) {
+                checkSchema(value[key], propertySchema, path ? `${path}.${key}` : key, subject, issues);
+            }
+        });
+    }
+    
+    if (schema.items && Array.isArray(value)) {
+        value.forEach((item, index) => checkSchema(item, schema.items, `${path}[${index}]`, subject, issues));
+    }
+    
+    return issues.length === count;
+}
+
+function matchesType(value, type) {
+    switch (type) {
+        case 'object':
+            return value !== null && typeof value === 'object' && !Array.isArray(value);
+        case 'array':
+            return Array.isArray(value);
+        case 'number':
+            return typeof value === 'number' && Number.isFinite(value);
+        case 'null':
+            return value === null;
+        default:
+            return typeof value === type;
+    }
+}
+
+function describeType(type) {
+    return {
+        object: 'an object',
+        array: 'a list',
+        number: 'a number',
+        string: 'a string',
+        boolean: 'true or false',
+        null: 'null'
+    }[type] || type;
+}
+
+function describeValue(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'a list';
+    if (typeof value === 'number') return String(value);
+    return typeof value === 'object' ? 'an object' : `${typeof value} ${JSON.stringify(value)}`;
+}
@@ -1,5 +1,6 @@
 import * as THREE from 'three';
 import * as Behaviors from './behaviors.js';
+import { FIXED_TIME_STEP, MAX_SUB_STEPS } from './config.js';
 
 // Add Tween and GameLoop classes for animation and game logic
 class Tween {
@@ -82,8 +83,8 @@ class Tween {
 
 class GameLoop {
     constructor() {
-        this.fixedTimeStep = 1/60; // 60 updates per second
-        this.maxSubSteps = 5; // Prevent spiral of death
+        this.fixedTimeStep = FIXED_TIME_STEP;
+        this.maxSubSteps = MAX_SUB_STEPS; // Prevent spiral of death
         this.accumulator = 0;
         this.callbacks = {
             update: [],
@@ -683,6 +684,27 @@ export class ScriptingSystem {
                         // Make the behaviors library available
                         this.Behaviors = Behaviors;
                         
+                        // Scene queries against the colliders of the scene
+                        const physics = engine.physics;
+                        this.Physics = {
+                            raycast: (origin, direction, options) => physics.raycast(origin, direction, options),
+                            raycastAll: (origin, direction, options) => physics.raycastAll(origin, direction, options),
+                            sphereCast: (origin, radius, direction, options) => physics.sphereCast(origin, radius, direction, options),
+                            capsuleCast: (point1, point2, radius, direction, options) => physics.capsuleCast(point1, point2, radius, direction, options),
+                            overlapSphere: (center, radius, options) => physics.overlapSphere(center, radius, options),
+                            overlapBox: (center, halfExtents, options) => physics.overlapBox(center, halfExtents, options),
+                            overlapCapsule: (point1, point2, radius, options) => physics.overlapCapsule(point1, point2, radius, options),
+                            refresh: () => physics.refreshQueries()
+                        };
+                        
+                        // Named layers, e.g. for the layerMask of a query
+                        const layers = engine.layers;
+                        this.Layers = {
+                            getMask: (...names) => layers.getMask(...names),
+                            nameToLayer: (name) => layers.nameToLayer(name),
+                            layerToName: (layer) => layers.layerToName(layer)
+                        };
+                        
                         // Make Math utilities available
                         this.Math = {
                             // Vector classes
@@ -1281,6 +1303,15 @@ export class ScriptingSystem {
                         return this.engine.scriptingSystem.hasTag(this.object, tag);
                     }
                     
+                    // Layers
+                    setLayer(layer) {
+                        return this.engine.layers.setLayer(this.object, layer);
+                    }
+                    
+                    getLayer() {
+                        return this.object.layer || 0;
+                    }
+                    
                     // Query components/objects
                     findObjectsByTag(tag) {
                         return this.engine.scriptingSystem.getObjectsByTag(tag);
@@ -1440,6 +1471,67 @@ export class ScriptingSystem {
                         return this.engine.instantiatePrefab(prefabName, position, rotation);
                     }
                     
+                    // Camera control
+                    setActiveCamera(camera) {
+                        return this.engine.setActiveCamera(camera);
+                    }
+                    
+                    getActiveCamera() {
+                        return this.engine.getActiveCameraObject();
+                    }
+                    
+                    // Time control, durations are real seconds
+                    setTimeScale(scale) {
+                        return this.engine.setTimeScale(scale);
+                    }
+                    
+                    getTimeScale() {
+                        return this.engine.getTimeScale();
+                    }
+                    
+                    slowMotion(scale, duration) {
+                        return this.engine.slowMotion(scale, duration);
+                    }
+                    
+                    hitStop(duration) {
+                        return this.engine.hitStop(duration);
+                    }
+                    
+                    getUnscaledDeltaTime() {
+                        return this.engine.unscaledDeltaTime;
+                    }
+                    
+                    // Physics, through the object's body in the physics world
+                    getRigidbody() {
+                        return this.engine.physics.getBody(this.object) || this.engine.physics.addBody(this.object);
+                    }
+                    
+                    // A world point, if given, also turns the body
+                    applyForce(force, point) {
+                        const body = this.getRigidbody();
+                        if (body) body.applyForce(force, point);
+                    }
+                    
+                    applyTorque(torque) {
+                        const body = this.getRigidbody();
+                        if (body) body.applyTorque(torque);
+                    }
+                    
+                    applyImpulse(impulse, point) {
+                        const body = this.getRigidbody();
+                        if (body) body.applyImpulse(impulse, point);
+                    }
+                    
+                    setVelocity(x, y, z) {
+                        const body = this.getRigidbody();
+                        if (body) body.setVelocity(x, y, z);
+                    }
+                    
+                    setAngularVelocity(x, y, z) {
+                        const body = this.getRigidbody();
+                        if (body) body.setAngularVelocity(x, y, z);
+                    }
+                    
                     // Cleanup all event subscriptions
                     _cleanupEventSubscriptions() {
                         for (const subscription of this._eventSubscriptions) {
@@ -1481,9 +1573,9 @@ export class ScriptingSystem {
                             return false;
                         }
                         
-                        // Add custom passes to the composer
+                        // Add custom passes to the post-processing stack, they are not saved with the scene
                         for (const pass of passes) {
-                            this.engine.composer.addPass(pass);
+                            this.engine.postProcessing.addExternalPass(pass);
                         }
                         return true;
                     }
@@ -1653,18 +1745,30 @@ export class ScriptingSystem {
     }
 
     updateScripts(deltaTime) {
+        const profiler = this.engine.profiler;
+        
         // Update game loop
+        profiler.begin('scripts');
         this.gameLoop.update(deltaTime);
+        profiler.end('scripts');
         
         // Update tweens
+        profiler.begin('tweens');
         this.updateTweens(deltaTime);
+        profiler.end('tweens');
         
         // Update timers
+        profiler.begin('timers');
         this.updateTimers(deltaTime);
+        profiler.end('timers');
         
-        // Update all script instances
+        // Update all script instances, each one is profiled on its own
+        profiler.begin('scripts');
         this.engine.objects.forEach(obj => {
             if (this.engine.isPlaying && obj.script) {
+                // Prefab instances share their name, the id keeps their timings apart
+                const section = `scripts/${obj.name} (${obj.id})`;
+                profiler.begin(section);
                 try {
                     if (!obj.scriptInstance) {
                         // Create script instance
@@ -1717,8 +1821,10 @@ export class ScriptingSystem {
                     // Disable script to prevent continuous errors
                     obj.scriptInstance = null;
                 }
+                profiler.end(section);
             }
         });
+        profiler.end('scripts');
     }
     
     hotReloadScript(obj) {
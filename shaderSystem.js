@@ -315,7 +315,9 @@ export class ShaderSystem {
     
     /**
      * Create a post-processing effect
-     * @param {string} effectType - Type of effect to create
+     * The effect is added to the end of the post-processing stack and saved with the scene,
+     * it is rendered while the stack is enabled (config.postProcessing.enabled).
+     * @param {string} effectType - Type of effect to create, see PostProcessingSystem.getEffectTypes()
      * @param {Object} parameters - Effect parameters
      * @returns {THREE.Pass} The created post-processing pass
      */
@@ -325,136 +327,41 @@ export class ShaderSystem {
             return null;
         }
         
-        let pass;
-        
-        switch (effectType) {
-            case 'bloom':
-                if (typeof THREE.UnrealBloomPass !== 'undefined') {
-                    const { strength = 1.5, radius = 0.4, threshold = 0.85 } = parameters;
-                    pass = new THREE.UnrealBloomPass(
-                        new THREE.Vector2(window.innerWidth, window.innerHeight),
-                        strength,
-                        radius,
-                        threshold
-                    );
-                } else {
-                    console.error('UnrealBloomPass not available. Include THREE.UnrealBloomPass.js');
-                    return null;
-                }
-                break;
-                
-            case 'film':
-                if (typeof THREE.FilmPass !== 'undefined') {
-                    const { noiseIntensity = 0.35, scanlinesIntensity = 0.5, scanlinesCount = 256, grayscale = false } = parameters;
-                    pass = new THREE.FilmPass(
-                        noiseIntensity,
-                        scanlinesIntensity,
-                        scanlinesCount,
-                        grayscale
-                    );
-                } else {
-                    console.error('FilmPass not available. Include THREE.FilmPass.js');
-                    return null;
-                }
-                break;
-                
-            case 'glitch':
-                if (typeof THREE.GlitchPass !== 'undefined') {
-                    const { dtSize = 64 } = parameters;
-                    pass = new THREE.GlitchPass(dtSize);
-                    pass.goWild = parameters.wild || false;
-                } else {
-                    console.error('GlitchPass not available. Include THREE.GlitchPass.js');
-                    return null;
-                }
-                break;
-                
-            case 'dot':
-                if (typeof THREE.DotScreenPass !== 'undefined') {
-                    const { scale = 1, angle = 0.5, center = new THREE.Vector2(0.5, 0.5) } = parameters;
-                    pass = new THREE.DotScreenPass(center, angle, scale);
-                } else {
-                    console.error('DotScreenPass not available. Include THREE.DotScreenPass.js');
-                    return null;
-                }
-                break;
-                
-            case 'rgb':
-                if (typeof THREE.ShaderPass !== 'undefined' && typeof THREE.RGBShiftShader !== 'undefined') {
-                    const { amount = 0.005, angle = 0 } = parameters;
-                    pass = new THREE.ShaderPass(THREE.RGBShiftShader);
-                    pass.uniforms.amount.value = amount;
-                    pass.uniforms.angle.value = angle;
-                } else {
-                    console.error('RGBShiftShader not available. Include THREE.RGBShiftShader.js');
-                    return null;
-                }
-                break;
-                
-            case 'custom':
-                if (typeof THREE.ShaderPass !== 'undefined' && parameters.shader) {
-                    pass = new THREE.ShaderPass({
-                        uniforms: parameters.uniforms || {},
-                        vertexShader: parameters.shader.vertex,
-                        fragmentShader: parameters.shader.fragment
-                    });
-                } else {
-                    console.error('Custom shader pass requires shader code');
-                    return null;
-                }
-                break;
-                
-            default:
-                console.error(`Unknown effect type: ${effectType}`);
-                return null;
+        // Custom effects used to take { shader: { vertex, fragment }, uniforms: { name: { value } } }
+        let params = parameters;
+        if (effectType === 'custom' && parameters.shader) {
+            const uniforms = {};
+            Object.entries(parameters.uniforms || {}).forEach(([name, uniform]) => {
+                uniforms[name] = uniform && uniform.value !== undefined ? uniform.value : uniform;
+            });
+            params = {
+                vertexShader: parameters.shader.vertex,
+                fragmentShader: parameters.shader.fragment,
+                uniforms: uniforms
+            };
         }
         
-        // Add the pass to the composer
-        if (pass) {
-            this.engine.composer.addPass(pass);
-            
-            // Store the pass for later reference
-            const effectId = `${effectType}-${this.postProcessingEffects.size}`;
-            this.postProcessingEffects.set(effectId, pass);
-            
-            return pass;
-        }
+        const entry = this.engine.postProcessing.addPass(effectType, params);
+        if (!entry) return null;
         
-        return null;
+        this.postProcessingEffects.set(entry.id, entry.pass);
+        return entry.pass;
     }
     
     /**
      * Remove a post-processing effect
-     * @param {Object|string} effect - The effect object or its ID
+     * @param {Object|string} effect - The effect pass or its ID
      */
     removePostProcessingEffect(effect) {
         if (!this.engine.composer) return;
         
-        let pass;
+        if (!this.engine.postProcessing.removePass(effect)) return;
         
-        if (typeof effect === 'string') {
-            pass = this.postProcessingEffects.get(effect);
-            if (!pass) {
-                console.error(`Effect "${effect}" not found`);
-                return;
-            }
-        } else {
-            pass = effect;
-        }
-        
-        // Remove from composer
-        const passes = this.engine.composer.passes;
-        const index = passes.indexOf(pass);
-        
-        if (index !== -1) {
-            passes.splice(index, 1);
-            
-            // Remove from effects map
-            for (const [id, p] of this.postProcessingEffects.entries()) {
-                if (p === pass) {
-                    this.postProcessingEffects.delete(id);
-                    break;
-                }
+        // Remove from effects map
+        for (const [id, pass] of this.postProcessingEffects.entries()) {
+            if (id === effect || pass === effect) {
+                this.postProcessingEffects.delete(id);
+                break;
             }
         }
     }
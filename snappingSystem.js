@@ -0,0 +1,256 @@
+import * as THREE from 'three';
+import { BATCHED_LAYER } from './objectFactory.js';
+import { ALL_LAYERS } from './layerSystem.js';
+
+const UP = new THREE.Vector3(0, 1, 0);
+
+/**
+ * SnappingSystem holds the snapping settings of the editor gizmo and the
+ * geometry queries used by surface and vertex snapping.
+ *
+ * Grid, angle and scale snapping each have their own switch and step.
+ * Holding the modifier key (config.editor.snapping.modifierKey) inverts
+ * them while it is down, so snapping can be used briefly or skipped briefly.
+ */
+export class SnappingSystem {
+    /**
+     * Create a new SnappingSystem
+     * @param {GameEngine} engine - Reference to the main game engine
+     */
+    constructor(engine) {
+        this.engine = engine;
+        
+        const editor = engine.config.editor;
+        const defaults = editor.snapping || {};
+        const gridStep = editor.gridSize / editor.gridDivisions;
+        
+        this.settings = {
+            translate: { enabled: false, step: gridStep, ...defaults.translate },
+            rotate: { enabled: false, step: 15, ...defaults.rotate },
+            scale: { enabled: false, step: 0.1, ...defaults.scale },
+            surface: !!defaults.surface,
+            alignToNormal: defaults.alignToNormal !== false,
+            vertex: !!defaults.vertex,
+            vertexDistance: defaults.vertexDistance || 20
+        };
+        
+        // A step of null follows the editor grid
+        if (!this.settings.translate.step) {
+            this.settings.translate.step = gridStep;
+        }
+        
+        this.modifierKey = defaults.modifierKey || 'Control';
+        this.modifierHeld = false;
+        this.raycaster = new THREE.Raycaster();
+        this.raycaster.layers.mask = ALL_LAYERS | (1 << BATCHED_LAYER);
+    }
+    
+    /**
+     * Whether a kind of snapping is in effect
+     * The modifier key only inverts grid, angle and scale snapping.
+     * @param {string} type - 'translate', 'rotate', 'scale', 'surface' or 'vertex'
+     * @returns {boolean}
+     */
+    isEnabled(type) {
+        const setting = this.settings[type];
+        return typeof setting === 'object' ? setting.enabled !== this.modifierHeld : !!setting;
+    }
+    
+    /**
+     * Turns a kind of snapping on or off
+     * @param {string} type - 'translate', 'rotate', 'scale', 'surface', 'alignToNormal' or 'vertex'
+     * @param {boolean} enabled - Whether it is on
+     */
+    setEnabled(type, enabled) {
+        if (typeof this.settings[type] === 'object') {
+            this.settings[type].enabled = enabled;
+        } else {
+            this.settings[type] = enabled;
+        }
+        this.engine.events.emit('snapping:changed', { settings: this.settings });
+    }
+    
+    /**
+     * Sets the snapping step
+     * @param {string} type - 'translate' (units), 'rotate' (degrees) or 'scale'
+     * @param {number} step - Step size, must be greater than zero
+     * @returns {boolean} - False if the step is invalid
+     */
+    setStep(type, step) {
+        if (!(step > 0)) {
+            console.error(`Invalid ${type} snapping step: ${step}`);
+            return false;
+        }
+        
+        this.settings[type].step = step;
+        this.engine.events.emit('snapping:changed', { settings: this.settings });
+        return true;
+    }
+    
+    setModifierHeld(held) {
+        if (this.modifierHeld === held) return;
+        
+        this.modifierHeld = held;
+        this.engine.events.emit('snapping:changed', { settings: this.settings });
+    }
+    
+    /**
+     * Returns the snap value for TransformControls
+     * @param {string} type - 'translate', 'rotate' or 'scale'
+     * @returns {number|null} - The step (radians for rotation), null if snapping is off
+     */
+    getSnap(type) {
+        if (!this.isEnabled(type)) return null;
+        
+        const step = this.settings[type].step;
+        return type === 'rotate' ? THREE.MathUtils.degToRad(step) : step;
+    }
+    
+    /**
+     * Finds the surface under a point of the editor view
+     * @param {THREE.Vector2} ndc - Point in normalized device coordinates of the active view
+     * @param {Array} exclude - Objects to ignore, e.g. the ones being moved
+     * @returns {Object|null} - { object, point, normal } in world space, or null if nothing was hit
+     */
+    getSurfaceHit(ndc, exclude = []) {
+        const excluded = this.collectObject3Ds(exclude);
+        const targets = this.engine.objects
+            .filter(obj => !obj.object3D.isLight && obj.object3D.visible && !excluded.has(obj.object3D))
+            .map(obj => obj.object3D);
+        targets.forEach(object3D => object3D.updateWorldMatrix(true, false));
+        
+        this.raycaster.setFromCamera(ndc, this.engine.getViewCamera());
+        const hit = this.raycaster.intersectObjects(targets, false).find(intersection => intersection.face);
+        if (!hit) return null;
+        
+        const normal = hit.face.normal.clone().transformDirection(hit.object.matrixWorld);
+        
+        // Faces seen from behind report the normal of their front side
+        if (normal.dot(this.raycaster.ray.direction) > 0) {
+            normal.negate();
+        }
+        
+        return {
+            object: this.engine.getObjectByThreeJsObject(hit.object),
+            point: hit.point,
+            normal: normal
+        };
+    }
+    
+    /**
+     * Moves an Object3D onto a surface
+     * @param {THREE.Object3D} object3D - The object to move
+     * @param {Object} hit - Surface from getSurfaceHit()
+     * @param {number} offset - Distance kept from the surface, e.g. from the origin to the bottom of the object
+     * @param {boolean} alignToNormal - Turn the object so its up axis follows the surface normal
+     */
+    placeOnSurface(object3D, hit, offset = 0, alignToNormal = this.settings.alignToNormal) {
+        object3D.updateWorldMatrix(true, false);
+        const quaternion = object3D.getWorldQuaternion(new THREE.Quaternion());
+        
+        // Smallest turn that brings the object's up axis onto the normal, keeps the heading
+        if (alignToNormal) {
+            const up = UP.clone().applyQuaternion(quaternion);
+            quaternion.premultiply(new THREE.Quaternion().setFromUnitVectors(up, hit.normal));
+        }
+        
+        const position = hit.point.clone().addScaledVector(alignToNormal ? hit.normal : UP, offset);
+        this.setWorldTransform(object3D, position, quaternion);
+    }
+    
+    /**
+     * Returns the height of an Object3D's origin above the bottom of a group of objects
+     * @param {THREE.Object3D} object3D - The object that is placed, e.g. the gizmo pivot
+     * @param {Array} objects - Objects that move with it, defaults to the object itself
+     * @returns {number} - Offset to pass to placeOnSurface()
+     */
+    getBottomOffset(object3D, objects = [object3D]) {
+        const bounds = new THREE.Box3();
+        objects.forEach(obj => bounds.expandByObject(obj.isObject3D ? obj : obj.object3D));
+        if (bounds.isEmpty()) return 0;
+        
+        return Math.max(0, object3D.getWorldPosition(new THREE.Vector3()).y - bounds.min.y);
+    }
+    
+    /**
+     * Finds the mesh vertex closest to a point of the editor view
+     * @param {Array} objects - Objects whose vertices are checked (children included)
+     * @param {THREE.Vector2} ndc - Point in normalized device coordinates of the active view
+     * @param {number} maxDistance - Largest distance from the point in pixels
+     * @returns {Object|null} - { object3D, point } with the vertex in world space, or null if none is close enough
+     */
+    findNearestVertex(objects, ndc, maxDistance = this.settings.vertexDistance) {
+        const camera = this.engine.getViewCamera();
+        const size = this.engine.getViewRect(this.engine.activeView);
+        const vertex = new THREE.Vector3();
+        const projected = new THREE.Vector3();
+        let best = null;
+        let bestDistance = maxDistance;
+        
+        camera.updateMatrixWorld();
+        
+        this.collectObject3Ds(objects).forEach(object3D => {
+            const position = object3D.isMesh && object3D.geometry && object3D.geometry.attributes.position;
+            if (!position || !object3D.visible) return;
+            
+            object3D.updateWorldMatrix(true, false);
+            for (let i = 0; i < position.count; i++) {
+                vertex.fromBufferAttribute(position, i).applyMatrix4(object3D.matrixWorld);
+                projected.copy(vertex).project(camera);
+                if (projected.z < -1 || projected.z > 1) continue;
+                
+                const distance = Math.hypot(
+                    (projected.x - ndc.x) * size.width / 2,
+                    (projected.y - ndc.y) * size.height / 2
+                );
+                if (distance <= bestDistance) {
+                    bestDistance = distance;
+                    best = { object3D: object3D, point: vertex.clone() };
+                }
+            }
+        });
+        
+        return best;
+    }
+    
+    /**
+     * Returns the objects vertex snapping can snap to
+     * @param {Array} exclude - Objects being moved, their children are skipped too
+     * @returns {Array}
+     */
+    getVertexTargets(exclude = []) {
+        const excluded = this.collectObject3Ds(exclude);
+        return this.engine.objects.filter(obj => !obj.object3D.isLight && !excluded.has(obj.object3D));
+    }
+    
+    /**
+     * Sets the world position and rotation of an Object3D, whatever its parent is
+     */
+    setWorldTransform(object3D, position, quaternion) {
+        const matrix = new THREE.Matrix4().compose(position, quaternion, object3D.getWorldScale(new THREE.Vector3()));
+        
+        if (object3D.parent) {
+            object3D.parent.updateWorldMatrix(true, false);
+            matrix.premultiply(object3D.parent.matrixWorld.clone().invert());
+        }
+        
+        const scale = object3D.scale.clone();
+        matrix.decompose(object3D.position, object3D.quaternion, new THREE.Vector3());
+        object3D.scale.copy(scale);
+        object3D.updateMatrixWorld(true);
+    }
+    
+    /**
+     * Returns the Object3Ds of objects and all of their descendants
+     * @param {Array} objects - Engine objects or Object3Ds
+     * @returns {Set}
+     */
+    collectObject3Ds(objects) {
+        const result = new Set();
+        objects.forEach(obj => {
+            const root = obj.isObject3D ? obj : obj.object3D;
+            if (root) root.traverse(child => result.add(child));
+        });
+        return result;
+    }
+}
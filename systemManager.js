@@ -0,0 +1,406 @@
+import { createIssue } from './sceneFormat.js';
+import { FIXED_TIME_STEP, MAX_SUB_STEPS } from './config.js';
+
+// Hooks a system can implement, called in this order during a frame
+export const SYSTEM_HOOKS = ['preUpdate', 'fixedUpdate', 'update', 'lateUpdate', 'render'];
+
+/**
+ * Base class for engine systems added by plugins
+ * Systems don't have to extend it, any object with a name and some of the hooks works.
+ *
+ * Hooks, all optional:
+ * - init(engine): once, when the system is registered
+ * - preUpdate(deltaTime): play mode, before events, scripts and physics
+ * - fixedUpdate(fixedTimeStep): play mode, zero or more times per frame at a fixed step
+ * - update(deltaTime): play mode, after scripts and ECS components
+ * - lateUpdate(deltaTime): play mode, after the late update of ECS components
+ * - render(unscaledDeltaTime): every frame, in the editor too, right before the scene is rendered
+ * - dispose(): once, when the system is unregistered
+ *
+ * deltaTime is game time; the real time of the frame is engine.unscaledDeltaTime.
+ */
+export class EngineSystem {
+    constructor(name, options = {}) {
+        this.name = name;
+        this.engine = null;
+        this.enabled = true;
+        
+        // Lower priorities run first, dependencies always run before the system
+        this.priority = options.priority || 0;
+        this.dependencies = options.dependencies || [];
+        
+        // Editor contributions, see SystemManager.getMenuItems() and getInspectorPanels()
+        this.menuItems = options.menuItems || [];
+        this.inspectorPanels = options.inspectorPanels || [];
+    }
+    
+    init(engine) {
+        this.engine = engine;
+    }
+    
+    dispose() {}
+    
+    // Serialization, return undefined to save nothing
+    serialize() { return undefined; }
+    deserialize(data) {}
+    serializeObject(obj) { return undefined; }
+    deserializeObject(obj, data) {}
+    
+    enable() { this.enabled = true; }
+    disable() { this.enabled = false; }
+}
+
+/**
+ * SystemManager runs the systems registered by plugins
+ *
+ * Systems are ordered by their dependencies first and their priority second.
+ * Scene data saved by a system goes to the "systems" field of the scene, data
+ * for one object to the "systems" field of that object, both keyed by system name.
+ */
+export class SystemManager {
+    /**
+     * Create a new SystemManager
+     * @param {GameEngine} engine - Reference to the main game engine
+     */
+    constructor(engine) {
+        this.engine = engine;
+        this.systems = new Map();
+        this.order = [];
+        
+        // Step of fixedUpdate
+        this.fixedTimeStep = FIXED_TIME_STEP;
+        this.maxSubSteps = MAX_SUB_STEPS;
+        this.accumulator = 0;
+        
+        // Scene data of systems that aren't registered, kept so saving doesn't lose it
+        this.unclaimedData = {};
+    }
+    
+    /**
+     * Registers a system and calls its init hook
+     * @param {Object} system - An EngineSystem or any object with a name and hooks
+     * @returns {boolean} - False if the name is taken or a dependency is missing
+     */
+    register(system) {
+        if (!system || typeof system.name !== 'string' || !system.name) {
+            console.error('A system needs a name', system);
+            return false;
+        }
+        
+        if (this.systems.has(system.name)) {
+            console.error(`A system named "${system.name}" is already registered`);
+            return false;
+        }
+        
+        const missing = (system.dependencies || []).filter(name => !this.systems.has(name));
+        if (missing.length > 0) {
+            console.error(`System "${system.name}" depends on unregistered systems: ${missing.join(', ')}`);
+            return false;
+        }
+        
+        this.systems.set(system.name, system);
+        this.updateOrder();
+        
+        if (typeof system.init === 'function') {
+            try {
+                system.init(this.engine);
+            } catch (e) {
+                console.error(`Error in system "${system.name}" init:`, e);
+                this.systems.delete(system.name);
+                this.updateOrder();
+                return false;
+            }
+        }
+        
+        // Scene data loaded before the system was there
+        if (system.name in this.unclaimedData) {
+            this.deserializeSystem(system, this.unclaimedData[system.name]);
+            delete this.unclaimedData[system.name];
+        }
+        
+        // And the data objects kept for it
+        this.engine.objects.forEach(obj => {
+            if (!obj.unclaimedSystemData || !(system.name in obj.unclaimedSystemData)) return;
+            
+            const objectData = obj.unclaimedSystemData[system.name];
+            delete obj.unclaimedSystemData[system.name];
+            if (Object.keys(obj.unclaimedSystemData).length === 0) {
+                delete obj.unclaimedSystemData;
+            }
+            this.deserializeSystemObject(system, obj, objectData);
+        });
+        
+        this.engine.events.emit('system:registered', { system: system });
+        return true;
+    }
+    
+    /**
+     * Unregisters a system and calls its dispose hook
+     * Its menu items and inspector panels disappear from the editor.
+     * @param {string|Object} nameOrSystem - System name or the system
+     * @returns {boolean} - False if it isn't registered or other systems depend on it
+     */
+    unregister(nameOrSystem) {
+        const name = typeof nameOrSystem === 'string' ? nameOrSystem : nameOrSystem && nameOrSystem.name;
+        const system = this.systems.get(name);
+        if (!system) {
+            console.error(`System "${name}" is not registered`);
+            return false;
+        }
+        
+        const dependents = this.order.filter(other => (other.dependencies || []).includes(name));
+        if (dependents.length > 0) {
+            console.error(`System "${name}" is needed by: ${dependents.map(other => other.name).join(', ')}`);
+            return false;
+        }
+        
+        this.systems.delete(name);
+        this.updateOrder();
+        
+        if (typeof system.dispose === 'function') {
+            try {
+                system.dispose();
+            } catch (e) {
+                console.error(`Error in system "${name}" dispose:`, e);
+            }
+        }
+        
+        this.engine.events.emit('system:unregistered', { system: system });
+        return true;
+    }
+    
+    has(name) {
+        return this.systems.has(name);
+    }
+    
+    get(name) {
+        return this.systems.get(name) || null;
+    }
+    
+    /**
+     * Returns the systems in the order their hooks run
+     * @returns {Array}
+     */
+    getSystems() {
+        return this.order.slice();
+    }
+    
+    /**
+     * Sorts the systems so dependencies come first, then by priority and registration order
+     */
+    updateOrder() {
+        const pending = Array.from(this.systems.values());
+        const placed = new Set();
+        this.order = [];
+        
+        while (pending.length > 0) {
+            const ready = pending
+                .filter(system => (system.dependencies || []).every(name => placed.has(name)))
+                .sort((a, b) => (a.priority || 0) - (b.priority || 0));
+            
+            // Dependencies are checked on registration, so this only happens if they were changed afterwards
+            if (ready.length === 0) {
+                console.warn('Circular dependency detected in systems:', pending.map(system => system.name));
+                ready.push(...pending);
+            }
+            
+            const next = ready[0];
+            pending.splice(pending.indexOf(next), 1);
+            placed.add(next.name);
+            this.order.push(next);
+        }
+    }
+    
+    /**
+     * Calls a hook on every enabled system that has it
+     * @param {string} hook - One of SYSTEM_HOOKS
+     * @param {...*} args - Arguments for the hook
+     */
+    runHook(hook, ...args) {
+        const profiler = this.engine.profiler;
+        
+        profiler.begin('systems');
+        for (const system of this.order) {
+            if (system.enabled === false || typeof system[hook] !== 'function') continue;
+            
+            profiler.begin(`systems/${system.name}`);
+            try {
+                system[hook](...args);
+            } catch (e) {
+                console.error(`Error in system "${system.name}" ${hook}:`, e);
+            }
+            profiler.end(`systems/${system.name}`);
+        }
+        profiler.end('systems');
+    }
+    
+    /**
+     * Runs fixedUpdate as often as the fixed time step fits into the game time that passed
+     * @param {number} deltaTime - Game time of the frame in seconds
+     */
+    fixedUpdate(deltaTime) {
+        this.accumulator += deltaTime;
+        
+        let subSteps = 0;
+        while (this.accumulator >= this.fixedTimeStep && subSteps < this.maxSubSteps) {
+            this.runHook('fixedUpdate', this.fixedTimeStep);
+            this.accumulator -= this.fixedTimeStep;
+            subSteps++;
+        }
+        
+        // Don't try to catch up on time that was skipped
+        if (subSteps === this.maxSubSteps) {
+            this.accumulator = 0;
+        }
+    }
+    
+    /**
+     * Clears the fixed update accumulator, e.g. when play mode starts
+     */
+    reset() {
+        this.accumulator = 0;
+    }
+    
+    /**
+     * Returns the editor menu items of all systems
+     * Items are { label, tab, title, action(ui) }; tab is the id of a toolbar tab
+     * such as 'edit' or 'view', items without one go to a Systems tab.
+     * @returns {Array} - Items with the name of their system added as `system`
+     */
+    getMenuItems() {
+        const items = [];
+        this.order.forEach(system => {
+            (system.menuItems || []).forEach(item => items.push({ tab: 'systems', ...item, system: system.name }));
+        });
+        return items;
+    }
+    
+    /**
+     * Returns the inspector panels of all systems that apply to an object
+     * Panels are { title, appliesTo(obj), build(folder, obj, ui) }, appliesTo is optional.
+     * @param {Object} obj - The object shown in the inspector
+     * @returns {Array}
+     */
+    getInspectorPanels(obj) {
+        const panels = [];
+        this.order.forEach(system => {
+            (system.inspectorPanels || []).forEach(panel => {
+                if (!panel.appliesTo || panel.appliesTo(obj)) {
+                    panels.push({ ...panel, system: system.name });
+                }
+            });
+        });
+        return panels;
+    }
+    
+    /**
+     * Collects the scene data of all systems
+     * @returns {Object} - Data keyed by system name
+     */
+    serialize() {
+        const data = { ...this.unclaimedData };
+        this.order.forEach(system => {
+            if (typeof system.serialize !== 'function') return;
+            
+            try {
+                const systemData = system.serialize();
+                if (systemData !== undefined) data[system.name] = systemData;
+            } catch (e) {
+                console.error(`Error in system "${system.name}" serialize:`, e);
+            }
+        });
+        return data;
+    }
+    
+    /**
+     * Hands scene data to the systems that saved it
+     * @param {Object} data - Data keyed by system name
+     * @returns {Array} - Issues, data of systems that aren't registered is reported and kept
+     */
+    deserialize(data = {}) {
+        const issues = [];
+        this.unclaimedData = {};
+        
+        Object.entries(data).forEach(([name, systemData]) => {
+            const system = this.systems.get(name);
+            if (system) {
+                this.deserializeSystem(system, systemData);
+            } else {
+                this.unclaimedData[name] = systemData;
+                issues.push(createIssue('warning', 'Scene', `has data for the system "${name}", which is not registered`));
+            }
+        });
+        return issues;
+    }
+    
+    deserializeSystem(system, data) {
+        if (typeof system.deserialize !== 'function') return;
+        
+        try {
+            system.deserialize(data);
+        } catch (e) {
+            console.error(`Error in system "${system.name}" deserialize:`, e);
+        }
+    }
+    
+    /**
+     * Collects the data systems keep for one object
+     * @param {Object} obj - The object
+     * @returns {Object|null} - Data keyed by system name, null if no system saves anything
+     */
+    serializeObject(obj) {
+        let data = obj.unclaimedSystemData ? { ...obj.unclaimedSystemData } : null;
+        this.order.forEach(system => {
+            if (typeof system.serializeObject !== 'function') return;
+            
+            try {
+                const objectData = system.serializeObject(obj);
+                if (objectData !== undefined) {
+                    data = data || {};
+                    data[system.name] = objectData;
+                }
+            } catch (e) {
+                console.error(`Error in system "${system.name}" serializeObject:`, e);
+            }
+        });
+        return data;
+    }
+    
+    /**
+     * Hands the data saved for one object to its systems
+     * Data of systems that aren't registered stays with the object.
+     * @param {Object} obj - The object
+     * @param {Object} data - Data keyed by system name
+     */
+    deserializeObject(obj, data) {
+        delete obj.unclaimedSystemData;
+        if (!data) return;
+        
+        Object.entries(data).forEach(([name, objectData]) => {
+            const system = this.systems.get(name);
+            if (!system) {
+                obj.unclaimedSystemData = obj.unclaimedSystemData || {};
+                obj.unclaimedSystemData[name] = objectData;
+                return;
+            }
+            this.deserializeSystemObject(system, obj, objectData);
+        });
+    }
+    
+    deserializeSystemObject(system, obj, data) {
+        if (typeof system.deserializeObject !== 'function') return;
+        
+        try {
+            system.deserializeObject(obj, data);
+        } catch (e) {
+            console.error(`Error in system "${system.name}" deserializeObject:`, e);
+        }
+    }
+    
+    /**
+     * Unregisters every system, dependents first
+     */
+    dispose() {
+        this.getSystems().reverse().forEach(system => this.unregister(system.name));
+    }
+}
@@ -3,7 +3,12 @@ import { TransformControls } from 'three/addons/controls/TransformControls.js';
 import { Pane } from 'tweakpane';
 import * as dat from 'dat.gui';
 import { ScriptEditor } from './scriptEditor.js';
+import { ProfilerOverlay } from './profilerOverlay.js';
 import { Component, TransformComponent, RenderComponent, PhysicsComponent } from './ecs.js';
+import { ValueCommand, TransformCommand, AddObjectCommand, RemoveObjectCommand, SetParentCommand, CompoundCommand, SceneStateCommand } from './historySystem.js';
+import { formatIssues } from './sceneFormat.js';
+import { LAYER_COUNT } from './layerSystem.js';
+import { TONE_MAPPINGS, SHADOW_TYPES, COLOR_SPACES } from './engine.js';
 
 class EngineUI {
     constructor(engine) {
@@ -13,18 +18,76 @@ class EngineUI {
             engine.renderer.domElement
         );
         this.transformControl.addEventListener('dragging-changed', (event) => {
-            engine.controls.enabled = !event.value;
+            engine.setCameraControlsLocked('gizmo', event.value);
+        });
+        
+        // The gizmo is picked and dragged in the view under the pointer, and faces each view's camera
+        this.transformControl._getPointer = (event) => {
+            const pointer = engine.getViewPointer(event);
+            this.transformControl.camera = engine.getViewCamera();
+            this.transformControl.updateMatrixWorld();
+            return { x: pointer.x, y: pointer.y, button: event.button };
+        };
+        engine.events.on('view:render', (data) => {
+            this.transformControl.camera = data.view.camera;
+        });
+        
+        // Several selected objects share one gizmo, placed at the selection center or the active object
+        this.selectionPivot = new THREE.Object3D();
+        this.selectionPivot.name = 'Selection Pivot';
+        this.pivotMode = 'center';
+        this.groupDrag = null;
+        engine.scene.add(this.selectionPivot);
+        
+        // Surface and vertex snapping state of the current gizmo drag
+        this.snapDrag = null;
+        
+        // Record gizmo drags in the undo history
+        this.transformControl.addEventListener('mouseDown', () => {
+            const object3D = this.transformControl.object;
+            this.dragStartTransform = object3D ? TransformCommand.capture(object3D) : null;
+            this.groupDrag = object3D === this.selectionPivot ? this.captureGroupDrag() : null;
+            this.snapDrag = this.captureSnapDrag(object3D);
+        });
+        this.transformControl.addEventListener('objectChange', () => {
+            if (this.snapDrag) this.applySnapDrag(this.snapDrag);
+            if (this.groupDrag) this.applyGroupDrag(this.groupDrag);
+        });
+        this.transformControl.addEventListener('mouseUp', () => {
+            this.suppressClick();
+            this.snapDrag = null;
+            
+            if (this.groupDrag) {
+                this.finishGroupDrag(this.groupDrag);
+                this.groupDrag = null;
+                return;
+            }
+            
+            const obj = this.engine.getObjectByThreeJsObject(this.transformControl.object);
+            if (!obj || !this.dragStartTransform) return;
+            
+            const endTransform = TransformCommand.capture(obj.object3D);
+            if (!TransformCommand.equals(this.dragStartTransform, endTransform)) {
+                this.engine.history.record(new TransformCommand(obj, this.dragStartTransform, endTransform));
+                this.updateInspector(obj);
+            }
+            this.dragStartTransform = null;
         });
         engine.scene.add(this.transformControl);
+        this.applySnapSettings();
         
         // Initialize script editor
         this.scriptEditor = new ScriptEditor(engine);
         
+        // Initialize performance overlay, shown from the View tab
+        this.profilerOverlay = new ProfilerOverlay(engine);
+        
         // Initialize UI components
         this.initSceneTree();
         this.initInspector();
         this.initToolbar();
         this.initMainToolbar();
+        this.initBoxSelect();
         
         // Subscribe to engine events
         this.setupEventListeners();
@@ -52,9 +115,142 @@ class EngineUI {
         hierarchyHeader.style.alignItems = 'center';
         hierarchyHeader.appendChild(addComponentsButton);
         
+        // Dragging over the tree selects the rows under the rectangle
+        this.enableMarquee(this.sceneTreeElement, (rect, additive) => {
+            const objects = Array.from(this.sceneTreeElement.querySelectorAll('.tree-item[data-id]'))
+                .filter(item => {
+                    // Parent items span their children, so measure the row itself
+                    const rowRect = item.firstElementChild.getBoundingClientRect();
+                    return rowRect.height > 0 && rowRect.top <= rect.bottom && rowRect.bottom >= rect.top;
+                })
+                .map(item => this.engine.getObjectById(item.getAttribute('data-id')))
+                .filter(Boolean);
+            
+            this.suppressClick();
+            this.engine.setSelection(additive ? [...this.engine.selectedObjects, ...objects] : objects);
+        });
+        
         this.refreshSceneTree();
     }
     
+    /**
+     * Sets up rectangle selection in the viewport, used while box select mode is on
+     */
+    initBoxSelect() {
+        this.boxSelectMode = false;
+        const canvas = this.engine.renderer.domElement;
+        
+        this.enableMarquee(canvas, (rect, additive) => {
+            // The rectangle belongs to the view the drag started in
+            const view = this.engine.activeView;
+            const start = this.engine.getViewPointer({ clientX: rect.left, clientY: rect.top }, view);
+            const end = this.engine.getViewPointer({ clientX: rect.right, clientY: rect.bottom }, view);
+            const objects = this.engine.getObjectsInRect(start, end, view.camera);
+            
+            this.suppressClick();
+            this.engine.setSelection(additive ? [...this.engine.selectedObjects, ...objects] : objects);
+            this.setBoxSelectMode(false);
+        }, () => this.boxSelectMode && !this.engine.isPlaying);
+    }
+    
+    /**
+     * Turns box select mode on or off, the camera controls are paused while it is on
+     * @param {boolean} enabled - Whether dragging in the viewport draws a selection rectangle
+     */
+    setBoxSelectMode(enabled) {
+        this.boxSelectMode = enabled;
+        this.engine.setCameraControlsLocked('box-select', enabled);
+        this.engine.renderer.domElement.style.cursor = enabled ? 'crosshair' : '';
+        
+        const button = document.getElementById('view-box-select');
+        if (button) button.classList.toggle('active', enabled);
+    }
+    
+    /**
+     * Outlines and labels the views of the quad layout
+     * @param {Array} views - The views being shown
+     */
+    updateViewFrames(views) {
+        const container = this.engine.container;
+        container.querySelectorAll('.view-frame').forEach(frame => frame.remove());
+        
+        const button = document.getElementById('view-quad-layout');
+        if (button) button.classList.toggle('active', views.length > 1);
+        if (views.length === 1) return;
+        
+        views.forEach(view => {
+            const frame = document.createElement('div');
+            frame.className = 'view-frame';
+            frame.style.left = `${view.viewport.x * 100}%`;
+            frame.style.top = `${view.viewport.y * 100}%`;
+            frame.style.width = `${view.viewport.width * 100}%`;
+            frame.style.height = `${view.viewport.height * 100}%`;
+            frame.innerHTML = `<span class="view-label">${view.label}</span>`;
+            container.appendChild(frame);
+        });
+    }
+    
+    /**
+     * Keeps the click that ends a drag from changing the selection
+     */
+    suppressClick() {
+        this.engine.ignoreNextClick = true;
+        this.suppressTreeClick = true;
+        setTimeout(() => {
+            this.engine.ignoreNextClick = false;
+            this.suppressTreeClick = false;
+        });
+    }
+    
+    /**
+     * Lets the user drag a selection rectangle over an element
+     * @param {HTMLElement} element - Element the drag starts on
+     * @param {function} onSelect - Called with the rectangle in client coordinates and whether Shift/Ctrl was held
+     * @param {function} canStart - Optional check for the mousedown event
+     */
+    enableMarquee(element, onSelect, canStart = () => true) {
+        element.addEventListener('mousedown', (event) => {
+            if (event.button !== 0 || !canStart(event)) return;
+            
+            const start = { x: event.clientX, y: event.clientY };
+            const getRect = (current) => ({
+                left: Math.min(start.x, current.clientX),
+                top: Math.min(start.y, current.clientY),
+                right: Math.max(start.x, current.clientX),
+                bottom: Math.max(start.y, current.clientY)
+            });
+            let box = null;
+            
+            const onMove = (moveEvent) => {
+                // Small movements are still clicks
+                if (!box) {
+                    if (Math.hypot(moveEvent.clientX - start.x, moveEvent.clientY - start.y) < 4) return;
+                    box = document.createElement('div');
+                    box.className = 'selection-marquee';
+                    document.body.appendChild(box);
+                }
+                
+                const rect = getRect(moveEvent);
+                box.style.left = `${rect.left}px`;
+                box.style.top = `${rect.top}px`;
+                box.style.width = `${rect.right - rect.left}px`;
+                box.style.height = `${rect.bottom - rect.top}px`;
+            };
+            
+            const onUp = (upEvent) => {
+                window.removeEventListener('mousemove', onMove);
+                window.removeEventListener('mouseup', onUp);
+                if (!box) return;
+                
+                box.remove();
+                onSelect(getRect(upEvent), upEvent.shiftKey || upEvent.ctrlKey || upEvent.metaKey);
+            };
+            
+            window.addEventListener('mousemove', onMove);
+            window.addEventListener('mouseup', onUp);
+        });
+    }
+    
     refreshSceneTree() {
         // Clear existing tree
         this.sceneTreeElement.innerHTML = '';
@@ -64,10 +260,13 @@ class EngineUI {
         sceneItem.classList.add('tree-item');
         sceneItem.textContent = 'Scene';
         sceneItem.addEventListener('click', () => {
+            if (this.suppressTreeClick) {
+                this.suppressTreeClick = false;
+                return;
+            }
+            
             // Deselect any object
             this.engine.selectObject(null);
-            this.transformControl.detach();
-            this.updateSelection();
         });
         this.sceneTreeElement.appendChild(sceneItem);
         
@@ -119,8 +318,18 @@ class EngineUI {
                 iconSvg = '<svg viewBox="0 0 16 16" xmlns="http://www.w3.org/2000/svg"><rect x="3" y="3" width="10" height="10" fill="#4b80ff"/></svg>';
             } else if (obj.type === 'sphere') {
                 iconSvg = '<svg viewBox="0 0 16 16" xmlns="http://www.w3.org/2000/svg"><circle cx="8" cy="8" r="5" fill="#4b80ff"/></svg>';
-            } else if (obj.type === 'light') {
+            } else if (obj.object3D.isLight) {
                 iconSvg = '<svg viewBox="0 0 16 16" xmlns="http://www.w3.org/2000/svg"><circle cx="8" cy="8" r="5" fill="#ffdd55"/></svg>';
+            } else if (obj.type === 'camera') {
+                const cameraColor = obj.params.isMain ? '#66cc66' : '#aaaaaa';
+                iconSvg = `<svg viewBox="0 0 16 16" xmlns="http://www.w3.org/2000/svg"><rect x="2" y="5" width="8" height="7" fill="${cameraColor}"/><path d="M10,8 L14,5 L14,12 Z" fill="${cameraColor}"/></svg>`;
+            } else if (obj.type === 'model') {
+                iconSvg = '<svg viewBox="0 0 16 16" xmlns="http://www.w3.org/2000/svg"><path d="M8,2 L14,5 L14,11 L8,14 L2,11 L2,5 Z" fill="#cc8844"/></svg>';
+            } else if (obj.type === 'empty') {
+                iconSvg = '<svg viewBox="0 0 16 16" xmlns="http://www.w3.org/2000/svg"><circle cx="8" cy="8" r="4.5" fill="none" stroke="#aaaaaa" stroke-width="1.5"/></svg>';
+            } else {
+                // Other mesh types registered with the object factory
+                iconSvg = '<svg viewBox="0 0 16 16" xmlns="http://www.w3.org/2000/svg"><path d="M8,2 L14,13 L2,13 Z" fill="#4b80ff"/></svg>';
             }
             
             icon.innerHTML = iconSvg;
@@ -131,6 +340,12 @@ class EngineUI {
             nameSpan.textContent = obj.name;
             objectItem.appendChild(nameSpan);
             
+            // Prefab instances are shown in the prefab color
+            if (obj.prefabInstance) {
+                nameSpan.classList.add('prefab-instance');
+                nameSpan.title = 'Prefab instance';
+            }
+            
             // Add script indicator if object has a script
             if (obj.script) {
                 const scriptIcon = document.createElement('span');
@@ -140,12 +355,15 @@ class EngineUI {
                 objectItem.appendChild(scriptIcon);
             }
             
-            // Add click event
+            // Add click event, Shift or Ctrl adds the object to the selection or removes it
             objectItem.addEventListener('click', (e) => {
                 e.stopPropagation();
-                this.engine.selectObject(obj);
-                this.transformControl.attach(obj.object3D);
-                this.updateSelection();
+                if (this.suppressTreeClick) {
+                    this.suppressTreeClick = false;
+                    return;
+                }
+                
+                this.engine.selectObject(obj, e.shiftKey || e.ctrlKey || e.metaKey ? 'toggle' : 'replace');
             });
             
             // Add context menu for hierarchy operations
@@ -187,13 +405,19 @@ class EngineUI {
         contextMenu.style.left = `${event.clientX}px`;
         contextMenu.style.top = `${event.clientY}px`;
         
+        // Duplicate, delete and unparent act on the whole selection if obj is part of it
+        const isGroup = this.getActionTargets(obj).length > 1;
+        const groupLabel = isGroup ? ` ${this.engine.selectedObjects.length} Objects` : '';
+        const canParentSelection = this.engine.selectedObjects.some(other => other !== obj);
+        
         // Add menu items
         contextMenu.innerHTML = `
             <div class="context-menu-item" id="rename-object">Rename</div>
-            <div class="context-menu-item" id="duplicate-object">Duplicate</div>
-            <div class="context-menu-item" id="delete-object">Delete</div>
+            <div class="context-menu-item" id="duplicate-object">Duplicate${groupLabel}</div>
+            <div class="context-menu-item" id="delete-object">Delete${groupLabel}</div>
             <div class="context-menu-separator"></div>
             <div class="context-menu-item" id="create-child">Create Child</div>
+            ${canParentSelection ? '<div class="context-menu-item" id="parent-selection">Parent Selection Here</div>' : ''}
             <div class="context-menu-item" id="remove-from-parent">Remove from Parent</div>
         `;
         
@@ -203,48 +427,72 @@ class EngineUI {
         document.getElementById('rename-object').addEventListener('click', () => {
             const newName = prompt('Enter a new name for the object:', obj.name);
             if (newName) {
-                obj.name = newName;
+                this.engine.history.execute(new ValueCommand(
+                    `Rename ${obj.name}`,
+                    (name) => { obj.name = name; },
+                    obj.name,
+                    newName
+                ));
                 this.refreshSceneTree();
             }
             contextMenu.remove();
         });
         
         document.getElementById('duplicate-object').addEventListener('click', () => {
-            this.duplicateObject(obj);
+            if (isGroup) {
+                this.duplicateSelection();
+            } else {
+                this.duplicateObject(obj);
+            }
             contextMenu.remove();
         });
         
         document.getElementById('delete-object').addEventListener('click', () => {
-            this.engine.removeObject(obj);
-            this.refreshSceneTree();
+            if (isGroup) {
+                this.deleteSelectedObject();
+            } else {
+                this.deleteObject(obj);
+            }
             contextMenu.remove();
         });
         
+        if (canParentSelection) {
+            document.getElementById('parent-selection').addEventListener('click', () => {
+                this.parentSelectionTo(obj);
+                contextMenu.remove();
+            });
+        }
+        
         document.getElementById('create-child').addEventListener('click', () => {
-            const childType = prompt('What type of object to create as child? (cube, sphere, light)');
+            const types = this.engine.factory.getTypes();
+            const childType = prompt(`What type of object to create as child? (${types.join(', ')})`);
             if (childType) {
-                let childObj;
-                if (childType.toLowerCase() === 'cube') {
-                    childObj = this.engine.addCube();
-                } else if (childType.toLowerCase() === 'sphere') {
-                    childObj = this.engine.addSphere();
-                } else if (childType.toLowerCase() === 'light') {
-                    childObj = this.engine.addLight();
-                } else {
+                if (!this.engine.factory.has(childType.toLowerCase())) {
                     alert('Unknown object type');
                     return;
                 }
+                const childObj = this.engine.createObject(childType.toLowerCase());
                 
                 // Set as child
+                const parentCommand = new SetParentCommand(this.engine, childObj, obj);
                 this.engine.setParent(childObj, obj);
+                this.engine.history.record(new CompoundCommand(`Create Child ${childObj.name}`, [
+                    new AddObjectCommand(this.engine, childObj),
+                    parentCommand
+                ]));
                 this.refreshSceneTree();
             }
             contextMenu.remove();
         });
         
         document.getElementById('remove-from-parent').addEventListener('click', () => {
-            if (obj.parent) {
-                this.engine.removeFromParent(obj);
+            const children = isGroup ? this.engine.getSelectionRoots().filter(child => child.parent) : [];
+            if (children.length > 0) {
+                this.engine.history.execute(new CompoundCommand(`Unparent ${children.length} objects`,
+                    children.map(child => new SetParentCommand(this.engine, child, null))));
+                this.refreshSceneTree();
+            } else if (obj.parent) {
+                this.engine.history.execute(new SetParentCommand(this.engine, obj, null));
                 this.refreshSceneTree();
             } else {
                 alert('This object has no parent');
@@ -298,18 +546,39 @@ class EngineUI {
             container: this.propertiesContainer
         });
         
+        // Starting point for undoable transform edits
+        this.inspectorTransform = TransformCommand.capture(obj.object3D);
+        
         // Basic properties folder
         const basicFolder = pane.addFolder({ title: 'Basic Properties' });
-        basicFolder.addInput(obj, 'name').on('change', () => this.refreshSceneTree());
+        this.trackProperty(basicFolder.addInput(obj, 'name'), obj, obj, 'name', 'Rename')
+            .on('change', () => this.refreshSceneTree());
+        this.addLayerInspector(basicFolder, obj);
+        
+        // Actions for all selected objects
+        this.addSelectionInspector(pane, obj);
+        
+        // Link to the prefab the object was created from
+        this.addPrefabInspector(pane, obj);
+        
+        // Panels of systems added by plugins
+        this.engine.systems.getInspectorPanels(obj).forEach(panel => {
+            const folder = pane.addFolder({ title: panel.title || panel.system });
+            try {
+                panel.build(folder, obj, this);
+            } catch (e) {
+                console.error(`Error in inspector panel of system "${panel.system}":`, e);
+            }
+        });
         
         // Transform folder
         const transformFolder = pane.addFolder({ title: 'Transform' });
         
         // Position
         const posFolder = transformFolder.addFolder({ title: 'Position' });
-        posFolder.addInput(obj.object3D.position, 'x', { step: 0.1 });
-        posFolder.addInput(obj.object3D.position, 'y', { step: 0.1 });
-        posFolder.addInput(obj.object3D.position, 'z', { step: 0.1 });
+        this.trackTransformInput(posFolder.addInput(obj.object3D.position, 'x', { step: 0.1 }), obj);
+        this.trackTransformInput(posFolder.addInput(obj.object3D.position, 'y', { step: 0.1 }), obj);
+        this.trackTransformInput(posFolder.addInput(obj.object3D.position, 'z', { step: 0.1 }), obj);
         
         // Rotation (converted to degrees for easier editing)
         const rotFolder = transformFolder.addFolder({ title: 'Rotation' });
@@ -321,24 +590,27 @@ class EngineUI {
             z: THREE.MathUtils.radToDeg(obj.object3D.rotation.z)
         };
         
-        rotFolder.addInput(rotationHelper, 'x', { min: 0, max: 360, label: 'x (deg)' }).on('change', (ev) => {
+        this.trackTransformInput(rotFolder.addInput(rotationHelper, 'x', { min: 0, max: 360, label: 'x (deg)' }).on('change', (ev) => {
             obj.object3D.rotation.x = THREE.MathUtils.degToRad(ev.value);
-        });
-        rotFolder.addInput(rotationHelper, 'y', { min: 0, max: 360, label: 'y (deg)' }).on('change', (ev) => {
+        }), obj);
+        this.trackTransformInput(rotFolder.addInput(rotationHelper, 'y', { min: 0, max: 360, label: 'y (deg)' }).on('change', (ev) => {
             obj.object3D.rotation.y = THREE.MathUtils.degToRad(ev.value);
-        });
-        rotFolder.addInput(rotationHelper, 'z', { min: 0, max: 360, label: 'z (deg)' }).on('change', (ev) => {
+        }), obj);
+        this.trackTransformInput(rotFolder.addInput(rotationHelper, 'z', { min: 0, max: 360, label: 'z (deg)' }).on('change', (ev) => {
             obj.object3D.rotation.z = THREE.MathUtils.degToRad(ev.value);
-        });
+        }), obj);
         
         // Scale
         const scaleFolder = transformFolder.addFolder({ title: 'Scale' });
-        scaleFolder.addInput(obj.object3D.scale, 'x', { min: 0.1, step: 0.1 });
-        scaleFolder.addInput(obj.object3D.scale, 'y', { min: 0.1, step: 0.1 });
-        scaleFolder.addInput(obj.object3D.scale, 'z', { min: 0.1, step: 0.1 });
+        this.trackTransformInput(scaleFolder.addInput(obj.object3D.scale, 'x', { min: 0.1, step: 0.1 }), obj);
+        this.trackTransformInput(scaleFolder.addInput(obj.object3D.scale, 'y', { min: 0.1, step: 0.1 }), obj);
+        this.trackTransformInput(scaleFolder.addInput(obj.object3D.scale, 'z', { min: 0.1, step: 0.1 }), obj);
+        
+        // Type parameters such as geometry size, light or camera settings
+        const paramsFolder = this.addParamsInspector(pane, obj);
         
         // Object-specific properties
-        if (obj.type === 'cube' || obj.type === 'sphere') {
+        if (obj.object3D.isMesh && obj.object3D.material && !Array.isArray(obj.object3D.material)) {
             const materialFolder = pane.addFolder({ title: 'Material' });
             
             // Color property
@@ -347,67 +619,526 @@ class EngineUI {
                 color: '#' + material.color.getHexString()
             };
             
-            materialFolder.addInput(colorHelper, 'color').on('change', (ev) => {
+            const colorBinding = materialFolder.addInput(colorHelper, 'color').on('change', (ev) => {
                 material.color.set(ev.value);
             });
+            this.trackColor(colorBinding, obj, material.color, 'Material Color');
             
             // Material properties
-            materialFolder.addInput(material, 'wireframe');
-            materialFolder.addInput(material, 'transparent');
-            materialFolder.addInput(material, 'opacity', { min: 0, max: 1, step: 0.1 });
-            materialFolder.addInput(material, 'metalness', { min: 0, max: 1, step: 0.1 });
-            materialFolder.addInput(material, 'roughness', { min: 0, max: 1, step: 0.1 });
-        } else if (obj.type === 'light') {
-            const lightFolder = pane.addFolder({ title: 'Light Properties' });
-            
-            // Light color
-            const colorHelper = {
-                color: '#' + obj.object3D.color.getHexString()
-            };
+            this.trackProperty(materialFolder.addInput(material, 'wireframe'), obj, material, 'wireframe', 'Wireframe');
+            this.trackProperty(materialFolder.addInput(material, 'transparent'), obj, material, 'transparent', 'Transparent');
+            this.trackProperty(materialFolder.addInput(material, 'opacity', { min: 0, max: 1, step: 0.1 }), obj, material, 'opacity', 'Opacity');
+            this.trackProperty(materialFolder.addInput(material, 'metalness', { min: 0, max: 1, step: 0.1 }), obj, material, 'metalness', 'Metalness');
+            this.trackProperty(materialFolder.addInput(material, 'roughness', { min: 0, max: 1, step: 0.1 }), obj, material, 'roughness', 'Roughness');
+        }
+        
+        if (obj.type === 'camera') {
+            this.addCameraInspector(paramsFolder, obj);
+        }
+        
+        // Level-of-detail settings of meshes and models
+        this.addLODInspector(pane, obj);
+        
+        // Rigid body and collider
+        this.addPhysicsInspector(pane, obj);
+        
+        // Advanced options
+        const advancedFolder = pane.addFolder({ title: 'Advanced' });
+        advancedFolder.addButton({ title: 'Delete Object' }).on('click', () => this.deleteSelectedObject());
+        
+        // Changes made while playing are discarded on stop unless kept explicitly
+        if (this.engine.isPlaying) {
+            advancedFolder.addButton({ title: 'Keep Play Mode Changes' }).on('click', () => this.keepPlayModeChanges(obj));
+        }
+        
+        // Add shadow properties (lights show theirs with the light properties)
+        if (obj.object3D.castShadow !== undefined && !obj.object3D.isLight) {
+            const shadowFolder = advancedFolder.addFolder({ title: 'Shadows' });
+            this.trackProperty(shadowFolder.addInput(obj.object3D, 'castShadow', { label: 'Cast Shadow' }), obj, obj.object3D, 'castShadow', 'Cast Shadow');
+            this.trackProperty(shadowFolder.addInput(obj.object3D, 'receiveShadow', { label: 'Receive Shadow' }), obj, obj.object3D, 'receiveShadow', 'Receive Shadow');
+        }
+    }
+    
+    /**
+     * Shows the prefab an object belongs to, with the actions for its instance
+     * @param {Object} pane - Tweakpane pane to add the folder to
+     * @param {Object} obj - The object being edited
+     */
+    addPrefabInspector(pane, obj) {
+        const prefabs = this.engine.prefabSystem;
+        const root = prefabs.getInstanceRoot(obj);
+        const prefab = root ? prefabs.getPrefab(root.prefabInstance.asset) : null;
+        if (!prefab) return;
+        
+        const base = prefab.base ? prefabs.getPrefab(prefab.base) : null;
+        const info = {
+            prefab: base ? `${prefab.name} (variant of ${base.name})` : prefab.name,
+            get overrides() {
+                return prefabs.countOverrides(root);
+            }
+        };
+        
+        const prefabFolder = pane.addFolder({ title: 'Prefab' });
+        prefabFolder.addMonitor(info, 'prefab', { label: 'Prefab' });
+        prefabFolder.addMonitor(info, 'overrides', { label: 'Overrides', interval: 1000 });
+        
+        if (root !== obj) {
+            prefabFolder.addButton({ title: `Select ${root.name}` }).on('click', () => this.engine.selectObject(root));
+        }
+        
+        prefabFolder.addButton({ title: 'Apply to Prefab' }).on('click', () => {
+            this.recordSceneChange(`Apply ${root.name} to ${prefab.name}`, () => prefabs.applyInstance(root));
+        });
+        
+        prefabFolder.addButton({ title: 'Revert' }).on('click', () => {
+            this.recordSceneChange(`Revert ${root.name}`, () => prefabs.revertInstance(root) !== null);
+        });
+        
+        prefabFolder.addButton({ title: 'Create Variant' }).on('click', () => {
+            const name = prompt('Enter a name for the variant:', `${prefab.name} Variant`);
+            if (!name) return;
             
-            lightFolder.addInput(colorHelper, 'color').on('change', (ev) => {
-                obj.object3D.color.set(ev.value);
+            if (prefabs.getPrefab(name)) {
+                alert(`A prefab named "${name}" already exists.`);
+                return;
+            }
+            this.recordSceneChange(`Create Variant ${name}`, () => prefabs.createVariant(prefab.id, name, root) !== null);
+        });
+        
+        prefabFolder.addButton({ title: 'Unpack' }).on('click', () => {
+            this.recordSceneChange(`Unpack ${root.name}`, () => prefabs.unpackInstance(root));
+        });
+    }
+    
+    /**
+     * Shows the level-of-detail settings of a mesh or model
+     * @param {Object} pane - Tweakpane pane to add the folder to
+     * @param {Object} obj - The object being edited
+     */
+    addLODInspector(pane, obj) {
+        if ((!obj.object3D.isMesh && obj.type !== 'model') || obj.sourceModel) return;
+        
+        const lod = this.engine.lod;
+        const copy = (settings) => settings ? { ...settings, levels: settings.levels.map(level => ({ ...level })) } : null;
+        const folder = pane.addFolder({ title: 'Level of Detail', expanded: !!obj.lod });
+        
+        // Every edit is one undoable step, structural ones rebuild the folder
+        const change = (settings, label, rebuild = false) => {
+            const previous = copy(obj.lod);
+            if (!lod.setLOD(obj, copy(settings))) {
+                alert('Invalid level-of-detail settings, see the console for details.');
+                this.updateInspector(obj);
+                return;
+            }
+            
+            this.engine.history.record(new ValueCommand(
+                `${label} ${obj.name}`,
+                (value) => lod.setLOD(obj, copy(value)),
+                previous,
+                copy(obj.lod),
+                rebuild ? null : `${obj.id}:lod`
+            ));
+            if (rebuild) this.updateInspector(obj);
+        };
+        
+        if (!obj.lod) {
+            folder.addButton({ title: 'Add LOD' }).on('click', () => change(lod.createSettings(), 'Add LOD', true));
+            return;
+        }
+        
+        const settings = copy(obj.lod);
+        const info = {
+            get level() {
+                return lod.getLevel(obj);
+            },
+            get triangles() {
+                return lod.getTriangleCount(obj);
+            }
+        };
+        
+        folder.addInput(settings, 'enabled').on('change', () => change(settings, 'LOD'));
+        folder.addInput(settings, 'mode', {
+            options: { 'Camera Distance': 'distance', 'Screen Size': 'screenSize' }
+        }).on('change', (ev) => {
+            // Thresholds mean something else in the other mode
+            settings.levels = lod.createSettings(ev.value).levels;
+            change(settings, 'LOD Mode', true);
+        });
+        folder.addInput(settings, 'hysteresis', { min: 0, max: 0.5, step: 0.01 }).on('change', () => change(settings, 'LOD Hysteresis'));
+        folder.addInput(settings, 'crossFade', { label: 'cross-fade (s)', min: 0, max: 2, step: 0.05 }).on('change', () => change(settings, 'LOD Cross-Fade'));
+        folder.addMonitor(info, 'level', { label: 'Current Level', interval: 250 });
+        folder.addMonitor(info, 'triangles', { label: 'Triangles', interval: 250 });
+        
+        const isDistance = settings.mode === 'distance';
+        settings.levels.forEach((level, i) => {
+            const levelFolder = folder.addFolder({ title: `Level ${i + 1}` });
+            levelFolder.addInput(level, 'threshold', {
+                label: isDistance ? 'beyond distance' : 'below screen size',
+                min: 0,
+                max: isDistance ? 1000 : 1,
+                step: isDistance ? 1 : 0.01
+            }).on('change', () => change(settings, 'LOD Threshold'));
+            levelFolder.addInput(level, 'ratio', {
+                label: 'triangles kept',
+                min: 0,
+                max: 1,
+                step: 0.05
+            }).on('change', () => change(settings, 'LOD Ratio'));
+            levelFolder.addButton({ title: 'Remove Level' }).on('click', () => {
+                settings.levels.splice(i, 1);
+                change(settings, 'Remove LOD Level', true);
             });
+        });
+        
+        folder.addButton({ title: 'Add Level' }).on('click', () => {
+            // A coarser level after the last one, a ratio of 0 hides the object
+            const last = settings.levels[settings.levels.length - 1];
+            const defaults = lod.createSettings(settings.mode).levels;
+            settings.levels.push(last ? {
+                threshold: isDistance ? last.threshold * 2 : last.threshold / 2,
+                ratio: Math.max(0, Math.round(last.ratio * 50) / 100)
+            } : defaults[0]);
+            change(settings, 'Add LOD Level', true);
+        });
+        
+        folder.addButton({ title: 'Remove LOD' }).on('click', () => change(null, 'Remove LOD', true));
+    }
+    
+    /**
+     * Adds the rigid body and collider settings of an object to the inspector
+     * @param {Object} pane - Tweakpane pane to add the folder to
+     * @param {Object} obj - The object being edited
+     */
+    /**
+     * Adds the layer of an object, and the layers a camera draws or a light lights
+     * @param {Object} folder - Tweakpane folder to add the inputs to
+     * @param {Object} obj - The object being edited
+     */
+    addLayerInspector(folder, obj) {
+        // Model meshes are on the layer of their model
+        if (obj.sourceModel) return;
+        
+        const layers = this.engine.layers;
+        const named = layers.getNamedLayers();
+        
+        // Unnamed layers are only listed while the object is on one
+        const params = { layer: obj.layer || 0 };
+        const options = {};
+        named.forEach(entry => { options[`${entry.layer}: ${entry.name}`] = entry.layer; });
+        if (!layers.layerToName(params.layer)) {
+            options[`${params.layer}`] = params.layer;
+        }
+        
+        folder.addInput(params, 'layer', { options: options }).on('change', (ev) => {
+            const previous = obj.layer || 0;
+            if (ev.value === previous) return;
             
-            // Light intensity
-            lightFolder.addInput(obj.object3D, 'intensity', { min: 0, max: 2, step: 0.1 });
+            layers.setLayer(obj, ev.value);
+            this.engine.history.record(new ValueCommand(
+                `Layer ${obj.name}`,
+                (value) => layers.setLayer(obj, value),
+                previous,
+                ev.value
+            ));
+        });
+        
+        // Cameras draw and lights light the layers checked here
+        if (!obj.object3D.isCamera && !obj.object3D.isLight) return;
+        
+        const title = obj.object3D.isCamera ? 'Culling Mask' : 'Lit Layers';
+        const maskFolder = folder.addFolder({ title: title, expanded: obj.cullingMask !== undefined });
+        named.forEach(entry => {
+            const bit = 1 << entry.layer;
+            const toggle = { enabled: (layers.getCullingMask(obj) & bit) !== 0 };
             
-            // Only add these for point lights
-            if (obj.object3D.type === 'PointLight') {
-                lightFolder.addInput(obj.object3D, 'distance', { min: 0, max: 100, step: 1 });
-                lightFolder.addInput(obj.object3D, 'decay', { min: 0, max: 2, step: 0.1 });
+            maskFolder.addInput(toggle, 'enabled', { label: entry.name }).on('change', (ev) => {
+                const previous = layers.getCullingMask(obj);
+                const mask = ev.value ? previous | bit : previous & ~bit;
+                if (mask === previous) return;
+                
+                layers.setCullingMask(obj, mask);
+                this.engine.history.record(new ValueCommand(
+                    `${title} ${obj.name}`,
+                    (value) => layers.setCullingMask(obj, value),
+                    previous,
+                    mask
+                ));
+            });
+        });
+    }
+    
+    addPhysicsInspector(pane, obj) {
+        const definition = this.engine.factory.get(obj.type);
+        if (obj.sourceModel || (definition && ['light', 'camera'].includes(definition.category))) return;
+        
+        const physics = this.engine.physics;
+        const copy = (settings) => settings ? physics.normalizeSettings(settings) : null;
+        const folder = pane.addFolder({ title: 'Physics', expanded: !!obj.physics });
+        
+        // Every edit is one undoable step, structural ones rebuild the folder
+        const change = (settings, label, rebuild = false) => {
+            const previous = copy(obj.physics);
+            if (!physics.setPhysics(obj, copy(settings))) {
+                alert('Invalid physics settings, see the console for details.');
+                this.updateInspector(obj);
+                return;
             }
+            
+            this.engine.history.record(new ValueCommand(
+                `${label} ${obj.name}`,
+                (value) => physics.setPhysics(obj, copy(value)),
+                previous,
+                copy(obj.physics),
+                rebuild ? null : `${obj.id}:physics`
+            ));
+            if (rebuild) this.updateInspector(obj);
+        };
+        
+        if (!obj.physics) {
+            folder.addButton({ title: 'Add Rigidbody' }).on('click', () => change(physics.createSettings(obj), 'Add Rigidbody', true));
+            return;
         }
         
-        // Advanced options
-        const advancedFolder = pane.addFolder({ title: 'Advanced' });
-        advancedFolder.addButton({ title: 'Delete Object' }).on('click', () => this.deleteSelectedObject());
+        const settings = copy(obj.physics);
+        const collider = settings.collider;
         
-        // Add shadow properties
-        if (obj.object3D.castShadow !== undefined) {
-            const shadowFolder = advancedFolder.addFolder({ title: 'Shadows' });
-            shadowFolder.addInput(obj.object3D, 'castShadow', { label: 'Cast Shadow' });
-            shadowFolder.addInput(obj.object3D, 'receiveShadow', { label: 'Receive Shadow' });
+        folder.addInput(settings, 'bodyType', {
+            label: 'body type',
+            options: { Dynamic: 'dynamic', Kinematic: 'kinematic', Static: 'static' }
+        }).on('change', () => change(settings, 'Body Type', true));
+        
+        if (settings.bodyType === 'dynamic') {
+            folder.addInput(settings, 'mass', { min: 0.01, max: 1000, step: 0.1 }).on('change', () => change(settings, 'Mass'));
+            folder.addInput(settings, 'useGravity', { label: 'gravity' }).on('change', () => change(settings, 'Gravity'));
+            folder.addInput(settings, 'linearDamping', { label: 'damping', min: 0, max: 10, step: 0.01 }).on('change', () => change(settings, 'Damping'));
+            folder.addInput(settings, 'angularDamping', { label: 'angular damping', min: 0, max: 10, step: 0.01 }).on('change', () => change(settings, 'Angular Damping'));
+            folder.addInput(settings, 'freezeRotation', { label: 'freeze rotation' }).on('change', () => change(settings, 'Freeze Rotation'));
+        }
+        folder.addInput(settings, 'friction', { min: 0, max: 2, step: 0.05 }).on('change', () => change(settings, 'Friction'));
+        folder.addInput(settings, 'bounciness', { min: 0, max: 1, step: 0.05 }).on('change', () => change(settings, 'Bounciness'));
+        folder.addInput(settings, 'isTrigger', { label: 'trigger' }).on('change', () => change(settings, 'Trigger'));
+        
+        const colliderFolder = folder.addFolder({ title: 'Collider' });
+        colliderFolder.addInput(collider, 'shape', {
+            options: { Box: 'box', Sphere: 'sphere', Capsule: 'capsule', Plane: 'plane' }
+        }).on('change', () => change(settings, 'Collider Shape', true));
+        colliderFolder.addInput(collider, 'autoSize', { label: 'fit object' }).on('change', () => change(settings, 'Collider Size', true));
+        
+        // Sizes are in the object's own units, its scale applies on top
+        if (!collider.autoSize) {
+            colliderFolder.addInput(collider, 'center').on('change', () => change(settings, 'Collider Center'));
+            if (collider.shape === 'box') {
+                colliderFolder.addInput(collider, 'size').on('change', () => change(settings, 'Collider Size'));
+            }
+            if (collider.shape === 'sphere' || collider.shape === 'capsule') {
+                colliderFolder.addInput(collider, 'radius', { min: 0.01, max: 100, step: 0.05 }).on('change', () => change(settings, 'Collider Radius'));
+            }
+            if (collider.shape === 'capsule') {
+                colliderFolder.addInput(collider, 'height', { min: 0.01, max: 100, step: 0.05 }).on('change', () => change(settings, 'Collider Height'));
+            }
         }
+        
+        folder.addButton({ title: 'Remove Rigidbody' }).on('click', () => change(null, 'Remove Rigidbody', true));
+    }
+    
+    /**
+     * Runs an operation that changes many objects or prefab assets as one undoable step
+     * @param {string} name - Name shown in the history list
+     * @param {function} change - The operation, returning false if nothing changed
+     * @returns {boolean} - Whether the change was recorded
+     */
+    recordSceneChange(name, change) {
+        const before = this.engine.captureSceneState();
+        if (change() === false) {
+            alert(`${name} failed, see the console for details.`);
+            return false;
+        }
+        
+        this.engine.history.record(new SceneStateCommand(this.engine, name, before, this.engine.captureSceneState()));
+        
+        // Objects may have been rebuilt
+        if (this.transformControl.object &&
+            !this.engine.getObjectByThreeJsObject(this.transformControl.object)) {
+            this.transformControl.detach();
+        }
+        
+        this.refreshSceneTree();
+        this.updateInspector(this.engine.selectedObject);
+        this.updateSelection();
+        return true;
+    }
+    
+    /**
+     * Adds inputs for the parameters of an object's factory type
+     * @param {Object} pane - Tweakpane pane to add the folder to
+     * @param {Object} obj - The object being edited
+     * @returns {Object|null} - The created folder, or null if the type has no parameters
+     */
+    addParamsInspector(pane, obj) {
+        const definition = this.engine.factory.get(obj.type);
+        if (!definition || !obj.params) return null;
+        
+        const params = obj.params;
+        const keys = Object.keys(definition.params).filter(key => {
+            const schema = definition.params[key];
+            return !schema.hidden && (!schema.projection || schema.projection === params.projection);
+        });
+        if (keys.length === 0) return null;
+        
+        const titles = { light: 'Light Properties', camera: 'Camera' };
+        const folder = pane.addFolder({ title: titles[definition.category] || 'Geometry' });
+        const subFolders = {};
+        
+        keys.forEach(key => {
+            const schema = definition.params[key];
+            
+            // Related parameters can be grouped, e.g. light shadow settings
+            let target = folder;
+            if (schema.folder) {
+                if (!subFolders[schema.folder]) {
+                    subFolders[schema.folder] = folder.addFolder({ title: schema.folder, expanded: false });
+                }
+                target = subFolders[schema.folder];
+            }
+            
+            const options = { label: schema.label || key };
+            ['min', 'max', 'step', 'options'].forEach(option => {
+                if (schema[option] !== undefined) options[option] = schema[option];
+            });
+            
+            // Some parameters replace the Three.js object, e.g. the camera projection
+            const applyParam = (value) => {
+                const previous3D = obj.object3D;
+                this.engine.updateObjectParams(obj, { [key]: value });
+                if (obj.object3D !== previous3D && this.transformControl.object === previous3D) {
+                    this.transformControl.attach(obj.object3D);
+                }
+                return obj.object3D !== previous3D;
+            };
+            
+            const label = options.label.charAt(0).toUpperCase() + options.label.slice(1);
+            this.trackProperty(target.addInput(params, key, options), obj, params, key, label, applyParam)
+                .on('change', (ev) => {
+                    // Choices such as the camera projection change which inputs are shown
+                    if (applyParam(ev.value) || schema.options) this.updateInspector(obj);
+                });
+        });
+        
+        return folder;
+    }
+    
+    addCameraInspector(cameraFolder, obj) {
+        const settings = obj.params;
+        
+        // Only one camera can be the main camera
+        const mainHelper = { main: settings.isMain };
+        cameraFolder.addInput(mainHelper, 'main', { label: 'Main Camera' }).on('change', (ev) => {
+            const previousMain = this.engine.getMainCamera();
+            const setMain = (cameraObj) => {
+                if (cameraObj) {
+                    this.engine.setMainCamera(cameraObj);
+                } else {
+                    obj.params.isMain = false;
+                }
+                this.refreshSceneTree();
+            };
+            
+            this.engine.history.execute(new ValueCommand(
+                `Main Camera ${obj.name}`,
+                setMain,
+                previousMain,
+                ev.value ? obj : null
+            ));
+        });
+        
+        // Preview this camera while playing
+        if (this.engine.isPlaying) {
+            cameraFolder.addButton({ title: 'Set Active Camera' }).on('click', () => {
+                this.engine.setActiveCamera(obj);
+            });
+        }
+    }
+    
+    /**
+     * Records changes made through an inspector input in the undo history
+     * @param {Object} binding - Tweakpane input binding
+     * @param {Object} obj - The object being edited
+     * @param {Object} target - The object that owns the property
+     * @param {string} key - The property name
+     * @param {string} label - Name shown in the history list
+     * @param {function} onApply - Optional callback after undo/redo applies a value
+     * @returns {Object} - The binding, for chaining
+     */
+    trackProperty(binding, obj, target, key, label, onApply = null) {
+        let previous = target[key];
+        
+        binding.on('change', () => {
+            const value = target[key];
+            if (value === previous) return;
+            
+            this.engine.history.record(new ValueCommand(
+                `${label} ${obj.name}`,
+                (v) => {
+                    target[key] = v;
+                    if (target.isMaterial) target.needsUpdate = true;
+                    if (onApply) onApply(v);
+                },
+                previous,
+                value,
+                `${obj.id}:${key}`
+            ));
+            previous = value;
+        });
+        
+        return binding;
+    }
+    
+    trackColor(binding, obj, color, label) {
+        let previous = color.getHex();
+        
+        binding.on('change', () => {
+            const value = color.getHex();
+            if (value === previous) return;
+            
+            this.engine.history.record(new ValueCommand(
+                `${label} ${obj.name}`,
+                (hex) => color.setHex(hex),
+                previous,
+                value,
+                `${obj.id}:${label}`
+            ));
+            previous = value;
+        });
+        
+        return binding;
+    }
+    
+    trackTransformInput(binding, obj) {
+        binding.on('change', () => {
+            const transform = TransformCommand.capture(obj.object3D);
+            if (!TransformCommand.equals(this.inspectorTransform, transform)) {
+                this.engine.history.record(new TransformCommand(obj, this.inspectorTransform, transform));
+            }
+            this.inspectorTransform = transform;
+        });
+        
+        return binding;
     }
     
     initToolbar() {
         // Add cube button
         document.getElementById('add-cube').addEventListener('click', () => {
-            this.engine.addCube();
-            this.refreshSceneTree();
+            this.recordAddedObject(this.engine.addCube());
         });
         
         // Add sphere button
         document.getElementById('add-sphere').addEventListener('click', () => {
-            this.engine.addSphere();
-            this.refreshSceneTree();
+            this.recordAddedObject(this.engine.addSphere());
         });
         
         // Add light button
         document.getElementById('add-light').addEventListener('click', () => {
-            this.engine.addLight();
-            this.refreshSceneTree();
+            this.recordAddedObject(this.engine.addLight());
         });
         
         // Play/pause button
@@ -417,6 +1148,9 @@ class EngineUI {
             // If entering play mode, detach transform controls
             if (this.engine.isPlaying) {
                 this.transformControl.detach();
+            } else {
+                // The edit-time scene was restored
+                this.refreshSceneTree();
             }
         });
         
@@ -532,7 +1266,9 @@ class EngineUI {
             { id: 'component-tab', label: 'Component', active: false },
             { id: 'view-tab', label: 'View', active: false },
             { id: 'play-tab', label: 'Play', active: false },
-            { id: 'assets-tab', label: 'Assets', active: false } 
+            { id: 'assets-tab', label: 'Assets', active: false },
+            // Menu items of systems added by plugins, shown when there are any
+            { id: 'systems-tab', label: 'Systems', active: false }
         ];
         
         // Create tabs and panels
@@ -570,16 +1306,16 @@ class EngineUI {
             <button id="new-scene">New Scene</button>
             <button id="save-scene">Save Scene</button>
             <button id="load-scene">Load Scene</button>
+            <button id="project-settings">Project Settings</button>
         `;
         
         // Populate Object tab
         const objectPanel = document.getElementById('object-tab-panel');
         const objectSection = objectPanel.querySelector('.section');
         objectSection.innerHTML = `
-            <button id="main-add-cube">Cube</button>
-            <button id="main-add-sphere">Sphere</button>
-            <button id="main-add-light">Light</button>
-            <button id="main-add-camera">Camera</button>
+            ${this.engine.factory.getTypes().map(type =>
+                `<button id="main-add-${type}">${this.engine.factory.get(type).name}</button>`
+            ).join('\n')}
             <button id="main-duplicate-object">Duplicate</button>
         `;
         
@@ -600,13 +1336,21 @@ class EngineUI {
         playSection.innerHTML = `
             <button id="main-play">Play</button>
             <button id="main-pause">Pause</button>
+            <button id="main-step" title="Run a single frame while paused" disabled>Step</button>
             <button id="main-stop">Stop</button>
+            <label class="time-scale" title="Game speed, 1 is normal. The editor always runs in real time.">Speed
+                <input type="number" id="time-scale" min="0" step="0.1" value="1">
+            </label>
+            <button id="main-keep-changes">Keep Changes</button>
         `;
         
         // Populate Edit tab
         const editPanel = document.getElementById('edit-tab-panel');
         const editSection = editPanel.querySelector('.section');
         editSection.innerHTML = `
+            <button id="main-undo" title="Undo (Ctrl+Z)">Undo</button>
+            <button id="main-redo" title="Redo (Ctrl+Shift+Z)">Redo</button>
+            <select id="history-list" class="history-list" title="History"></select>
             <button id="main-save-prefab">Save Prefab</button>
             <button id="main-create-prefab">Create from Prefab</button>
             <button id="main-docs" onclick="window.open('docs.html', '_blank')">Documentation</button>
@@ -623,6 +1367,26 @@ class EngineUI {
                 <button id="transform-scale" class="transform-btn">Scale</button>
             </div>
             <button id="view-toggle-grid">Toggle Grid</button>
+            <button id="view-quad-layout" class="transform-btn" title="Show top, front and side views next to the perspective view">Quad View</button>
+            <button id="view-box-select" class="transform-btn" title="Drag a rectangle in the viewport to select objects (B)">Box Select</button>
+            <button id="view-profiler" class="transform-btn" title="Show frame timings and renderer statistics, and capture traces">Profiler</button>
+            <label>Pivot:
+                <select id="view-pivot-mode" title="Where several selected objects are rotated and scaled around">
+                    <option value="center">Selection Center</option>
+                    <option value="active">Active Object</option>
+                </select>
+            </label>
+            <div class="snap-tools" title="Hold ${this.engine.snapping.modifierKey} while dragging to turn grid, angle and scale snapping on or off">
+                <label><input type="checkbox" id="snap-translate"> Grid</label>
+                <input type="number" id="snap-translate-step" min="0.01" step="0.25" title="Grid size">
+                <label><input type="checkbox" id="snap-rotate"> Angle</label>
+                <input type="number" id="snap-rotate-step" min="1" step="5" title="Rotation increment in degrees">
+                <label><input type="checkbox" id="snap-scale"> Scale</label>
+                <input type="number" id="snap-scale-step" min="0.01" step="0.05" title="Scale increment">
+                <label title="Drop dragged objects onto the surface under the cursor"><input type="checkbox" id="snap-surface"> Surface</label>
+                <label title="Turn objects dropped on a surface to follow its normal"><input type="checkbox" id="snap-alignToNormal"> Align</label>
+                <label title="Snap the vertex nearest the cursor to vertices of other meshes"><input type="checkbox" id="snap-vertex"> Vertex</label>
+            </div>
         `;
         
         // Populate Assets tab
@@ -642,11 +1406,16 @@ class EngineUI {
                     const obj = this.engine.objects[0];
                     this.engine.removeObject(obj);
                 }
+                this.engine.history.clear();
                 this.refreshSceneTree();
                 this.updateInspector(null);
             }
         });
         
+        document.getElementById('project-settings').addEventListener('click', () => {
+            this.openProjectSettings();
+        });
+        
         document.getElementById('save-scene').addEventListener('click', () => {
             const sceneData = this.engine.saveScene();
             
@@ -680,13 +1449,22 @@ class EngineUI {
                 reader.onload = (e) => {
                     try {
                         const sceneData = JSON.parse(e.target.result);
-                        const success = this.engine.loadScene(sceneData);
+                        const report = this.engine.loadScene(sceneData);
                         
-                        if (success) {
+                        if (report.success) {
+                            this.engine.history.clear();
                             this.refreshSceneTree();
-                            alert('Scene loaded successfully!');
+                            
+                            // Missing model assets are only known once the models have loaded
+                            report.assetsLoaded.then(() => {
+                                if (report.issues.length > 0) {
+                                    alert(`Scene loaded with warnings:\n${formatIssues(report.issues)}`);
+                                } else {
+                                    alert('Scene loaded successfully!');
+                                }
+                            });
                         } else {
-                            alert('Error loading scene: Invalid scene data');
+                            alert(`Error loading scene:\n${formatIssues(report.issues)}`);
                         }
                     } catch (error) {
                         console.error('Error parsing scene file:', error);
@@ -700,23 +1478,11 @@ class EngineUI {
             input.click();
         });
         
-        document.getElementById('main-add-cube').addEventListener('click', () => {
-            this.engine.addCube();
-            this.refreshSceneTree();
-        });
-        
-        document.getElementById('main-add-sphere').addEventListener('click', () => {
-            this.engine.addSphere();
-            this.refreshSceneTree();
-        });
-        
-        document.getElementById('main-add-light').addEventListener('click', () => {
-            this.engine.addLight();
-            this.refreshSceneTree();
-        });
-        
-        document.getElementById('main-add-camera').addEventListener('click', () => {
-            alert('Add Camera functionality will be implemented soon');
+        // One add button per registered object type
+        this.engine.factory.getTypes().forEach(type => {
+            document.getElementById(`main-add-${type}`).addEventListener('click', () => {
+                this.recordAddedObject(this.engine.createObject(type));
+            });
         });
         
         document.getElementById('main-add-script').addEventListener('click', () => {
@@ -739,17 +1505,52 @@ class EngineUI {
             }
         });
         
+        document.getElementById('main-step').addEventListener('click', () => {
+            this.engine.stepFrame();
+        });
+        
+        document.getElementById('time-scale').addEventListener('change', (event) => {
+            if (!this.engine.setTimeScale(parseFloat(event.target.value))) {
+                alert('The speed must be a number of at least zero');
+                event.target.value = this.engine.timeScale;
+            }
+        });
+        
         document.getElementById('main-stop').addEventListener('click', () => {
             if (this.engine.isPlaying) {
                 this.engine.togglePlayMode();
+                this.refreshSceneTree();
             }
         });
         
+        document.getElementById('main-keep-changes').addEventListener('click', () => {
+            this.keepPlayModeChanges(this.engine.selectedObject);
+        });
+        
+        document.getElementById('main-undo').addEventListener('click', () => {
+            this.engine.history.undo();
+        });
+        
+        document.getElementById('main-redo').addEventListener('click', () => {
+            this.engine.history.redo();
+        });
+        
+        document.getElementById('history-list').addEventListener('change', (event) => {
+            this.engine.history.jumpTo(parseInt(event.target.value, 10));
+        });
+        
         document.getElementById('main-save-prefab').addEventListener('click', () => {
-            if (this.engine.selectedObject) {
-                const prefabName = prompt('Enter a name for this prefab:', this.engine.selectedObject.name);
-                if (prefabName) {
-                    this.engine.savePrefab(this.engine.selectedObject, prefabName);
+            const obj = this.engine.selectedObject;
+            if (obj) {
+                const prefabName = prompt('Enter a name for this prefab:', obj.name);
+                if (!prefabName) return;
+                
+                if (this.engine.prefabSystem.getPrefab(prefabName)) {
+                    alert(`A prefab named "${prefabName}" already exists. Use "Apply to Prefab" in the inspector to update it.`);
+                    return;
+                }
+                
+                if (this.recordSceneChange(`Save Prefab ${prefabName}`, () => this.engine.savePrefab(obj, prefabName) !== null)) {
                     alert(`Prefab "${prefabName}" saved successfully.`);
                 }
             } else {
@@ -758,15 +1559,19 @@ class EngineUI {
         });
         
         document.getElementById('main-create-prefab').addEventListener('click', () => {
-            if (!this.engine.prefabs || Object.keys(this.engine.prefabs).length === 0) {
+            const prefabs = this.engine.prefabSystem.getPrefabs();
+            if (prefabs.length === 0) {
                 alert('No prefabs available. Save an object as a prefab first.');
                 return;
             }
             
-            const prefabName = prompt('Enter prefab name to instantiate:');
-            if (prefabName && this.engine.prefabs[prefabName]) {
+            const prefabName = prompt(`Enter prefab name to instantiate:\n${prefabs.map(prefab => prefab.name).join(', ')}`);
+            if (!prefabName) return;
+            
+            if (this.engine.prefabSystem.getPrefab(prefabName)) {
                 const newObj = this.engine.instantiatePrefab(prefabName);
                 if (newObj) {
+                    this.engine.history.record(new AddObjectCommand(this.engine, newObj));
                     this.refreshSceneTree();
                     this.engine.selectObject(newObj);
                 }
@@ -799,19 +1604,83 @@ class EngineUI {
             this.toggleConsolePanel();
         });
         
+        document.getElementById('view-quad-layout').addEventListener('click', () => {
+            this.engine.setViewLayout(this.engine.viewLayout === 'quad' ? 'single' : 'quad');
+        });
+        this.engine.events.on('view:layout', (data) => this.updateViewFrames(data.views));
+        
+        document.getElementById('view-box-select').addEventListener('click', () => {
+            this.setBoxSelectMode(!this.boxSelectMode);
+        });
+        
+        document.getElementById('view-profiler').addEventListener('click', () => {
+            this.profilerOverlay.toggle();
+        });
+        this.engine.events.on('profiler:overlay', (data) => {
+            document.getElementById('view-profiler').classList.toggle('active', data.visible);
+        });
+        
+        document.getElementById('view-pivot-mode').addEventListener('change', (event) => {
+            this.setPivotMode(event.target.value);
+        });
+        
+        this.initSnapTools();
+        
+        // Systems added by plugins can add buttons to any tab
+        this.updateSystemMenuItems();
+        this.engine.events.on('system:registered', () => this.updateSystemMenuItems());
+        this.engine.events.on('system:unregistered', () => this.updateSystemMenuItems());
+        
         document.getElementById('main-export-asset').addEventListener('click', () => {
             this.exportProjectAsZip();
         });
         
         document.getElementById('main-duplicate-object').addEventListener('click', () => {
             if (this.engine.selectedObject) {
-                this.duplicateObject(this.engine.selectedObject);
+                this.duplicateSelection();
             } else {
                 alert('Please select an object to duplicate');
             }
         });
     }
     
+    /**
+     * Shows the menu items of registered systems
+     * Items for a tab that doesn't exist go to the Systems tab.
+     */
+    updateSystemMenuItems() {
+        document.querySelectorAll('#main-toolbar button[data-system]').forEach(button => button.remove());
+        
+        const items = this.engine.systems.getMenuItems();
+        items.forEach(item => {
+            const panel = document.getElementById(`${item.tab}-tab-panel`) || document.getElementById('systems-tab-panel');
+            const button = document.createElement('button');
+            button.textContent = item.label;
+            button.dataset.system = item.system;
+            if (item.title) button.title = item.title;
+            
+            button.addEventListener('click', () => {
+                try {
+                    item.action(this);
+                } catch (e) {
+                    console.error(`Error in menu item "${item.label}" of system "${item.system}":`, e);
+                }
+            });
+            panel.querySelector('.section').appendChild(button);
+        });
+        
+        // The Systems tab is only shown while it has items
+        const systemsTab = document.getElementById('systems-tab');
+        const hasItems = document.querySelector('#systems-tab-panel button[data-system]') !== null;
+        systemsTab.style.display = hasItems ? '' : 'none';
+        if (!hasItems && systemsTab.classList.contains('active')) {
+            this.switchTab('file-tab');
+        }
+        
+        // Inspector panels may have come or gone as well
+        this.updateInspector(this.engine.selectedObject);
+    }
+    
     switchTab(tabId) {
         // Deactivate all tabs and panels
         document.querySelectorAll('.tab').forEach(tab => tab.classList.remove('active'));
@@ -824,23 +1693,90 @@ class EngineUI {
     
     setupEventListeners() {
         // Listen for object selection changes
-        document.addEventListener('object-selected', (event) => {
-            this.updateInspector(event.detail.object);
+        this.engine.events.on('selection:changed', (data) => {
+            this.updateInspector(data.object);
             this.updateSelection();
         });
         
+        // Mirror engine status in the status bar and play controls
+        this.engine.events.on('engine:fps', (data) => {
+            document.getElementById('fps').textContent = `FPS: ${data.fps}`;
+        });
+        
+        this.engine.events.on('objects:changed', (data) => {
+            document.getElementById('object-count').textContent = `Objects: ${data.count}`;
+        });
+        
+        this.engine.events.on('engine:status', (data) => {
+            document.getElementById('engine-status').textContent = `Status: ${data.status}`;
+            document.getElementById('play-pause').textContent = data.isPlaying ? '■ Stop' : '▶ Play';
+            document.getElementById('main-pause').textContent = data.isPaused ? 'Resume' : 'Pause';
+            document.getElementById('main-step').disabled = !data.isPaused;
+            
+            // Play mode shows a single view
+            this.engine.container.classList.toggle('playing', data.isPlaying);
+        });
+        
+        // The speed setting is highlighted while slow motion or hit-stop is active
+        this.engine.events.on('time:changed', (data) => {
+            const input = document.getElementById('time-scale');
+            input.value = data.timeScale;
+            input.parentElement.classList.toggle('modified', data.effectiveTimeScale !== data.timeScale);
+        });
+        
+        this.engine.events.on('hover:changed', (data) => {
+            document.body.style.cursor = data.object ? 'pointer' : 'default';
+        });
+        
+        // Show the meshes of models once their asset has loaded
+        this.engine.events.on('model:loaded', () => this.refreshSceneTree());
+        
+        // Renamed layers show up in the layer lists of the inspector
+        this.engine.events.on('layers:changed', () => this.updateInspector(this.engine.selectedObject));
+        
         // Listen for script updates
         document.addEventListener('script-updated', (event) => {
             this.refreshSceneTree();
         });
         
+        // Refresh the editor when history steps are undone or redone
+        this.engine.events.on('history:changed', (data) => this.onHistoryChanged(data));
+        this.updateHistoryList();
+        
         // Keyboard shortcuts
         document.addEventListener('keydown', (event) => {
-            // Delete key to remove selected object
+            // Undo/redo, unless a text field has focus
+            const target = event.target;
+            const isEditingText = target && (target.tagName === 'INPUT' || 
+                target.tagName === 'TEXTAREA' || target.isContentEditable);
+            
+            if ((event.ctrlKey || event.metaKey) && !isEditingText) {
+                const key = event.key.toLowerCase();
+                if (key === 'z') {
+                    event.preventDefault();
+                    if (event.shiftKey) {
+                        this.engine.history.redo();
+                    } else {
+                        this.engine.history.undo();
+                    }
+                    return;
+                }
+                if (key === 'y') {
+                    event.preventDefault();
+                    this.engine.history.redo();
+                    return;
+                }
+            }
+            
+            // Delete key to remove the selected objects
             if (event.key === 'Delete' && this.engine.selectedObject) {
                 this.deleteSelectedObject();
             }
             
+            // Box selection
+            if (event.key === 'b' && !isEditingText) this.setBoxSelectMode(!this.boxSelectMode);
+            if (event.key === 'Escape' && this.boxSelectMode) this.setBoxSelectMode(false);
+            
             // Transformation mode shortcuts
             if (event.key === 'g') this.transformControl.setMode('translate');
             if (event.key === 'r') this.transformControl.setMode('rotate');
@@ -851,6 +1787,53 @@ class EngineUI {
         this.initConsole();
     }
     
+    onHistoryChanged(data) {
+        this.updateHistoryList();
+        
+        // Recorded steps are already reflected in the UI
+        if (data.action === 'record') return;
+        
+        // Detach the gizmo from objects that are no longer in the scene
+        if (this.transformControl.object && 
+            !this.engine.getObjectByThreeJsObject(this.transformControl.object)) {
+            this.transformControl.detach();
+        }
+        
+        this.refreshSceneTree();
+        this.updateInspector(this.engine.selectedObject);
+        this.updateSelection();
+    }
+    
+    updateHistoryList() {
+        const historyList = document.getElementById('history-list');
+        if (!historyList) return;
+        
+        const history = this.engine.history;
+        const entries = history.getEntries();
+        
+        historyList.innerHTML = '';
+        
+        const initialOption = document.createElement('option');
+        initialOption.value = 0;
+        initialOption.textContent = 'Initial State';
+        historyList.appendChild(initialOption);
+        
+        entries.forEach((entry, index) => {
+            const option = document.createElement('option');
+            option.value = index + 1;
+            option.textContent = entry.name;
+            if (!entry.applied) {
+                option.classList.add('history-undone');
+            }
+            historyList.appendChild(option);
+        });
+        
+        historyList.value = history.undoStack.length;
+        
+        document.getElementById('main-undo').disabled = !history.canUndo();
+        document.getElementById('main-redo').disabled = !history.canRedo();
+    }
+    
     initConsole() {
         // Get console elements
         this.consoleOutput = document.getElementById('console-output');
@@ -956,21 +1939,297 @@ class EngineUI {
         // Update scene tree selection
         const treeItems = this.sceneTreeElement.querySelectorAll('.tree-item');
         treeItems.forEach(item => {
-            item.classList.remove('selected');
-            
-            if (this.engine.selectedObject && 
-                item.getAttribute('data-id') === this.engine.selectedObject.id) {
-                item.classList.add('selected');
+            const obj = this.engine.getObjectById(item.getAttribute('data-id'));
+            item.classList.toggle('selected', !!obj && this.engine.isSelected(obj));
+            item.classList.toggle('active', !!obj && obj === this.engine.selectedObject);
+        });
+        
+        this.updateGizmo();
+    }
+    
+    /**
+     * Attaches the transform gizmo to the selection
+     * A single object gets the gizmo itself, several objects share the selection pivot.
+     */
+    updateGizmo() {
+        const roots = this.engine.getSelectionRoots();
+        
+        // Objects can't be moved with the gizmo while the game runs
+        if (roots.length === 0 || this.engine.isPlaying) {
+            this.transformControl.detach();
+        } else if (roots.length === 1) {
+            this.transformControl.attach(roots[0].object3D);
+        } else {
+            this.placeSelectionPivot();
+            this.transformControl.attach(this.selectionPivot);
+        }
+    }
+    
+    placeSelectionPivot() {
+        const pivot = this.selectionPivot;
+        const active = this.engine.selectedObject;
+        
+        if (this.pivotMode === 'active' && active) {
+            active.object3D.getWorldPosition(pivot.position);
+        } else {
+            this.engine.getSelectionCenter(pivot.position);
+        }
+        pivot.quaternion.identity();
+        pivot.scale.set(1, 1, 1);
+        pivot.updateMatrixWorld();
+    }
+    
+    setPivotMode(mode) {
+        this.pivotMode = mode;
+        const pivotSelect = document.getElementById('view-pivot-mode');
+        if (pivotSelect) pivotSelect.value = mode;
+        
+        if (this.transformControl.object === this.selectionPivot) {
+            this.placeSelectionPivot();
+        }
+    }
+    
+    /**
+     * Remembers the world transforms of the selection when a group drag starts
+     * @returns {Object} - Drag state for applyGroupDrag()
+     */
+    captureGroupDrag() {
+        this.selectionPivot.updateMatrixWorld();
+        
+        return {
+            pivotInverse: this.selectionPivot.matrixWorld.clone().invert(),
+            entries: this.engine.getSelectionRoots().map(obj => {
+                obj.object3D.updateWorldMatrix(true, false);
+                return {
+                    obj: obj,
+                    world: obj.object3D.matrixWorld.clone(),
+                    start: TransformCommand.capture(obj.object3D)
+                };
+            })
+        };
+    }
+    
+    /**
+     * Moves every selected object by the change of the pivot since the drag started
+     * @param {Object} drag - State from captureGroupDrag()
+     */
+    applyGroupDrag(drag) {
+        this.selectionPivot.updateMatrixWorld();
+        const delta = new THREE.Matrix4().multiplyMatrices(this.selectionPivot.matrixWorld, drag.pivotInverse);
+        const matrix = new THREE.Matrix4();
+        
+        drag.entries.forEach(entry => {
+            const object3D = entry.obj.object3D;
+            matrix.multiplyMatrices(delta, entry.world);
+            
+            // Back to the object's local space
+            if (object3D.parent) {
+                object3D.parent.updateWorldMatrix(true, false);
+                matrix.premultiply(object3D.parent.matrixWorld.clone().invert());
+            }
+            matrix.decompose(object3D.position, object3D.quaternion, object3D.scale);
+        });
+    }
+    
+    finishGroupDrag(drag) {
+        const commands = [];
+        drag.entries.forEach(entry => {
+            const end = TransformCommand.capture(entry.obj.object3D);
+            if (!TransformCommand.equals(entry.start, end)) {
+                commands.push(new TransformCommand(entry.obj, entry.start, end));
             }
         });
+        
+        if (commands.length > 0) {
+            this.engine.history.record(new CompoundCommand(`Transform ${commands.length} objects`, commands));
+            this.updateInspector(this.engine.selectedObject);
+        }
+        this.placeSelectionPivot();
+    }
+    
+    /**
+     * Passes the grid, angle and scale steps in effect to the gizmo
+     */
+    applySnapSettings() {
+        const snapping = this.engine.snapping;
+        this.transformControl.setTranslationSnap(snapping.getSnap('translate'));
+        this.transformControl.setRotationSnap(snapping.getSnap('rotate'));
+        this.transformControl.setScaleSnap(snapping.getSnap('scale'));
+    }
+    
+    /**
+     * Prepares surface and vertex snapping when a translate drag starts
+     * @param {THREE.Object3D} object3D - Object the gizmo is attached to
+     * @returns {Object|null} - Drag state for applySnapDrag(), null if neither is on
+     */
+    captureSnapDrag(object3D) {
+        const snapping = this.engine.snapping;
+        if (!object3D || this.transformControl.mode !== 'translate' ||
+            (!snapping.isEnabled('surface') && !snapping.isEnabled('vertex'))) {
+            return null;
+        }
+        
+        const moved = object3D === this.selectionPivot ?
+            this.engine.getSelectionRoots() :
+            [this.engine.getObjectByThreeJsObject(object3D)].filter(Boolean);
+        const origin = object3D.getWorldPosition(new THREE.Vector3());
+        
+        // The vertex under the cursor is the one that snaps to other vertices
+        let vertexOffset = null;
+        if (snapping.isEnabled('vertex')) {
+            const source = snapping.findNearestVertex(moved, this.engine.mouse, Infinity);
+            if (source) vertexOffset = source.point.sub(origin);
+        }
+        
+        return {
+            object3D: object3D,
+            moved: moved,
+            surfaceOffset: snapping.getBottomOffset(object3D, moved),
+            vertexOffset: vertexOffset
+        };
+    }
+    
+    /**
+     * Moves the dragged object to the vertex or surface under the cursor
+     * Vertex snapping wins when a vertex is close enough, grid snapping applies otherwise.
+     * @param {Object} drag - State from captureSnapDrag()
+     */
+    applySnapDrag(drag) {
+        const snapping = this.engine.snapping;
+        const mouse = this.engine.mouse;
+        
+        if (drag.vertexOffset) {
+            const target = snapping.findNearestVertex(snapping.getVertexTargets(drag.moved), mouse);
+            if (target) {
+                const quaternion = drag.object3D.getWorldQuaternion(new THREE.Quaternion());
+                snapping.setWorldTransform(drag.object3D, target.point.sub(drag.vertexOffset), quaternion);
+                return;
+            }
+        }
+        
+        if (snapping.isEnabled('surface')) {
+            const hit = snapping.getSurfaceHit(mouse, drag.moved);
+            if (hit) snapping.placeOnSurface(drag.object3D, hit, drag.surfaceOffset);
+        }
     }
     
     deleteSelectedObject() {
-        if (this.engine.selectedObject) {
+        const roots = this.engine.getSelectionRoots();
+        if (roots.length === 1) {
+            this.deleteObject(roots[0]);
+        } else if (roots.length > 1) {
             this.transformControl.detach();
-            this.engine.removeObject(this.engine.selectedObject);
+            this.engine.history.execute(new CompoundCommand(`Delete ${roots.length} objects`,
+                roots.map(obj => new RemoveObjectCommand(this.engine, obj))));
             this.refreshSceneTree();
-            this.updateInspector(null);
+        }
+        this.updateInspector(this.engine.selectedObject);
+    }
+    
+    /**
+     * Duplicates every selected object (with its children) and selects the copies
+     */
+    duplicateSelection() {
+        const roots = this.engine.getSelectionRoots();
+        if (roots.length <= 1) {
+            if (roots.length === 1) this.duplicateObject(roots[0]);
+            return;
+        }
+        
+        const copies = roots.map(obj => {
+            const copy = this.engine.duplicateObject(obj);
+            if (copy) copy.object3D.position.x += 1;
+            return copy;
+        }).filter(Boolean);
+        
+        this.engine.history.record(new CompoundCommand(`Duplicate ${copies.length} objects`,
+            copies.map(copy => new AddObjectCommand(this.engine, copy))));
+        this.engine.setSelection(copies);
+        this.refreshSceneTree();
+    }
+    
+    /**
+     * Parents the selected objects to an object
+     * Objects that contain the new parent are skipped.
+     * @param {Object} parent - The new parent
+     */
+    parentSelectionTo(parent) {
+        const containsParent = (obj) => {
+            let current = parent;
+            while (current) {
+                if (current === obj) return true;
+                current = current.parent ? this.engine.getObjectById(current.parent) : null;
+            }
+            return false;
+        };
+        
+        const children = this.engine.getSelectionRoots()
+            .filter(obj => obj.parent !== parent.id && !containsParent(obj));
+        if (children.length === 0) return;
+        
+        this.engine.history.execute(new CompoundCommand(`Parent ${children.length} objects to ${parent.name}`,
+            children.map(child => new SetParentCommand(this.engine, child, parent))));
+        this.refreshSceneTree();
+    }
+    
+    /**
+     * Adds a folder with actions for all selected objects when more than one is selected
+     * @param {Pane} pane - Inspector pane
+     * @param {Object} obj - The active object
+     */
+    addSelectionInspector(pane, obj) {
+        const count = this.engine.selectedObjects.length;
+        if (count < 2 || !this.engine.isSelected(obj)) return;
+        
+        const selectionFolder = pane.addFolder({ title: `Selection (${count} objects)` });
+        const pivot = { mode: this.pivotMode };
+        selectionFolder.addInput(pivot, 'mode', {
+            label: 'Pivot',
+            options: { 'Selection Center': 'center', 'Active Object': 'active' }
+        }).on('change', (ev) => this.setPivotMode(ev.value));
+        
+        selectionFolder.addButton({ title: 'Duplicate All' }).on('click', () => this.duplicateSelection());
+        selectionFolder.addButton({ title: 'Delete All' }).on('click', () => this.deleteSelectedObject());
+        selectionFolder.addButton({ title: `Parent to ${obj.name}` }).on('click', () => this.parentSelectionTo(obj));
+        selectionFolder.addButton({ title: 'Clear Selection' }).on('click', () => this.engine.selectObject(null));
+    }
+    
+    /**
+     * Returns the objects an action on obj applies to: the whole selection if obj is part of it
+     * @param {Object} obj - Object the action was started on
+     * @returns {Array} - Target objects
+     */
+    getActionTargets(obj) {
+        return this.engine.isSelected(obj) ? [...this.engine.selectedObjects] : [obj];
+    }
+    
+    deleteObject(obj) {
+        if (this.transformControl.object === obj.object3D) {
+            this.transformControl.detach();
+        }
+        this.engine.history.execute(new RemoveObjectCommand(this.engine, obj));
+        this.refreshSceneTree();
+    }
+    
+    recordAddedObject(obj) {
+        this.engine.history.record(new AddObjectCommand(this.engine, obj));
+        this.refreshSceneTree();
+        return obj;
+    }
+    
+    keepPlayModeChanges(obj) {
+        if (!this.engine.isPlaying) {
+            alert('Keep Changes is only available in play mode');
+            return;
+        }
+        
+        if (!obj) {
+            alert('Please select an object to keep its changes');
+            return;
+        }
+        
+        if (this.engine.keepPlayModeChanges(obj)) {
+            console.log(`Play mode changes to "${obj.name}" will be kept`);
         }
     }
     
@@ -1023,6 +2282,198 @@ class EngineUI {
         });
     }
     
+    /**
+     * Opens the project settings, saved with the scene and exported in config.js
+     */
+    openProjectSettings() {
+        const modal = document.createElement('div');
+        modal.className = 'script-editor-modal';
+        
+        const settingsContent = document.createElement('div');
+        settingsContent.className = 'script-editor-content project-settings-content';
+        
+        // Header
+        const header = document.createElement('div');
+        header.className = 'script-editor-header';
+        header.innerHTML = `<h3>Project Settings</h3>`;
+        
+        // Close button
+        const closeBtn = document.createElement('button');
+        closeBtn.innerHTML = '×';
+        closeBtn.className = 'script-editor-close';
+        header.appendChild(closeBtn);
+        
+        const settingsContainer = document.createElement('div');
+        settingsContainer.className = 'project-settings';
+        
+        settingsContent.appendChild(header);
+        settingsContent.appendChild(settingsContainer);
+        modal.appendChild(settingsContent);
+        document.body.appendChild(modal);
+        
+        const pane = new Pane({ container: settingsContainer });
+        this.addRendererSettings(pane);
+        this.addPostProcessingSettings(pane);
+        this.addLayerSettings(pane);
+        
+        closeBtn.addEventListener('click', () => {
+            pane.dispose();
+            document.body.removeChild(modal);
+        });
+    }
+    
+    addRendererSettings(pane) {
+        const settings = this.engine.getRendererSettings();
+        const toOptions = (names) => Object.fromEntries(names.map(name => [name, name]));
+        
+        // Edited copy, pixel ratio 0 stands for the device pixel ratio
+        const params = {
+            toneMapping: settings.toneMapping,
+            toneMappingExposure: settings.toneMappingExposure,
+            outputEncoding: settings.outputEncoding,
+            physicallyCorrectLights: settings.physicallyCorrectLights,
+            shadowMap: settings.shadowMap,
+            shadowType: settings.shadowType,
+            pixelRatio: settings.pixelRatio || 0,
+            clearColor: settings.clearColor
+        };
+        
+        const apply = (key, value) => {
+            if (!this.engine.setRendererSettings({ [key]: value })) {
+                alert(`Could not change ${key}, see the console for details.`);
+            }
+        };
+        
+        const rendererFolder = pane.addFolder({ title: 'Renderer' });
+        rendererFolder.addInput(params, 'toneMapping', { label: 'Tone Mapping', options: toOptions(Object.keys(TONE_MAPPINGS)) })
+            .on('change', (ev) => apply('toneMapping', ev.value));
+        rendererFolder.addInput(params, 'toneMappingExposure', { label: 'Exposure', min: 0, max: 4, step: 0.05 })
+            .on('change', (ev) => apply('toneMappingExposure', ev.value));
+        rendererFolder.addInput(params, 'outputEncoding', { label: 'Color Space', options: toOptions(Object.keys(COLOR_SPACES)) })
+            .on('change', (ev) => apply('outputEncoding', ev.value));
+        rendererFolder.addInput(params, 'physicallyCorrectLights', { label: 'Physical Lights' })
+            .on('change', (ev) => apply('physicallyCorrectLights', ev.value));
+        rendererFolder.addInput(params, 'shadowMap', { label: 'Shadows' })
+            .on('change', (ev) => apply('shadowMap', ev.value));
+        rendererFolder.addInput(params, 'shadowType', { label: 'Shadow Type', options: toOptions(Object.keys(SHADOW_TYPES)) })
+            .on('change', (ev) => apply('shadowType', ev.value));
+        rendererFolder.addInput(params, 'pixelRatio', { label: 'Pixel Ratio (0 = device)', min: 0, max: 3, step: 0.25 })
+            .on('change', (ev) => apply('pixelRatio', ev.value > 0 ? Math.max(ev.value, 0.25) : null));
+        rendererFolder.addInput(params, 'clearColor', { label: 'Background' })
+            .on('change', (ev) => apply('clearColor', ev.value));
+    }
+    
+    /**
+     * Adds the post-processing stack to the project settings
+     * The folder is built again when passes are added, removed or moved.
+     */
+    addPostProcessingSettings(pane, expanded = false) {
+        const postProcessing = this.engine.postProcessing;
+        const folder = pane.addFolder({ title: 'Post-Processing', expanded: expanded });
+        const rebuild = () => {
+            folder.dispose();
+            this.addPostProcessingSettings(pane, true);
+        };
+        
+        const stackParams = { enabled: postProcessing.enabled };
+        folder.addInput(stackParams, 'enabled', { label: 'Enabled' })
+            .on('change', (ev) => postProcessing.setEnabled(ev.value));
+        
+        const passes = postProcessing.getPasses();
+        passes.forEach((entry, index) => {
+            const passFolder = folder.addFolder({ title: `${index + 1}. ${entry.label}`, expanded: false });
+            const definition = postProcessing.effects[entry.type];
+            
+            const passParams = { enabled: entry.enabled };
+            passFolder.addInput(passParams, 'enabled', { label: 'Enabled' })
+                .on('change', (ev) => postProcessing.setPassEnabled(entry.id, ev.value));
+            
+            // Numbers and switches can be edited here, shader code through the script API
+            if (definition) {
+                const values = { ...entry.params };
+                Object.entries(definition.params).forEach(([name, param]) => {
+                    if (typeof param.value !== 'number' && typeof param.value !== 'boolean') return;
+                    
+                    const options = { label: name };
+                    if (param.min !== undefined) options.min = param.min;
+                    if (param.max !== undefined) options.max = param.max;
+                    if (param.step !== undefined) options.step = param.step;
+                    
+                    passFolder.addInput(values, name, options)
+                        .on('change', (ev) => postProcessing.setPassParams(entry.id, { [name]: ev.value }));
+                });
+            }
+            
+            if (index > 0) {
+                passFolder.addButton({ title: 'Move Up' }).on('click', () => {
+                    postProcessing.movePass(entry.id, index - 1);
+                    rebuild();
+                });
+            }
+            if (index < passes.length - 1) {
+                passFolder.addButton({ title: 'Move Down' }).on('click', () => {
+                    postProcessing.movePass(entry.id, index + 1);
+                    rebuild();
+                });
+            }
+            passFolder.addButton({ title: 'Remove' }).on('click', () => {
+                postProcessing.removePass(entry.id);
+                rebuild();
+            });
+        });
+        
+        // New effects go to the end of the stack
+        const effectTypes = postProcessing.getEffectTypes();
+        const addParams = { type: effectTypes[0].type };
+        folder.addInput(addParams, 'type', {
+            label: 'New Effect',
+            options: Object.fromEntries(effectTypes.map(effect => [effect.label, effect.type]))
+        });
+        folder.addButton({ title: 'Add Effect' }).on('click', () => {
+            postProcessing.addPass(addParams.type);
+            rebuild();
+        });
+    }
+    
+    /**
+     * Adds the layer names and the collision matrix to the project settings
+     * The folder is built again when a layer is renamed.
+     */
+    addLayerSettings(pane, expanded = false) {
+        const layers = this.engine.layers;
+        const folder = pane.addFolder({ title: 'Layers', expanded: expanded });
+        const rebuild = () => {
+            folder.dispose();
+            this.addLayerSettings(pane, true);
+        };
+        
+        // Default (0) can't be renamed, an empty name removes a layer from the lists
+        const namesFolder = folder.addFolder({ title: 'Names', expanded: expanded });
+        const names = Object.fromEntries(layers.names.map((name, layer) => [layer, name]));
+        namesFolder.addMonitor(names, '0', { label: 'Layer 0' });
+        for (let layer = 1; layer < LAYER_COUNT; layer++) {
+            namesFolder.addInput(names, String(layer), { label: `Layer ${layer}` }).on('change', (ev) => {
+                if (ev.value.trim() === layers.layerToName(layer)) return;
+                if (!layers.setLayerName(layer, ev.value)) {
+                    alert(`There is already a layer named "${ev.value.trim()}".`);
+                }
+                rebuild();
+            });
+        }
+        
+        // Each named layer lists itself and the layers after it, the matrix is symmetric
+        const matrixFolder = folder.addFolder({ title: 'Collision Matrix', expanded: false });
+        const named = layers.getNamedLayers();
+        named.forEach((row, index) => {
+            const rowFolder = matrixFolder.addFolder({ title: row.name, expanded: false });
+            named.slice(index).forEach(column => {
+                const params = { collides: layers.layersCollide(row.layer, column.layer) };
+                rowFolder.addInput(params, 'collides', { label: column.name })
+                    .on('change', (ev) => layers.setCollision(row.layer, column.layer, ev.value));
+            });
+        });
+    }
+    
     generateAssetsHTML() {
         // Sample asset data - in a real implementation, this would come from a backend
         const sampleAssets = [
@@ -1189,6 +2640,55 @@ class EngineUI {
         document.body.appendChild(modal);
     }
     
+    /**
+     * Connects the snapping controls of the View tab to the snapping settings
+     */
+    initSnapTools() {
+        const snapping = this.engine.snapping;
+        
+        ['translate', 'rotate', 'scale', 'surface', 'alignToNormal', 'vertex'].forEach(type => {
+            document.getElementById(`snap-${type}`).addEventListener('change', (event) => {
+                snapping.setEnabled(type, event.target.checked);
+            });
+        });
+        
+        ['translate', 'rotate', 'scale'].forEach(type => {
+            document.getElementById(`snap-${type}-step`).addEventListener('change', (event) => {
+                if (!snapping.setStep(type, parseFloat(event.target.value))) {
+                    alert('The snapping step must be a number greater than zero');
+                    event.target.value = snapping.settings[type].step;
+                }
+            });
+        });
+        
+        // The modifier key inverts snapping while it is held
+        const onModifier = (event) => {
+            if (event.key === snapping.modifierKey) {
+                snapping.setModifierHeld(event.type === 'keydown');
+            }
+        };
+        window.addEventListener('keydown', onModifier);
+        window.addEventListener('keyup', onModifier);
+        window.addEventListener('blur', () => snapping.setModifierHeld(false));
+        
+        this.engine.events.on('snapping:changed', () => this.updateSnapTools());
+        this.updateSnapTools();
+    }
+    
+    updateSnapTools() {
+        const settings = this.engine.snapping.settings;
+        
+        ['translate', 'rotate', 'scale'].forEach(type => {
+            document.getElementById(`snap-${type}`).checked = settings[type].enabled;
+            document.getElementById(`snap-${type}-step`).value = settings[type].step;
+        });
+        ['surface', 'alignToNormal', 'vertex'].forEach(type => {
+            document.getElementById(`snap-${type}`).checked = settings[type];
+        });
+        
+        this.applySnapSettings();
+    }
+    
     setTransformMode(mode) {
         // Update transform control mode
         this.transformControl.setMode(mode);
@@ -1240,7 +2740,14 @@ class EngineUI {
             scriptsFolder.file(fileName, content);
         });
         
-        // Add config
+        // Add prefab assets, one file per prefab; the id keeps prefabs with the same name apart
+        const prefabsFolder = zip.folder("prefabs");
+        sceneData.prefabs.forEach(prefab => {
+            const fileName = `${prefab.name.replace(/[^\w\- ]/g, '_')}-${prefab.id}.prefab.json`;
+            prefabsFolder.file(fileName, JSON.stringify(prefab, null, 2));
+        });
+        
+        // Add config, config.renderer holds the current project settings
         const configStr = `export const config = ${JSON.stringify(this.engine.config || {}, null, 2)};`;
         zip.file("config.js", configStr);
         
@@ -1251,7 +2758,8 @@ Exported on: ${new Date().toLocaleString()}
 ## Contents
 - scene.json: The main scene data
 - scripts/: Contains all script files
-- config.js: Engine configuration
+- prefabs/: Prefab assets, also stored in scene.json
+- config.js: Engine configuration, including the renderer settings from Project Settings
 
 ## How to Use
 1. Load this project back into the Three.js Game Engine
@@ -1276,63 +2784,53 @@ ${Array.from(scripts.keys()).map(name => `- ${name}`).join('\n')}
     }
     
     duplicateObject(obj) {
-        // Create a copy of the object
-        let newObj;
-        if (obj.type === 'cube') {
-            newObj = this.engine.addCube();
-        } else if (obj.type === 'sphere') {
-            newObj = this.engine.addSphere();
-        } else if (obj.type === 'light') {
-            newObj = this.engine.addLight();
-        } else {
+        // Create a copy of the object and its children
+        const newObj = this.engine.duplicateObject(obj);
+        if (!newObj) {
             alert('Cannot duplicate this type of object');
             return;
         }
         
-        // Copy transform properties
-        newObj.object3D.position.copy(obj.object3D.position);
-        newObj.object3D.rotation.copy(obj.object3D.rotation);
-        newObj.object3D.scale.copy(obj.object3D.scale);
-        
-        // Copy material properties if exists
-        if (obj.object3D.material && newObj.object3D.material) {
-            newObj.object3D.material.color.copy(obj.object3D.material.color);
-            newObj.object3D.material.wireframe = obj.object3D.material.wireframe;
-            newObj.object3D.material.transparent = obj.object3D.material.transparent;
-            newObj.object3D.material.opacity = obj.object3D.material.opacity;
-            if (obj.object3D.material.metalness !== undefined) {
-                newObj.object3D.material.metalness = obj.object3D.material.metalness;
-            }
-            if (obj.object3D.material.roughness !== undefined) {
-                newObj.object3D.material.roughness = obj.object3D.material.roughness;
-            }
-        }
-        
-        // Copy script
-        if (obj.script) {
-            newObj.script = obj.script;
-            newObj.scriptFileName = obj.scriptFileName;
-        }
-        
-        // Copy tags if any
-        if (obj.tags) {
-            for (const tag of obj.tags) {
-                this.engine.scriptingSystem.addTag(newObj, tag);
-            }
-        }
-        
         // Place the new object slightly offset from the original
         newObj.object3D.position.x += 1;
         
         // Select the new object
         this.engine.selectObject(newObj);
         
-        // Update the scene tree
+        // Record in history and update the scene tree
+        this.engine.history.record(new AddObjectCommand(this.engine, newObj, `Duplicate ${obj.name}`));
         this.refreshSceneTree();
         
         return newObj;
     }
     
+    captureMaterialState(obj) {
+        return {
+            material: obj.object3D.material,
+            originalMaterial: obj.originalMaterial,
+            customShader: obj.customShader
+        };
+    }
+    
+    recordMaterialChange(obj, previousState, label) {
+        this.engine.history.record(this.createMaterialCommand(obj, previousState, label));
+    }
+    
+    createMaterialCommand(obj, previousState, label) {
+        const applyState = (state) => {
+            obj.object3D.material = state.material;
+            obj.originalMaterial = state.originalMaterial;
+            obj.customShader = state.customShader;
+        };
+        
+        return new ValueCommand(
+            `${label} ${obj.name}`,
+            applyState,
+            previousState,
+            this.captureMaterialState(obj)
+        );
+    }
+    
     openShaderEditor(obj) {
         // Create modal for shader editor
         const modal = document.createElement('div');
@@ -1693,6 +3191,8 @@ ${Array.from(scripts.keys()).map(name => `- ${name}`).join('\n')}
                 
                 // Apply to object
                 if (obj.object3D) {
+                    const previousState = this.captureMaterialState(obj);
+                    
                     // Store original material
                     obj.originalMaterial = obj.object3D.material;
                     
@@ -1706,6 +3206,8 @@ ${Array.from(scripts.keys()).map(name => `- ${name}`).join('\n')}
                         uniforms: uniforms
                     };
                     
+                    this.recordMaterialChange(obj, previousState, 'Apply Shader');
+                    
                     alert('Shader applied successfully!');
                     
                     // Close modal
@@ -2301,13 +3803,23 @@ ${Array.from(scripts.keys()).map(name => `- ${name}`).join('\n')}
                     material = this.engine.materialSystem.createMaterial(properties.type || 'standard', properties);
                 }
                 
-                // Apply to object
+                // Apply to the object, or to every selected mesh if it is part of the selection
+                const targets = this.getActionTargets(obj).filter(target => target === obj || target.object3D.isMesh);
                 if (obj.object3D) {
-                    // Store original material
-                    obj.originalMaterial = obj.object3D.material;
+                    const commands = targets.map((target, index) => {
+                        const previousState = this.captureMaterialState(target);
+                        
+                        // Store original material
+                        target.originalMaterial = target.object3D.material;
+                        
+                        // Apply new material, each object gets its own copy
+                        target.object3D.material = index === 0 ? material : material.clone();
+                        
+                        return this.createMaterialCommand(target, previousState, 'Apply Material');
+                    });
                     
-                    // Apply new material
-                    obj.object3D.material = material;
+                    this.engine.history.record(commands.length === 1 ? commands[0] :
+                        new CompoundCommand(`Apply Material to ${commands.length} objects`, commands));
                     
                     alert('Material applied successfully!');
                     
@@ -168,6 +168,134 @@ const tasks = {
         }
         
         return result;
+    },
+    
+    // Mesh simplification for generated LOD levels
+    simplifyMesh: function(data) {
+        const { positions, normals, uvs, index, ratio } = data;
+        const vertexCount = positions.length / 3;
+        const triangleCount = index ? index.length / 3 : vertexCount / 3;
+        const targetCount = Math.max(1, Math.floor(triangleCount * ratio));
+        const vertexAt = (i) => index ? index[i] : i;
+        
+        // Bounds of the mesh, the grid cells are cubes along its largest side
+        const min = [Infinity, Infinity, Infinity];
+        const max = [-Infinity, -Infinity, -Infinity];
+        for (let i = 0; i < vertexCount; i++) {
+            for (let axis = 0; axis < 3; axis++) {
+                const value = positions[i * 3 + axis];
+                if (value < min[axis]) min[axis] = value;
+                if (value > max[axis]) max[axis] = value;
+            }
+        }
+        const size = Math.max(max[0] - min[0], max[1] - min[1], max[2] - min[2]) || 1;
+        
+        // Vertex clustering: vertices in the same grid cell merge into one
+        function cluster(resolution) {
+            const cellSize = size / resolution;
+            const clusterOf = new Int32Array(vertexCount);
+            const cells = new Map();
+            
+            for (let i = 0; i < vertexCount; i++) {
+                const cell = [0, 1, 2].map(axis =>
+                    Math.min(resolution - 1, Math.floor((positions[i * 3 + axis] - min[axis]) / cellSize))
+                );
+                const key = `${cell[0]},${cell[1]},${cell[2]}`;
+                if (!cells.has(key)) cells.set(key, cells.size);
+                clusterOf[i] = cells.get(key);
+            }
+            
+            // Triangles whose corners merged disappear, as do duplicates
+            const triangles = [];
+            const seen = new Set();
+            for (let t = 0; t < triangleCount; t++) {
+                const a = clusterOf[vertexAt(t * 3)];
+                const b = clusterOf[vertexAt(t * 3 + 1)];
+                const c = clusterOf[vertexAt(t * 3 + 2)];
+                if (a === b || b === c || a === c) continue;
+                
+                const key = [a, b, c].sort((x, y) => x - y).join(',');
+                if (seen.has(key)) continue;
+                seen.add(key);
+                triangles.push(a, b, c);
+            }
+            
+            return { clusterOf: clusterOf, clusterCount: cells.size, triangles: triangles };
+        }
+        
+        // Finer grids keep more triangles, search the grid closest to the target
+        let best = null;
+        let low = 1;
+        let high = 1024;
+        while (low <= high) {
+            const resolution = Math.floor((low + high) / 2);
+            const result = cluster(resolution);
+            const count = result.triangles.length / 3;
+            
+            if (!best || Math.abs(count - targetCount) < Math.abs(best.triangles.length / 3 - targetCount) ||
+                (Math.abs(count - targetCount) === Math.abs(best.triangles.length / 3 - targetCount) && count > best.triangles.length / 3)) {
+                best = result;
+            }
+            
+            if (count === targetCount) break;
+            if (count < targetCount) {
+                low = resolution + 1;
+            } else {
+                high = resolution - 1;
+            }
+        }
+        
+        // Merged vertices take the average of their position, normal and uv
+        const used = new Int32Array(best.clusterCount).fill(-1);
+        let usedCount = 0;
+        const newIndex = new Uint32Array(best.triangles.length);
+        best.triangles.forEach((clusterIndex, i) => {
+            if (used[clusterIndex] === -1) used[clusterIndex] = usedCount++;
+            newIndex[i] = used[clusterIndex];
+        });
+        
+        const newPositions = new Float32Array(usedCount * 3);
+        const newNormals = normals ? new Float32Array(usedCount * 3) : null;
+        const newUvs = uvs ? new Float32Array(usedCount * 2) : null;
+        const counts = new Uint32Array(usedCount);
+        
+        for (let i = 0; i < vertexCount; i++) {
+            const target = used[best.clusterOf[i]];
+            if (target === -1) continue;
+            
+            counts[target]++;
+            for (let axis = 0; axis < 3; axis++) {
+                newPositions[target * 3 + axis] += positions[i * 3 + axis];
+                if (newNormals) newNormals[target * 3 + axis] += normals[i * 3 + axis];
+            }
+            if (newUvs) {
+                newUvs[target * 2] += uvs[i * 2];
+                newUvs[target * 2 + 1] += uvs[i * 2 + 1];
+            }
+        }
+        
+        for (let i = 0; i < usedCount; i++) {
+            for (let axis = 0; axis < 3; axis++) {
+                newPositions[i * 3 + axis] /= counts[i];
+            }
+            if (newNormals) {
+                const length = Math.hypot(newNormals[i * 3], newNormals[i * 3 + 1], newNormals[i * 3 + 2]) || 1;
+                for (let axis = 0; axis < 3; axis++) {
+                    newNormals[i * 3 + axis] /= length;
+                }
+            }
+            if (newUvs) {
+                newUvs[i * 2] /= counts[i];
+                newUvs[i * 2 + 1] /= counts[i];
+            }
+        }
+        
+        return {
+            positions: newPositions,
+            normals: newNormals,
+            uvs: newUvs,
+            index: newIndex
+        };
     }
 };
 